@@ -3,6 +3,10 @@ import SortPage from './pages/SortPage'
 import DuplicatesPage from './pages/DuplicatesPage'
 import FaceSearchPage from './pages/FaceSearchPage'
 import ScanHistoryPage from './pages/ScanHistoryPage'
+import JournalPage from './pages/JournalPage'
+import EventsPage from './pages/EventsPage'
+import InboxPage from './pages/InboxPage'
+import LibraryVerifyPage from './pages/LibraryVerifyPage'
 import ToastContainer from '@/components/ToastContainer'
 import './index.css'
 
@@ -31,6 +35,10 @@ const App = () => (
             {navItem('/duplicates', 'בדיקת כפילויות')}
             {navItem('/faces', 'חיפוש לפי פנים')}
             {navItem('/scan-history', 'היסטוריית סריקה')}
+            {navItem('/journal', 'יומן פעולות')}
+            {navItem('/events', 'אירועים משפחתיים')}
+            {navItem('/inbox', 'תיבות קליטה')}
+            {navItem('/verify', 'אימות ארכיון')}
           </div>
         </aside>
 
@@ -41,6 +49,10 @@ const App = () => (
             <Route path="/duplicates" element={<DuplicatesPage />} />
             <Route path="/faces" element={<FaceSearchPage />} />
             <Route path="/scan-history" element={<ScanHistoryPage />} />
+            <Route path="/journal" element={<JournalPage />} />
+            <Route path="/events" element={<EventsPage />} />
+            <Route path="/inbox" element={<InboxPage />} />
+            <Route path="/verify" element={<LibraryVerifyPage />} />
             <Route path="*" element={<Navigate to="/sort" replace />} />
           </Routes>
         </section>
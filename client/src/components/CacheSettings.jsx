@@ -0,0 +1,174 @@
+import { useEffect, useState } from 'react'
+import { HardDrive, RotateCcw, Save, Trash2 } from 'lucide-react'
+import useApi from '@/hooks/useApi'
+import { useToastStore } from '@/store/toastStore'
+
+const inputClass =
+  'rounded-lg border border-slate-800 bg-slate-950/70 px-3 py-2 text-slate-200 outline-none focus:border-sky-500'
+const buttonClass =
+  'inline-flex items-center gap-2 rounded-lg px-3 py-2 text-sm font-semibold text-white disabled:bg-slate-700'
+
+const KIND_LABELS = {
+  thumbs: 'תמונות ממוזערות',
+  posters: 'פוסטרים של וידאו',
+  renditions: 'המרות JPEG (HEIC / RAW)',
+  faces: 'חיתוכי פנים',
+}
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`
+}
+
+// מטמון משותף (פוסטרים, תמונות ממוזערות, המרות, חיתוכי פנים): מיקום, תקרת גודל, שימוש וניקוי
+const CacheSettings = ({ disabled = false }) => {
+  const { getCache, saveCacheSettings, clearCache, loading } = useApi()
+  const { addToast } = useToastStore()
+  const [form, setForm] = useState(null)
+  const [defaults, setDefaults] = useState(null)
+  const [defaultLocation, setDefaultLocation] = useState('')
+  const [stats, setStats] = useState(null)
+
+  const load = () =>
+    getCache()
+      .then((res) => {
+        setForm({ location: res.settings.location || '', maxSizeMB: res.settings.maxSizeMB })
+        setDefaults(res.defaults)
+        setDefaultLocation(res.defaultLocation)
+        setStats(res.stats)
+      })
+      .catch((err) => console.error('[CacheSettings] load failed', err))
+
+  useEffect(() => {
+    load()
+  }, [])
+
+  const save = async (settings) => {
+    try {
+      const res = await saveCacheSettings(settings)
+      setForm({ location: res.settings.location || '', maxSizeMB: res.settings.maxSizeMB })
+      setStats(res.stats)
+      addToast({ title: 'הגדרות המטמון נשמרו', variant: 'success' })
+    } catch (err) {
+      addToast({ title: 'שמירה נכשלה', description: err.message, variant: 'error' })
+    }
+  }
+
+  const clear = async (kind = null) => {
+    const label = kind ? KIND_LABELS[kind] : 'כל המטמון'
+    if (!window.confirm(`למחוק את ${label}? הקבצים ייבנו מחדש כשיידרשו.`)) return
+    try {
+      const res = await clearCache(kind)
+      setStats(res.stats)
+      addToast({ title: 'המטמון נוקה', description: label, variant: 'success' })
+    } catch (err) {
+      addToast({ title: 'הניקוי נכשל', description: err.message, variant: 'error' })
+    }
+  }
+
+  if (!form || !stats) return null
+
+  const busy = disabled || loading
+
+  return (
+    <details
+      className="rounded-xl border border-slate-800 bg-slate-900/60 p-4 text-sm text-slate-200"
+      onToggle={(e) => e.currentTarget.open && load()}
+    >
+      <summary className="flex cursor-pointer items-center gap-2 font-semibold text-slate-100">
+        <HardDrive className="h-4 w-4 text-sky-300" />
+        מטמון: {formatBytes(stats.totalBytes)} מתוך {formatBytes(stats.maxBytes)} · {stats.files} קבצים
+      </summary>
+
+      <div className="mt-3 flex flex-col gap-3">
+        <p className="text-xs text-slate-400">
+          תמונות ממוזערות, פוסטרים, המרות HEIC / RAW וחיתוכי פנים נשמרים כאן ונבנים מחדש כשקובץ המקור משתנה. מעבר לגודל
+          המקסימלי, הקבצים שלא נעשה בהם שימוש הכי הרבה זמן נמחקים.
+        </p>
+
+        <table className="w-full text-right text-xs">
+          <tbody>
+            {Object.entries(stats.kinds).map(([kind, usage]) => (
+              <tr key={kind} className="border-t border-slate-800">
+                <td className="p-2">{KIND_LABELS[kind] || kind}</td>
+                <td className="p-2 text-slate-400">{usage.files} קבצים</td>
+                <td className="p-2 text-slate-400">{formatBytes(usage.bytes)}</td>
+                <td className="p-2 text-left">
+                  <button
+                    type="button"
+                    className="text-xs text-rose-300 hover:text-rose-200 disabled:text-slate-600"
+                    onClick={() => clear(kind)}
+                    disabled={busy || !usage.files}
+                  >
+                    נקה
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="grid gap-2 md:grid-cols-[2fr_1fr]">
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-slate-400">מיקום (ריק = ברירת מחדל; נוצרת בו תיקיית hebphotosort-cache)</span>
+            <input
+              dir="ltr"
+              value={form.location}
+              onChange={(e) => setForm((prev) => ({ ...prev, location: e.target.value }))}
+              disabled={busy}
+              className={inputClass}
+              placeholder={defaultLocation}
+            />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-slate-400">גודל מקסימלי (MB)</span>
+            <input
+              type="number"
+              min="50"
+              dir="ltr"
+              value={form.maxSizeMB}
+              onChange={(e) => setForm((prev) => ({ ...prev, maxSizeMB: e.target.value }))}
+              disabled={busy}
+              className={inputClass}
+            />
+          </label>
+        </div>
+
+        <div className="flex flex-wrap items-center justify-end gap-2">
+          <button
+            type="button"
+            className={`${buttonClass} bg-rose-700 hover:bg-rose-600`}
+            onClick={() => clear()}
+            disabled={busy}
+          >
+            <Trash2 className="h-4 w-4" />
+            נקה מטמון
+          </button>
+          {defaults && (
+            <button
+              type="button"
+              className={`${buttonClass} bg-slate-800 hover:bg-slate-700`}
+              onClick={() => save(defaults)}
+              disabled={busy}
+            >
+              <RotateCcw className="h-4 w-4" />
+              ברירת מחדל
+            </button>
+          )}
+          <button
+            type="button"
+            className={`${buttonClass} bg-sky-600 hover:bg-sky-500`}
+            onClick={() => save({ location: form.location || null, maxSizeMB: Number(form.maxSizeMB) })}
+            disabled={busy}
+          >
+            <Save className="h-4 w-4" />
+            שמור
+          </button>
+        </div>
+      </div>
+    </details>
+  )
+}
+
+export default CacheSettings
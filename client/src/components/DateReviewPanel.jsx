@@ -0,0 +1,213 @@
+import { useEffect, useState } from 'react'
+import { CalendarClock, CalendarCheck, Play, X } from 'lucide-react'
+import useApi from '@/hooks/useApi'
+import { useToastStore } from '@/store/toastStore'
+import { dateSourceLabel, dateConfidenceLabel } from '@/lib/dateSource'
+
+const fileName = (src) => src.split(/[/\\]/).pop() || src
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString('he-IL') : '—')
+
+// קבצים בלי תאריך אמין שנשארו במקור (unknownDatePolicy = review) או שנוספו ידנית -
+// נותנים להם תאריך עברי או לועזי, ואז ממיינים אותם לפי התאריך הזה
+const DateReviewPanel = ({ disabled = false, refreshKey = 0, onSort }) => {
+  const { getDateReview, assignDate, dismissDateReview, loading } = useApi()
+  const { addToast } = useToastStore()
+  const [items, setItems] = useState([])
+  const [months, setMonths] = useState([])
+  const [selected, setSelected] = useState(() => new Set())
+  const [calendar, setCalendar] = useState('gregorian')
+  const [gregorian, setGregorian] = useState('')
+  const [hebrewYear, setHebrewYear] = useState('')
+  const [hebrewMonth, setHebrewMonth] = useState('tishrei')
+  const [hebrewDay, setHebrewDay] = useState('')
+  const [time, setTime] = useState('')
+
+  const loadQueue = () => {
+    getDateReview()
+      .then((res) => {
+        const queue = res.items || []
+        setItems(queue)
+        setMonths(res.months || [])
+        setSelected((prev) => new Set(queue.map((item) => item.src).filter((src) => prev.has(src))))
+      })
+      .catch((err) => console.error('[DateReviewPanel] load failed', err))
+  }
+
+  useEffect(() => {
+    loadQueue()
+  }, [refreshKey])
+
+  if (!items.length) return null
+
+  const selectedFiles = items.map((item) => item.src).filter((src) => selected.has(src))
+
+  const toggle = (src) =>
+    setSelected((prev) => {
+      const next = new Set(prev)
+      if (next.has(src)) next.delete(src)
+      else next.add(src)
+      return next
+    })
+
+  const toggleAll = () =>
+    setSelected(selectedFiles.length === items.length ? new Set() : new Set(items.map((item) => item.src)))
+
+  const handleAssign = async () => {
+    const date =
+      calendar === 'gregorian'
+        ? { gregorian }
+        : { hebrewYear: Number(hebrewYear), hebrewMonth, hebrewDay: Number(hebrewDay) }
+    if (time) date.time = time
+    try {
+      const res = await assignDate(selectedFiles, date)
+      addToast({
+        title: 'התאריך נשמר',
+        description: `${res.assigned} קבצים · ${res.hebrew} (${new Date(res.date).toLocaleDateString('he-IL')})`,
+        variant: 'success',
+      })
+      loadQueue()
+    } catch (err) {
+      addToast({ title: 'תאריך לא תקין', description: err.message, variant: 'error' })
+    }
+  }
+
+  const handleDismiss = async () => {
+    try {
+      await dismissDateReview(selectedFiles)
+      loadQueue()
+    } catch (err) {
+      addToast({ title: 'הפעולה נכשלה', description: err.message, variant: 'error' })
+    }
+  }
+
+  const unassigned = selectedFiles.filter((src) => !items.find((item) => item.src === src)?.manualDate)
+
+  const handleSort = () => {
+    if (unassigned.length && !window.confirm(`ל-${unassigned.length} מהקבצים שנבחרו אין תאריך ידני. למיין אותם בכל זאת?`)) {
+      return
+    }
+    onSort?.(selectedFiles)
+  }
+
+  const inputClass = 'rounded-lg border border-slate-700 bg-slate-900 px-2 py-1 text-sm text-slate-100'
+  const buttonClass =
+    'inline-flex items-center gap-1 rounded-lg px-3 py-1 text-xs font-semibold text-white disabled:bg-slate-700'
+  const busy = disabled || loading || !selectedFiles.length
+  const dateMissing = calendar === 'gregorian' ? !gregorian : !hebrewYear || !hebrewDay
+
+  return (
+    <div className="flex flex-col gap-3 rounded-xl border border-violet-800/60 bg-slate-900/60 p-4 text-sm text-slate-200">
+      <div className="flex items-center gap-2 font-semibold text-slate-100">
+        <CalendarClock className="h-4 w-4 text-violet-300" />
+        קבצים שממתינים לתאריך ({items.length})
+      </div>
+
+      <div className="max-h-64 overflow-auto rounded-lg border border-slate-800 bg-slate-950/60">
+        <table className="w-full text-right text-xs">
+          <thead className="sticky top-0 bg-slate-900 text-slate-400">
+            <tr>
+              <th className="p-2">
+                <input type="checkbox" checked={selectedFiles.length === items.length} onChange={toggleAll} />
+              </th>
+              <th className="p-2">קובץ</th>
+              <th className="p-2">תאריך משוער</th>
+              <th className="p-2">מקור / אמינות</th>
+              <th className="p-2">תאריך ידני</th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((item) => (
+              <tr key={item.src} className="border-t border-slate-800">
+                <td className="p-2">
+                  <input type="checkbox" checked={selected.has(item.src)} onChange={() => toggle(item.src)} />
+                </td>
+                <td className="p-2 font-mono" title={item.src}>
+                  {fileName(item.src)}
+                </td>
+                <td className="p-2">{formatDate(item.date)}</td>
+                <td className="p-2">
+                  {dateSourceLabel(item.dateSource) || '—'} · {dateConfidenceLabel(item.dateConfidence) || '—'}
+                </td>
+                <td className="p-2 text-emerald-200">{item.manualDate ? formatDate(item.manualDate.date) : '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select className={inputClass} value={calendar} onChange={(e) => setCalendar(e.target.value)}>
+          <option value="gregorian">תאריך לועזי</option>
+          <option value="hebrew">תאריך עברי</option>
+        </select>
+        {calendar === 'gregorian' ? (
+          <input type="date" className={inputClass} value={gregorian} onChange={(e) => setGregorian(e.target.value)} />
+        ) : (
+          <>
+            <input
+              type="number"
+              min="1"
+              max="30"
+              className={`${inputClass} w-16`}
+              placeholder="יום"
+              value={hebrewDay}
+              onChange={(e) => setHebrewDay(e.target.value)}
+            />
+            <select className={inputClass} value={hebrewMonth} onChange={(e) => setHebrewMonth(e.target.value)}>
+              {months.map((month) => (
+                <option key={month.key} value={month.key}>
+                  {month.name}
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              className={`${inputClass} w-24`}
+              placeholder="שנה (5785)"
+              value={hebrewYear}
+              onChange={(e) => setHebrewYear(e.target.value)}
+            />
+          </>
+        )}
+        <input
+          type="time"
+          className={inputClass}
+          value={time}
+          onChange={(e) => setTime(e.target.value)}
+          title="ללא שעה - 12:00"
+        />
+        <button
+          type="button"
+          className={`${buttonClass} bg-violet-600 hover:bg-violet-500`}
+          onClick={handleAssign}
+          disabled={busy || dateMissing}
+        >
+          <CalendarCheck className="h-3 w-3" />
+          קבע תאריך
+        </button>
+        <button
+          type="button"
+          className={`${buttonClass} bg-emerald-600 hover:bg-emerald-500`}
+          onClick={handleSort}
+          disabled={busy}
+          title="מיון לפי הגדרות המיון שלמעלה; קבצים עם תאריך ידני ממוינים לפיו"
+        >
+          <Play className="h-3 w-3" />
+          מיין נבחרים
+        </button>
+        <button
+          type="button"
+          className={`${buttonClass} bg-slate-700 hover:bg-slate-600`}
+          onClick={handleDismiss}
+          disabled={busy}
+          title="הסרה מהרשימה (והתאריך הידני) - הקבצים עצמם לא משתנים"
+        >
+          <X className="h-3 w-3" />
+          הסר מהרשימה
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default DateReviewPanel
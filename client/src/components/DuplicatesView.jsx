@@ -7,7 +7,6 @@ const DuplicatesView = ({
   onSelectGroup,
   relative,
   showPreview = false,
-  apiBase = 'http://localhost:4000',
   onOpenImage = () => {},
 }) => {
   if (!groups?.length) {
@@ -48,7 +47,8 @@ const DuplicatesView = ({
                   />
                   {showPreview && (
                     <LazyImage
-                      src={`${apiBase}/api/file?path=${encodeURIComponent(file.poster || file.path)}`}
+                      src={file.path}
+                      thumbSize={96}
                       alt={relative(file.path)}
                       className="h-12 w-12 rounded border border-slate-800"
                       imgClassName="object-cover cursor-zoom-in"
@@ -0,0 +1,80 @@
+import { useEffect, useState } from 'react'
+import useApi from '@/hooks/useApi'
+import { cn } from '@/lib/utils'
+
+const PREVIEW_DEBOUNCE_MS = 300
+
+// תבנית שם קובץ (שינוי שם במיון) - כמו FolderTemplateInput, עם המשתנים של שמות קבצים והתנגשות לדוגמה
+const FileNamePatternInput = ({ value, onChange, disabled = false }) => {
+  const { getTemplateTokens, previewNamePattern } = useApi()
+  const [tokens, setTokens] = useState([])
+  const [preview, setPreview] = useState(null)
+
+  useEffect(() => {
+    getTemplateTokens()
+      .then((res) => setTokens(res.nameTokens || []))
+      .catch((err) => console.error('[FileNamePatternInput] load tokens failed', err))
+  }, [])
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      previewNamePattern(value)
+        .then(setPreview)
+        .catch((err) => setPreview({ valid: false, errors: [err.message] }))
+    }, PREVIEW_DEBOUNCE_MS)
+    return () => clearTimeout(timer)
+  }, [value])
+
+  const insertToken = (name) => onChange?.(`${value || ''}{${name}}`)
+
+  return (
+    <div className="mt-2 flex flex-col gap-2">
+      <input
+        type="text"
+        dir="ltr"
+        value={value}
+        onChange={(e) => onChange?.(e.target.value)}
+        disabled={disabled}
+        className={cn(
+          'w-full rounded-lg border bg-slate-950/70 px-3 py-2 font-mono text-sm text-slate-200 outline-none',
+          preview && !preview.valid ? 'border-rose-600' : 'border-slate-800 focus:border-sky-500',
+        )}
+        placeholder="{gregorian:YYYY-MM-DD_HHmmss}_{camera}{counter}"
+      />
+
+      <div className="flex flex-wrap gap-1">
+        {tokens.map((token) => (
+          <button
+            key={token.name}
+            type="button"
+            title={token.description}
+            className="rounded bg-slate-800 px-2 py-0.5 font-mono text-xs text-slate-200 hover:bg-slate-700"
+            onClick={() => insertToken(token.name)}
+            disabled={disabled}
+          >
+            {`{${token.name}}`}
+          </button>
+        ))}
+      </div>
+
+      {preview && (
+        <div className="text-xs">
+          {preview.valid ? (
+            <span className="text-emerald-300">
+              דוגמה (IMG_0001.jpg, היום): <span dir="ltr" className="font-mono">{preview.preview}</span>
+              {' · '}בהתנגשות: <span dir="ltr" className="font-mono">{preview.collision}</span>
+            </span>
+          ) : (
+            <ul className="space-y-0.5 text-rose-300">
+              {(preview.errors || []).map((err) => (
+                <li key={err}>⚠️ {err}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FileNamePatternInput
@@ -0,0 +1,152 @@
+import { useEffect, useState } from 'react'
+import { Save, Sunset } from 'lucide-react'
+import useApi from '@/hooks/useApi'
+import { useToastStore } from '@/store/toastStore'
+
+const MODE_LABELS = {
+  civil: 'חצות (תאריך לועזי)',
+  sunset: 'שקיעה',
+  tzeit: 'צאת הכוכבים',
+}
+
+// דוגמה קבועה לתצוגה: שישי בערב - אמור להפוך לשבת במצב שקיעה
+const sampleFridayEvening = () => {
+  const d = new Date()
+  d.setDate(d.getDate() + ((5 - d.getDay() + 7) % 7))
+  d.setHours(21, 0, 0, 0)
+  return d
+}
+
+const HebrewDaySettings = ({ disabled = false }) => {
+  const { getHebrewDaySettings, saveHebrewDaySettings, previewHebrewDay, loading } = useApi()
+  const { addToast } = useToastStore()
+  const [settings, setSettings] = useState(null)
+  const [preview, setPreview] = useState(null)
+
+  const loadPreview = () => {
+    previewHebrewDay(sampleFridayEvening().toISOString())
+      .then(setPreview)
+      .catch((err) => console.error('[HebrewDaySettings] preview failed', err))
+  }
+
+  useEffect(() => {
+    getHebrewDaySettings()
+      .then((res) => setSettings(res.settings))
+      .catch((err) => console.error('[HebrewDaySettings] load failed', err))
+    loadPreview()
+  }, [])
+
+  const update = (patch) => setSettings((prev) => ({ ...prev, ...patch }))
+
+  const numberOrNull = (value) => (value === '' || value == null ? null : Number(value))
+
+  const handleSave = async () => {
+    try {
+      const res = await saveHebrewDaySettings({
+        ...settings,
+        latitude: numberOrNull(settings.latitude),
+        longitude: numberOrNull(settings.longitude),
+      })
+      setSettings(res.settings)
+      loadPreview()
+      addToast({ title: 'הגדרות היום העברי נשמרו', variant: 'success' })
+    } catch (err) {
+      addToast({ title: 'שמירה נכשלה', description: err.message, variant: 'error' })
+    }
+  }
+
+  if (!settings) return null
+
+  return (
+    <details className="rounded-xl border border-slate-800 bg-slate-900/60 p-4 text-sm text-slate-200">
+      <summary className="flex cursor-pointer items-center gap-2 font-semibold text-slate-100">
+        <Sunset className="h-4 w-4 text-amber-300" />
+        מעבר יום עברי: {MODE_LABELS[settings.mode] || settings.mode}
+      </summary>
+
+      <div className="mt-3 flex flex-col gap-3">
+        <div className="flex flex-wrap gap-4">
+          {Object.entries(MODE_LABELS).map(([value, label]) => (
+            <label key={value} className="flex items-center gap-2">
+              <input
+                type="radio"
+                name="hebrew-day-mode"
+                value={value}
+                checked={settings.mode === value}
+                onChange={() => update({ mode: value })}
+                disabled={disabled}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+
+        <div className="grid gap-2 md:grid-cols-3">
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-slate-400">עיר (שם באנגלית מרשימת hebcal)</span>
+            <input
+              type="text"
+              dir="ltr"
+              value={settings.city || ''}
+              onChange={(e) => update({ city: e.target.value || null })}
+              disabled={disabled}
+              className="rounded-lg border border-slate-800 bg-slate-950/70 px-3 py-2 text-slate-200 outline-none focus:border-sky-500"
+              placeholder="Jerusalem"
+            />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-slate-400">קו רוחב (אופציונלי)</span>
+            <input
+              type="number"
+              dir="ltr"
+              value={settings.latitude ?? ''}
+              onChange={(e) => update({ latitude: e.target.value })}
+              disabled={disabled}
+              className="rounded-lg border border-slate-800 bg-slate-950/70 px-3 py-2 text-slate-200 outline-none focus:border-sky-500"
+            />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-slate-400">קו אורך (אופציונלי)</span>
+            <input
+              type="number"
+              dir="ltr"
+              value={settings.longitude ?? ''}
+              onChange={(e) => update({ longitude: e.target.value })}
+              disabled={disabled}
+              className="rounded-lg border border-slate-800 bg-slate-950/70 px-3 py-2 text-slate-200 outline-none focus:border-sky-500"
+            />
+          </label>
+        </div>
+
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={!!settings.useGps}
+            onChange={(e) => update({ useGps: e.target.checked })}
+            disabled={disabled}
+          />
+          העדף מיקום GPS מה-EXIF של התמונה כשקיים
+        </label>
+
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          {preview && (
+            <span className="text-xs text-slate-400">
+              דוגמה - שישי 21:00: {preview.full} (יום {preview.weekday})
+            </span>
+          )}
+          <button
+            type="button"
+            className="inline-flex items-center gap-2 rounded-lg bg-sky-600 px-3 py-2 text-sm font-semibold text-white hover:bg-sky-500 disabled:bg-slate-700"
+            onClick={handleSave}
+            disabled={disabled || loading}
+          >
+            <Save className="h-4 w-4" />
+            שמור
+          </button>
+        </div>
+      </div>
+    </details>
+  )
+}
+
+export default HebrewDaySettings
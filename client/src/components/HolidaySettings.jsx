@@ -0,0 +1,108 @@
+import { useEffect, useState } from 'react'
+import { CalendarHeart, Save } from 'lucide-react'
+import useApi from '@/hooks/useApi'
+import { useToastStore } from '@/store/toastStore'
+
+const formatDate = (iso) => iso.split('-').reverse().join('/')
+
+const HolidaySettings = ({ disabled = false }) => {
+  const { getHolidaySettings, saveHolidaySettings, getHolidayPeriods, loading } = useApi()
+  const { addToast } = useToastStore()
+  const [il, setIl] = useState(true)
+  const [holidays, setHolidays] = useState(null)
+  const [periods, setPeriods] = useState([])
+
+  const loadPeriods = () => {
+    getHolidayPeriods()
+      .then((res) => setPeriods(res.periods || []))
+      .catch((err) => console.error('[HolidaySettings] periods failed', err))
+  }
+
+  useEffect(() => {
+    getHolidaySettings()
+      .then((res) => {
+        setIl(res.settings.il)
+        setHolidays(res.holidays)
+      })
+      .catch((err) => console.error('[HolidaySettings] load failed', err))
+    loadPeriods()
+  }, [])
+
+  const toggle = (id) =>
+    setHolidays((prev) => prev.map((h) => (h.id === id ? { ...h, enabled: !h.enabled } : h)))
+
+  const handleSave = async () => {
+    try {
+      const res = await saveHolidaySettings({ il, enabled: holidays.filter((h) => h.enabled).map((h) => h.id) })
+      setIl(res.settings.il)
+      setHolidays(res.holidays)
+      loadPeriods()
+      addToast({ title: 'הגדרות החגים נשמרו', variant: 'success' })
+    } catch (err) {
+      addToast({ title: 'שמירה נכשלה', description: err.message, variant: 'error' })
+    }
+  }
+
+  if (!holidays) return null
+
+  const enabledCount = holidays.filter((h) => h.enabled).length
+
+  return (
+    <details className="rounded-xl border border-slate-800 bg-slate-900/60 p-4 text-sm text-slate-200">
+      <summary className="flex cursor-pointer items-center gap-2 font-semibold text-slate-100">
+        <CalendarHeart className="h-4 w-4 text-rose-300" />
+        תיקיות חגים: {enabledCount} חגים, לוח {il ? 'ארץ ישראל' : 'חוץ לארץ'}
+      </summary>
+
+      <div className="mt-3 flex flex-col gap-3">
+        <p className="text-xs text-slate-400">
+          בתבנית "חודש ושנה" כל ימי החג (כולל חול המועד ושמונת ימי חנוכה) נכנסים לתיקייה אחת, למשל "פסח תשפ''ה".
+        </p>
+
+        <div className="flex flex-wrap gap-4">
+          <label className="flex items-center gap-2">
+            <input type="radio" name="holiday-calendar" checked={il} onChange={() => setIl(true)} disabled={disabled} />
+            ארץ ישראל
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="radio" name="holiday-calendar" checked={!il} onChange={() => setIl(false)} disabled={disabled} />
+            חוץ לארץ (יום טוב שני)
+          </label>
+        </div>
+
+        <div className="grid gap-2 sm:grid-cols-2 md:grid-cols-4">
+          {holidays.map((h) => (
+            <label key={h.id} className="flex items-center gap-2">
+              <input type="checkbox" checked={h.enabled} onChange={() => toggle(h.id)} disabled={disabled} />
+              {h.name}
+            </label>
+          ))}
+        </div>
+
+        {periods.length > 0 && (
+          <div className="flex flex-wrap gap-2 text-xs text-slate-400">
+            {periods.map((p) => (
+              <span key={p.id} className="rounded-md bg-slate-950/70 px-2 py-1">
+                {p.name}: {p.startDate === p.endDate ? formatDate(p.startDate) : `${formatDate(p.startDate)} - ${formatDate(p.endDate)}`}
+              </span>
+            ))}
+          </div>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            type="button"
+            className="inline-flex items-center gap-2 rounded-lg bg-sky-600 px-3 py-2 text-sm font-semibold text-white hover:bg-sky-500 disabled:bg-slate-700"
+            onClick={handleSave}
+            disabled={disabled || loading}
+          >
+            <Save className="h-4 w-4" />
+            שמור
+          </button>
+        </div>
+      </div>
+    </details>
+  )
+}
+
+export default HolidaySettings
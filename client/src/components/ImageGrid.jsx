@@ -1,7 +1,40 @@
+import { Paperclip } from 'lucide-react'
 import { cn } from '@/lib/utils'
 import LazyImage from './LazyImage'
 
-const ImageGrid = ({ images = [], selectedIndex = 0, onSelect, onImageClick }) => {
+const fileName = (p) => p.split(/[/\\]/).pop()
+
+// "goes to": the last folder of the predicted target (the full path is in the tooltip)
+const targetLabel = (info) => {
+  if (!info || info.error) return null
+  if (info.unknownDate === 'review') return 'ממתין לתאריך'
+  return info.target ? fileName(info.target) : null
+}
+
+const infoTitle = (img, info) => {
+  if (!info) return fileName(img)
+  if (info.error) return `${fileName(img)}\n${info.error}`
+  return [
+    fileName(img),
+    info.hebrewDate,
+    info.width && info.height ? `${info.width}×${info.height}` : null,
+    info.target ? `יעד: ${info.target}` : null,
+  ]
+    .filter(Boolean)
+    .join('\n')
+}
+
+// companions: media path -> sidecars / Live Photo video that move with it (shown as a badge, not as grid items)
+// fileInfo: media path -> streamed scan entry (Hebrew date, predicted target folder); scanProgress: { loaded, total }
+const ImageGrid = ({
+  images = [],
+  companions = {},
+  fileInfo = {},
+  scanProgress = null,
+  selectedIndex = 0,
+  onSelect,
+  onImageClick,
+}) => {
   if (!images.length) {
     return (
       <div className="rounded-xl border border-slate-800 bg-slate-900/60 p-4 text-center text-slate-500">
@@ -12,12 +45,20 @@ const ImageGrid = ({ images = [], selectedIndex = 0, onSelect, onImageClick }) =
 
   return (
     <div className="rounded-xl border border-slate-800 bg-slate-900/60 p-4">
-      <p className="mb-3 text-sm font-medium text-slate-200">גריד מדיה</p>
+      <p className="mb-3 text-sm font-medium text-slate-200">
+        גריד מדיה
+        {scanProgress && (
+          <span className="ms-2 text-xs font-normal text-slate-400">
+            טוען {scanProgress.loaded} / {scanProgress.total}
+          </span>
+        )}
+      </p>
       <div className="grid max-h-[220px] grid-cols-6 gap-2 overflow-auto p-1 sm:grid-cols-8">
         {images.map((img, idx) => (
           <button
             key={img}
             type="button"
+            title={infoTitle(img, fileInfo[img])}
             onClick={() => {
               onSelect?.(idx)
               onImageClick?.(img, idx)
@@ -31,11 +72,26 @@ const ImageGrid = ({ images = [], selectedIndex = 0, onSelect, onImageClick }) =
           >
             <LazyImage
               src={img}
+              thumbSize={240}
               alt={`thumb-${idx}`}
               className="h-full w-full"
               imgClassName="object-cover"
               placeholderClassName="min-h-[72px]"
             />
+            {targetLabel(fileInfo[img]) && (
+              <span className="absolute inset-x-0 top-0 truncate bg-slate-950/75 px-1 text-[10px] text-slate-100">
+                {targetLabel(fileInfo[img])}
+              </span>
+            )}
+            {companions[img]?.length > 0 && (
+              <span
+                className="absolute bottom-1 left-1 inline-flex items-center gap-0.5 rounded bg-slate-950/80 px-1 text-[10px] text-slate-200"
+                title={companions[img].map(fileName).join('\n')}
+              >
+                <Paperclip className="h-2.5 w-2.5" />
+                {companions[img].length}
+              </span>
+            )}
             {idx === selectedIndex && (
               <span className="absolute inset-0 border-2 border-sky-500/70"></span>
             )}
@@ -0,0 +1,117 @@
+import { useEffect, useState } from 'react'
+import { AlertTriangle, Play, Undo2, X } from 'lucide-react'
+import useApi from '@/hooks/useApi'
+import { useToastStore } from '@/store/toastStore'
+import { formatLabel } from '@/lib/sortFormat'
+
+const formatTime = (iso) => new Date(iso).toLocaleString('he-IL')
+
+// ריצות מיון שנקטעו (השרת נפל באמצע) - המשך עם הקבצים שנותרו, החזרת כל מה שכבר הועבר, או השארה כמו שזה
+const InterruptedRuns = ({ disabled = false, onResume }) => {
+  const { getInterruptedRuns, resumeSortRun, rollbackSortRun, dismissSortRun, loading } = useApi()
+  const { addToast } = useToastStore()
+  const [runs, setRuns] = useState([])
+
+  const loadRuns = () => {
+    getInterruptedRuns()
+      .then((res) => setRuns(res.runs || []))
+      .catch((err) => console.error('[InterruptedRuns] load failed', err))
+  }
+
+  useEffect(() => {
+    loadRuns()
+  }, [])
+
+  const handleResume = async (run) => {
+    try {
+      const job = await resumeSortRun(run.runId)
+      setRuns((prev) => prev.filter((r) => r.runId !== run.runId))
+      onResume?.(job)
+    } catch (err) {
+      addToast({ title: 'המשך המיון נכשל', description: err.message, variant: 'error' })
+    }
+  }
+
+  const handleRollback = async (run) => {
+    if (!window.confirm(`להחזיר ${run.success} קבצים שכבר מוינו למקומם המקורי?`)) return
+    try {
+      const res = await rollbackSortRun(run.runId)
+      addToast({
+        title: res.errors ? 'השחזור הושלם עם שגיאות' : 'הריצה שוחזרה',
+        description: `${res.success} קבצים הוחזרו${res.errors ? `, ${res.errors} שגיאות` : ''}`,
+        variant: res.errors ? 'warning' : 'success',
+      })
+      loadRuns()
+    } catch (err) {
+      addToast({ title: 'השחזור נכשל', description: err.message, variant: 'error' })
+    }
+  }
+
+  const handleDismiss = async (run) => {
+    try {
+      await dismissSortRun(run.runId)
+      setRuns((prev) => prev.filter((r) => r.runId !== run.runId))
+    } catch (err) {
+      addToast({ title: 'הפעולה נכשלה', description: err.message, variant: 'error' })
+    }
+  }
+
+  if (!runs.length) return null
+
+  const buttonClass =
+    'inline-flex items-center gap-1 rounded-lg px-3 py-1 text-xs font-semibold text-white disabled:bg-slate-700'
+
+  return (
+    <div className="flex flex-col gap-3 rounded-xl border border-amber-700 bg-amber-900/30 p-4 text-sm text-amber-100">
+      <div className="flex items-center gap-2 font-semibold">
+        <AlertTriangle className="h-4 w-4" />
+        מיון שנקטע באמצע (השרת נסגר לפני סיום)
+      </div>
+      {runs.map((run) => (
+        <div key={run.runId} className="flex flex-wrap items-center justify-between gap-2 rounded-lg bg-slate-950/50 p-3">
+          <div className="flex flex-col gap-1">
+            <span>
+              {formatTime(run.createdAt)} · {run.params.mode === 'copy' ? 'העתקה' : 'העברה'} · {formatLabel(run.params.format)}
+            </span>
+            <span className="text-xs text-amber-200/80">
+              {run.params.destRoot} · מוינו {run.success} מתוך {run.total}, נותרו {run.pending}
+              {run.skipped ? `, ${run.skipped} ממתינים לבדיקת תאריך` : ''}
+            </span>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              type="button"
+              className={`${buttonClass} bg-emerald-600 hover:bg-emerald-500`}
+              onClick={() => handleResume(run)}
+              disabled={disabled || loading}
+            >
+              <Play className="h-3 w-3" />
+              המשך
+            </button>
+            <button
+              type="button"
+              className={`${buttonClass} bg-rose-600 hover:bg-rose-500`}
+              onClick={() => handleRollback(run)}
+              disabled={disabled || loading}
+            >
+              <Undo2 className="h-3 w-3" />
+              בטל שינויים
+            </button>
+            <button
+              type="button"
+              className={`${buttonClass} bg-slate-700 hover:bg-slate-600`}
+              onClick={() => handleDismiss(run)}
+              disabled={disabled || loading}
+              title="השאר את מה שכבר מוין"
+            >
+              <X className="h-3 w-3" />
+              התעלם
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default InterruptedRuns
@@ -0,0 +1,64 @@
+import { Pause, Play, Square } from 'lucide-react'
+import useApi from '@/hooks/useApi'
+import { useToastStore } from '@/store/toastStore'
+
+const STATUS_LABELS = {
+  running: 'רץ',
+  paused: 'מושהה',
+  cancelling: 'מבטל...',
+}
+
+// כפתורי השהיה / המשך / ביטול למשימת שרת (מיון או סריקת פנים) - המשימה ממשיכה גם אם הדף נסגר
+const JobControls = ({ jobId, status, onChange, showCancel = true }) => {
+  const { pauseJob, resumeJob, cancelJob, loading } = useApi()
+  const { addToast } = useToastStore()
+
+  if (!jobId) return null
+
+  const run = async (action) => {
+    try {
+      const job = await action(jobId)
+      onChange?.(job)
+    } catch (err) {
+      addToast({ title: 'הפעולה נכשלה', description: err.message, variant: 'error' })
+    }
+  }
+
+  const buttonClass =
+    'inline-flex items-center gap-2 rounded-lg px-3 py-2 text-sm font-semibold text-white disabled:bg-slate-700'
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm text-slate-300">
+      <span className="text-xs text-slate-400">משימה: {STATUS_LABELS[status] || status}</span>
+      {status === 'paused' ? (
+        <button type="button" className={`${buttonClass} bg-emerald-600 hover:bg-emerald-500`} onClick={() => run(resumeJob)} disabled={loading}>
+          <Play className="h-4 w-4" />
+          המשך
+        </button>
+      ) : (
+        <button
+          type="button"
+          className={`${buttonClass} bg-amber-600 hover:bg-amber-500`}
+          onClick={() => run(pauseJob)}
+          disabled={loading || status !== 'running'}
+        >
+          <Pause className="h-4 w-4" />
+          השהה
+        </button>
+      )}
+      {showCancel && (
+        <button
+          type="button"
+          className={`${buttonClass} bg-rose-600 hover:bg-rose-500`}
+          onClick={() => run(cancelJob)}
+          disabled={loading || status === 'cancelling'}
+        >
+          <Square className="h-4 w-4" />
+          בטל
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default JobControls
@@ -4,9 +4,11 @@ import { cn } from '@/lib/utils'
 const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:4000'
 const VIDEO_EXT = ['.mp4', '.mov', '.avi', '.mkv', '.webm', '.m4v']
 
-const toSrc = (val) => {
+// thumbSize: a cached square thumbnail from /api/thumb (video poster included) instead of the original file
+const toSrc = (val, thumbSize) => {
   if (!val) return ''
   if (val.startsWith('http') || val.startsWith('data:') || val.startsWith('blob:')) return val
+  if (thumbSize) return `${API_BASE}/api/thumb?path=${encodeURIComponent(val)}&size=${thumbSize}`
   return `${API_BASE}/api/file?path=${encodeURIComponent(val)}`
 }
 
@@ -37,6 +39,7 @@ const LazyImage = ({
   placeholderClassName,
   onClick,
   onLoad,
+  thumbSize = null,
   videoControls = false,
   videoMuted = true,
   videoLoop = true,
@@ -46,9 +49,9 @@ const LazyImage = ({
   const [errored, setErrored] = useState(false)
   const [posterSrc, setPosterSrc] = useState(null)
 
-  const baseSrc = toSrc(src)
+  const baseSrc = toSrc(src, thumbSize)
   const displaySrc = posterSrc || baseSrc
-  const isVideo = !posterSrc && isVideoSrc(baseSrc)
+  const isVideo = !posterSrc && !thumbSize && isVideoSrc(baseSrc)
 
   const commonClassName = cn(
     'h-full w-full object-cover transition duration-200',
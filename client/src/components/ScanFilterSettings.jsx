@@ -0,0 +1,189 @@
+import { useEffect, useState } from 'react'
+import { Filter, RotateCcw, Save } from 'lucide-react'
+import useApi from '@/hooks/useApi'
+import { useToastStore } from '@/store/toastStore'
+
+const KB = 1024
+const MB = 1024 * 1024
+
+const inputClass =
+  'rounded-lg border border-slate-800 bg-slate-950/70 px-3 py-2 text-slate-200 outline-none focus:border-sky-500'
+
+// בטופס: גדלים ב-KB / MB, התעלמות כשורה לכל תבנית; בשרת: בתים ומערך
+const toForm = (filters) => ({
+  ...filters,
+  ignore: filters.ignore.join('\n'),
+  minSize: filters.minSize != null ? filters.minSize / KB : '',
+  maxSize: filters.maxSize != null ? filters.maxSize / MB : '',
+})
+
+const numberOrNull = (value, factor = 1) => (value === '' || value == null ? null : Number(value) * factor)
+
+const fromForm = (form) => ({
+  ignore: form.ignore.split('\n').map((line) => line.trim()).filter(Boolean),
+  includeHidden: form.includeHidden,
+  maxDepth: numberOrNull(form.maxDepth),
+  minSize: numberOrNull(form.minSize, KB),
+  maxSize: numberOrNull(form.maxSize, MB),
+  minWidth: numberOrNull(form.minWidth),
+  minHeight: numberOrNull(form.minHeight),
+  maxWidth: numberOrNull(form.maxWidth),
+  maxHeight: numberOrNull(form.maxHeight),
+  dateFrom: form.dateFrom || null,
+  dateTo: form.dateTo || null,
+})
+
+// סינון סריקה - משותף לסריקת תיקיית המקור, חיפוש כפילויות וסריקת פנים
+const ScanFilterSettings = ({ disabled = false }) => {
+  const { getScanFilters, saveScanFilters, loading } = useApi()
+  const { addToast } = useToastStore()
+  const [form, setForm] = useState(null)
+  const [defaults, setDefaults] = useState(null)
+
+  useEffect(() => {
+    getScanFilters()
+      .then((res) => {
+        setForm(toForm(res.filters))
+        setDefaults(res.defaults)
+      })
+      .catch((err) => console.error('[ScanFilterSettings] load failed', err))
+  }, [])
+
+  const update = (patch) => setForm((prev) => ({ ...prev, ...patch }))
+
+  const save = async (filters) => {
+    try {
+      const res = await saveScanFilters(filters)
+      setForm(toForm(res.filters))
+      addToast({ title: 'סינון הסריקה נשמר', description: 'יחול בסריקה הבאה', variant: 'success' })
+    } catch (err) {
+      addToast({ title: 'שמירה נכשלה', description: err.message, variant: 'error' })
+    }
+  }
+
+  if (!form) return null
+
+  const active =
+    [form.maxDepth, form.minSize, form.maxSize, form.minWidth, form.minHeight, form.maxWidth, form.maxHeight]
+      .filter((value) => value !== '' && value != null).length + (form.dateFrom ? 1 : 0) + (form.dateTo ? 1 : 0)
+
+  const numberField = (key, label, placeholder = '') => (
+    <label className="flex flex-col gap-1">
+      <span className="text-xs text-slate-400">{label}</span>
+      <input
+        type="number"
+        min="0"
+        dir="ltr"
+        value={form[key] ?? ''}
+        onChange={(e) => update({ [key]: e.target.value })}
+        disabled={disabled}
+        className={inputClass}
+        placeholder={placeholder}
+      />
+    </label>
+  )
+
+  return (
+    <details className="rounded-xl border border-slate-800 bg-slate-900/60 p-4 text-sm text-slate-200">
+      <summary className="flex cursor-pointer items-center gap-2 font-semibold text-slate-100">
+        <Filter className="h-4 w-4 text-sky-300" />
+        סינון סריקה: {form.ignore.split('\n').filter(Boolean).length} תבניות התעלמות
+        {active ? ` · ${active} מגבלות` : ''}
+      </summary>
+
+      <div className="mt-3 flex flex-col gap-3">
+        <p className="text-xs text-slate-400">
+          חל על סריקת תיקיית המקור, חיפוש כפילויות וסריקת פנים. תיקיית היעד (כשהיא בתוך המקור) לא נסרקת לעולם.
+        </p>
+
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-slate-400">
+            התעלמות - תבנית בכל שורה: שם תיקייה / קובץ (<code>@eaDir</code>, <code>.Trash-*</code>) או נתיב יחסי
+            (<code>2019/**/*.png</code>)
+          </span>
+          <textarea
+            dir="ltr"
+            rows={4}
+            value={form.ignore}
+            onChange={(e) => update({ ignore: e.target.value })}
+            disabled={disabled}
+            className={`${inputClass} font-mono text-xs`}
+          />
+        </label>
+
+        <div className="flex flex-wrap items-center gap-4">
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={!!form.includeHidden}
+              onChange={(e) => update({ includeHidden: e.target.checked })}
+              disabled={disabled}
+            />
+            כולל תיקיות וקבצים מוסתרים (שמתחילים בנקודה)
+          </label>
+        </div>
+
+        <div className="grid gap-2 md:grid-cols-3">
+          {numberField('maxDepth', 'עומק תיקיות מקסימלי (0 = רק התיקייה עצמה)', 'ללא הגבלה')}
+          {numberField('minSize', 'גודל מינימלי (KB)')}
+          {numberField('maxSize', 'גודל מקסימלי (MB)')}
+        </div>
+
+        <div className="grid gap-2 md:grid-cols-4">
+          {numberField('minWidth', 'רוחב מינימלי (פיקסלים)')}
+          {numberField('minHeight', 'גובה מינימלי (פיקסלים)')}
+          {numberField('maxWidth', 'רוחב מקסימלי (פיקסלים)')}
+          {numberField('maxHeight', 'גובה מקסימלי (פיקסלים)')}
+        </div>
+
+        <div className="grid gap-2 md:grid-cols-2">
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-slate-400">צולם מתאריך</span>
+            <input
+              type="date"
+              value={form.dateFrom || ''}
+              onChange={(e) => update({ dateFrom: e.target.value })}
+              disabled={disabled}
+              className={inputClass}
+            />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-slate-400">עד תאריך</span>
+            <input
+              type="date"
+              value={form.dateTo || ''}
+              onChange={(e) => update({ dateTo: e.target.value })}
+              disabled={disabled}
+              className={inputClass}
+            />
+          </label>
+        </div>
+
+        <div className="flex flex-wrap items-center justify-end gap-2">
+          {defaults && (
+            <button
+              type="button"
+              className="inline-flex items-center gap-2 rounded-lg bg-slate-800 px-3 py-2 text-sm font-semibold text-slate-100 hover:bg-slate-700 disabled:bg-slate-700"
+              onClick={() => save(defaults)}
+              disabled={disabled || loading}
+            >
+              <RotateCcw className="h-4 w-4" />
+              ברירת מחדל
+            </button>
+          )}
+          <button
+            type="button"
+            className="inline-flex items-center gap-2 rounded-lg bg-sky-600 px-3 py-2 text-sm font-semibold text-white hover:bg-sky-500 disabled:bg-slate-700"
+            onClick={() => save(fromForm(form))}
+            disabled={disabled || loading}
+          >
+            <Save className="h-4 w-4" />
+            שמור
+          </button>
+        </div>
+      </div>
+    </details>
+  )
+}
+
+export default ScanFilterSettings
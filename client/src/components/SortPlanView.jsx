@@ -0,0 +1,168 @@
+import { useState } from 'react'
+import { ChevronDown, ChevronLeft, Folder, Play, X } from 'lucide-react'
+import { cn } from '@/lib/utils'
+import { formatLabel } from '@/lib/sortFormat'
+import { dateSourceLabel } from '@/lib/dateSource'
+
+const PlanNode = ({ node, depth = 0 }) => {
+  const [open, setOpen] = useState(depth < 1)
+  const hasChildren = node.children?.length > 0
+
+  return (
+    <li>
+      <button
+        type="button"
+        className={cn(
+          'flex w-full items-center gap-2 rounded px-2 py-1 text-right hover:bg-slate-800/60',
+          !hasChildren && 'cursor-default',
+        )}
+        onClick={() => hasChildren && setOpen((v) => !v)}
+      >
+        {hasChildren ? (
+          open ? <ChevronDown className="h-4 w-4 text-slate-400" /> : <ChevronLeft className="h-4 w-4 text-slate-400" />
+        ) : (
+          <span className="h-4 w-4" />
+        )}
+        <Folder className="h-4 w-4 text-sky-400" />
+        <span className="flex-1 truncate">{node.name}</span>
+        <span className="rounded-full bg-slate-800 px-2 text-xs text-slate-200">{node.count}</span>
+        {node.renamed > 0 && (
+          <span className="rounded-full bg-amber-500/15 px-2 text-xs text-amber-200">
+            {node.renamed} שינויי שם
+          </span>
+        )}
+      </button>
+      {hasChildren && open && (
+        <ul className="mr-5 border-r border-slate-800 pr-1">
+          {node.children.map((child) => (
+            <PlanNode key={child.path} node={child} depth={depth + 1} />
+          ))}
+        </ul>
+      )}
+    </li>
+  )
+}
+
+const SortPlanView = ({ plan, onExecute, onClose, disabled = false }) => {
+  if (!plan?.plan) return null
+
+  const failed = (plan.results || []).filter((r) => !r.success && !r.review)
+  // unknownDatePolicy: files whose date is only a guess
+  const reviewFiles = (plan.results || []).filter((r) => r.review)
+  const quarantinedFiles = (plan.results || []).filter((r) => r.quarantined)
+  const renamedFiles = (plan.results || []).filter((r) => r.renamed)
+  // ספירת קבצים לפי מקור התאריך (EXIF / וידאו / שם קובץ / מערכת קבצים) לצורך בקרה
+  const dateSources = (plan.results || []).reduce((acc, r) => {
+    if (r.success && r.dateSource) acc[r.dateSource] = (acc[r.dateSource] || 0) + 1
+    return acc
+  }, {})
+  const inferredFiles = (plan.results || []).filter((r) => r.success && r.dateSource && r.dateSource !== 'exif' && r.dateSource !== 'container')
+
+  return (
+    <div className="flex flex-col gap-3 rounded-xl border border-sky-800/60 bg-slate-900/60 p-4 text-sm text-slate-200">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <p className="font-semibold text-slate-100">תכנית מיון (לא בוצעו שינויים בדיסק)</p>
+          <p className="text-xs text-slate-400">
+            {plan.success} קבצים · {renamedFiles.length} יקבלו שם חדש עקב התנגשות · {failed.length} שגיאות ·
+            מצב: {plan.mode === 'copy' ? 'העתקה' : 'העברה'} · פורמט: {formatLabel(plan.format)}
+          </p>
+          {(quarantinedFiles.length > 0 || reviewFiles.length > 0) && (
+            <p className="text-xs text-violet-200">
+              {quarantinedFiles.length} לתיקיית "לא ידוע" · {reviewFiles.length} יישארו במקור וימתינו לתאריך
+            </p>
+          )}
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            className="inline-flex items-center gap-2 rounded-lg bg-emerald-600 px-3 py-2 text-sm font-semibold text-white hover:bg-emerald-500 disabled:bg-slate-700 disabled:text-slate-300"
+            onClick={onExecute}
+            disabled={disabled || !plan.success}
+          >
+            <Play className="h-4 w-4" />
+            בצע מיון
+          </button>
+          <button
+            type="button"
+            className="inline-flex items-center gap-2 rounded-lg bg-slate-800 px-3 py-2 text-sm font-semibold text-slate-100 hover:bg-slate-700"
+            onClick={onClose}
+          >
+            <X className="h-4 w-4" />
+            סגור
+          </button>
+        </div>
+      </div>
+
+      <ul className="max-h-80 overflow-auto rounded-lg border border-slate-800 bg-slate-950/60 p-2">
+        <PlanNode node={plan.plan} />
+      </ul>
+
+      {Object.keys(dateSources).length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          <span className="text-slate-400">מקור התאריך:</span>
+          {Object.entries(dateSources).map(([source, count]) => (
+            <span key={source} className="rounded-full bg-slate-800 px-2 text-slate-200">
+              {dateSourceLabel(source)} · {count}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {inferredFiles.length > 0 && (
+        <details className="rounded-lg border border-slate-800 bg-slate-950/60 p-2">
+          <summary className="cursor-pointer text-sky-200">קבצים ללא תאריך מוטמע ({inferredFiles.length})</summary>
+          <ul className="mt-2 max-h-40 space-y-1 overflow-auto font-mono text-xs text-slate-300">
+            {inferredFiles.map((r) => (
+              <li key={r.src}>
+                {r.src} - {dateSourceLabel(r.dateSource)}
+                {r.dateSourceDetail ? ` (${r.dateSourceDetail})` : ''}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {reviewFiles.length > 0 && (
+        <details className="rounded-lg border border-violet-900 bg-slate-950/60 p-2">
+          <summary className="cursor-pointer text-violet-200">ימתינו לתאריך ({reviewFiles.length})</summary>
+          <ul className="mt-2 max-h-40 space-y-1 overflow-auto font-mono text-xs text-slate-300">
+            {reviewFiles.map((r) => (
+              <li key={r.src}>
+                {r.src} - {dateSourceLabel(r.dateSource)}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {renamedFiles.length > 0 && (
+        <details className="rounded-lg border border-slate-800 bg-slate-950/60 p-2">
+          <summary className="cursor-pointer text-amber-200">קבצים שישנו שם ({renamedFiles.length})</summary>
+          <ul className="mt-2 max-h-40 space-y-1 overflow-auto font-mono text-xs text-slate-300">
+            {renamedFiles.map((r) => (
+              <li key={r.src}>
+                {r.src} ← {r.newPath}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {failed.length > 0 && (
+        <details className="rounded-lg border border-rose-900 bg-slate-950/60 p-2">
+          <summary className="cursor-pointer text-rose-200">שגיאות ({failed.length})</summary>
+          <ul className="mt-2 max-h-40 space-y-1 overflow-auto font-mono text-xs text-slate-300">
+            {failed.map((r) => (
+              <li key={r.src}>
+                {r.src} - {r.error}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  )
+}
+
+export default SortPlanView
@@ -1,11 +1,15 @@
 import {
   Archive,
+  CalendarClock,
   Copy,
   FolderPlus,
+  ListTree,
   Sparkles,
   Trash2,
 } from 'lucide-react'
 import { cn } from '@/lib/utils'
+import FolderTemplateInput from './FolderTemplateInput'
+import FileNamePatternInput from './FileNamePatternInput'
 
 const ActionButton = ({ icon: Icon, label, onClick, variant = 'default' }) => {
   const styles =
@@ -34,11 +38,29 @@ const SortingControls = ({
   onDelete,
   onCreateFolder,
   onAutoSort,
+  onPlan,
+  onAddToReview,
   disabled = false,
   mode,
   format,
+  verify = false,
+  onVerifyChange,
+  importMode = false,
+  onImportModeChange,
+  rename = false,
+  onRenameChange,
+  renamePattern,
+  onRenamePatternChange,
+  keepOriginalName = false,
+  onKeepOriginalNameChange,
+  unknownDatePolicy = 'sort',
+  onUnknownDatePolicyChange,
+  minConfidence = 'medium',
+  onMinConfidenceChange,
   onModeChange,
   onFormatChange,
+  folderTemplate,
+  onFolderTemplateChange,
 }) => {
   return (
     <div className="flex flex-col gap-3 rounded-xl border border-slate-800 bg-slate-900/60 p-4">
@@ -52,6 +74,8 @@ const SortingControls = ({
           variant="danger"
         />
         <ActionButton icon={FolderPlus} label="תיקייה חדשה" onClick={onCreateFolder} />
+        <ActionButton icon={CalendarClock} label="לקביעת תאריך ידנית" onClick={onAddToReview} />
+        <ActionButton icon={ListTree} label="תכנון מיון (ללא שינוי)" onClick={onPlan} />
         <ActionButton icon={Sparkles} label="מיון אוטומטי" onClick={onAutoSort} />
       </div>
 
@@ -79,11 +103,19 @@ const SortingControls = ({
               />
               העתקה (משאיר במקור)
             </label>
+            <label className="mt-2 flex items-center gap-2 border-t border-slate-800 pt-2">
+              <input type="checkbox" checked={verify} onChange={(e) => onVerifyChange?.(e.target.checked)} />
+              אימות SHA-256 ורישום במניפסט של תיקיית היעד
+            </label>
+            <label className="flex items-center gap-2" title="תאריך, GPS ותיאור מקובצי ה-JSON של Takeout / משם הקובץ בגיבוי WhatsApp קודמים ל-EXIF">
+              <input type="checkbox" checked={importMode} onChange={(e) => onImportModeChange?.(e.target.checked)} />
+              ייבוא ארכיון (Google Takeout / גיבוי WhatsApp)
+            </label>
           </div>
         </div>
 
         <div className="rounded-lg border border-slate-800 bg-slate-950/60 p-3 text-sm text-slate-200">
-          <p className="mb-2 font-semibold text-slate-100">פורמט תאריך</p>
+          <p className="mb-2 font-semibold text-slate-100">פורמט תיקיות</p>
           <div className="flex flex-col gap-1">
             <label className="flex items-center gap-2">
               <input
@@ -105,10 +137,92 @@ const SortingControls = ({
               />
               יום-חודש-שנה (לדוגמה: כ״ד ניסן- תשפ״ה)
             </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                name="format"
+                value="country"
+                checked={format === 'country'}
+                onChange={() => onFormatChange?.('country')}
+              />
+              לפי מדינה (GPS), ובתוכה חודש-שנה
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                name="format"
+                value="city"
+                checked={format === 'city'}
+                onChange={() => onFormatChange?.('city')}
+              />
+              לפי מדינה ועיר (GPS), ובתוכן חודש-שנה
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                name="format"
+                value="custom"
+                checked={format === 'custom'}
+                onChange={() => onFormatChange?.('custom')}
+              />
+              תבנית מותאמת אישית
+            </label>
+            {format === 'custom' && (
+              <FolderTemplateInput value={folderTemplate} onChange={onFolderTemplateChange} />
+            )}
           </div>
         </div>
       </div>
 
+      <div className="rounded-lg border border-slate-800 bg-slate-950/60 p-3 text-sm text-slate-200">
+        <label className="flex items-center gap-2 font-semibold text-slate-100">
+          <input type="checkbox" checked={rename} onChange={(e) => onRenameChange?.(e.target.checked)} />
+          שינוי שם קבצים לפי תבנית
+        </label>
+        {rename && (
+          <>
+            <FileNamePatternInput value={renamePattern} onChange={onRenamePatternChange} />
+            <label
+              className="mt-2 flex items-center gap-2"
+              title="xmpMM:PreservedFileName בקובץ ה-XMP הנלווה; קובץ בלי XMP מקבל קובץ חדש (<שם חדש>.jpg.xmp)"
+            >
+              <input
+                type="checkbox"
+                checked={keepOriginalName}
+                onChange={(e) => onKeepOriginalNameChange?.(e.target.checked)}
+              />
+              שמירת השם המקורי בקובץ XMP נלווה
+            </label>
+          </>
+        )}
+      </div>
+
+      <div className="rounded-lg border border-slate-800 bg-slate-950/60 p-3 text-sm text-slate-200">
+        <p className="mb-2 font-semibold text-slate-100">קבצים בלי תאריך אמין</p>
+        <div className="flex flex-wrap items-center gap-3">
+          <select
+            className="rounded-lg border border-slate-700 bg-slate-900 px-2 py-1 text-sm text-slate-100"
+            value={unknownDatePolicy}
+            onChange={(e) => onUnknownDatePolicyChange?.(e.target.value)}
+          >
+            <option value="sort">למיין כרגיל (לפי התאריך המשוער)</option>
+            <option value="quarantine">להעביר לתיקיית "לא ידוע"</option>
+            <option value="review">להשאיר במקום ולהוסיף לרשימת בדיקה</option>
+          </select>
+          {unknownDatePolicy !== 'sort' && (
+            <select
+              className="rounded-lg border border-slate-700 bg-slate-900 px-2 py-1 text-sm text-slate-100"
+              value={minConfidence}
+              onChange={(e) => onMinConfidenceChange?.(e.target.value)}
+              title="EXIF, מטא-נתוני וידאו, Takeout ותאריך ידני - אמינות גבוהה; שם קובץ ו-WhatsApp - בינונית; תאריך שינוי - נמוכה"
+            >
+              <option value="medium">רק קבצים שתאריכם מתאריך השינוי</option>
+              <option value="high">גם קבצים שתאריכם משם הקובץ</option>
+            </select>
+          )}
+        </div>
+      </div>
+
       {disabled && (
         <span className="text-sm text-slate-400">טוען... הפעולות זמינות בקרוב</span>
       )}
@@ -6,12 +6,12 @@ const useApi = () => {
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
 
-  const request = async (path, body) => {
+  const request = async (path, body, method = 'POST') => {
     setLoading(true)
     setError(null)
     try {
       const res = await fetch(`${API_BASE}${path}`, {
-        method: 'POST',
+        method,
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(body || {}),
       })
@@ -49,7 +49,45 @@ const useApi = () => {
     }
   }
 
-  const scanFolder = (sourcePath) => request('/api/scan', { sourcePath })
+  // NDJSON response: onLine gets every line as soon as it arrives; an { type: 'error' } line rejects
+  const streamRequest = async (path, init, onLine) => {
+    const res = await fetch(`${API_BASE}${path}`, { headers: { 'Content-Type': 'application/json' }, ...init })
+    if (!res.ok) {
+      const data = await res.json().catch(() => null)
+      throw new Error(data?.error || res.statusText)
+    }
+    const reader = res.body.getReader()
+    const decoder = new TextDecoder()
+    const emit = (line) => {
+      if (!line.trim()) return
+      const data = JSON.parse(line)
+      if (data.type === 'error') throw new Error(data.error)
+      onLine(data)
+    }
+    let buffer = ''
+    try {
+      for (;;) {
+        const { done, value } = await reader.read()
+        if (done) break
+        buffer += decoder.decode(value, { stream: true })
+        const lines = buffer.split('\n')
+        buffer = lines.pop()
+        lines.forEach(emit)
+      }
+      emit(buffer + decoder.decode())
+    } catch (err) {
+      reader.cancel().catch(() => {})
+      if (err.name !== 'AbortError') console.error('[useApi] stream failed', { path, error: err })
+      throw err
+    }
+  }
+
+  const scanFolder = (sourcePath, destPath = null) => request('/api/scan', { sourcePath, destPath })
+  // params: sourcePath, destPath, format, importMode, unknownDatePolicy, minConfidence (for the predicted folders)
+  const streamScan = (params, onLine, signal) =>
+    streamRequest('/api/scan/stream', { method: 'POST', body: JSON.stringify(params), signal }, onLine)
+  const continueScan = (scanId, cursor, onLine, signal) =>
+    streamRequest(`/api/scan/${encodeURIComponent(scanId)}?cursor=${cursor}`, { method: 'GET', signal }, onLine)
   const sortByDate = (payload) => request('/api/sort', payload)
   const sortByDateBatch = (payload) => request('/api/sort-batch', payload)
   const deleteFile = (targetPath) => request('/api/delete', { targetPath })
@@ -58,9 +96,56 @@ const useApi = () => {
   const findDuplicates = (sourcePath) => request('/api/duplicates', { sourcePath })
   const findFaces = (sourcePath) => request('/api/faces/scan', { sourcePath })
   const getSystemStats = () => getRequest('/api/system-stats')
+  const getTemplateTokens = () => getRequest('/api/templates')
+  const previewTemplate = (template, date) => request('/api/templates/preview', { template, date })
+  const previewNamePattern = (pattern, date) => request('/api/templates/name-preview', { pattern, date })
+  const getJournalRuns = () => getRequest('/api/journal/runs')
+  const getJournalRun = (runId) => getRequest(`/api/journal/runs/${encodeURIComponent(runId)}`)
+  const undoJournalRun = (runId) => request(`/api/journal/runs/${encodeURIComponent(runId)}/undo`)
+  const redoJournalRun = (runId) => request(`/api/journal/runs/${encodeURIComponent(runId)}/redo`)
+  const undoJournalEntries = (entryIds) => request('/api/journal/entries/undo', { entryIds })
+  const redoJournalEntries = (entryIds) => request('/api/journal/entries/redo', { entryIds })
+  const getHebrewDaySettings = () => getRequest('/api/hebrew-day')
+  const saveHebrewDaySettings = (settings) => request('/api/hebrew-day', settings, 'PUT')
+  const previewHebrewDay = (date) => request('/api/hebrew-day/preview', { date })
+  const getHolidaySettings = () => getRequest('/api/holidays')
+  const saveHolidaySettings = (settings) => request('/api/holidays', settings, 'PUT')
+  const getHolidayPeriods = (year) => getRequest(`/api/holidays/periods${year ? `?year=${year}` : ''}`)
+  const getEvents = () => getRequest('/api/events')
+  const createEvent = (event) => request('/api/events', event)
+  const updateEvent = (id, event) => request(`/api/events/${encodeURIComponent(id)}`, event, 'PUT')
+  const deleteEvent = (id) => request(`/api/events/${encodeURIComponent(id)}`, null, 'DELETE')
+  const getJobs = (kind) => getRequest(`/api/jobs${kind ? `?kind=${encodeURIComponent(kind)}` : ''}`)
+  const getJob = (id) => getRequest(`/api/jobs/${encodeURIComponent(id)}`)
+  const pauseJob = (id) => request(`/api/jobs/${encodeURIComponent(id)}/pause`)
+  const resumeJob = (id) => request(`/api/jobs/${encodeURIComponent(id)}/resume`)
+  const cancelJob = (id) => request(`/api/jobs/${encodeURIComponent(id)}/cancel`)
+  const getInboxes = () => getRequest('/api/inboxes')
+  const createInbox = (inbox) => request('/api/inboxes', inbox)
+  const updateInbox = (id, inbox) => request(`/api/inboxes/${encodeURIComponent(id)}`, inbox, 'PUT')
+  const deleteInbox = (id) => request(`/api/inboxes/${encodeURIComponent(id)}`, null, 'DELETE')
+  const rescanInbox = (id) => request(`/api/inboxes/${encodeURIComponent(id)}/rescan`)
+  const getInterruptedRuns = () => getRequest('/api/sort-runs/interrupted')
+  const resumeSortRun = (runId) => request(`/api/sort-runs/${encodeURIComponent(runId)}/resume`)
+  const rollbackSortRun = (runId) => request(`/api/sort-runs/${encodeURIComponent(runId)}/rollback`)
+  const dismissSortRun = (runId) => request(`/api/sort-runs/${encodeURIComponent(runId)}/dismiss`)
+  const getManifest = (destRoot) => getRequest(`/api/manifest?destRoot=${encodeURIComponent(destRoot)}`)
+  const verifyLibrary = (destRoot) => request('/api/manifest/verify', { destRoot })
+  const acceptManifestChanges = (destRoot, paths) => request('/api/manifest/accept', { destRoot, paths })
+  const getScanFilters = () => getRequest('/api/scan-filters')
+  const saveScanFilters = (filters) => request('/api/scan-filters', filters, 'PUT')
+  const getDateReview = () => getRequest('/api/dates/review')
+  const addToDateReview = (files, destRoot) => request('/api/dates/review', { files, destRoot })
+  const assignDate = (files, date) => request('/api/dates/assign', { files, date })
+  const dismissDateReview = (files) => request('/api/dates/dismiss', { files })
+  const getCache = () => getRequest('/api/cache')
+  const saveCacheSettings = (settings) => request('/api/cache', settings, 'PUT')
+  const clearCache = (kind = null) => request('/api/cache/clear', { kind })
 
   return {
     scanFolder,
+    streamScan,
+    continueScan,
     sortByDate,
     sortByDateBatch,
     deleteFile,
@@ -69,6 +154,51 @@ const useApi = () => {
     findDuplicates,
     findFaces,
     getSystemStats,
+    getTemplateTokens,
+    previewTemplate,
+    previewNamePattern,
+    getJournalRuns,
+    getJournalRun,
+    undoJournalRun,
+    redoJournalRun,
+    undoJournalEntries,
+    redoJournalEntries,
+    getHebrewDaySettings,
+    saveHebrewDaySettings,
+    previewHebrewDay,
+    getHolidaySettings,
+    saveHolidaySettings,
+    getHolidayPeriods,
+    getEvents,
+    createEvent,
+    updateEvent,
+    deleteEvent,
+    getJobs,
+    getJob,
+    pauseJob,
+    resumeJob,
+    cancelJob,
+    getInboxes,
+    createInbox,
+    updateInbox,
+    deleteInbox,
+    rescanInbox,
+    getInterruptedRuns,
+    resumeSortRun,
+    rollbackSortRun,
+    dismissSortRun,
+    getManifest,
+    verifyLibrary,
+    acceptManifestChanges,
+    getScanFilters,
+    saveScanFilters,
+    getDateReview,
+    addToDateReview,
+    assignDate,
+    dismissDateReview,
+    getCache,
+    saveCacheSettings,
+    clearCache,
     loading,
     error,
   }
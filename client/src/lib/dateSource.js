@@ -0,0 +1,21 @@
+// מקור תאריך הצילום כפי שמדווח מהשרת (dateSource)
+export const DATE_SOURCE_LABELS = {
+  takeout: 'Google Takeout (JSON)',
+  whatsapp: 'גיבוי WhatsApp (שם הקובץ)',
+  exif: 'EXIF',
+  container: 'מטא-נתוני וידאו',
+  filename: 'שם הקובץ',
+  filesystem: 'מערכת הקבצים (תאריך שינוי)',
+  manual: 'תאריך ידני',
+}
+
+// אמינות התאריך (dateConfidence) - ראה DATE_CONFIDENCE בשרת
+export const DATE_CONFIDENCE_LABELS = {
+  high: 'גבוהה',
+  medium: 'בינונית',
+  low: 'נמוכה',
+}
+
+export const dateSourceLabel = (source) => (source ? DATE_SOURCE_LABELS[source] || source : null)
+
+export const dateConfidenceLabel = (confidence) => (confidence ? DATE_CONFIDENCE_LABELS[confidence] || confidence : null)
@@ -0,0 +1,9 @@
+// תוויות לפורמטי המיון - תבניות מובנות או תבנית משתנים מותאמת
+const PRESET_LABELS = {
+  'month-year': 'חודש-שנה',
+  'day-month-year': 'יום-חודש-שנה',
+  country: 'לפי מדינה',
+  city: 'לפי עיר',
+}
+
+export const formatLabel = (format) => PRESET_LABELS[format] || `תבנית: ${format}`
@@ -16,7 +16,6 @@ const DuplicatesPage = () => {
   const [showPreview, setShowPreview] = useState(false)
   const [lightboxSrc, setLightboxSrc] = useState(null)
 
-  const apiBase = import.meta.env.VITE_API_BASE || 'http://localhost:4000'
 
   const relative = (p) => {
     if (!sourcePath) return p
@@ -201,7 +200,6 @@ const DuplicatesPage = () => {
             onSelectGroup={selectGroup}
             relative={relative}
             showPreview={showPreview}
-            apiBase={apiBase}
             onOpenImage={(src) => setLightboxSrc(src)}
           />
         </div>
@@ -0,0 +1,273 @@
+import { useEffect, useState } from 'react'
+import { CalendarPlus, Pencil, Trash2, X } from 'lucide-react'
+import useApi from '@/hooks/useApi'
+import { useToastStore } from '@/store/toastStore'
+import { cn } from '@/lib/utils'
+
+const TYPE_LABELS = {
+  birthday: 'יום הולדת',
+  anniversary: 'יום נישואין',
+  yahrzeit: 'יום זיכרון',
+  other: 'אחר',
+}
+
+const EMPTY_FORM = {
+  name: '',
+  type: 'birthday',
+  kind: 'hebrew',
+  hebrewMonth: 'tishrei',
+  hebrewDay: 1,
+  from: '',
+  to: '',
+  enabled: true,
+}
+
+const inputClass =
+  'rounded-lg border border-slate-800 bg-slate-950/70 px-3 py-2 text-sm text-slate-200 outline-none focus:border-sky-500'
+
+const formatDate = (iso) => (iso ? iso.split('-').reverse().join('/') : '')
+
+const EventsPage = () => {
+  const { getEvents, createEvent, updateEvent, deleteEvent, loading } = useApi()
+  const { addToast } = useToastStore()
+
+  const [events, setEvents] = useState([])
+  const [months, setMonths] = useState([])
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [editingId, setEditingId] = useState(null)
+
+  const loadEvents = async () => {
+    try {
+      const res = await getEvents()
+      setEvents(res.events || [])
+      setMonths(res.months || [])
+    } catch (err) {
+      addToast({ title: 'שגיאה בטעינת האירועים', description: err.message, variant: 'error' })
+    }
+  }
+
+  useEffect(() => {
+    loadEvents()
+  }, [])
+
+  const update = (patch) => setForm((prev) => ({ ...prev, ...patch }))
+
+  const monthName = (key) => months.find((m) => m.key === key)?.name || key
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM)
+    setEditingId(null)
+  }
+
+  const startEdit = (event) => {
+    setEditingId(event.id)
+    setForm({
+      ...EMPTY_FORM,
+      ...event,
+      kind: event.from ? 'range' : 'hebrew',
+      from: event.from || '',
+      to: event.to || '',
+    })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const { kind, ...rest } = form
+    const payload =
+      kind === 'range'
+        ? { name: rest.name, type: rest.type, enabled: rest.enabled, from: rest.from, to: rest.to || rest.from }
+        : { name: rest.name, type: rest.type, enabled: rest.enabled, hebrewMonth: rest.hebrewMonth, hebrewDay: Number(rest.hebrewDay) }
+    try {
+      if (editingId) await updateEvent(editingId, payload)
+      else await createEvent(payload)
+      addToast({ title: editingId ? 'האירוע עודכן' : 'האירוע נוסף', variant: 'success' })
+      resetForm()
+      await loadEvents()
+    } catch (err) {
+      addToast({ title: 'שמירה נכשלה', description: err.message, variant: 'error' })
+    }
+  }
+
+  const handleDelete = async (event) => {
+    if (!window.confirm(`למחוק את "${event.name}"?`)) return
+    try {
+      await deleteEvent(event.id)
+      if (editingId === event.id) resetForm()
+      await loadEvents()
+    } catch (err) {
+      addToast({ title: 'מחיקה נכשלה', description: err.message, variant: 'error' })
+    }
+  }
+
+  const toggleEnabled = async (event) => {
+    try {
+      const { nextDate: _nextDate, id, ...rest } = event
+      await updateEvent(id, { ...rest, enabled: !event.enabled })
+      await loadEvents()
+    } catch (err) {
+      addToast({ title: 'עדכון נכשל', description: err.message, variant: 'error' })
+    }
+  }
+
+  return (
+    <div className="flex flex-col gap-6">
+      <header className="flex flex-col gap-2">
+        <p className="text-sm font-medium text-sky-300">HebPhotoSort</p>
+        <h1 className="text-3xl font-semibold text-slate-50">אירועים משפחתיים</h1>
+        <p className="text-slate-300">
+          ימי הולדת, ימי נישואין וימי זיכרון לפי תאריך עברי, או אירוע חד-פעמי בטווח תאריכים (למשל שבוע בר המצווה).
+          תמונות מיום האירוע ממוינות לתיקיית האירוע, למשל "יום הולדת של נועה תשפ''ה".
+        </p>
+      </header>
+
+      <form onSubmit={handleSubmit} className="flex flex-col gap-3 rounded-xl border border-slate-800 bg-slate-900/60 p-4 text-sm text-slate-200">
+        <div className="grid gap-3 md:grid-cols-3">
+          <label className="flex flex-col gap-1 md:col-span-2">
+            <span className="text-xs text-slate-400">שם האירוע (שם התיקייה)</span>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => update({ name: e.target.value })}
+              className={inputClass}
+              placeholder="יום הולדת של נועה"
+              required
+            />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-slate-400">סוג</span>
+            <select value={form.type} onChange={(e) => update({ type: e.target.value })} className={inputClass}>
+              {Object.entries(TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="flex flex-wrap gap-4">
+          <label className="flex items-center gap-2">
+            <input type="radio" name="event-kind" checked={form.kind === 'hebrew'} onChange={() => update({ kind: 'hebrew' })} />
+            חוזר כל שנה בתאריך עברי
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="radio" name="event-kind" checked={form.kind === 'range'} onChange={() => update({ kind: 'range' })} />
+            חד-פעמי בטווח תאריכים
+          </label>
+        </div>
+
+        {form.kind === 'hebrew' ? (
+          <div className="grid gap-3 md:grid-cols-3">
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-slate-400">יום בחודש (1-30)</span>
+              <input
+                type="number"
+                min={1}
+                max={30}
+                value={form.hebrewDay}
+                onChange={(e) => update({ hebrewDay: e.target.value })}
+                className={inputClass}
+              />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-slate-400">חודש עברי</span>
+              <select value={form.hebrewMonth} onChange={(e) => update({ hebrewMonth: e.target.value })} className={inputClass}>
+                {months.map((m) => (
+                  <option key={m.key} value={m.key}>
+                    {m.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+        ) : (
+          <div className="grid gap-3 md:grid-cols-3">
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-slate-400">מתאריך</span>
+              <input type="date" value={form.from} onChange={(e) => update({ from: e.target.value })} className={inputClass} required />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-xs text-slate-400">עד תאריך (כולל)</span>
+              <input type="date" value={form.to} onChange={(e) => update({ to: e.target.value })} className={inputClass} />
+            </label>
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          {editingId && (
+            <button
+              type="button"
+              className="inline-flex items-center gap-2 rounded-lg bg-slate-800 px-3 py-2 text-sm font-semibold text-slate-100 hover:bg-slate-700"
+              onClick={resetForm}
+            >
+              <X className="h-4 w-4" />
+              ביטול
+            </button>
+          )}
+          <button
+            type="submit"
+            className="inline-flex items-center gap-2 rounded-lg bg-sky-600 px-3 py-2 text-sm font-semibold text-white hover:bg-sky-500 disabled:bg-slate-700"
+            disabled={loading}
+          >
+            <CalendarPlus className="h-4 w-4" />
+            {editingId ? 'עדכן אירוע' : 'הוסף אירוע'}
+          </button>
+        </div>
+      </form>
+
+      <div className="rounded-xl border border-slate-800 bg-slate-900/60 p-4">
+        <div className="mb-3 text-sm font-semibold text-slate-200">אירועים ({events.length})</div>
+        {!events.length ? (
+          <div className="text-sm text-slate-400">עדיין לא הוגדרו אירועים</div>
+        ) : (
+          <ul className="space-y-2">
+            {events.map((event) => (
+              <li
+                key={event.id}
+                className={cn(
+                  'flex flex-wrap items-center justify-between gap-2 rounded-lg border border-slate-800 bg-slate-950/60 p-3 text-sm',
+                  event.enabled ? 'text-slate-200' : 'text-slate-500',
+                )}
+              >
+                <div>
+                  <span className="font-semibold">{event.name}</span>
+                  <span className="mr-2 text-xs text-slate-400">
+                    {TYPE_LABELS[event.type] || event.type} ·{' '}
+                    {event.from
+                      ? `${formatDate(event.from)} - ${formatDate(event.to)}`
+                      : `${event.hebrewDay} ב${monthName(event.hebrewMonth)}${event.nextDate ? ` (השנה: ${formatDate(event.nextDate)})` : ''}`}
+                  </span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <label className="flex items-center gap-1 text-xs">
+                    <input type="checkbox" checked={event.enabled} onChange={() => toggleEnabled(event)} disabled={loading} />
+                    פעיל
+                  </label>
+                  <button
+                    type="button"
+                    className="rounded-lg bg-slate-800 p-1 text-slate-100 hover:bg-slate-700"
+                    onClick={() => startEdit(event)}
+                    title="עריכה"
+                  >
+                    <Pencil className="h-3 w-3" />
+                  </button>
+                  <button
+                    type="button"
+                    className="rounded-lg bg-rose-600/80 p-1 text-white hover:bg-rose-500"
+                    onClick={() => handleDelete(event)}
+                    disabled={loading}
+                    title="מחיקה"
+                  >
+                    <Trash2 className="h-3 w-3" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default EventsPage
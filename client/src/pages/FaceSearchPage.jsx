@@ -4,6 +4,7 @@ import FolderPicker from '@/components/FolderPicker'
 import LazyImage from '@/components/LazyImage'
 import LightboxModal from '@/components/LightboxModal'
 import PerformanceMonitor from '@/components/PerformanceMonitor'
+import JobControls from '@/components/JobControls'
 import useApi from '@/hooks/useApi'
 import { useAppStore } from '@/store/appStore'
 import { useToastStore } from '@/store/toastStore'
@@ -24,6 +25,8 @@ const FaceSearchPage = () => {
     setFaceSearchError,
     setFaceSearchProgress,
     setFaceSearchConcurrency,
+    activeJobs,
+    setActiveJob,
   } = useAppStore()
   const getStore = useAppStore.getState
   const { addToast } = useToastStore()
@@ -33,6 +36,7 @@ const FaceSearchPage = () => {
   const [lightboxSrc, setLightboxSrc] = useState(null)
   const socketRef = useRef(null)
   const [monitorSocket, setMonitorSocket] = useState(null)
+  const [faceScanJob, setFaceScanJob] = useState(null)
   
   // Current time for elapsed calculation (updates every second when loading)
   const [now, setNow] = useState(Date.now())
@@ -47,7 +51,7 @@ const FaceSearchPage = () => {
     return () => clearInterval(interval)
   }, [faceSearchLoading, faceSearchProgress?.activeFiles?.length])
 
-  // Cleanup Socket.IO when component unmounts (e.g., navigating away)
+  // Cleanup Socket.IO when component unmounts (e.g., navigating away) - the scan keeps running on the server
   useEffect(() => {
     return () => {
       if (socketRef.current) {
@@ -79,22 +83,200 @@ const FaceSearchPage = () => {
     return /^[a-zA-Z]:[\\/]/.test(t) || t.startsWith('\\\\') || t.startsWith('/')
   }
 
-  // Stop the current scan
+  // Starts a face-scan job on the server, or resubscribes to one that is still running (after a refresh / reconnect).
+  // The scan lives on the server: losing the socket only pauses the updates.
+  const connectFaceScanJob = useCallback(({ start = null, jobId = null }) =>
+    new Promise((resolve) => {
+      const apiBase = import.meta.env.VITE_API_URL || import.meta.env.VITE_API_BASE || 'http://localhost:4000'
+      setFaceSearchProgress({ phase: 'init', message: 'יוצר חיבור Socket.IO...' })
+      
+      const socket = io(apiBase, {
+        transports: ['websocket', 'polling'],
+        timeout: 20000, // 20 seconds timeout
+        reconnection: true, // Reconnects resubscribe to the job
+        forceNew: true,
+        autoConnect: true
+      })
+      socketRef.current = socket
+      setMonitorSocket(socket) // Update state so PerformanceMonitor can use it
+      
+      let currentJobId = jobId
+      let startSent = false
+      
+      const finish = () => {
+        socket.disconnect()
+        socketRef.current = null
+        setMonitorSocket(null)
+        setFaceSearchLoading(false)
+        setFaceSearchProgress(null)
+        setFaceScanJob(null)
+        setActiveJob('face-scan', null)
+        resolve()
+      }
+      
+      // Add timeout handler - if connection doesn't establish within timeout (before the job exists)
+      const connectionTimeout = setTimeout(() => {
+        if (!socket.connected && !currentJobId) {
+          console.error('[FaceSearchPage] Socket.IO connection timeout')
+          finish()
+          setFaceSearchError('תם הזמן המתנה לחיבור לשרת')
+          addToast({ 
+            title: 'שגיאת חיבור', 
+            description: `לא ניתן להתחבר לשרת בזמן סביר. ודא שהשרת רץ על ${apiBase}`, 
+            variant: 'error' 
+          })
+        }
+      }, 20000) // 20 seconds
+      
+      // Fires again on every reconnect - resubscribe instead of starting a second scan
+      socket.on('connect', () => {
+        clearTimeout(connectionTimeout)
+        console.log('[FaceSearchPage] Socket.IO connected')
+        if (currentJobId) {
+          socket.emit('job:subscribe', { jobId: currentJobId })
+        } else if (start && !startSent) {
+          startSent = true
+          setFaceSearchProgress({ phase: 'init', message: 'מתחיל סריקה...' })
+          socket.emit('face-scan:start', start)
+        }
+      })
+      
+      const handleFaces = (newFaces) => {
+        if (newFaces && newFaces.length > 0) {
+          setFaceSearchFaces(newFaces)
+          // Auto-select first face if none selected
+          const currentId = getStore().faceSearchSelectedId
+          if (!currentId) {
+            setFaceSearchSelectedId(newFaces[0]?.id)
+          }
+        }
+      }
+      
+      const handleResult = (res) => {
+        const nextFaces = res.faces || []
+        setFaceSearchFaces(nextFaces)
+        const currentId = getStore().faceSearchSelectedId
+        if (!currentId && nextFaces.length > 0) {
+          setFaceSearchSelectedId(nextFaces[0]?.id)
+        }
+        
+        if (!nextFaces.length) {
+          addToast({ title: 'לא נמצאו פנים', description: 'לא נמצאו קבצי מדיה זמינים', variant: 'error' })
+        } else {
+          // Show cache stats in toast if available
+          const cacheInfo = res.cacheStats?.cached > 0 
+            ? ` (${res.cacheStats.cached} מהמטמון)` 
+            : ''
+          addToast({
+            title: 'סריקת פנים הושלמה',
+            description: `${nextFaces.length} קבוצות · ${res.totalFiles || 0} קבצים${cacheInfo}`,
+            variant: 'success',
+          })
+        }
+      }
+      
+      const handleError = (data) => {
+        setFaceSearchError(data.error || 'שגיאה לא ידועה')
+        addToast({ title: 'שגיאת סריקה', description: data.error, variant: 'error' })
+        finish()
+      }
+      
+      socket.on('job:started', (job) => {
+        currentJobId = job.id
+        setActiveJob('face-scan', job.id)
+        setFaceScanJob(job)
+      })
+      
+      socket.on('job:update', setFaceScanJob)
+      
+      // Current state after (re)subscribing - the scan may have finished while we were away
+      socket.on('job:snapshot', (job) => {
+        setFaceScanJob(job)
+        if (job.progress) setFaceSearchProgress(job.progress)
+        handleFaces(job.items)
+        if (job.status === 'completed') {
+          handleResult(job.result || {})
+          finish()
+        } else if (job.status === 'cancelled') {
+          finish()
+        } else if (job.status === 'failed') {
+          handleError({ error: job.error })
+        }
+      })
+      
+      // The server no longer knows the job (e.g. it was restarted)
+      socket.on('job:error', () => {
+        finish()
+        addToast({
+          title: 'סריקת הפנים לא נמצאה',
+          description: 'ייתכן שהשרת הופעל מחדש - ניתן לסרוק שוב, קבצים שנסרקו נשמרו במטמון',
+          variant: 'warning',
+        })
+      })
+      
+      // Handle progress updates
+      socket.on('face-scan:progress', (data) => {
+        setFaceSearchProgress(data)
+      })
+      
+      // Handle incremental face updates - display faces as they are found
+      socket.on('face-scan:faces', (event) => {
+        handleFaces(event.faces)
+      })
+      
+      // Handle final result
+      socket.on('face-scan:result', handleResult)
+      
+      // Handle scan completion / stop confirmation
+      socket.on('face-scan:done', finish)
+      socket.on('face-scan:stopped', finish)
+      
+      // Handle errors
+      socket.on('face-scan:error', handleError)
+      
+      socket.on('connect_error', (err) => {
+        console.error('[FaceSearchPage] Socket.IO connection error:', err)
+        // Once the job exists the socket keeps retrying and resubscribes on reconnect
+        if (currentJobId) return
+        clearTimeout(connectionTimeout)
+        const errorMessage = err.message || 'שגיאת חיבור לשרת'
+        finish()
+        
+        // Only show error if we haven't received results yet
+        if (!getStore().faceSearchFaces.length) {
+          setFaceSearchError(errorMessage)
+          addToast({ 
+            title: 'שגיאת חיבור', 
+            description: `לא ניתן להתחבר לשרת: ${errorMessage}. ודא שהשרת רץ על ${apiBase}`, 
+            variant: 'error' 
+          })
+        }
+      })
+      
+      socket.on('disconnect', (reason) => {
+        console.log('[FaceSearchPage] Socket.IO disconnected:', reason)
+      })
+    }),
+  [addToast, getStore, setActiveJob, setFaceSearchError, setFaceSearchFaces, setFaceSearchLoading, setFaceSearchProgress, setFaceSearchSelectedId])
+
+  // Stop the current scan (cancels the server job)
   const handleStop = useCallback(() => {
     if (socketRef.current) {
-      socketRef.current.emit('face-scan:stop')
+      socketRef.current.emit('face-scan:stop', { jobId: getStore().activeJobs['face-scan'] })
       socketRef.current.disconnect()
       socketRef.current = null
       setMonitorSocket(null) // Clear monitor socket
       setFaceSearchLoading(false)
       setFaceSearchProgress(null)
+      setFaceScanJob(null)
+      setActiveJob('face-scan', null)
       addToast({ 
         title: 'סריקה נעצרה', 
         description: 'ניתן להמשיך מאותה נקודה בהפעלה הבאה',
         variant: 'default' 
       })
     }
-  }, [addToast, setFaceSearchLoading, setFaceSearchProgress])
+  }, [addToast, getStore, setActiveJob, setFaceSearchLoading, setFaceSearchProgress])
 
   const handleScan = useCallback(async (pathOverride) => {
     const pathToScan = (pathOverride ?? sourcePath ?? '').trim()
@@ -178,181 +360,19 @@ const FaceSearchPage = () => {
         initialConcurrency = 5
       }
       
-      setFaceSearchProgress({ phase: 'init', message: 'יוצר חיבור Socket.IO...' })
-      
-      const socket = io(apiBase, {
-        transports: ['websocket', 'polling'],
-        timeout: 20000, // 20 seconds timeout
-        reconnection: false, // Disable auto-reconnection, we'll handle it manually
-        forceNew: true,
-        autoConnect: true
-      })
-      socketRef.current = socket
-      setMonitorSocket(socket) // Update state so PerformanceMonitor can use it
-      
-      // Add timeout handler - if connection doesn't establish within timeout
-      const connectionTimeout = setTimeout(() => {
-        if (!socket.connected) {
-          console.error('[FaceSearchPage] Socket.IO connection timeout')
-          socket.disconnect()
-          socketRef.current = null
-          setMonitorSocket(null)
-          setFaceSearchLoading(false)
-          setFaceSearchProgress(null)
-          setFaceSearchError('תם הזמן המתנה לחיבור לשרת')
-          addToast({ 
-            title: 'שגיאת חיבור', 
-            description: `לא ניתן להתחבר לשרת בזמן סביר. ודא שהשרת רץ על ${apiBase}`, 
-            variant: 'error' 
-          })
-          resolve()
-        }
-      }, 20000) // 20 seconds
-      
-      // Handle connection - check if already connected first
-      const handleConnect = () => {
-        clearTimeout(connectionTimeout)
-        console.log('[FaceSearchPage] Socket.IO connected')
-        setFaceSearchProgress({ phase: 'init', message: 'מתחיל סריקה...' })
-        // Start the scan with calculated concurrency
-        socket.emit('face-scan:start', {
-          sourcePath: pathToScan,
-          concurrency: initialConcurrency
-        })
-      }
-      
-      // Check if socket is already connected (shouldn't happen with forceNew, but just in case)
-      if (socket.connected) {
-        handleConnect()
-      } else {
-        socket.on('connect', handleConnect)
-      }
-      
-      // Handle progress updates
-      socket.on('face-scan:progress', (data) => {
-        try {
-          setFaceSearchProgress(data)
-        } catch (e) {
-          console.error('[FaceSearchPage] Failed to parse progress:', e)
-        }
-      })
-      
-      // Handle incremental face updates - display faces as they are found
-      socket.on('face-scan:faces', (event) => {
-        try {
-          const { faces: newFaces } = event
-          if (newFaces && newFaces.length > 0) {
-            setFaceSearchFaces(newFaces)
-            // Auto-select first face if none selected
-            const currentId = getStore().faceSearchSelectedId
-            if (!currentId) {
-              setFaceSearchSelectedId(newFaces[0]?.id)
-            }
-          }
-        } catch (e) {
-          console.error('[FaceSearchPage] Failed to parse faces:', e)
-        }
-      })
-      
-      // Handle final result
-      socket.on('face-scan:result', (res) => {
-        try {
-          const nextFaces = res.faces || []
-          setFaceSearchFaces(nextFaces)
-          const currentId = getStore().faceSearchSelectedId
-          if (!currentId && nextFaces.length > 0) {
-            setFaceSearchSelectedId(nextFaces[0]?.id)
-          }
-          
-          if (!nextFaces.length) {
-            addToast({ title: 'לא נמצאו פנים', description: 'לא נמצאו קבצי מדיה זמינים', variant: 'error' })
-          } else {
-            // Show cache stats in toast if available
-            const cacheInfo = res.cacheStats?.cached > 0 
-              ? ` (${res.cacheStats.cached} מהמטמון)` 
-              : ''
-            addToast({
-              title: 'סריקת פנים הושלמה',
-              description: `${nextFaces.length} קבוצות · ${res.totalFiles || 0} קבצים${cacheInfo}`,
-              variant: 'success',
-            })
-          }
-        } catch (e) {
-          console.error('[FaceSearchPage] Failed to parse result:', e)
-        }
-      })
-      
-      // Handle scan completion
-      socket.on('face-scan:done', () => {
-        socket.disconnect()
-        socketRef.current = null
-        setMonitorSocket(null)
-        setFaceSearchLoading(false)
-        setFaceSearchProgress(null)
-        resolve()
-      })
-      
-      // Handle stop confirmation
-      socket.on('face-scan:stopped', () => {
-        socket.disconnect()
-        socketRef.current = null
-        setMonitorSocket(null)
-        setFaceSearchLoading(false)
-        setFaceSearchProgress(null)
-        resolve()
-      })
-      
-      // Handle errors
-      socket.on('face-scan:error', (data) => {
-        try {
-          setFaceSearchError(data.error || 'שגיאה לא ידועה')
-          addToast({ title: 'שגיאת סריקה', description: data.error, variant: 'error' })
-          socket.disconnect()
-          socketRef.current = null
-          setMonitorSocket(null)
-          setFaceSearchLoading(false)
-          setFaceSearchProgress(null)
-          resolve()
-        } catch (e) {
-          console.error('[FaceSearchPage] Socket.IO error:', e)
-          setFaceSearchError('שגיאת חיבור')
-        }
-      })
-      
-      socket.on('connect_error', (err) => {
-        clearTimeout(connectionTimeout)
-        console.error('[FaceSearchPage] Socket.IO connection error:', err)
-        const errorMessage = err.message || 'שגיאת חיבור לשרת'
-        socket.disconnect()
-        socketRef.current = null
-        setMonitorSocket(null)
-        setFaceSearchLoading(false)
-        setFaceSearchProgress(null)
-        
-        // Only show error if we haven't received results yet
-        if (!faceSearchFaces.length) {
-          setFaceSearchError(errorMessage)
-          addToast({ 
-            title: 'שגיאת חיבור', 
-            description: `לא ניתן להתחבר לשרת: ${errorMessage}. ודא שהשרת רץ על ${apiBase}`, 
-            variant: 'error' 
-          })
-        }
-        resolve()
-      })
-      
-      socket.on('disconnect', (reason) => {
-        clearTimeout(connectionTimeout)
-        console.log('[FaceSearchPage] Socket.IO disconnected:', reason)
-        // If disconnected unexpectedly during scan, show error
-        if (faceSearchLoading && reason !== 'io client disconnect') {
-          setFaceSearchError('החיבור נותק מהשרת')
-          setFaceSearchLoading(false)
-          setFaceSearchProgress(null)
-        }
-      })
+      await connectFaceScanJob({ start: { sourcePath: pathToScan, concurrency: initialConcurrency } })
+      resolve()
     })
-  }, [sourcePath, setSourcePath, addToast, faceSearchFaces.length, getSystemStats, setFaceSearchFaces, setFaceSearchSelectedId, setFaceSearchLoading, setFaceSearchError, setFaceSearchProgress, getStore])
+  }, [sourcePath, setSourcePath, addToast, getSystemStats, setFaceSearchLoading, setFaceSearchError, setFaceSearchProgress, connectFaceScanJob])
+
+  // A scan started before a refresh is still running on the server - resubscribe to it
+  useEffect(() => {
+    if (activeJobs['face-scan'] && !socketRef.current) {
+      setFaceSearchLoading(true)
+      setFaceSearchError(null)
+      connectFaceScanJob({ jobId: activeJobs['face-scan'] })
+    }
+  }, [])
 
   const handlePickSource = async () => {
     // העדפה: דיאלוג של Electron אם זמין
@@ -429,6 +449,9 @@ const FaceSearchPage = () => {
               {faceSearchFaces.length > 0 ? 'סרוק שוב (ימשיך מהנקודה שעצר)' : 'סרוק פנים'}
             </button>
           )}
+          {faceSearchLoading && (
+            <JobControls jobId={faceScanJob?.id} status={faceScanJob?.status} onChange={setFaceScanJob} showCancel={false} />
+          )}
           <div className="text-sm text-slate-300">
             {faceSearchFaces.length ? `${faceSearchFaces.length} קבוצות · ${selectedFace?.count || 0} תמונות לקבוצה הנבחרת` : 'טרם נסרק'}
           </div>
@@ -499,6 +522,7 @@ const FaceSearchPage = () => {
                         <div className="relative aspect-square overflow-hidden bg-slate-800">
                           <LazyImage
                             src={file.path}
+                            thumbSize={240}
                             alt={file.filename}
                             className="h-full w-full"
                             imgClassName="h-full w-full object-cover"
@@ -604,6 +628,7 @@ const FaceSearchPage = () => {
                 >
                   <LazyImage
                     src={p}
+                    thumbSize={320}
                     alt={p}
                     className="h-full w-full"
                     imgClassName="h-full w-full object-cover"
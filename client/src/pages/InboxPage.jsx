@@ -0,0 +1,313 @@
+import { useEffect, useState } from 'react'
+import { FolderInput, Pencil, RefreshCw, Trash2, X } from 'lucide-react'
+import useApi from '@/hooks/useApi'
+import { useToastStore } from '@/store/toastStore'
+import { formatLabel } from '@/lib/sortFormat'
+import { cn } from '@/lib/utils'
+
+const PRESETS = ['month-year', 'day-month-year', 'country', 'city']
+
+const STATUS_LABELS = {
+  watching: { label: 'מאזין', className: 'bg-emerald-500/10 text-emerald-200' },
+  polling: { label: 'סריקה תקופתית', className: 'bg-amber-500/10 text-amber-200' },
+  error: { label: 'שגיאה', className: 'bg-rose-500/10 text-rose-200' },
+  stopped: { label: 'מושבת', className: 'bg-slate-700/40 text-slate-300' },
+}
+
+const EMPTY_FORM = {
+  name: '',
+  path: '',
+  destRoot: '',
+  format: 'month-year',
+  mode: 'move',
+  recursive: true,
+  enabled: true,
+}
+
+// Refresh the watch status / events while the page is open
+const POLL_MS = 5000
+
+const inputClass =
+  'rounded-lg border border-slate-800 bg-slate-950/70 px-3 py-2 text-sm text-slate-200 outline-none focus:border-sky-500'
+
+const fileName = (p) => (p ? p.split(/[/\\]/).pop() : '')
+const formatTime = (iso) => new Date(iso).toLocaleTimeString('he-IL')
+
+const InboxPage = () => {
+  const { getInboxes, createInbox, updateInbox, deleteInbox, rescanInbox, loading } = useApi()
+  const { addToast } = useToastStore()
+
+  const [inboxes, setInboxes] = useState([])
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [editingId, setEditingId] = useState(null)
+
+  const loadInboxes = async () => {
+    try {
+      const res = await getInboxes()
+      setInboxes(res.inboxes || [])
+    } catch (err) {
+      console.error('[InboxPage] load failed', err)
+    }
+  }
+
+  useEffect(() => {
+    loadInboxes()
+    const timer = setInterval(loadInboxes, POLL_MS)
+    return () => clearInterval(timer)
+  }, [])
+
+  const update = (patch) => setForm((prev) => ({ ...prev, ...patch }))
+  const isCustom = !PRESETS.includes(form.format)
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM)
+    setEditingId(null)
+  }
+
+  const startEdit = (inbox) => {
+    setEditingId(inbox.id)
+    setForm({
+      name: inbox.name,
+      path: inbox.path,
+      destRoot: inbox.destRoot,
+      format: inbox.format,
+      mode: inbox.mode,
+      recursive: inbox.recursive,
+      enabled: inbox.enabled,
+    })
+  }
+
+  const toPayload = (inbox) => ({
+    name: inbox.name,
+    path: inbox.path,
+    destRoot: inbox.destRoot,
+    format: inbox.format,
+    mode: inbox.mode,
+    recursive: inbox.recursive,
+    enabled: inbox.enabled,
+  })
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      if (editingId) await updateInbox(editingId, form)
+      else await createInbox(form)
+      addToast({ title: editingId ? 'תיבת הקליטה עודכנה' : 'תיבת הקליטה נוספה', variant: 'success' })
+      resetForm()
+      await loadInboxes()
+    } catch (err) {
+      addToast({ title: 'שמירה נכשלה', description: err.message, variant: 'error' })
+    }
+  }
+
+  const handleDelete = async (inbox) => {
+    if (!window.confirm(`להפסיק להאזין ל-"${inbox.name}"? הקבצים בתיקייה לא יימחקו.`)) return
+    try {
+      await deleteInbox(inbox.id)
+      if (editingId === inbox.id) resetForm()
+      await loadInboxes()
+    } catch (err) {
+      addToast({ title: 'מחיקה נכשלה', description: err.message, variant: 'error' })
+    }
+  }
+
+  const toggleEnabled = async (inbox) => {
+    try {
+      await updateInbox(inbox.id, { ...toPayload(inbox), enabled: !inbox.enabled })
+      await loadInboxes()
+    } catch (err) {
+      addToast({ title: 'עדכון נכשל', description: err.message, variant: 'error' })
+    }
+  }
+
+  const handleRescan = async (inbox) => {
+    try {
+      await rescanInbox(inbox.id)
+      await loadInboxes()
+    } catch (err) {
+      addToast({ title: 'הסריקה נכשלה', description: err.message, variant: 'error' })
+    }
+  }
+
+  return (
+    <div className="flex flex-col gap-6">
+      <header className="flex flex-col gap-2">
+        <p className="text-sm font-medium text-sky-300">HebPhotoSort</p>
+        <h1 className="text-3xl font-semibold text-slate-50">תיבות קליטה</h1>
+        <p className="text-slate-300">
+          תיקיות שהשרת מאזין להן (סנכרון מהטלפון, תיקיית הורדות). כל קובץ מדיה חדש ממוין אוטומטית ליעד בפורמט ובמצב
+          שנשמרו, אחרי שסיים להיכתב.
+        </p>
+      </header>
+
+      <form onSubmit={handleSubmit} className="flex flex-col gap-3 rounded-xl border border-slate-800 bg-slate-900/60 p-4 text-sm text-slate-200">
+        <div className="grid gap-3 md:grid-cols-3">
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-slate-400">שם</span>
+            <input type="text" value={form.name} onChange={(e) => update({ name: e.target.value })} className={inputClass} placeholder="סנכרון טלפון" />
+          </label>
+          <label className="flex flex-col gap-1 md:col-span-2">
+            <span className="text-xs text-slate-400">תיקיית קליטה (נתיב מלא)</span>
+            <input
+              type="text"
+              value={form.path}
+              onChange={(e) => update({ path: e.target.value })}
+              className={inputClass}
+              placeholder="C:\Users\me\Pictures\Phone"
+              required
+            />
+          </label>
+        </div>
+        <div className="grid gap-3 md:grid-cols-3">
+          <label className="flex flex-col gap-1 md:col-span-2">
+            <span className="text-xs text-slate-400">תיקיית יעד</span>
+            <input
+              type="text"
+              value={form.destRoot}
+              onChange={(e) => update({ destRoot: e.target.value })}
+              className={inputClass}
+              placeholder="D:\Photos"
+              required
+            />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-slate-400">פורמט תיקיות</span>
+            <select
+              value={isCustom ? 'custom' : form.format}
+              onChange={(e) => update({ format: e.target.value === 'custom' ? '{hebrewYear}/{hebrewMonth}' : e.target.value })}
+              className={inputClass}
+            >
+              {PRESETS.map((preset) => (
+                <option key={preset} value={preset}>
+                  {formatLabel(preset)}
+                </option>
+              ))}
+              <option value="custom">תבנית מותאמת</option>
+            </select>
+          </label>
+        </div>
+        {isCustom && (
+          <label className="flex flex-col gap-1">
+            <span className="text-xs text-slate-400">תבנית משתנים</span>
+            <input type="text" value={form.format} onChange={(e) => update({ format: e.target.value })} className={inputClass} dir="ltr" />
+          </label>
+        )}
+        <div className="flex flex-wrap gap-4">
+          <label className="flex items-center gap-2">
+            <input type="radio" name="inbox-mode" checked={form.mode === 'move'} onChange={() => update({ mode: 'move' })} />
+            העברה (התיקייה מתרוקנת)
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="radio" name="inbox-mode" checked={form.mode === 'copy'} onChange={() => update({ mode: 'copy' })} />
+            העתקה
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={form.recursive} onChange={(e) => update({ recursive: e.target.checked })} />
+            כולל תתי-תיקיות
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={form.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+            פעיל
+          </label>
+        </div>
+        <div className="flex justify-end gap-2">
+          {editingId && (
+            <button
+              type="button"
+              className="inline-flex items-center gap-2 rounded-lg bg-slate-800 px-3 py-2 text-sm font-semibold text-slate-100 hover:bg-slate-700"
+              onClick={resetForm}
+            >
+              <X className="h-4 w-4" />
+              ביטול
+            </button>
+          )}
+          <button
+            type="submit"
+            className="inline-flex items-center gap-2 rounded-lg bg-sky-600 px-3 py-2 text-sm font-semibold text-white hover:bg-sky-500 disabled:bg-slate-700"
+            disabled={loading}
+          >
+            <FolderInput className="h-4 w-4" />
+            {editingId ? 'עדכן תיבת קליטה' : 'הוסף תיבת קליטה'}
+          </button>
+        </div>
+      </form>
+
+      <div className="flex flex-col gap-3">
+        {!inboxes.length && (
+          <div className="rounded-xl border border-slate-800 bg-slate-900/60 p-4 text-sm text-slate-400">עדיין לא הוגדרו תיבות קליטה</div>
+        )}
+        {inboxes.map((inbox) => {
+          const status = STATUS_LABELS[inbox.status] || STATUS_LABELS.stopped
+          return (
+            <div key={inbox.id} className="flex flex-col gap-3 rounded-xl border border-slate-800 bg-slate-900/60 p-4 text-sm text-slate-200">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="font-semibold">{inbox.name}</span>
+                  <span className={cn('rounded-full px-2 py-0.5 text-xs font-semibold', status.className)}>{status.label}</span>
+                  {inbox.busy && <span className="text-xs text-sky-300">ממיין...</span>}
+                </div>
+                <div className="flex items-center gap-2">
+                  <label className="flex items-center gap-1 text-xs">
+                    <input type="checkbox" checked={inbox.enabled} onChange={() => toggleEnabled(inbox)} disabled={loading} />
+                    פעיל
+                  </label>
+                  <button
+                    type="button"
+                    className="rounded-lg bg-slate-800 p-1 text-slate-100 hover:bg-slate-700"
+                    onClick={() => handleRescan(inbox)}
+                    disabled={loading || !inbox.enabled}
+                    title="סרוק עכשיו"
+                  >
+                    <RefreshCw className="h-3 w-3" />
+                  </button>
+                  <button
+                    type="button"
+                    className="rounded-lg bg-slate-800 p-1 text-slate-100 hover:bg-slate-700"
+                    onClick={() => startEdit(inbox)}
+                    title="עריכה"
+                  >
+                    <Pencil className="h-3 w-3" />
+                  </button>
+                  <button
+                    type="button"
+                    className="rounded-lg bg-rose-600/80 p-1 text-white hover:bg-rose-500"
+                    onClick={() => handleDelete(inbox)}
+                    disabled={loading}
+                    title="מחיקה"
+                  >
+                    <Trash2 className="h-3 w-3" />
+                  </button>
+                </div>
+              </div>
+              <div className="flex flex-wrap gap-4 text-xs text-slate-400">
+                <span>מ: {inbox.path}</span>
+                <span>אל: {inbox.destRoot}</span>
+                <span>{formatLabel(inbox.format)}</span>
+                <span>{inbox.mode === 'copy' ? 'העתקה' : 'העברה'}</span>
+                <span>ממתינים: {inbox.pending}</span>
+                <span>מוינו מאז הפעלת השרת: {inbox.sortedCount}</span>
+              </div>
+              {inbox.error && (
+                <div className="rounded-lg border border-rose-700 bg-rose-900/40 px-3 py-2 text-xs text-rose-100">⚠️ {inbox.error}</div>
+              )}
+              {inbox.events.length > 0 && (
+                <ul className="max-h-48 space-y-1 overflow-y-auto rounded-lg bg-slate-950/60 p-2 text-xs">
+                  {inbox.events.map((event, idx) => (
+                    <li key={`${event.time}-${idx}`} className={event.type === 'sorted' ? 'text-slate-300' : 'text-rose-300'}>
+                      {formatTime(event.time)} ·{' '}
+                      {event.type === 'sorted'
+                        ? `${fileName(event.file)} → ${event.target}`
+                        : `${fileName(event.file) || 'תיבת קליטה'}: ${event.error}`}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default InboxPage
@@ -0,0 +1,187 @@
+import { useEffect, useState } from 'react'
+import { RefreshCw, Redo2, Undo2 } from 'lucide-react'
+import useApi from '@/hooks/useApi'
+import { useToastStore } from '@/store/toastStore'
+import { cn } from '@/lib/utils'
+
+const KIND_LABELS = {
+  'sort-batch': 'מיון אוטומטי',
+  sort: 'מיון קובץ בודד',
+  delete: 'מחיקה',
+}
+
+const MODE_LABELS = {
+  move: 'העברה',
+  copy: 'העתקה',
+  delete: 'מחיקה',
+}
+
+const SmallButton = ({ icon: Icon, label, onClick, disabled, variant = 'default' }) => (
+  <button
+    type="button"
+    className={cn(
+      'inline-flex items-center gap-1 rounded-lg px-2 py-1 text-xs font-semibold transition',
+      variant === 'undo' ? 'bg-amber-600/80 text-white hover:bg-amber-500' : 'bg-slate-800 text-slate-100 hover:bg-slate-700',
+      'disabled:bg-slate-800 disabled:text-slate-500',
+    )}
+    onClick={onClick}
+    disabled={disabled}
+  >
+    <Icon className="h-3 w-3" />
+    {label}
+  </button>
+)
+
+const JournalPage = () => {
+  const {
+    getJournalRuns,
+    getJournalRun,
+    undoJournalRun,
+    redoJournalRun,
+    undoJournalEntries,
+    redoJournalEntries,
+    loading,
+  } = useApi()
+  const { addToast } = useToastStore()
+
+  const [runs, setRuns] = useState([])
+  const [openRun, setOpenRun] = useState(null)
+
+  const loadRuns = async () => {
+    try {
+      const res = await getJournalRuns()
+      setRuns(res.runs || [])
+    } catch (err) {
+      addToast({ title: 'שגיאה בטעינת היומן', description: err.message, variant: 'error' })
+    }
+  }
+
+  // טעינה ראשונית של היומן
+  useEffect(() => {
+    loadRuns()
+  }, [])
+
+  const loadRun = async (runId) => {
+    try {
+      const run = await getJournalRun(runId)
+      setOpenRun(run)
+    } catch (err) {
+      addToast({ title: 'שגיאה בטעינת פעולה', description: err.message, variant: 'error' })
+    }
+  }
+
+  const reportResult = (title, res) => {
+    addToast({
+      title,
+      description: `${res.success} הצליחו${res.errors ? `, ${res.errors} שגיאות` : ''}`,
+      variant: res.errors ? 'warning' : 'success',
+    })
+    res.results
+      ?.filter((r) => !r.success && !r.skipped)
+      .slice(0, 3)
+      .forEach((r) => addToast({ title: 'שגיאה', description: r.error, variant: 'error' }))
+  }
+
+  const runAction = async (action, title, runId) => {
+    try {
+      const res = await action()
+      reportResult(title, res)
+      await loadRuns()
+      if (openRun?.runId === runId) await loadRun(runId)
+    } catch (err) {
+      addToast({ title: 'הפעולה נכשלה', description: err.message, variant: 'error' })
+    }
+  }
+
+  return (
+    <div className="flex flex-col gap-6">
+      <header className="flex flex-col gap-2">
+        <p className="text-sm font-medium text-sky-300">HebPhotoSort</p>
+        <h1 className="text-3xl font-semibold text-slate-50">יומן פעולות</h1>
+        <p className="text-slate-300">
+          כל מיון, העברה ומחיקה נרשמים ביומן בשרת. ניתן לבטל (Undo) או לבצע מחדש (Redo) ריצה שלמה או קובץ בודד.
+        </p>
+      </header>
+
+      <div className="rounded-xl border border-slate-800 bg-slate-900/60 p-4">
+        <div className="mb-3 flex items-center justify-between">
+          <span className="text-sm font-semibold text-slate-200">ריצות ({runs.length})</span>
+          <SmallButton icon={RefreshCw} label="רענן" onClick={loadRuns} disabled={loading} />
+        </div>
+
+        {!runs.length ? (
+          <div className="text-sm text-slate-400">אין פעולות ביומן</div>
+        ) : (
+          <ul className="max-h-[420px] space-y-2 overflow-auto">
+            {runs.map((run) => (
+              <li key={run.runId} className="rounded-lg border border-slate-800 bg-slate-950/60 p-3 text-sm text-slate-200">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <button type="button" className="text-right" onClick={() => loadRun(run.runId)}>
+                    <span className="font-semibold">{KIND_LABELS[run.kind] || run.kind}</span>
+                    <span className="mr-2 text-xs text-slate-400">
+                      {new Date(run.createdAt).toLocaleString('he-IL')} · {run.total} קבצים · {run.reverted} בוטלו
+                      {run.meta?.mode ? ` · ${MODE_LABELS[run.meta.mode] || run.meta.mode}` : ''}
+                    </span>
+                  </button>
+                  <div className="flex gap-2">
+                    <SmallButton
+                      icon={Undo2}
+                      label="בטל ריצה"
+                      variant="undo"
+                      disabled={loading || !run.applied}
+                      onClick={() => runAction(() => undoJournalRun(run.runId), 'ביטול הושלם', run.runId)}
+                    />
+                    <SmallButton
+                      icon={Redo2}
+                      label="בצע מחדש"
+                      disabled={loading || !run.reverted}
+                      onClick={() => runAction(() => redoJournalRun(run.runId), 'ביצוע מחדש הושלם', run.runId)}
+                    />
+                  </div>
+                </div>
+
+                {openRun?.runId === run.runId && (
+                  <ul className="mt-3 max-h-64 space-y-1 overflow-auto border-t border-slate-800 pt-2 text-xs">
+                    {openRun.entries.map((entry) => (
+                      <li key={entry.id} className="flex items-center gap-2">
+                        <span
+                          className={cn(
+                            'rounded px-1',
+                            entry.status === 'reverted' ? 'bg-amber-500/15 text-amber-200' : 'bg-emerald-500/15 text-emerald-200',
+                          )}
+                        >
+                          {entry.status === 'reverted' ? 'בוטל' : 'בוצע'}
+                        </span>
+                        <span className="flex-1 truncate font-mono text-slate-300" title={`${entry.source} → ${entry.target}`}>
+                          {entry.source} → {entry.target}
+                        </span>
+                        {entry.status === 'applied' ? (
+                          <SmallButton
+                            icon={Undo2}
+                            label="בטל"
+                            variant="undo"
+                            disabled={loading}
+                            onClick={() => runAction(() => undoJournalEntries([entry.id]), 'הקובץ שוחזר', run.runId)}
+                          />
+                        ) : (
+                          <SmallButton
+                            icon={Redo2}
+                            label="בצע"
+                            disabled={loading}
+                            onClick={() => runAction(() => redoJournalEntries([entry.id]), 'הפעולה בוצעה מחדש', run.runId)}
+                          />
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default JournalPage
@@ -0,0 +1,249 @@
+import { useEffect, useRef, useState } from 'react'
+import { Check, FolderSearch, ShieldCheck } from 'lucide-react'
+import JobControls from '@/components/JobControls'
+import useApi from '@/hooks/useApi'
+import { useAppStore } from '@/store/appStore'
+import { useToastStore } from '@/store/toastStore'
+import { cn } from '@/lib/utils'
+
+// Job progress / report polling while a verification runs
+const POLL_MS = 1000
+const FINISHED = ['completed', 'cancelled', 'failed']
+
+const inputClass =
+  'rounded-lg border border-slate-800 bg-slate-950/70 px-3 py-2 text-sm text-slate-200 outline-none focus:border-sky-500'
+
+const formatTime = (iso) => new Date(iso).toLocaleString('he-IL')
+
+// קבוצות בדוח האימות; acceptLabel = מה קורה במניפסט כשמאשרים (ללא - אין אישור, משחזרים מגיבוי)
+const SECTIONS = [
+  {
+    key: 'corrupted',
+    title: 'פגומים (התוכן השתנה בלי שזמן השינוי השתנה - bit rot)',
+    hint: 'יש לשחזר מגיבוי',
+    className: 'border-rose-700 bg-rose-900/30 text-rose-100',
+  },
+  {
+    key: 'missing',
+    title: 'חסרים',
+    acceptLabel: 'הסר מהמניפסט',
+    className: 'border-amber-700 bg-amber-900/30 text-amber-100',
+  },
+  {
+    key: 'modified',
+    title: 'נערכו (התוכן וזמן השינוי השתנו)',
+    acceptLabel: 'אשר את הגרסה הנוכחית',
+    className: 'border-amber-700 bg-amber-900/30 text-amber-100',
+  },
+  {
+    key: 'untracked',
+    title: 'לא במניפסט',
+    acceptLabel: 'הוסף למניפסט',
+    className: 'border-slate-700 bg-slate-900/60 text-slate-200',
+  },
+]
+
+const itemPath = (item) => (typeof item === 'string' ? item : item.path)
+
+const LibraryVerifyPage = () => {
+  const { destPath, activeJobs, setActiveJob } = useAppStore()
+  const { getManifest, verifyLibrary, acceptManifestChanges, getJob, loading } = useApi()
+  const { addToast } = useToastStore()
+
+  const [destRoot, setDestRoot] = useState(destPath || '')
+  const [summary, setSummary] = useState(null)
+  const [job, setJob] = useState(null)
+  const [report, setReport] = useState(null)
+  const timerRef = useRef(null)
+
+  const loadSummary = async (root = destRoot) => {
+    if (!root) return
+    try {
+      setSummary(await getManifest(root))
+    } catch (err) {
+      setSummary(null)
+      addToast({ title: 'לא ניתן לטעון את המניפסט', description: err.message, variant: 'error' })
+    }
+  }
+
+  const stopPolling = () => {
+    clearInterval(timerRef.current)
+    timerRef.current = null
+  }
+
+  const pollJob = (jobId) => {
+    stopPolling()
+    const tick = async () => {
+      try {
+        const next = await getJob(jobId)
+        setJob(next)
+        if (!FINISHED.includes(next.status)) return
+        stopPolling()
+        setActiveJob('verify', null)
+        if (next.status === 'failed') {
+          addToast({ title: 'האימות נכשל', description: next.error, variant: 'error' })
+          return
+        }
+        setReport(next.result)
+        setDestRoot(next.params.destRoot)
+        loadSummary(next.params.destRoot)
+      } catch (err) {
+        // Server restarted - the job is gone
+        stopPolling()
+        setActiveJob('verify', null)
+        console.error('[LibraryVerifyPage] job poll failed', err)
+      }
+    }
+    tick()
+    timerRef.current = setInterval(tick, POLL_MS)
+  }
+
+  // A verification started before leaving the page is still running on the server
+  useEffect(() => {
+    if (activeJobs.verify) pollJob(activeJobs.verify)
+    return stopPolling
+  }, [])
+
+  const handleVerify = async () => {
+    try {
+      setReport(null)
+      const started = await verifyLibrary(destRoot)
+      setJob(started)
+      setActiveJob('verify', started.id)
+      pollJob(started.id)
+    } catch (err) {
+      addToast({ title: 'לא ניתן להתחיל אימות', description: err.message, variant: 'error' })
+    }
+  }
+
+  const handleAccept = async (section) => {
+    const paths = report[section.key].map(itemPath)
+    if (!window.confirm(`${section.acceptLabel} עבור ${paths.length} קבצים?`)) return
+    try {
+      const res = await acceptManifestChanges(report.destRoot, paths)
+      addToast({ title: 'המניפסט עודכן', description: `${res.updated} עודכנו, ${res.removed} הוסרו`, variant: 'success' })
+      setReport((prev) => ({ ...prev, [section.key]: [] }))
+      loadSummary(report.destRoot)
+    } catch (err) {
+      addToast({ title: 'עדכון המניפסט נכשל', description: err.message, variant: 'error' })
+    }
+  }
+
+  const running = job && !FINISHED.includes(job.status)
+  const progress = job?.progress || { current: 0, total: job?.params?.total || 0 }
+  const percent = progress.total ? Math.round((progress.current / progress.total) * 100) : 0
+  const problems = report ? report.missing.length + report.corrupted.length + report.modified.length : 0
+
+  return (
+    <div className="flex flex-col gap-6">
+      <header className="flex flex-col gap-2">
+        <p className="text-sm font-medium text-sky-300">HebPhotoSort</p>
+        <h1 className="text-3xl font-semibold text-slate-50">אימות ארכיון</h1>
+        <p className="text-slate-300">
+          מיון עם "אימות SHA-256" רושם כל קובץ במניפסט שבשורש תיקיית היעד. כאן מחשבים מחדש את כל הקבצים ומשווים: קבצים
+          חסרים, פגומים (bit rot), נערכים וקבצים שלא נרשמו.
+        </p>
+      </header>
+
+      <div className="flex flex-col gap-3 rounded-xl border border-slate-800 bg-slate-900/60 p-4 text-sm text-slate-200">
+        <label className="flex flex-col gap-1">
+          <span className="text-xs text-slate-400">תיקיית הספרייה (יעד המיון)</span>
+          <input
+            type="text"
+            value={destRoot}
+            onChange={(e) => setDestRoot(e.target.value)}
+            onBlur={() => loadSummary()}
+            className={inputClass}
+            placeholder="D:\Photos"
+          />
+        </label>
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            type="button"
+            className="inline-flex items-center gap-2 rounded-lg bg-slate-800 px-3 py-2 text-sm font-semibold text-slate-100 hover:bg-slate-700"
+            onClick={() => loadSummary()}
+            disabled={!destRoot || loading}
+          >
+            <FolderSearch className="h-4 w-4" />
+            טען מניפסט
+          </button>
+          <button
+            type="button"
+            className="inline-flex items-center gap-2 rounded-lg bg-sky-600 px-3 py-2 text-sm font-semibold text-white hover:bg-sky-500 disabled:bg-slate-700"
+            onClick={handleVerify}
+            disabled={!destRoot || loading || running}
+          >
+            <ShieldCheck className="h-4 w-4" />
+            אמת עכשיו
+          </button>
+          {running && <JobControls jobId={job.id} status={job.status} onChange={setJob} />}
+        </div>
+        {summary && (
+          <div className="flex flex-wrap gap-4 text-xs text-slate-400">
+            <span>{summary.files} קבצים במניפסט</span>
+            {summary.lastVerify ? (
+              <span>
+                אימות אחרון: {formatTime(summary.lastVerify.checkedAt)} · {summary.lastVerify.ok}/{summary.lastVerify.total} תקינים
+              </span>
+            ) : (
+              <span>עדיין לא בוצע אימות</span>
+            )}
+          </div>
+        )}
+        {running && (
+          <div className="flex flex-col gap-1">
+            <span className="text-xs text-slate-400">
+              {progress.current}/{progress.total} ({percent}%)
+            </span>
+            <div className="h-3 w-full overflow-hidden rounded-full bg-slate-800">
+              <div className="h-full rounded-full bg-sky-500 transition-[width]" style={{ width: `${percent}%` }} />
+            </div>
+          </div>
+        )}
+      </div>
+
+      {report && (
+        <div className="flex flex-col gap-3">
+          <div
+            className={cn(
+              'rounded-xl border p-4 text-sm',
+              problems ? 'border-rose-700 bg-rose-900/30 text-rose-100' : 'border-emerald-700 bg-emerald-900/30 text-emerald-100',
+            )}
+          >
+            {report.cancelled ? 'האימות בוטל - ' : ''}
+            {report.ok}/{report.total} קבצים תקינים · {formatTime(report.checkedAt)}
+          </div>
+          {SECTIONS.filter((section) => report[section.key]?.length).map((section) => (
+            <div key={section.key} className={cn('flex flex-col gap-2 rounded-xl border p-4 text-sm', section.className)}>
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <span className="font-semibold">
+                  {section.title} ({report[section.key].length})
+                </span>
+                {section.acceptLabel ? (
+                  <button
+                    type="button"
+                    className="inline-flex items-center gap-1 rounded-lg bg-slate-800 px-3 py-1 text-xs font-semibold text-slate-100 hover:bg-slate-700"
+                    onClick={() => handleAccept(section)}
+                    disabled={loading}
+                  >
+                    <Check className="h-3 w-3" />
+                    {section.acceptLabel}
+                  </button>
+                ) : (
+                  <span className="text-xs">{section.hint}</span>
+                )}
+              </div>
+              <ul className="max-h-64 space-y-1 overflow-y-auto rounded-lg bg-slate-950/60 p-2 text-xs" dir="ltr">
+                {report[section.key].map((item) => (
+                  <li key={itemPath(item)}>{itemPath(item)}</li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default LibraryVerifyPage
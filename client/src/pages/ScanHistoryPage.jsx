@@ -5,6 +5,7 @@ import LazyImage from '@/components/LazyImage'
 import LightboxModal from '@/components/LightboxModal'
 import { useAppStore } from '@/store/appStore'
 import { useToastStore } from '@/store/toastStore'
+import { dateSourceLabel } from '@/lib/dateSource'
 
 // Helper functions for date formatting (used in both modal and main component)
 const toHebrewDateHelper = (date) => {
@@ -187,11 +188,15 @@ const FileDetailsModal = ({ file, onClose }) => {
             <Row label="יצירת קובץ" value={file.fileCreated ? formatDateWithHebrew(file.fileCreated, file.fileCreatedHebrew?.full, file.fileCreatedTimezone) : null} />
             <Row label="שינוי קובץ" value={file.fileModified ? formatDateWithHebrew(file.fileModified, file.fileModifiedHebrew?.full, file.fileModifiedTimezone) : null} />
             <Row label="אזור זמן (EXIF)" value={file.dates?.offsetTimeOriginal || file.dates?.offsetTime || null} />
+            <Row label="מקור התאריך" value={dateSourceLabel(file.dateSource)} />
+            <Row label="תבנית שם קובץ" value={file.dates?.filenamePattern || null} />
+            <Row label="תגית וידאו" value={file.dates?.containerTag || null} />
           </Section>
 
           {/* GPS */}
           {file.gps && (
             <Section title="📍 מיקום GPS">
+              <Row label="מקום" value={file.gps.place?.label} />
               <Row label="קואורדינטות" value={file.gps.formatted} />
               <Row label="קו רוחב" value={file.gps.latitude?.toFixed(6)} />
               <Row label="קו אורך" value={file.gps.longitude?.toFixed(6)} />
@@ -823,7 +828,7 @@ const ScanHistoryPage = () => {
                         onClick={(e) => e.stopPropagation()}
                         title={`${file.gps.latitude?.toFixed(6)}, ${file.gps.longitude?.toFixed(6)}`}
                       >
-                        📍 מיקום
+                        📍 {file.gps.place?.label || 'מיקום'}
                       </a>
                     )}
                     {file.whatsapp?.isWhatsApp && (
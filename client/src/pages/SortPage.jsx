@@ -7,39 +7,94 @@ import LightboxModal from '@/components/LightboxModal'
 import SortingControls from '@/components/SortingControls'
 import ProgressBar from '@/components/ProgressBar'
 import PerformanceMonitor from '@/components/PerformanceMonitor'
+import SortPlanView from '@/components/SortPlanView'
+import HebrewDaySettings from '@/components/HebrewDaySettings'
+import HolidaySettings from '@/components/HolidaySettings'
+import JobControls from '@/components/JobControls'
+import InterruptedRuns from '@/components/InterruptedRuns'
+import DateReviewPanel from '@/components/DateReviewPanel'
+import ScanFilterSettings from '@/components/ScanFilterSettings'
+import CacheSettings from '@/components/CacheSettings'
 import useApi from '@/hooks/useApi'
 import { useAppStore } from '@/store/appStore'
 import { useToastStore } from '@/store/toastStore'
+import { formatLabel } from '@/lib/sortFormat'
 
 const fallbackImages = [
   'https://images.unsplash.com/photo-1500530855697-b586d89ba3ee?auto=format&fit=crop&w=800&q=80',
   'https://images.unsplash.com/photo-1441974231531-c6227db76b6e?auto=format&fit=crop&w=800&q=80',
 ]
 
+// קבצים שסינון הסריקה (גודל / מידות / תאריך) השאיר בחוץ
+const filteredNote = (filtered) => {
+  const count = filtered ? filtered.size + filtered.dimensions + filtered.date : 0
+  return count ? ` · ${count} סוננו` : ''
+}
+
 const SortPage = () => {
   const {
     sourcePath,
     destPath,
+    folderTemplate,
+    renamePattern,
     images,
+    companions,
+    fileInfo,
     currentIndex,
     sortedCount,
     setSourcePath,
     setDestPath,
+    setFolderTemplate,
+    setRenamePattern,
     setImages,
+    addScanEntries,
     setCurrentIndex,
     nextImage,
     prevImage,
     incrementSorted,
+    activeJobs,
+    setActiveJob,
   } = useAppStore()
 
-  const { scanFolder, deleteFile, sortByDate, sortByDateBatch, createFolder, getSystemStats, loading, error } = useApi()
+  const {
+    streamScan,
+    continueScan,
+    deleteFile,
+    sortByDate,
+    sortByDateBatch,
+    createFolder,
+    getSystemStats,
+    addToDateReview,
+    loading,
+    error,
+  } = useApi()
   const { addToast } = useToastStore()
   const [format, setFormat] = useState('month-year')
+  // format = 'month-year' | 'day-month-year' | 'country' | 'city' | 'custom' (תבנית משתנים שנשמרת ב-store)
+  const sortFormat = format === 'custom' ? folderTemplate : format
   const [mode, setMode] = useState('copy')
+  // Hash every copy and record it in the destination's checksum manifest
+  const [verify, setVerify] = useState(false)
+  // Google Takeout / WhatsApp backup: the archive's own metadata dates the files
+  const [importMode, setImportMode] = useState(false)
+  // Rename on sort with the stored pattern; the original name optionally goes into an XMP sidecar
+  const [rename, setRename] = useState(false)
+  const [keepOriginalName, setKeepOriginalName] = useState(false)
+  const sortRenamePattern = rename ? renamePattern : null
+  // Files whose date is only a guess (mtime / file name): sort anyway, into the unknown-date folder, or hold for review
+  const [unknownDatePolicy, setUnknownDatePolicy] = useState('sort')
+  const [minConfidence, setMinConfidence] = useState('medium')
+  // Bumped after every sort so the review queue reloads
+  const [reviewVersion, setReviewVersion] = useState(0)
   const [lightboxSrc, setLightboxSrc] = useState(null)
   const [isSorting, setIsSorting] = useState(false)
   const [sortProgress, setSortProgress] = useState({ current: 0, total: 0, active: 0 })
+  const [sortPlan, setSortPlan] = useState(null)
+  const [sortJob, setSortJob] = useState(null)
   const socketRef = useRef(null)
+  // The streamed scan in progress - a new scan or leaving the page aborts it
+  const scanAbortRef = useRef(null)
+  const [scanProgress, setScanProgress] = useState(null)
   const apiBase = import.meta.env.VITE_API_BASE || 'http://localhost:4000'
 
   const currentImage = images[currentIndex]
@@ -52,9 +107,18 @@ const SortPage = () => {
     }
   }, [images.length, setImages])
 
-  // Cleanup socket on unmount
+  // A sort started before a refresh is still running on the server - resubscribe to it
+  useEffect(() => {
+    if (activeJobs.sort && !socketRef.current) {
+      setIsSorting(true)
+      connectSortJob({ jobId: activeJobs.sort })
+    }
+  }, [])
+
+  // Cleanup socket on unmount (the sort itself keeps running on the server)
   useEffect(() => {
     return () => {
+      scanAbortRef.current?.abort()
       if (socketRef.current) {
         socketRef.current.disconnect()
         socketRef.current = null
@@ -70,6 +134,65 @@ const SortPage = () => {
 
   const handleSelectImage = (idx) => setCurrentIndex(idx)
 
+  // סריקה בזרם: הגריד מתמלא עמוד אחרי עמוד, וכל קובץ מגיע עם התאריך העברי ותיקיית היעד הצפויה
+  // (לפי הפורמט והגדרות התאריך בזמן הסריקה). השרת מחזיר עד limit קבצים לבקשה - ממשיכים מ-nextCursor עד הסוף
+  const scanSource = async (root) => {
+    scanAbortRef.current?.abort()
+    const controller = new AbortController()
+    scanAbortRef.current = controller
+    let scanId = null
+    let total = 0
+    let loaded = 0
+    let nextCursor = null
+    const onLine = (line) => {
+      if (line.type === 'scan') {
+        scanId = line.scanId
+        total = line.total
+        setScanProgress({ loaded: 0, total })
+        if (!total) setImages([], {})
+        addToast({
+          title: 'תיקיית מקור נבחרה',
+          description: `${root} (${total} קבצי מדיה נתמכים)${filteredNote(line.filtered)}`,
+          variant: 'success',
+        })
+        if (!total) {
+          addToast({
+            title: 'אין קבצי מדיה',
+            description: 'התיקייה שנבחרה ריקה או ללא תמונות/וידאו נתמכים',
+            variant: 'error',
+          })
+        }
+      } else if (line.type === 'page') {
+        addScanEntries(line.entries, loaded === 0)
+        loaded += line.entries.length
+        setScanProgress({ loaded, total })
+      } else if (line.type === 'end') {
+        nextCursor = line.nextCursor
+      }
+    }
+
+    try {
+      await streamScan(
+        { sourcePath: root, destPath: destPath || null, format: sortFormat, importMode, unknownDatePolicy, minConfidence },
+        onLine,
+        controller.signal,
+      )
+      while (nextCursor != null) {
+        const cursor = nextCursor
+        nextCursor = null
+        await continueScan(scanId, cursor, onLine, controller.signal)
+      }
+    } catch (err) {
+      if (err.name === 'AbortError') return
+      addToast({ title: 'שגיאה בסריקה', description: err.message, variant: 'error' })
+    } finally {
+      if (scanAbortRef.current === controller) {
+        scanAbortRef.current = null
+        setScanProgress(null)
+      }
+    }
+  }
+
   const handleSelectSource = async () => {
     // Try Electron folder dialog first
     try {
@@ -77,28 +200,7 @@ const SortPage = () => {
         const picked = await window.electronAPI.openFolderDialog()
         if (picked) {
           setSourcePath(picked)
-          try {
-            const res = await scanFolder(picked)
-            setImages(res.files || [])
-            if (res.error) {
-              addToast({ title: 'שגיאה בסריקה', description: res.error, variant: 'error' })
-            } else {
-              addToast({
-                title: 'תיקיית מקור נבחרה',
-                description: `${picked} (${res.count || 0} קבצי מדיה נתמכים)`,
-                variant: 'success',
-              })
-              if (!res.count) {
-                addToast({
-                  title: 'אין קבצי מדיה',
-                  description: 'התיקייה שנבחרה ריקה או ללא תמונות/וידאו נתמכים',
-                  variant: 'error',
-                })
-              }
-            }
-          } catch (err) {
-            addToast({ title: 'שגיאה בסריקה', description: err.message, variant: 'error' })
-          }
+          await scanSource(picked)
           return
         }
       }
@@ -123,31 +225,9 @@ const SortPage = () => {
       return
     }
     
-    try {
-      if (chosen) {
-        setSourcePath(chosen)
-        const res = await scanFolder(chosen)
-        setImages(res.files || [])
-        if (res.error) {
-          addToast({ title: 'שגיאה בסריקה', description: res.error, variant: 'error' })
-        } else {
-          addToast({
-            title: 'תיקיית מקור נבחרה',
-            description: `${chosen} (${res.count || 0} קבצי מדיה נתמכים)`,
-            variant: 'success',
-          })
-          if (!res.count) {
-            addToast({
-              title: 'אין קבצי מדיה',
-              description: 'התיקייה שנבחרה ריקה או ללא תמונות/וידאו נתמכים',
-              variant: 'error',
-            })
-          }
-        }
-      }
-    } catch (err) {
-      console.error('[SortPage] select source failed', err)
-      addToast({ title: 'שגיאה בבחירת מקור', description: err.message, variant: 'error' })
+    if (chosen) {
+      setSourcePath(chosen)
+      await scanSource(chosen)
     }
   }
 
@@ -210,17 +290,41 @@ const SortPage = () => {
       const res = await sortByDate({
         src: currentImage.replace('file://', ''),
         destRoot: destPath,
-        format,
+        format: sortFormat,
         mode: opMode,
+        verify,
+        importMode,
+        renamePattern: sortRenamePattern,
+        keepOriginalName: rename && keepOriginalName,
+        unknownDatePolicy,
+        minConfidence,
       })
-      if (res?.success) {
+      if (res?.review) {
+        removeCurrent()
+        setReviewVersion((v) => v + 1)
+        addToast({
+          title: 'הקובץ ממתין לתאריך',
+          description: 'התאריך שלו לא אמין - הוא נשאר במקור ונוסף לרשימת הקבצים לקביעת תאריך',
+          variant: 'warning',
+        })
+      } else if (res?.success) {
         incrementSorted()
         removeCurrent()
+        const moved = (res.companions || []).filter((c) => !c.error).length
+        const failed = (res.companions || []).filter((c) => c.error)
+        const newName = res.newPath.split(/[/\\]/).pop()
         addToast({
-          title: opMode === 'copy' ? 'הועתק' : 'הועבר',
-          description: res.newPath,
+          title: res.quarantined ? 'הועבר לתיקיית "לא ידוע"' : opMode === 'copy' ? 'הועתק' : 'הועבר',
+          description:
+            `${res.newPath}${moved ? ` (+${moved} קבצים נלווים)` : ''}` +
+            (newName !== res.originalName ? ` · שם מקורי: ${res.originalName}` : ''),
           variant: 'success',
         })
+        failed.forEach((c) => addToast({ title: 'קובץ נלווה נשאר במקור', description: `${c.src}: ${c.error}`, variant: 'error' }))
+        if (res.preservedName?.error) {
+          addToast({ title: 'השם המקורי לא נשמר ב-XMP', description: res.preservedName.error, variant: 'error' })
+        }
+        if (res.dateSource === 'manual') setReviewVersion((v) => v + 1)
       } else if (res?.error) {
         addToast({ title: 'שגיאה במיון', description: res.error, variant: 'error' })
       }
@@ -238,6 +342,18 @@ const SortPage = () => {
     await handleSortByDate('copy')
   }
 
+  const handleAddToReview = async () => {
+    if (!currentImage) return
+    try {
+      await addToDateReview([currentImage.replace('file://', '')], destPath || null)
+      removeCurrent()
+      setReviewVersion((v) => v + 1)
+      addToast({ title: 'נוסף לרשימה', description: 'קבע לו תאריך ברשימת הקבצים שממתינים לתאריך', variant: 'success' })
+    } catch (err) {
+      addToast({ title: 'הפעולה נכשלה', description: err.message, variant: 'error' })
+    }
+  }
+
   const handleCreateFolder = async () => {
     if (!destPath) return
     const folderName = `תיקיה חדשה ${Date.now()}`
@@ -251,14 +367,19 @@ const SortPage = () => {
     }
   }
 
-  const handleAutoSortAll = async () => {
-    if (!destPath || !images.length) return
-    const opMode = askMode()
+  // dryRun = תכנון בלבד: השרת מחשב יעדים ושינויי שם בלי לגעת בקבצים
+  // files = קבצים מסוימים (מרשימת הקבצים שממתינים לתאריך) במקום כל הגריד - הגריד לא מתרוקן אחריהם
+  const handleAutoSortAll = async ({ dryRun = false, presetMode = null, presetFormat = null, files = null } = {}) => {
+    const sources = files || images
+    if (!destPath || !sources.length) return
+    const opMode = presetMode || askMode()
+    const opFormat = presetFormat || sortFormat
+    if (!dryRun) setSortPlan(null)
     setIsSorting(true)
-    setSortProgress({ current: 0, total: images.length, active: 0 })
+    setSortProgress({ current: 0, total: sources.length, active: 0 })
 
     // Prepare file paths (remove file:// prefix)
-    const filePaths = images.map((img) => img.replace('file://', ''))
+    const filePaths = sources.map((img) => img.replace('file://', ''))
     
     // Initialize concurrency based on system capabilities
     let initialConcurrency = 5
@@ -273,101 +394,161 @@ const SortPage = () => {
       console.error('[SortPage] Error getting initial system stats:', err)
     }
 
-    return new Promise((resolve) => {
+    return connectSortJob({
+      start: {
+        files: filePaths,
+        destRoot: destPath,
+        format: opFormat,
+        mode: opMode,
+        concurrency: initialConcurrency,
+        dryRun,
+        verify,
+        importMode,
+        renamePattern: sortRenamePattern,
+        keepOriginalName: rename && keepOriginalName,
+        unknownDatePolicy,
+        minConfidence,
+      },
+      keepImages: !!files,
+    })
+  }
+
+  // Starts a sort job on the server, or resubscribes to one that is already running (after a refresh / reconnect).
+  // The job lives on the server: losing the socket only pauses the updates, it does not stop the sort.
+  const connectSortJob = ({ start = null, jobId = null, keepImages = false }) =>
+    new Promise((resolve) => {
       // Disconnect existing socket if any
       if (socketRef.current) {
         socketRef.current.disconnect()
         socketRef.current = null
       }
 
-      // Connect to Socket.IO
+      // Connect to Socket.IO - reconnects resubscribe to the job
       const socket = io(apiBase, {
         transports: ['websocket', 'polling'],
-        reconnection: false,
+        reconnection: true,
       })
       socketRef.current = socket
 
+      let currentJobId = jobId
+      let startSent = false
+      // Job parameters - from the request, or from the server snapshot when resubscribing
+      let job = start
+        ? { total: start.files.length, destRoot: start.destRoot, format: start.format, mode: start.mode, dryRun: start.dryRun }
+        : null
       let totalSuccess = 0
       let totalErrors = 0
+      let totalCrossDevice = 0
+      let totalVerified = 0
+      let totalImported = 0
+      let totalRenamed = 0
+      let totalCompanions = 0
+      let totalQuarantined = 0
+      let totalReview = 0
       const allErrors = []
 
-      // Connection timeout
+      const finish = () => {
+        socket.disconnect()
+        socketRef.current = null
+        setIsSorting(false)
+        setSortJob(null)
+        setActiveJob('sort', null)
+        resolve()
+      }
+
+      // Connection timeout (only before the job exists - afterwards the socket keeps retrying)
       const connectionTimeout = setTimeout(() => {
-        if (!socket.connected) {
-          socket.disconnect()
-          socketRef.current = null
-          setIsSorting(false)
+        if (!socket.connected && !currentJobId) {
+          finish()
+          setSortProgress({ current: 0, total: 0, active: 0 })
           addToast({
             title: 'שגיאת חיבור',
             description: 'לא ניתן להתחבר לשרת. ודא שהשרת רץ.',
             variant: 'error',
           })
-          resolve()
         }
       }, 5000)
 
-      socket.on('connect', () => {
-        clearTimeout(connectionTimeout)
-        console.log('[SortPage] Socket.IO connected')
-        
-        // Start sorting
-        socket.emit('sort:start', {
-          files: filePaths,
-          destRoot: destPath,
-          format,
-          mode: opMode,
-          concurrency: initialConcurrency,
-        })
-      })
-
-      // Handle progress updates
-      socket.on('sort:progress', (progress) => {
-        console.log('[SortPage] Progress update:', progress)
+      const handleProgress = (progress) => {
         setSortProgress({
           current: progress.current || 0,
-          total: progress.total || filePaths.length,
+          total: progress.total || job?.total || 0,
           active: progress.active || progress.concurrency || 0,
         })
-      })
+      }
 
-      // Handle final result
-      socket.on('sort:result', (result) => {
+      const handleResult = (result) => {
+        if (job.dryRun) {
+          setSortPlan({ ...result, mode: job.mode, format: job.format, destRoot: job.destRoot })
+        }
         totalSuccess = result.success || 0
         totalErrors = result.errors || 0
-        
+        totalCrossDevice = result.crossDevice || 0
+        totalVerified = result.verified || 0
+        totalImported = result.imported || 0
+        totalRenamed = result.nameChanged || 0
+        totalCompanions = result.companions || 0
+        totalQuarantined = result.quarantined || 0
+        totalReview = result.review || 0
+
         // Update sorted count
-        for (let j = 0; j < totalSuccess; j++) {
+        for (let j = 0; !job.dryRun && j < totalSuccess; j++) {
           incrementSorted()
         }
 
         // Collect errors
         if (result.results) {
           result.results.forEach((r) => {
-            if (!r.success && r.error) {
+            if (!r.success && r.error && !r.review) {
               allErrors.push({ src: r.src, error: r.error })
             }
+            // A sidecar that could not follow its file stays in the source folder
+            for (const c of r.companions || []) {
+              if (c.error) allErrors.push({ src: c.src, error: c.error })
+            }
+            if (r.preservedName?.error) allErrors.push({ src: r.newPath, error: r.preservedName.error })
           })
         }
-      })
+      }
 
-      // Handle completion
-      socket.on('sort:done', () => {
-        socket.disconnect()
-        socketRef.current = null
-        setIsSorting(false)
-        setSortProgress({ current: filePaths.length, total: filePaths.length, active: 0 })
+      const handleDone = () => {
+        finish()
+        setSortProgress({ current: job.total, total: job.total, active: 0 })
+
+        if (job.dryRun) {
+          addToast({
+            title: 'תכנית מיון מוכנה',
+            description:
+              `${totalSuccess} קבצים ימוינו` +
+              (totalQuarantined ? ` (${totalQuarantined} לתיקיית "לא ידוע")` : '') +
+              (totalReview ? `, ${totalReview} ימתינו לתאריך` : '') +
+              `${totalErrors ? `, ${totalErrors} שגיאות` : ''} - לא בוצעו שינויים בדיסק`,
+            variant: totalErrors ? 'warning' : 'success',
+          })
+          return
+        }
+
+        // Moves to another drive were copied, verified and only then deleted; verify = hashes in the destination manifest
+        const resultNote =
+          (totalCompanions ? ` (+${totalCompanions} קבצים נלווים)` : '') +
+          (totalCrossDevice ? ` (${totalCrossDevice} בין כוננים - הועתקו, אומתו ונמחקו מהמקור)` : '') +
+          (totalVerified ? ` · ${totalVerified} נרשמו במניפסט` : '') +
+          (totalImported ? ` · ${totalImported} תוארכו לפי הארכיון` : '') +
+          (totalRenamed ? ` · ${totalRenamed} קיבלו שם חדש` : '') +
+          (totalQuarantined ? ` · ${totalQuarantined} לתיקיית "לא ידוע"` : '') +
+          (totalReview ? ` · ${totalReview} נשארו במקור וממתינים לתאריך` : '')
 
         // Show results
         if (totalErrors > 0) {
           addToast({
             title: 'מיון הושלם עם שגיאות',
-            description: `${totalSuccess} קבצים הועברו בהצלחה, ${totalErrors} שגיאות`,
+            description: `${totalSuccess} קבצים הועברו בהצלחה${resultNote}, ${totalErrors} שגיאות`,
             variant: 'warning',
           })
         } else {
           addToast({
             title: 'מיון הסתיים',
-            description: `${totalSuccess} קבצים הועברו בהצלחה`,
+            description: `${totalSuccess} קבצים הועברו בהצלחה${resultNote}`,
             variant: 'success',
           })
         }
@@ -390,61 +571,108 @@ const SortPage = () => {
           })
         }
 
-        setImages([])
-        setCurrentIndex(0)
-        resolve()
-      })
+        setReviewVersion((v) => v + 1)
+        if (!keepImages) {
+          setImages([], {})
+          setCurrentIndex(0)
+        }
+      }
 
-      // Handle stop confirmation
-      socket.on('sort:stopped', () => {
-        socket.disconnect()
-        socketRef.current = null
-        setIsSorting(false)
+      const handleStopped = () => {
+        finish()
         setSortProgress({ current: 0, total: 0, active: 0 })
-        resolve()
-      })
+        addToast({ title: 'המיון בוטל', description: 'קבצים שכבר טופלו נשארים ביעד', variant: 'default' })
+      }
 
-      // Handle errors
-      socket.on('sort:error', (data) => {
-        socket.disconnect()
-        socketRef.current = null
-        setIsSorting(false)
+      const handleError = (data) => {
+        finish()
         setSortProgress({ current: 0, total: 0, active: 0 })
         addToast({
           title: 'שגיאה במיון',
           description: data.error || 'שגיאה לא ידועה',
           variant: 'error',
         })
-        resolve()
+      }
+
+      socket.on('connect', () => {
+        clearTimeout(connectionTimeout)
+        console.log('[SortPage] Socket.IO connected')
+        if (currentJobId) {
+          socket.emit('job:subscribe', { jobId: currentJobId })
+        } else if (start && !startSent) {
+          startSent = true
+          socket.emit('sort:start', start)
+        }
+      })
+
+      socket.on('job:started', (started) => {
+        currentJobId = started.id
+        setActiveJob('sort', started.id)
+        setSortJob(started)
+      })
+
+      socket.on('job:update', setSortJob)
+
+      // Current state after (re)subscribing - the job may have finished while we were away
+      socket.on('job:snapshot', (snapshot) => {
+        job = snapshot.params
+        setSortJob(snapshot)
+        if (snapshot.progress) handleProgress(snapshot.progress)
+        if (snapshot.status === 'completed') {
+          handleResult(snapshot.result)
+          handleDone()
+        } else if (snapshot.status === 'cancelled') {
+          handleStopped()
+        } else if (snapshot.status === 'failed') {
+          handleError({ error: snapshot.error })
+        }
       })
 
+      // The server no longer knows the job (e.g. it was restarted)
+      socket.on('job:error', () => {
+        finish()
+        setSortProgress({ current: 0, total: 0, active: 0 })
+        addToast({
+          title: 'משימת המיון לא נמצאה',
+          description: 'ייתכן שהשרת הופעל מחדש - בדוק את היסטוריית הפעולות',
+          variant: 'warning',
+        })
+      })
+
+      socket.on('sort:progress', handleProgress)
+      socket.on('sort:result', handleResult)
+      socket.on('sort:done', handleDone)
+      socket.on('sort:stopped', handleStopped)
+      socket.on('sort:error', handleError)
+
       socket.on('connect_error', (err) => {
-        clearTimeout(connectionTimeout)
         console.error('[SortPage] Socket.IO connection error:', err)
-        socket.disconnect()
-        socketRef.current = null
-        setIsSorting(false)
+        // Once the job exists the socket keeps retrying and resubscribes on reconnect
+        if (currentJobId) return
+        clearTimeout(connectionTimeout)
+        finish()
         setSortProgress({ current: 0, total: 0, active: 0 })
         addToast({
           title: 'שגיאת חיבור',
           description: `לא ניתן להתחבר לשרת: ${err.message || 'שגיאה לא ידועה'}`,
           variant: 'error',
         })
-        resolve()
       })
 
       socket.on('disconnect', (reason) => {
-        clearTimeout(connectionTimeout)
         console.log('[SortPage] Socket.IO disconnected:', reason)
-        if (isSorting && reason !== 'io client disconnect') {
-          setIsSorting(false)
-          setSortProgress({ current: 0, total: 0, active: 0 })
-        }
       })
     })
+
+  // Interrupted run resumed on the server - follow it like any other sort job
+  const handleResumeRun = (job) => {
+    setIsSorting(true)
+    setSortProgress({ current: 0, total: job.params.total, active: 0 })
+    setActiveJob('sort', job.id)
+    connectSortJob({ jobId: job.id })
   }
 
-  const disableActions = loading || isSorting || !sourcePath || !destPath || !images.length
+  const disableActions = loading || isSorting || !!scanProgress || !sourcePath || !destPath || !images.length
 
   const stats = useMemo(() => {
     if (!total) return null
@@ -463,7 +691,7 @@ const SortPage = () => {
             מצב: {mode === 'copy' ? 'העתקה' : 'העברה'}
           </span>
           <span className="rounded-full bg-sky-500/10 px-3 py-1 text-xs font-semibold text-sky-200">
-            פורמט: {format === 'month-year' ? 'חודש-שנה' : 'יום-חודש-שנה'}
+            פורמט: {formatLabel(sortFormat)}
           </span>
         </div>
         <p className="text-slate-300">
@@ -478,6 +706,8 @@ const SortPage = () => {
         </div>
       )}
 
+      <InterruptedRuns disabled={isSorting} onResume={handleResumeRun} />
+
       <section className="grid gap-4 md:grid-cols-2">
         <FolderPicker
           label="תיקיית מקור"
@@ -503,7 +733,7 @@ const SortPage = () => {
             <span>הושלמו: {sortedCount}</span>
             <span>אחוז התקדמות: {stats.pct}%</span>
             <span>מצב פעולה: {mode === 'copy' ? 'העתקה' : 'העברה'}</span>
-            <span>פורמט תאריך: {format === 'month-year' ? 'חודש-שנה' : 'יום-חודש-שנה'}</span>
+            <span>פורמט תיקיות: {formatLabel(sortFormat)}</span>
           </div>
         </div>
       )}
@@ -520,6 +750,9 @@ const SortPage = () => {
         />
         <ImageGrid
           images={images}
+          companions={companions}
+          fileInfo={fileInfo}
+          scanProgress={scanProgress}
           selectedIndex={currentIndex}
           onSelect={handleSelectImage}
           onImageClick={(src, idx) => {
@@ -534,20 +767,60 @@ const SortPage = () => {
         onCopy={handleCopy}
         onDelete={handleDelete}
         onCreateFolder={handleCreateFolder}
-        onAutoSort={handleAutoSortAll}
+        onAutoSort={() => handleAutoSortAll()}
+        onPlan={() => handleAutoSortAll({ dryRun: true })}
+        onAddToReview={handleAddToReview}
         disabled={disableActions}
         mode={mode}
         format={format}
+        verify={verify}
+        onVerifyChange={setVerify}
+        importMode={importMode}
+        onImportModeChange={setImportMode}
+        rename={rename}
+        onRenameChange={setRename}
+        renamePattern={renamePattern}
+        onRenamePatternChange={setRenamePattern}
+        keepOriginalName={keepOriginalName}
+        onKeepOriginalNameChange={setKeepOriginalName}
+        unknownDatePolicy={unknownDatePolicy}
+        onUnknownDatePolicyChange={setUnknownDatePolicy}
+        minConfidence={minConfidence}
+        onMinConfidenceChange={setMinConfidence}
+        folderTemplate={folderTemplate}
+        onFolderTemplateChange={setFolderTemplate}
         onModeChange={setMode}
         onFormatChange={setFormat}
       />
 
+      <DateReviewPanel
+        disabled={isSorting || !destPath}
+        refreshKey={reviewVersion}
+        onSort={(files) => handleAutoSortAll({ files })}
+      />
+
+      <ScanFilterSettings disabled={isSorting} />
+      <HebrewDaySettings disabled={isSorting} />
+      <HolidaySettings disabled={isSorting} />
+      <CacheSettings disabled={isSorting} />
+
+      {sortPlan && (
+        <SortPlanView
+          plan={sortPlan}
+          disabled={isSorting}
+          onExecute={() => handleAutoSortAll({ presetMode: sortPlan.mode, presetFormat: sortPlan.format })}
+          onClose={() => setSortPlan(null)}
+        />
+      )}
+
       <ProgressBar 
         current={isSorting ? sortProgress.current : sortedCount} 
         total={isSorting ? sortProgress.total : total}
         active={isSorting ? sortProgress.active : 0}
       />
 
+      {isSorting && <JobControls jobId={sortJob?.id} status={sortJob?.status} onChange={setSortJob} />}
+
       {/* System Performance Monitor - shown during sorting */}
       {isSorting && <PerformanceMonitor enabled={isSorting} />}
 
@@ -6,7 +6,14 @@ export const useAppStore = create(
     (set, get) => ({
       sourcePath: '',
       destPath: '',
+      folderTemplate: '{hebrewYear}/{hebrewMonth}',
+      // File name pattern used when renaming on sort is turned on
+      renamePattern: '{gregorian:YYYY-MM-DD_HHmmss}_{camera}{counter}',
       images: [],
+      // Media path -> its companion files (sidecars, Live Photo video), as returned by the scan
+      companions: {},
+      // Media path -> what the streamed scan found out about it: size, dimensions, dates, predicted target folder
+      fileInfo: {},
       currentIndex: 0,
       sortedCount: 0,
       loading: false,
@@ -20,9 +27,29 @@ export const useAppStore = create(
       faceSearchProgress: null,
       faceSearchConcurrency: 10,
 
+      // Server job ids of the sort / face scan / library verification in progress - kept across refreshes so the page can resubscribe
+      activeJobs: { sort: null, 'face-scan': null, verify: null },
+
       setSourcePath: (path) => set({ sourcePath: path }),
       setDestPath: (path) => set({ destPath: path }),
-      setImages: (images) => set({ images, currentIndex: 0 }),
+      setFolderTemplate: (folderTemplate) => set({ folderTemplate }),
+      setRenamePattern: (renamePattern) => set({ renamePattern }),
+      // Without companions (dropping a sorted image) the map from the last scan is kept
+      setImages: (images, companions) =>
+        set({ images, currentIndex: 0, ...(companions ? { companions, fileInfo: {} } : {}) }),
+      // A page of streamed scan entries - the first page of a scan replaces the previous list
+      addScanEntries: (entries, first = false) =>
+        set((state) => {
+          const images = first ? [] : [...state.images]
+          const companions = first ? {} : { ...state.companions }
+          const fileInfo = first ? {} : { ...state.fileInfo }
+          for (const entry of entries) {
+            images.push(entry.path)
+            if (entry.companions?.length) companions[entry.path] = entry.companions
+            fileInfo[entry.path] = entry
+          }
+          return { images, companions, fileInfo, ...(first ? { currentIndex: 0 } : {}) }
+        }),
       setCurrentIndex: (idx) => set({ currentIndex: idx }),
       nextImage: () => {
         const { currentIndex, images } = get()
@@ -36,6 +63,8 @@ export const useAppStore = create(
       },
       incrementSorted: () =>
         set((state) => ({ sortedCount: state.sortedCount + 1 })),
+      setActiveJob: (kind, jobId) =>
+        set((state) => ({ activeJobs: { ...state.activeJobs, [kind]: jobId } })),
       setLoading: (loading) => set({ loading }),
       setError: (error) => set({ error }),
       reset: () =>
@@ -43,6 +72,8 @@ export const useAppStore = create(
           sourcePath: '',
           destPath: '',
           images: [],
+          companions: {},
+          fileInfo: {},
           currentIndex: 0,
           sortedCount: 0,
           loading: false,
@@ -70,6 +101,9 @@ export const useAppStore = create(
       partialize: (state) => ({
         sourcePath: state.sourcePath,
         destPath: state.destPath,
+        folderTemplate: state.folderTemplate,
+        renamePattern: state.renamePattern,
+        activeJobs: state.activeJobs,
       }),
     }
   )
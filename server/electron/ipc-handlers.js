@@ -2,173 +2,9 @@ import { ipcMain, dialog } from 'electron'
 import fs from 'node:fs/promises'
 import fssync from 'node:fs'
 import path from 'node:path'
-import exif from 'exif-parser'
-import { HDate, HebrewCalendar } from '@hebcal/core'
-
-// מפת חגים עיקריים - שמות בעברית
-const HOLIDAY_NAMES = {
-  'Pesach': 'פסח',
-  'Shavuot': 'שבועות',
-  'Rosh Hashana': 'ראש השנה',
-  'Yom Kippur': 'יום כיפור',
-  'Sukkot': 'סוכות',
-  'Shmini Atzeret': 'שמיני עצרת',
-  'Simchat Torah': 'שמחת תורה',
-  'Chanukah': 'חנוכה',
-  'Purim': 'פורים',
-  'Lag BaOmer': 'ל״ג בעומר',
-  'Tu B\'Av': 'ט״ו באב',
-  'Tu Bishvat': 'ט״ו בשבט',
-  'Tisha B\'Av': 'תשעה באב',
-  'Yom HaAtzmaut': 'יום העצמאות',
-  'Yom HaZikaron': 'יום הזיכרון',
-  'Yom HaShoah': 'יום השואה',
-}
-
-/**
- * מקבל את שם החג עבור תאריך עברי נתון
- * @param {Date} date - תאריך לועזי
- * @returns {string|null} שם החג בעברית או null אם אין חג
- */
-const getHolidayName = (date) => {
-  try {
-    const hd = new HDate(date)
-    const year = hd.getFullYear()
-    
-    // מקבל את כל החגים לשנה העברית
-    const holidays = HebrewCalendar.getHolidaysForYear(year)
-    
-    // מחפש חגים בתאריך הספציפי
-    for (const event of holidays) {
-      try {
-        // Get the Hebrew date from the event - try different methods
-        let eventDate = null
-        if (typeof event.getDate === 'function') {
-          eventDate = event.getDate()
-        } else if (event.hdate) {
-          eventDate = event.hdate
-        } else if (event.date) {
-          // If it's a Date object, convert to HDate
-          eventDate = new HDate(event.date)
-        } else {
-          // Skip events without a valid date
-          continue
-        }
-
-        // בדיקה אם התאריך תואם
-        if (eventDate && eventDate.getAbs && eventDate.getAbs() === hd.getAbs()) {
-          const eventId = event.getDesc ? event.getDesc() : null
-          // בדיקה לפי ID במיפוי
-          if (eventId && HOLIDAY_NAMES[eventId]) {
-            return HOLIDAY_NAMES[eventId]
-          }
-          
-          // בדיקה לפי שם האירוע בעברית
-          const eventName = event.render ? event.render('he') : null
-          if (eventName) {
-            // בדיקה אם זה חג (לא שבת או ראש חודש)
-            if (eventId && !eventId.includes('Shabbat') && !eventId.includes('Rosh Chodesh')) {
-              // אם יש במיפוי, נחזיר את השם מהמיפוי
-              if (HOLIDAY_NAMES[eventName]) {
-                return HOLIDAY_NAMES[eventName]
-              }
-              // אחרת נחזיר את השם בעברית
-              return eventName
-            }
-          }
-        }
-      } catch (eventErr) {
-        // Skip this event if there's an error processing it
-        continue
-      }
-    }
-    
-    return null
-  } catch (err) {
-    console.error('[ipc-handlers] Error getting holiday name', { date, error: err.message })
-    return null
-  }
-}
-
-const IMAGE_EXT = new Set(['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp'])
-
-const isImage = (filePath) => IMAGE_EXT.has(path.extname(filePath).toLowerCase())
-
-const getImageDate = async (filePath) => {
-  try {
-    const buf = await fs.readFile(filePath)
-    const parser = exif.create(buf)
-    const result = parser.parse()
-    const exifDate =
-      result.tags.DateTimeOriginal ||
-      result.tags.CreateDate ||
-      result.tags.ModifyDate ||
-      null
-    if (exifDate) return new Date(exifDate * 1000)
-  } catch (err) {
-    console.error('[ipc] getImageDate failed, fallback to file stats', { filePath, error: err?.message })
-    // ignore and fallback to file stats
-  }
-  const stat = await fs.stat(filePath)
-  // Prefer mtime over birthtime because birthtime can be the copy/move date, not the original file date
-  // mtime (modification date) usually reflects the actual file date better
-  return stat.mtime || stat.birthtime
-}
-
-const toHebrewDate = (date) => {
-  const hd = new HDate(date)
-  const hebrew = hd.renderGematriya() // e.g., כ״ד כסלו תשפ״ה
-  const parts = hebrew.split(' ')
-  const month = hd.getMonthName()
-  const year = hd.getFullYear()
-  const yearRaw = parts[parts.length - 1] || year // תשפ״ה (עם גרשיים)
-  const yearPath = String(yearRaw).replace(/[״"]/g, "''") // נתיב בטוח: תשפ''ה
-  const day = hd.getDate()
-  const dayGematriya = parts[0] || String(day) // כ״ד - היום בגימטריה
-  const sanitize = (str) => str.replace(/["״']/g, '')
-  const dayGematriyaPath = dayGematriya.replace(/[״"]/g, "''") // נתיב בטוח: כ''ד
-  const gregorianYear = date.getFullYear() // השנה הלועזית
-  const gregorianMonth = date.getMonth() + 1 // החודש הלועזי (1-12)
-  const gregorianMonthStr = String(gregorianMonth).padStart(2, '0') // 02, 03, וכו'
-  const gregorianDay = date.getDate() // היום הלועזי (1-31)
-  const gregorianDayStr = String(gregorianDay).padStart(2, '0') // 01, 02, וכו'
-  const holidayName = getHolidayName(date)
-  return {
-    full: hebrew,
-    year,
-    yearPath,
-    gregorianYear,
-    gregorianMonth,
-    gregorianDay,
-    month,
-    day,
-    dayGematriya: dayGematriyaPath,
-    folderName: `${sanitize(month)}- ${yearPath} - (${gregorianMonthStr}-${gregorianYear})`,
-    holidayName,
-  }
-}
-
-const buildTargetPath = (destRoot, gregorianYear, hebrew, format) => {
-  const yearDirName = `${hebrew.yearPath} - (${hebrew.gregorianYear})`
-  const yearDir = path.join(destRoot, yearDirName)
-  
-  // אם יש חג ופורמט הוא month-year, יוצרים תיקיית חג בין החודשים
-  if (format === 'month-year' && hebrew.holidayName) {
-    const holidayDir = path.join(yearDir, hebrew.holidayName)
-    return holidayDir
-  }
-  
-  const base = path.join(yearDir, hebrew.folderName)
-  if (format === 'day-month-year') {
-    const dayGematriya = hebrew.dayGematriya || String(hebrew.day)
-    const gregorianDayStr = String(hebrew.gregorianDay || hebrew.day).padStart(2, '0')
-    const gregorianMonthStr = String(hebrew.gregorianMonth).padStart(2, '0')
-    const gregorianDateStr = `${gregorianDayStr}-${gregorianMonthStr}-${hebrew.gregorianYear}`
-    const dayName = typeof hebrew.day === 'number' ? `יום ${dayGematriya} (${gregorianDateStr})` : hebrew.day
-    return path.join(base, dayName)
-  }
-  return base
-}
+import { moveFile, copyFile, TRANSFER } from '../src/services/transferService.js'
+// Same date reading, Hebrew date and folder templates as the server sort - no desktop-only copy to drift apart
+import { getMediaDate, toHebrewDate, buildTargetPath, isImage } from '../src/services/fileService.js'
 
 const ensureUniquePath = async (targetPath) => {
   if (!fssync.existsSync(targetPath)) return targetPath
@@ -208,9 +44,8 @@ ipcMain.handle('folder:scan', async (_event, folderPath) => {
 ipcMain.handle('file:move', async (_event, src, dest) => {
   try {
     if (!src || !dest) return { success: false, error: 'Invalid path' }
-    await fs.mkdir(path.dirname(dest), { recursive: true })
-    await fs.rename(src, dest)
-    return { success: true, dest }
+    const { transfer } = await moveFile(src, dest)
+    return { success: true, dest, transfer }
   } catch (err) {
     console.error('[ipc] file:move failed', { src, dest, error: err?.message })
     return { success: false, error: err.message }
@@ -221,7 +56,8 @@ ipcMain.handle('file:copy', async (_event, src, dest) => {
   try {
     if (!src || !dest) return { success: false, error: 'Invalid path' }
     await fs.mkdir(path.dirname(dest), { recursive: true })
-    await fs.copyFile(src, dest)
+    // Keeps the original atime/mtime (and creation time on Windows) - file dates are a sort fallback
+    await copyFile(src, dest, { overwrite: true })
     return { success: true, dest }
   } catch (err) {
     console.error('[ipc] file:copy failed', { src, dest, error: err?.message })
@@ -256,7 +92,7 @@ ipcMain.handle('exif:read', async (_event, target) => {
     if (!target || !fssync.existsSync(target)) {
       return { error: 'Invalid path' }
     }
-    const date = await getImageDate(target)
+    const { date } = await getMediaDate(target)
     return { date: date?.toISOString() }
   } catch (err) {
     console.error('[ipc] exif:read failed', { target, error: err?.message })
@@ -282,23 +118,25 @@ ipcMain.handle('file:sort-by-date', async (_event, payload) => {
     if (!src || !destRoot) return { success: false, error: 'Invalid paths' }
     if (!isImage(src)) return { success: false, error: 'Not an image' }
 
-    const date = await getImageDate(src)
-    const hebrew = toHebrewDate(date)
-    const gYear = date.getFullYear()
-    const targetDir = buildTargetPath(destRoot, gYear, hebrew, format)
+    const { date, gps, timezone } = await getMediaDate(src)
+    const hebrew = toHebrewDate(date, { gps, timezone })
+    const targetDir = buildTargetPath(destRoot, hebrew, format)
     await fs.mkdir(targetDir, { recursive: true })
     const targetPath = await ensureUniquePath(path.join(targetDir, path.basename(src)))
 
+    let transfer = TRANSFER.COPY
     if (mode === 'copy') {
-      await fs.copyFile(src, targetPath)
+      await copyFile(src, targetPath)
     } else {
-      await fs.rename(src, targetPath)
+      const moved = await moveFile(src, targetPath)
+      transfer = moved.transfer
     }
 
     return {
       success: true,
       hebrew,
       newPath: targetPath,
+      transfer,
       date: date.toISOString(),
     }
   } catch (err) {
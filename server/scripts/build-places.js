@@ -0,0 +1,334 @@
+/**
+ * Builds src/data/places.json - the bundled offline dataset for reverse geocoding (placeService)
+ * Source: GeoNames cities via the all-the-cities package (devDependency, CC-BY GeoNames data)
+ * Keeps every town in Israel / the Palestinian territories, cities of 15,000+ people elsewhere
+ * and any place listed in HEBREW_NAMES, and attaches the Hebrew names below. Country names come from Intl.DisplayNames at runtime.
+ *
+ * Usage: npm run build-places
+ */
+import fs from 'node:fs'
+import path from 'node:path'
+import { createRequire } from 'node:module'
+import { fileURLToPath } from 'node:url'
+
+const require = createRequire(import.meta.url)
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const outputPath = path.join(__dirname, '..', 'src', 'data', 'places.json')
+
+const MIN_POPULATION = 15000
+const ALL_TOWNS_COUNTRIES = new Set(['IL', 'PS'])
+// Neighbourhoods, historical and abandoned places
+const SKIP_FEATURES = new Set(['PPLX', 'PPLH', 'PPLQ', 'PPLW'])
+
+// Towns missing from the population-1000 list: [name, hebrew, country, lat, lon]
+const EXTRA_PLACES = [
+  ["Ma'ale Adumim", 'מעלה אדומים', 'IL', 31.777, 35.298],
+  ['Beitar Illit', 'ביתר עילית', 'IL', 31.697, 35.115],
+  ['Kiryat Ono', 'קריית אונו', 'IL', 32.063, 34.855],
+  ['Kiryat Malakhi', 'קריית מלאכי', 'IL', 31.73, 34.745],
+  ["Yokne'am Illit", 'יקנעם עילית', 'IL', 32.659, 35.109],
+  ["Zikhron Ya'akov", 'זכרון יעקב', 'IL', 32.571, 34.952],
+  ['Or Akiva', 'אור עקיבא', 'IL', 32.508, 34.919],
+  ["Kiryat Tiv'on", 'קריית טבעון', 'IL', 32.716, 35.127],
+  ['Katzrin', 'קצרין', 'IL', 32.993, 35.691],
+  ["Be'er Ya'akov", 'באר יעקב', 'IL', 31.942, 34.834],
+  ['Kadima-Zoran', 'קדימה-צורן', 'IL', 32.276, 34.915],
+  ['Kiryat Ekron', 'קריית עקרון', 'IL', 31.857, 34.822],
+  ['Baqa al-Gharbiyye', 'באקה אל-גרבייה', 'IL', 32.418, 35.042],
+  ['Tel Sheva', 'תל שבע', 'IL', 31.25, 34.86],
+  ['Kiryat Arba', 'קריית ארבע', 'IL', 31.533, 35.117],
+  ['Emmanuel', 'עמנואל', 'IL', 32.161, 35.137],
+  ['Elad', 'אלעד', 'IL', 32.052, 34.951],
+  ['Harish', 'חריש', 'IL', 32.46, 35.045],
+]
+
+// Hebrew names, keyed by "<country>|<GeoNames name>"
+const HEBREW_NAMES = {
+  'IL|Jerusalem': 'ירושלים',
+  'IL|Tel Aviv': 'תל אביב',
+  'IL|Haifa': 'חיפה',
+  'IL|Rishon LeẔiyyon': 'ראשון לציון',
+  'IL|Petaẖ Tiqwa': 'פתח תקווה',
+  'IL|Ashdod': 'אשדוד',
+  'IL|Netanya': 'נתניה',
+  'IL|Beersheba': 'באר שבע',
+  'IL|H̱olon': 'חולון',
+  'IL|Bnei Brak': 'בני ברק',
+  'IL|Reẖovot': 'רחובות',
+  'IL|Bat Yam': 'בת ים',
+  'IL|Ramat Gan': 'רמת גן',
+  'IL|Ashkelon': 'אשקלון',
+  'IL|Herzliya': 'הרצליה',
+  'IL|Kfar Saba': 'כפר סבא',
+  "IL|Ra'anana": 'רעננה',
+  'IL|Modi‘in Makkabbim Re‘ut': 'מודיעין-מכבים-רעות',
+  'IL|Hadera': 'חדרה',
+  'IL|Bet Shemesh': 'בית שמש',
+  'IL|Lod': 'לוד',
+  'IL|Ramla': 'רמלה',
+  'IL|Nazareth': 'נצרת',
+  'IL|Nahariyya': 'נהריה',
+  'IL|Kiryat Gat': 'קריית גת',
+  'IL|Qiryat Ata': 'קריית אתא',
+  'IL|Givatayim': 'גבעתיים',
+  'IL|Eilat': 'אילת',
+  'IL|Acre': 'עכו',
+  'IL|Afula': 'עפולה',
+  'IL|Karmi’el': 'כרמיאל',
+  'IL|Hod HaSharon': 'הוד השרון',
+  'IL|Nof HaGalil': 'נוף הגליל',
+  'IL|Umm el Faḥm': 'אום אל-פחם',
+  'IL|Tiberias': 'טבריה',
+  'IL|Rosh Ha‘Ayin': 'ראש העין',
+  'IL|Ness Ziona': 'נס ציונה',
+  'IL|Ramat HaSharon': 'רמת השרון',
+  'IL|Qiryat Moẕqin': 'קריית מוצקין',
+  'IL|Qiryat Yam': 'קריית ים',
+  'IL|Qiryat Bialik': 'קריית ביאליק',
+  'IL|Qiryat Shemona': 'קריית שמונה',
+  'IL|Dimona': 'דימונה',
+  'IL|Safed': 'צפת',
+  'IL|Yavné': 'יבנה',
+  'IL|Or Yehuda': 'אור יהודה',
+  'IL|Yehud': 'יהוד',
+  'IL|Yehud-Monosson': 'יהוד-מונוסון',
+  'IL|Sederot': 'שדרות',
+  'IL|Netivot': 'נתיבות',
+  'IL|Ofaqim': 'אופקים',
+  'IL|Arad': 'ערד',
+  'IL|Yeroẖam': 'ירוחם',
+  'IL|Mitzpe Ramon': 'מצפה רמון',
+  'IL|Tirat Karmel': 'טירת כרמל',
+  'IL|Nesher': 'נשר',
+  'IL|Migdal Ha‘Emeq': 'מגדל העמק',
+  'IL|Bet She’an': 'בית שאן',
+  'IL|Mevasseret Ẕiyyon': 'מבשרת ציון',
+  'IL|Gedera': 'גדרה',
+  'IL|Gan Yavne': 'גן יבנה',
+  'IL|Ganei Tikva': 'גני תקווה',
+  "IL|Giv'at Shmuel": 'גבעת שמואל',
+  'IL|Even Yehuda': 'אבן יהודה',
+  'IL|Kefar Yona': 'כפר יונה',
+  'IL|Tel Mond': 'תל מונד',
+  'IL|Pardesiyya': 'פרדסיה',
+  'IL|Savyon': 'סביון',
+  'IL|Kefar Shemaryahu': 'כפר שמריהו',
+  'IL|Azor': 'אזור',
+  'IL|Bet Dagan': 'בית דגן',
+  'IL|Mazkeret Batya': 'מזכרת בתיה',
+  'IL|Shoham': 'שוהם',
+  'IL|Ariel': 'אריאל',
+  'IL|Modiin Ilit': 'מודיעין עילית',
+  'IL|Har Adar': 'הר אדר',
+  'IL|Ẕur Hadassa': 'צור הדסה',
+  'IL|Ẕur Moshe': 'צור משה',
+  'IL|Abū Ghaush': 'אבו גוש',
+  'IL|Rosh Pinna': 'ראש פינה',
+  'IL|Metulla': 'מטולה',
+  'IL|maalot Tarshīhā': 'מעלות-תרשיחא',
+  'IL|Shelomi': 'שלומי',
+  'IL|Kefar Rosh HaNiqra': 'ראש הנקרה',
+  'IL|Kefar Tavor': 'כפר תבור',
+  'IL|Kefar H̱abad': 'כפר חב"ד',
+  'IL|Kefar Weradim': 'כפר ורדים',
+  'IL|Ramat Yishay': 'רמת ישי',
+  'IL|Timrat': 'תמרת',
+  'IL|Yavne’el': 'יבנאל',
+  'IL|Atlit': 'עתלית',
+  'IL|Caesarea': 'קיסריה',
+  'IL|‘En Boqeq': 'עין בוקק',
+  'IL|Midreshet Ben-Gurion': 'מדרשת בן-גוריון',
+  'IL|Lehavim': 'להבים',
+  'IL|Rahat': 'רהט',
+  'IL|Sakhnīn': "סח'נין",
+  'IL|Tamra': 'טמרה',
+  'IL|Tirah': 'טירה',
+  'IL|Eṭ Ṭaiyiba': 'טייבה',
+  'IL|Kafr Qāsim': 'כפר קאסם',
+  'IL|Qalansuwa': 'קלנסווה',
+  'IL|Daliyat al Karmel': 'דלית אל-כרמל',
+  'IL|Maghār': "מע'אר",
+  'IL|Kafr Kannā': 'כפר כנא',
+  'IL|Kfar Yasif': 'כפר יאסיף',
+  'IL|Beit Jann': "בית ג'ן",
+  'IL|Shibli': 'שבלי',
+  'IL|Hashmonaim': 'חשמונאים',
+  'IL|Talmon': 'טלמון',
+  'IL|Dolev': 'דולב',
+  'IL|Nof Ayalon': 'נוף איילון',
+  'IL|Lapid': 'לפיד',
+  'IL|Kfar NaOranim': 'כפר האורנים',
+  'IL|Mevo horon': 'מבוא חורון',
+  'IL|Beit Horon': 'בית חורון',
+  "IL|Na'ale": 'נעלה',
+  'IL|Revava': 'רבבה',
+  'IL|Nirit': 'נירית',
+  'IL|Elyakhin': 'אליכין',
+  'IL|Neẖalim': 'נחלים',
+  'IL|Bet Yiẕẖaq': 'בית יצחק',
+  'IL|Rekhasim': 'רכסים',
+  'PS|Efrata': 'אפרת',
+  'PS|Neve Daniel': 'נווה דניאל',
+  'PS|Karney Shomron': 'קרני שומרון',
+  'PS|Oranit': 'אורנית',
+  'PS|Givat Zeev': 'גבעת זאב',
+  'PS|Bethlehem': 'בית לחם',
+  'PS|Hebron': 'חברון',
+  'PS|Jericho': 'יריחו',
+  'PS|Ramallah': 'רמאללה',
+  'PS|Nablus': 'שכם',
+  'PS|Janīn': "ג'נין",
+  'PS|Gaza': 'עזה',
+  'PS|Khān Yūnis': "ח'אן יונס",
+  'PS|Rafaḩ': 'רפיח',
+  'PS|Qalqīlyah': 'קלקיליה',
+  'PS|Ţūlkarm': 'טולכרם',
+  'GB|London': 'לונדון',
+  'GB|Manchester': "מנצ'סטר",
+  'GB|Edinburgh': 'אדינבורו',
+  'FR|Paris': 'פריז',
+  'FR|Nice': 'ניס',
+  'FR|Marseille': 'מרסיי',
+  'FR|Lyon': 'ליון',
+  'IT|Rome': 'רומא',
+  'IT|Milan': 'מילאנו',
+  'IT|Venice': 'ונציה',
+  'IT|Florence': 'פירנצה',
+  'IT|Naples': 'נאפולי',
+  'ES|Madrid': 'מדריד',
+  'ES|Barcelona': 'ברצלונה',
+  'PT|Lisbon': 'ליסבון',
+  'PT|Porto': 'פורטו',
+  'DE|Berlin': 'ברלין',
+  'DE|Munich': 'מינכן',
+  'DE|Frankfurt am Main': 'פרנקפורט',
+  'AT|Vienna': 'וינה',
+  'CH|Zürich': 'ציריך',
+  'CH|Genève': "ז'נבה",
+  'NL|Amsterdam': 'אמסטרדם',
+  'BE|Brussels': 'בריסל',
+  'BE|Antwerpen': 'אנטוורפן',
+  'IE|Dublin': 'דבלין',
+  'DK|Copenhagen': 'קופנהגן',
+  'SE|Stockholm': 'שטוקהולם',
+  'NO|Oslo': 'אוסלו',
+  'FI|Helsinki': 'הלסינקי',
+  'IS|Reykjavík': 'רייקיאוויק',
+  'CZ|Prague': 'פראג',
+  'HU|Budapest': 'בודפשט',
+  'PL|Warsaw': 'ורשה',
+  'PL|Kraków': 'קרקוב',
+  'RO|Bucharest': 'בוקרשט',
+  'BG|Sofia': 'סופיה',
+  'RS|Belgrade': 'בלגרד',
+  'HR|Zagreb': 'זאגרב',
+  'HR|Split': 'ספליט',
+  'HR|Dubrovnik': 'דוברובניק',
+  'SI|Ljubljana': 'ליובליאנה',
+  'AL|Tirana': 'טירנה',
+  'GR|Athens': 'אתונה',
+  'GR|Thessaloníki': 'סלוניקי',
+  'GR|Ródos': 'רודוס',
+  'GR|Irákleion': 'הרקליון',
+  'CY|Larnaca': 'לרנקה',
+  'CY|Limassol': 'לימסול',
+  'CY|Paphos': 'פאפוס',
+  'CY|Nicosia': 'ניקוסיה',
+  'TR|Istanbul': 'איסטנבול',
+  'TR|Antalya': 'אנטליה',
+  'GE|Tbilisi': 'טביליסי',
+  'GE|Batumi': 'באטומי',
+  'RU|Moscow': 'מוסקבה',
+  'RU|Saint Petersburg': 'סנקט פטרבורג',
+  'UA|Kyiv': 'קייב',
+  'UA|Odessa': 'אודסה',
+  'UA|Uman': 'אומן',
+  'EG|Cairo': 'קהיר',
+  'EG|Sharm el-Sheikh': 'שארם א-שייח',
+  'JO|Amman': 'עמאן',
+  'JO|Aqaba': 'עקבה',
+  'AE|Dubai': 'דובאי',
+  'AE|Abu Dhabi': 'אבו דאבי',
+  'MA|Marrakesh': 'מרקש',
+  'MA|Casablanca': 'קזבלנקה',
+  'ZA|Cape Town': 'קייפטאון',
+  'ZA|Johannesburg': 'יוהנסבורג',
+  'KE|Nairobi': 'ניירובי',
+  'ET|Addis Ababa': 'אדיס אבבה',
+  'IN|New Delhi': 'ניו דלהי',
+  'IN|Mumbai': 'מומבאי',
+  'NP|Kathmandu': 'קטמנדו',
+  'TH|Bangkok': 'בנגקוק',
+  'VN|Hanoi': 'האנוי',
+  'SG|Singapore': 'סינגפור',
+  'CN|Beijing': "בייג'ינג",
+  'CN|Shanghai': 'שנגחאי',
+  'HK|Hong Kong': 'הונג קונג',
+  'JP|Tokyo': 'טוקיו',
+  'JP|Kyoto': 'קיוטו',
+  'KR|Seoul': 'סיאול',
+  'PH|Manila': 'מנילה',
+  'AU|Sydney': 'סידני',
+  'AU|Melbourne': 'מלבורן',
+  'US|New York City': 'ניו יורק',
+  'US|Brooklyn': 'ברוקלין',
+  'US|Lakewood': 'לייקווד',
+  'US|Los Angeles': "לוס אנג'לס",
+  'US|San Francisco': 'סן פרנסיסקו',
+  'US|Las Vegas': 'לאס וגאס',
+  'US|Chicago': 'שיקגו',
+  'US|Miami': 'מיאמי',
+  'US|Boston': 'בוסטון',
+  'US|Washington': 'וושינגטון',
+  'CA|Toronto': 'טורונטו',
+  'CA|Montréal': 'מונטריאול',
+  'MX|Mexico City': 'מקסיקו סיטי',
+  'MX|Cancún': 'קנקון',
+  'CU|Havana': 'הוואנה',
+  'CO|Bogotá': 'בוגוטה',
+  'PE|Lima': 'לימה',
+  'PE|Cusco': 'קוסקו',
+  'CL|Santiago': 'סנטיאגו',
+  'AR|Buenos Aires': 'בואנוס איירס',
+  'BR|Rio de Janeiro': "ריו דה ז'נרו",
+  'BR|São Paulo': 'סאו פאולו',
+}
+
+const round = (n) => Math.round(n * 1000) / 1000
+
+const cities = require('all-the-cities')
+const used = new Set()
+const places = []
+
+// Several places may share a name (Washington, Lakewood) - the Hebrew name goes to the most populous
+const largest = new Map()
+for (const city of cities) {
+  const key = `${city.country}|${city.name}`
+  if (!largest.has(key) || largest.get(key).population < city.population) largest.set(key, city)
+}
+
+for (const city of cities) {
+  if (SKIP_FEATURES.has(city.featureCode)) continue
+  const key = `${city.country}|${city.name}`
+  const small = city.population < MIN_POPULATION && !HEBREW_NAMES[key]
+  if (small && !ALL_TOWNS_COUNTRIES.has(city.country)) continue
+  const he = largest.get(key) === city ? HEBREW_NAMES[key] || null : null
+  if (he) used.add(key)
+  const [lon, lat] = city.loc.coordinates
+  places.push([city.name, he, city.country, round(lat), round(lon)])
+}
+for (const place of EXTRA_PLACES) places.push(place)
+
+const missing = Object.keys(HEBREW_NAMES).filter((key) => !used.has(key))
+if (missing.length) console.warn(`Hebrew names without a matching place: ${missing.join(', ')}`)
+
+fs.mkdirSync(path.dirname(outputPath), { recursive: true })
+fs.writeFileSync(
+  outputPath,
+  JSON.stringify({
+    source: 'GeoNames (CC BY 4.0) via all-the-cities',
+    fields: ['name', 'nameHe', 'country', 'lat', 'lon'],
+    places,
+  }),
+)
+console.log(`Wrote ${places.length} places to ${path.relative(process.cwd(), outputPath)}`)
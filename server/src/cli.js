@@ -0,0 +1,436 @@
+#!/usr/bin/env node
+/**
+ * hebphotosort - ממשק שורת פקודה לסריקה, מיון, כפילויות ופנים בלי Express ובלי הלקוח (cron, סקריפטים, NAS)
+ * Uses the same services and data directory as the server, so sort runs land in the journal (undo from the UI)
+ * and a run killed mid-way shows up as interrupted the next time the server starts.
+ *
+ * stdout carries the result only (plain text, or JSON with --json); progress and errors go to stderr.
+ * Exit codes: 0 ok, 1 failed, 2 usage error, 3 finished with per-file errors / verify found problems, 130 interrupted (Ctrl+C / SIGTERM)
+ *
+ * Usage: hebphotosort sort <src> <dest> --format day-month-year --mode copy
+ */
+import fs from 'node:fs'
+import path from 'node:path'
+import { parseArgs } from 'node:util'
+import { fileURLToPath } from 'node:url'
+import { configureLogger } from './utils/logger.js'
+
+const EXIT = { OK: 0, FAILED: 1, USAGE: 2, PARTIAL: 3, INTERRUPTED: 130 }
+const MODES = ['move', 'copy']
+// Progress lines when stderr is not a terminal (cron mail, log files): one per this many percent
+const PLAIN_PROGRESS_STEP = 10
+
+const USAGE = `Usage: hebphotosort <command> [options]
+
+Commands:
+  scan <src>               List the media files under <src>
+  sort <src> <dest>        Sort the media files under <src> into <dest>
+  duplicates <src>         Find visually similar images / videos under <src>
+  faces <src>              Scan faces under <src> and group them by person
+  verify <library>         Re-hash a sorted library against its checksum manifest
+
+Options:
+  -f, --format <format>    sort: preset (month-year, day-month-year, country, city) or template
+                           such as "{hebrewYear}/{hebrewMonth}" (default: month-year)
+  -m, --mode <mode>        sort: move | copy (default: move)
+      --dry-run            sort: print the plan without touching any file
+      --verify             sort: SHA-256 check of every copy, recorded in <dest>'s manifest
+      --import             sort: <src> is an exported archive (Google Takeout, WhatsApp backup) - date, GPS
+                           and description from its JSON files / file names come first
+      --rename <pattern>   sort: rename files, e.g. "{gregorian:YYYY-MM-DD_HHmmss}_{camera}{counter}"
+      --keep-original-name sort: a renamed file's original name goes into an XMP sidecar
+      --unknown-date <p>   sort: files without a trustworthy date - sort (by mtime, default) | quarantine
+                           (into "לא ידוע") | review (left in place, queued for a manual date in the app)
+      --min-confidence <l> sort: low | medium (default: only mtime is untrustworthy) | high (file names too)
+  -c, --concurrency <n>    sort / faces: files processed in parallel (default: 5 / 10)
+
+Scan filters (scan, sort, duplicates, faces - on top of the filters saved in the app):
+      --ignore <glob>      Skip matching folders / files, e.g. "Backups" or "2019/**/*.png" (repeatable)
+      --hidden             Include hidden folders and files (names starting with ".")
+      --max-depth <n>      Subfolder levels to enter (0 = <src> itself only)
+      --min-size <size>    Skip smaller files, e.g. 50K (bytes, or K / M / G)
+      --max-size <size>    Skip larger files, e.g. 2G
+      --from <YYYY-MM-DD>  Skip files captured before this day
+      --to <YYYY-MM-DD>    Skip files captured after this day
+      --json               Print the result as JSON on stdout
+  -q, --quiet              No progress output
+  -v, --verbose            Service logs on stderr
+  -h, --help               Show this help
+      --version            Show the version
+
+Exit codes: 0 ok, 1 failed, 2 usage error, 3 finished with file errors / library problems, 130 interrupted`
+
+const usageError = (message) => {
+  const err = new Error(message)
+  err.exitCode = EXIT.USAGE
+  return err
+}
+
+const readVersion = () => {
+  const pkgPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'package.json')
+  return JSON.parse(fs.readFileSync(pkgPath, 'utf-8')).version
+}
+
+const parseCli = (argv) => {
+  try {
+    return parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', short: 'f', default: 'month-year' },
+        mode: { type: 'string', short: 'm', default: 'move' },
+        'dry-run': { type: 'boolean', default: false },
+        verify: { type: 'boolean', default: false },
+        import: { type: 'boolean', default: false },
+        rename: { type: 'string' },
+        'keep-original-name': { type: 'boolean', default: false },
+        'unknown-date': { type: 'string', default: 'sort' },
+        'min-confidence': { type: 'string', default: 'medium' },
+        concurrency: { type: 'string', short: 'c' },
+        ignore: { type: 'string', multiple: true, default: [] },
+        hidden: { type: 'boolean', default: false },
+        'max-depth': { type: 'string' },
+        'min-size': { type: 'string' },
+        'max-size': { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        json: { type: 'boolean', default: false },
+        quiet: { type: 'boolean', short: 'q', default: false },
+        verbose: { type: 'boolean', short: 'v', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+        version: { type: 'boolean', default: false },
+      },
+    })
+  } catch (err) {
+    throw usageError(err.message)
+  }
+}
+
+const parseConcurrency = (value, fallback) => {
+  if (value === undefined) return fallback
+  const n = Number(value)
+  if (!Number.isInteger(n) || n < 1) throw usageError(`--concurrency must be a positive integer, got "${value}"`)
+  return n
+}
+
+const SIZE_UNITS = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 }
+
+const parseSize = (value, name) => {
+  if (value === undefined) return undefined
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i)
+  if (!match) throw usageError(`--${name} must be a size such as 500K or 2G, got "${value}"`)
+  return Math.round(Number(match[1]) * SIZE_UNITS[match[2].toLowerCase()])
+}
+
+/**
+ * Scan filter overrides from the command line, validated by the same service as the app's
+ * @returns {Promise<object>} Overrides for scanFolder / findDuplicates / scanFaces
+ */
+const scanFiltersFromOptions = async (options) => {
+  const { getScanFilters, normalizeScanFilters } = await import('./services/scanFilterService.js')
+  const overrides = {}
+  if (options.ignore.length) overrides.ignore = [...getScanFilters().ignore, ...options.ignore]
+  if (options.hidden) overrides.includeHidden = true
+  if (options['max-depth'] !== undefined) overrides.maxDepth = options['max-depth']
+  const minSize = parseSize(options['min-size'], 'min-size')
+  const maxSize = parseSize(options['max-size'], 'max-size')
+  if (minSize !== undefined) overrides.minSize = minSize
+  if (maxSize !== undefined) overrides.maxSize = maxSize
+  if (options.from) overrides.dateFrom = options.from
+  if (options.to) overrides.dateTo = options.to
+  try {
+    normalizeScanFilters({ ...getScanFilters(), ...overrides })
+  } catch (err) {
+    throw usageError(`invalid scan filter: ${err.message}`)
+  }
+  return overrides
+}
+
+const requireArgs = (args, names, command) => {
+  if (args.length < names.length) {
+    throw usageError(`${command}: missing ${names.slice(args.length).map((n) => `<${n}>`).join(' ')}`)
+  }
+  if (args.length > names.length) throw usageError(`${command}: unexpected argument "${args[names.length]}"`)
+}
+
+/**
+ * Progress on stderr: one rewritten line on a terminal, a line every PLAIN_PROGRESS_STEP percent otherwise
+ */
+const createProgress = (enabled) => {
+  const tty = Boolean(process.stderr.isTTY)
+  let lastStep = -1
+  let lineLength = 0
+
+  const write = (line) => {
+    if (tty) {
+      process.stderr.write(`\r${line.padEnd(lineLength)}`)
+      lineLength = line.length
+    } else {
+      process.stderr.write(`${line}\n`)
+    }
+  }
+
+  return {
+    update: (label, current, total) => {
+      if (!enabled || !total) return
+      const percent = Math.floor((current / total) * 100)
+      if (!tty) {
+        const step = Math.floor(percent / PLAIN_PROGRESS_STEP)
+        if (step === lastStep) return
+        lastStep = step
+      }
+      write(`${label} ${current}/${total} (${percent}%)`)
+    },
+    message: (text) => {
+      if (!enabled) return
+      write(text)
+      if (!tty) lastStep = -1
+    },
+    end: () => {
+      if (tty && lineLength) process.stderr.write('\n')
+      lineLength = 0
+      lastStep = -1
+    },
+  }
+}
+
+const print = (line = '') => process.stdout.write(`${line}\n`)
+
+const filteredNote = (filtered) => {
+  const count = filtered.size + filtered.dimensions + filtered.date
+  return count ? `, ${count} left out by the size / dimension / date filters` : ''
+}
+
+const runScan = async ({ args, options }) => {
+  requireArgs(args, ['src'], 'scan')
+  const filters = await scanFiltersFromOptions(options)
+  const { scanFolder } = await import('./services/fileService.js')
+  const { files, companions, filtered } = await scanFolder(args[0], { filters })
+  const companionCount = Object.values(companions).flat().length
+  return {
+    exitCode: EXIT.OK,
+    result: { source: args[0], total: files.length, files, companions, filtered },
+    printText: () => files.forEach((file) => print(file)),
+    summary:
+      `${files.length} media file(s)` +
+      (companionCount ? `, ${companionCount} companion file(s) attached` : '') +
+      filteredNote(filtered),
+  }
+}
+
+const runSort = async ({ args, options, progress, signal }) => {
+  requireArgs(args, ['src', 'dest'], 'sort')
+  const [src, dest] = args
+  if (!MODES.includes(options.mode)) throw usageError(`--mode must be one of: ${MODES.join(', ')}`)
+  const concurrency = parseConcurrency(options.concurrency, 5)
+  const { validateTemplate, validateNamePattern } = await import('./services/templateService.js')
+  const templateCheck = validateTemplate(options.format)
+  if (!templateCheck.valid) throw usageError(`invalid --format: ${templateCheck.errors.join(', ')}`)
+  const nameCheck = options.rename != null ? validateNamePattern(options.rename) : null
+  if (nameCheck && !nameCheck.valid) throw usageError(`invalid --rename: ${nameCheck.errors.join(', ')}`)
+
+  const { scanFolder, sortFilesBatch, UNKNOWN_DATE_POLICIES, CONFIDENCE_LEVELS } = await import('./services/fileService.js')
+  if (!UNKNOWN_DATE_POLICIES.includes(options['unknown-date'])) {
+    throw usageError(`--unknown-date must be one of: ${UNKNOWN_DATE_POLICIES.join(', ')}`)
+  }
+  if (!CONFIDENCE_LEVELS.includes(options['min-confidence'])) {
+    throw usageError(`--min-confidence must be one of: ${CONFIDENCE_LEVELS.join(', ')}`)
+  }
+  const filters = await scanFiltersFromOptions(options)
+  const { getSystemStats } = await import('./services/systemStatsService.js')
+  progress.message(`Scanning ${src}...`)
+  // <dest> inside <src> is not scanned - its files are already sorted
+  const { files } = await scanFolder(src, { filters, exclude: [dest] })
+  const dryRun = options['dry-run']
+  const result = await sortFilesBatch({
+    files,
+    destRoot: dest,
+    format: options.format,
+    mode: options.mode,
+    concurrency,
+    dryRun,
+    verify: options.verify,
+    importMode: options.import,
+    renamePattern: options.rename || null,
+    keepOriginalName: options['keep-original-name'],
+    unknownDatePolicy: options['unknown-date'],
+    minConfidence: options['min-confidence'],
+    getSystemStats,
+    signal,
+    onProgress: ({ current, total }) => progress.update(dryRun ? 'Planning' : 'Sorting', current, total),
+  })
+  progress.end()
+
+  const failed = result.results.filter((r) => !r.success && !r.review)
+  const companionsOf = (r) => r.companions || []
+  let exitCode = EXIT.OK
+  if (result.cancelled) exitCode = EXIT.INTERRUPTED
+  else if (result.errors) exitCode = EXIT.PARTIAL
+  const verb = dryRun ? 'planned' : options.mode === 'copy' ? 'copied' : 'moved'
+  return {
+    exitCode,
+    result,
+    printText: () => {
+      result.results.filter((r) => r.success).forEach((r) => {
+        print(`${r.src} -> ${r.newPath}`)
+        companionsOf(r).filter((c) => !c.error).forEach((c) => print(`${c.src} -> ${c.newPath}`))
+        if (r.preservedName?.created) print(`(original name) -> ${r.preservedName.xmp}`)
+      })
+      failed.forEach((r) => process.stderr.write(`failed: ${r.src}: ${r.error}\n`))
+      result.results.filter((r) => r.review).forEach((r) => process.stderr.write(`review: ${r.src} (date from ${r.dateSource})\n`))
+      result.results
+        .filter((r) => r.preservedName?.error)
+        .forEach((r) => process.stderr.write(`original name not saved: ${r.newPath}: ${r.preservedName.error}\n`))
+      result.results.flatMap(companionsOf).filter((c) => c.error).forEach((c) => process.stderr.write(`failed: ${c.src}: ${c.error}\n`))
+    },
+    summary:
+      `${result.success}/${result.total} file(s) ${verb}` +
+      (result.companions ? ` with ${result.companions} companion file(s)` : '') +
+      (result.verified ? `, ${result.verified} verified` : '') +
+      (result.imported != null ? `, ${result.imported} dated from the archive` : '') +
+      (result.nameChanged != null ? `, ${result.nameChanged} renamed` : '') +
+      (result.quarantined ? `, ${result.quarantined} with an unknown date` : '') +
+      (result.review ? `, ${result.review} held for date review` : '') +
+      (result.crossDevice ? ` (${result.crossDevice} across drives: copied, verified, source deleted)` : '') +
+      (result.errors ? `, ${result.errors} error(s)` : '') +
+      (result.cancelled ? ', interrupted' : '') +
+      (result.runId ? ` (journal run ${result.runId})` : ''),
+  }
+}
+
+const runDuplicates = async ({ args, options, progress }) => {
+  requireArgs(args, ['src'], 'duplicates')
+  const filters = await scanFiltersFromOptions(options)
+  const { findDuplicates } = await import('./services/duplicateService.js')
+  progress.message(`Fingerprinting media under ${args[0]}...`)
+  const groups = await findDuplicates(args[0], { filters })
+  progress.end()
+  // Fingerprints (hashes, dimensions) are internal - keep what a script can act on
+  const result = {
+    source: args[0],
+    groups: groups.map((group) => ({
+      name: group.name,
+      files: group.files.map(({ path: filePath, size, type }) => ({ path: filePath, size, type })),
+    })),
+  }
+  return {
+    exitCode: EXIT.OK,
+    result,
+    printText: () =>
+      result.groups.forEach((group) => {
+        print(group.name)
+        group.files.forEach((file) => print(`  ${file.path}`))
+      }),
+    summary: `${result.groups.length} duplicate group(s)`,
+  }
+}
+
+const runFaces = async ({ args, options, progress, signal }) => {
+  requireArgs(args, ['src'], 'faces')
+  const concurrency = parseConcurrency(options.concurrency, 10)
+  const filters = await scanFiltersFromOptions(options)
+  const { scanFaces } = await import('./services/faceService.js')
+  const result = await scanFaces(
+    args[0],
+    (update) => {
+      if (update.phase === 'scan') progress.update('Scanning faces', update.current, update.total)
+      else if (update.message) progress.message(update.message)
+    },
+    { concurrency, signal, filters },
+  )
+  progress.end()
+  return {
+    exitCode: result.cancelled ? EXIT.INTERRUPTED : EXIT.OK,
+    result,
+    printText: () => result.faces.forEach((face) => print(`${face.label}\t${face.count}\t${face.paths[0] || ''}`)),
+    summary:
+      `${result.groupCount} face group(s) in ${result.totalFiles} file(s)` + (result.cancelled ? ', interrupted' : ''),
+  }
+}
+
+const runVerify = async ({ args, progress, signal }) => {
+  requireArgs(args, ['library'], 'verify')
+  const { verifyLibrary } = await import('./services/manifestService.js')
+  const report = await verifyLibrary(path.resolve(args[0]), {
+    signal,
+    onProgress: ({ current, total }) => progress.update('Verifying', current, total),
+  })
+  progress.end()
+  const problems = report.missing.length + report.corrupted.length + report.modified.length
+  let exitCode = EXIT.OK
+  if (report.cancelled) exitCode = EXIT.INTERRUPTED
+  else if (problems) exitCode = EXIT.PARTIAL
+  return {
+    exitCode,
+    result: report,
+    printText: () => {
+      report.missing.forEach((item) => print(`missing\t${item.path}`))
+      report.corrupted.forEach((item) => print(`corrupted\t${item.path}`))
+      report.modified.forEach((item) => print(`modified\t${item.path}`))
+      report.untracked.forEach((rel) => print(`untracked\t${rel}`))
+    },
+    summary:
+      `${report.ok}/${report.total} file(s) intact, ${report.missing.length} missing, ${report.corrupted.length} corrupted, ` +
+      `${report.modified.length} modified, ${report.untracked.length} untracked` +
+      (report.cancelled ? ', interrupted' : ''),
+  }
+}
+
+// abortable: the command stops cleanly on the first Ctrl+C (signal); otherwise it exits right away
+const COMMANDS = {
+  scan: { run: runScan, abortable: false },
+  sort: { run: runSort, abortable: true },
+  duplicates: { run: runDuplicates, abortable: false },
+  faces: { run: runFaces, abortable: true },
+  verify: { run: runVerify, abortable: true },
+}
+
+const main = async (argv) => {
+  let json = false
+  let progress = createProgress(false)
+  try {
+    const { values: options, positionals } = parseCli(argv)
+    json = options.json
+    if (options.version) {
+      print(readVersion())
+      return EXIT.OK
+    }
+    const [name, ...args] = positionals
+    if (options.help || !name || name === 'help') {
+      print(USAGE)
+      return options.help || name === 'help' ? EXIT.OK : EXIT.USAGE
+    }
+    const command = COMMANDS[name]
+    if (!command) throw usageError(`unknown command "${name}"`)
+
+    configureLogger(options.verbose ? { stderr: true } : { silent: true })
+    progress = createProgress(!options.quiet)
+    const controller = new AbortController()
+    let interrupted = false
+    const onSignal = () => {
+      if (interrupted || !command.abortable) process.exit(EXIT.INTERRUPTED)
+      interrupted = true
+      controller.abort()
+      progress.end()
+      process.stderr.write('Stopping after the files in progress (press Ctrl+C again to quit now)...\n')
+    }
+    process.on('SIGINT', onSignal)
+    process.on('SIGTERM', onSignal)
+
+    const outcome = await command.run({ args, options, progress, signal: controller.signal })
+    if (json) print(JSON.stringify(outcome.result, null, 2))
+    else outcome.printText()
+    if (!options.quiet || outcome.exitCode !== EXIT.OK) process.stderr.write(`${outcome.summary}\n`)
+    return outcome.exitCode
+  } catch (err) {
+    progress.end()
+    process.stderr.write(`hebphotosort: ${err.message}\n`)
+    if (err.exitCode === EXIT.USAGE) process.stderr.write('Run "hebphotosort --help" for usage\n')
+    if (json) print(JSON.stringify({ error: err.message }))
+    return err.exitCode || EXIT.FAILED
+  }
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code
+})
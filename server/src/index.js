@@ -6,6 +6,9 @@ import router from './routes/index.js'
 import { setupFaceScanSocket } from './routes/faces.js'
 import { setupSortSocket } from './routes/index.js'
 import { setupSystemStatsSocket } from './routes/systemStats.js'
+import { setupJobSocket } from './routes/jobs.js'
+import { recoverInterruptedRuns } from './services/checkpointService.js'
+import { startInboxes } from './services/inboxService.js'
 import logger from './utils/logger.js'
 
 const app = express()
@@ -66,9 +69,16 @@ process.on('uncaughtException', (err) => {
 setupFaceScanSocket(io)
 setupSortSocket(io)
 setupSystemStatsSocket(io)
+setupJobSocket(io)
+
+// Sort runs cut short by a crash / restart wait for the user to resume or roll them back
+recoverInterruptedRuns().catch((err) => {
+  logger.error('[startup] checking interrupted sort runs failed', err)
+})
 
 httpServer.listen(PORT, () => {
   logger.log(`HebPhotoSort API running on http://localhost:${PORT}`)
+  startInboxes()
   logger.log(`Socket.IO server ready`)
 })
 
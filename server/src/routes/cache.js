@@ -0,0 +1,66 @@
+import { Router } from 'express'
+import {
+  DEFAULT_CACHE_SETTINGS,
+  DEFAULT_CACHE_LOCATION,
+  getCacheStats,
+  clearCache,
+  getCacheSettings,
+  saveCacheSettings,
+} from '../services/cacheService.js'
+import logger from '../utils/logger.js'
+
+const cacheRouter = Router()
+
+const handleError = (res, label, err, extra = {}) => {
+  if (err?.status === 400) {
+    return res.status(400).json({ error: err.message })
+  }
+  logger.error(`[ROUTE /api/cache${label}] failed`, {
+    ...extra,
+    error: err?.message,
+    stack: err?.stack,
+  })
+  return res.status(500).json({ error: err.message })
+}
+
+// Settings + usage; defaults.location null = DEFAULT_CACHE_LOCATION
+cacheRouter.get('/', async (_req, res) => {
+  try {
+    res.json({
+      settings: getCacheSettings(),
+      defaults: DEFAULT_CACHE_SETTINGS,
+      defaultLocation: DEFAULT_CACHE_LOCATION,
+      stats: await getCacheStats(),
+    })
+  } catch (err) {
+    handleError(res, '', err)
+  }
+})
+
+cacheRouter.get('/stats', async (_req, res) => {
+  try {
+    res.json(await getCacheStats())
+  } catch (err) {
+    handleError(res, '/stats', err)
+  }
+})
+
+cacheRouter.put('/', async (req, res) => {
+  try {
+    const settings = await saveCacheSettings(req.body || {})
+    res.json({ settings, stats: await getCacheStats() })
+  } catch (err) {
+    handleError(res, '', err, { body: req.body })
+  }
+})
+
+// { kind } clears one kind (posters / thumbs / renditions / faces); without it - everything
+cacheRouter.post('/clear', async (req, res) => {
+  try {
+    res.json({ stats: await clearCache(req.body?.kind || null) })
+  } catch (err) {
+    handleError(res, '/clear', err, { body: req.body })
+  }
+})
+
+export default cacheRouter
@@ -0,0 +1,68 @@
+import { Router } from 'express'
+import { readExif, toHebrewDate, isMedia } from '../services/fileService.js'
+import { MONTHS } from '../services/eventService.js'
+import { assignDate, addToReview, listReview, dismissReview } from '../services/dateReviewService.js'
+import logger from '../utils/logger.js'
+
+const datesRouter = Router()
+
+const handleError = (res, label, err, extra = {}) => {
+  if (err?.status === 400) {
+    return res.status(400).json({ error: err.message })
+  }
+  logger.error(`[ROUTE /api/dates${label}] failed`, {
+    ...extra,
+    error: err?.message,
+    stack: err?.stack,
+  })
+  return res.status(500).json({ error: err.message })
+}
+
+// The review queue (files without a trustworthy date) + the Hebrew months for the date form
+datesRouter.get('/review', async (_req, res) => {
+  try {
+    res.json({ items: await listReview(), months: MONTHS })
+  } catch (err) {
+    handleError(res, '/review', err)
+  }
+})
+
+// Put files in the queue by hand, to give them a date before sorting
+datesRouter.post('/review', async (req, res) => {
+  try {
+    const { files, destRoot = null } = req.body || {}
+    if (!Array.isArray(files) || !files.length) return res.status(400).json({ error: 'files array is required' })
+    const media = files.filter(isMedia)
+    for (const src of media) {
+      const { date, dateSource, dateSourceDetail, dateConfidence } = await readExif(src)
+      await addToReview({ src, date, dateSource, dateSourceDetail, dateConfidence, destRoot })
+    }
+    res.json({ added: media.length })
+  } catch (err) {
+    handleError(res, '/review', err, { body: req.body })
+  }
+})
+
+// Assign a Gregorian or Hebrew date: { files, date: { gregorian } | { hebrewYear, hebrewMonth, hebrewDay }, time? }
+datesRouter.post('/assign', async (req, res) => {
+  try {
+    const { files, date } = req.body || {}
+    const result = await assignDate(files, date)
+    res.json({ ...result, hebrew: toHebrewDate(new Date(result.date)).full })
+  } catch (err) {
+    handleError(res, '/assign', err, { body: req.body })
+  }
+})
+
+// Remove files from the queue (their manual dates too)
+datesRouter.post('/dismiss', async (req, res) => {
+  try {
+    const { files } = req.body || {}
+    if (!Array.isArray(files) || !files.length) return res.status(400).json({ error: 'files array is required' })
+    res.json({ removed: await dismissReview(files) })
+  } catch (err) {
+    handleError(res, '/dismiss', err, { body: req.body })
+  }
+})
+
+export default datesRouter
@@ -6,11 +6,12 @@ const duplicatesRouter = Router()
 
 duplicatesRouter.post('/', async (req, res) => {
   try {
-    const { sourcePath } = req.body || {}
+    const { sourcePath, filters = null } = req.body || {}
     if (!sourcePath) return res.status(400).json({ error: 'sourcePath is required' })
-    const groups = await findDuplicates(sourcePath)
+    const groups = await findDuplicates(sourcePath, { filters })
     res.json({ groups, count: groups.length })
   } catch (err) {
+    if (err?.status === 400) return res.status(400).json({ error: err.message })
     logger.error('[ROUTE /api/duplicates] failed', {
       body: req.body,
       error: err?.message,
@@ -0,0 +1,64 @@
+import { Router } from 'express'
+import { HDate } from '@hebcal/core'
+import {
+  EVENT_TYPES,
+  MONTHS,
+  listEvents,
+  createEvent,
+  updateEvent,
+  deleteEvent,
+  occurrenceInYear,
+} from '../services/eventService.js'
+import logger from '../utils/logger.js'
+
+const eventsRouter = Router()
+
+const handleError = (res, label, err, extra = {}) => {
+  if (err?.status === 400) {
+    return res.status(400).json({ error: err.message })
+  }
+  logger.error(`[ROUTE /api/events${label}] failed`, {
+    ...extra,
+    error: err?.message,
+    stack: err?.stack,
+  })
+  return res.status(500).json({ error: err.message })
+}
+
+// All events + the civil date of each recurring event in the current Hebrew year
+eventsRouter.get('/', (_req, res) => {
+  const year = new HDate().getFullYear()
+  const events = listEvents().map((event) => ({ ...event, nextDate: occurrenceInYear(event, year) }))
+  res.json({ events, types: EVENT_TYPES, months: MONTHS })
+})
+
+eventsRouter.post('/', async (req, res) => {
+  try {
+    const event = await createEvent(req.body || {})
+    res.status(201).json(event)
+  } catch (err) {
+    handleError(res, '', err, { body: req.body })
+  }
+})
+
+eventsRouter.put('/:id', async (req, res) => {
+  try {
+    const event = await updateEvent(req.params.id, req.body || {})
+    if (!event) return res.status(404).json({ error: 'Event not found' })
+    res.json(event)
+  } catch (err) {
+    handleError(res, '/:id', err, { params: req.params, body: req.body })
+  }
+})
+
+eventsRouter.delete('/:id', async (req, res) => {
+  try {
+    const removed = await deleteEvent(req.params.id)
+    if (!removed) return res.status(404).json({ error: 'Event not found' })
+    res.json({ success: true })
+  } catch (err) {
+    handleError(res, '/:id', err, { params: req.params })
+  }
+})
+
+export default eventsRouter
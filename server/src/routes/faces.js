@@ -1,10 +1,13 @@
 import { Router } from 'express'
 import { scanFaces, getScanHistory } from '../services/faceService.js'
+import { startJob, cancelJob, jobRoom } from '../services/jobService.js'
+import { resolveScanFilters } from '../services/scanFilterService.js'
 import logger from '../utils/logger.js'
 
 const facesRouter = Router()
 
 // Socket.IO handler setup function
+// The scan runs as a registry job: a refresh or network blip no longer aborts it, the client resubscribes to the job room
 export const setupFaceScanSocket = (io) => {
   io.on('connection', (socket) => {
     logger.log(`[Socket.IO] Face scan client connected: ${socket.id}`)
@@ -12,104 +15,72 @@ export const setupFaceScanSocket = (io) => {
     // Log connection details
     logger.log(`[Socket.IO] Client transport: ${socket.conn.transport.name}`)
     
-    let currentAbortController = null
-    
-    // Handle disconnect - abort any ongoing scan
     socket.on('disconnect', () => {
-      if (currentAbortController) {
-        currentAbortController.abort()
-        currentAbortController = null
-      }
       logger.log(`[Socket.IO] Client disconnected: ${socket.id}`)
     })
     
-    // Handle stop request
-    socket.on('face-scan:stop', () => {
-      logger.log(`[Socket.IO] Stop requested by client: ${socket.id}`)
-      if (currentAbortController) {
-        currentAbortController.abort()
-        currentAbortController = null
-        socket.emit('face-scan:stopped', { message: 'Scan stopped by user' })
+    // Handle stop request (defaults to the last scan started from this socket)
+    socket.on('face-scan:stop', ({ jobId } = {}) => {
+      const id = jobId || socket.data.faceScanJobId
+      logger.log(`[Socket.IO] Stop requested by client: ${socket.id}, job: ${id}`)
+      if (!id) return
+      try {
+        cancelJob(id)
+      } catch (err) {
+        // Already finished or unknown - nothing to stop
+        socket.emit('face-scan:stopped', { jobId: id, message: err.message })
       }
     })
     
     // Handle face scan start
-    socket.on('face-scan:start', async ({ sourcePath, concurrency }) => {
+    socket.on('face-scan:start', ({ sourcePath, concurrency, filters = null }) => {
       const concurrencyNum = Math.min(100, Math.max(1, parseInt(concurrency, 10) || 10))
       
       if (!sourcePath) {
         socket.emit('face-scan:error', { error: 'sourcePath is required' })
         return
       }
-      
-      // Abort any existing scan
-      if (currentAbortController) {
-        currentAbortController.abort()
+      try {
+        resolveScanFilters(filters)
+      } catch (err) {
+        socket.emit('face-scan:error', { error: err.message })
+        return
       }
       
       logger.log(`[Socket.IO] Starting face scan: ${sourcePath}, concurrency: ${concurrencyNum}`)
       
-      // Create AbortController to signal cancellation to the scan service
-      const abortController = new AbortController()
-      currentAbortController = abortController
-      
-      // Send progress updates via Socket.IO
-      // If faces are included, send them as a separate 'faces' event for incremental display
-      const sendProgress = (data) => {
-        if (!socket.connected || abortController.signal.aborted) return
-        
-        // Send progress data (without faces to keep it light)
-        const { faces, ...progressData } = data
-        socket.emit('face-scan:progress', progressData)
-        
-        // If faces are included, send them as incremental update
-        if (faces && faces.length > 0) {
-          socket.emit('face-scan:faces', { faces, total: data.total, current: data.current })
-        }
-      }
+      const job = startJob({
+        kind: 'face-scan',
+        params: { sourcePath, concurrency: concurrencyNum, filters },
+        run: async ({ signal, waitIfPaused, emit, setProgress, setItems }) => {
+          // Progress goes out without faces to keep it light;
+          // faces (the full current grouping) go as a separate 'faces' event for incremental display
+          const sendProgress = (data) => {
+            const { faces, ...progressData } = data
+            setProgress(progressData)
+            emit('face-scan:progress', progressData)
+            if (faces && faces.length > 0) {
+              setItems(faces)
+              emit('face-scan:faces', { faces, total: data.total, current: data.current })
+            }
+          }
+          
+          const result = await scanFaces(sourcePath, sendProgress, {
+            concurrency: concurrencyNum,
+            signal,
+            waitIfPaused,
+            filters,
+          })
+          if (signal.aborted) return result
+          emit('face-scan:result', result)
+          emit('face-scan:done', { message: 'Scan completed' })
+          return result
+        },
+      })
       
-      try {
-        const result = await scanFaces(sourcePath, sendProgress, { 
-          concurrency: concurrencyNum,
-          signal: abortController.signal 
-        })
-        
-        // Clear the abort controller if this scan completed
-        if (currentAbortController === abortController) {
-          currentAbortController = null
-        }
-        
-        if (!socket.connected || abortController.signal.aborted) {
-          logger.log('[Socket.IO] Scan completed/cancelled but client already disconnected or aborted')
-          return
-        }
-        
-        // Send final result (even if cancelled, send what we have)
-        socket.emit('face-scan:result', result)
-        socket.emit('face-scan:done', { message: 'Scan completed' })
-      } catch (err) {
-        // Clear the abort controller
-        if (currentAbortController === abortController) {
-          currentAbortController = null
-        }
-        
-        // Don't emit error if it was just an abort
-        if (err.name === 'AbortError' || abortController.signal.aborted) {
-          logger.log('[Socket.IO] Scan aborted')
-          return
-        }
-        
-        logger.error('[Socket.IO] Face scan failed', {
-          sourcePath,
-          error: err?.message,
-          stack: err?.stack,
-        })
-        
-        if (!socket.connected) return
-        
-        // Send error via Socket.IO
-        socket.emit('face-scan:error', { error: err.message, code: err.code })
-      }
+      socket.data.faceScanJobId = job.id
+      socket.join(jobRoom(job.id))
+      socket.emit('job:started', job)
     })
   })
 }
@@ -117,12 +88,12 @@ export const setupFaceScanSocket = (io) => {
 // Regular POST endpoint (for backwards compatibility)
 facesRouter.post('/scan', async (req, res) => {
   try {
-    const { sourcePath } = req.body || {}
+    const { sourcePath, filters = null } = req.body || {}
     if (!sourcePath) return res.status(400).json({ error: 'sourcePath is required' })
-    const result = await scanFaces(sourcePath)
+    const result = await scanFaces(sourcePath, null, { filters })
     res.json(result)
   } catch (err) {
-    if (err?.code === 'ENOENT') {
+    if (err?.code === 'ENOENT' || err?.status === 400) {
       return res.status(400).json({ error: err.message })
     }
     logger.error('[ROUTE /api/faces/scan] failed', {
@@ -0,0 +1,73 @@
+import { Router } from 'express'
+import {
+  DEFAULT_FILENAME_PATTERNS,
+  normalizePatterns,
+  getFilenamePatterns,
+  saveFilenamePatterns,
+  resetFilenamePatterns,
+  inferDateFromFilename,
+} from '../services/filenameDateService.js'
+import logger from '../utils/logger.js'
+
+const filenamePatternsRouter = Router()
+
+const handleError = (res, route, err, body) => {
+  logger.error(`[ROUTE /api/filename-patterns${route}] failed`, {
+    body,
+    error: err?.message,
+    stack: err?.stack,
+  })
+  res.status(500).json({ error: err.message })
+}
+
+// Current ordered pattern list + built-in defaults
+filenamePatternsRouter.get('/', async (_req, res) => {
+  try {
+    res.json({ patterns: await getFilenamePatterns(), defaults: DEFAULT_FILENAME_PATTERNS })
+  } catch (err) {
+    handleError(res, '', err)
+  }
+})
+
+// Replace the ordered pattern list
+filenamePatternsRouter.put('/', async (req, res) => {
+  const { patterns } = req.body || {}
+  try {
+    normalizePatterns(patterns)
+  } catch (err) {
+    return res.status(400).json({ error: err.message })
+  }
+  try {
+    res.json({ patterns: await saveFilenamePatterns(patterns) })
+  } catch (err) {
+    handleError(res, '', err, req.body)
+  }
+})
+
+filenamePatternsRouter.post('/reset', async (_req, res) => {
+  try {
+    res.json({ patterns: await resetFilenamePatterns() })
+  } catch (err) {
+    handleError(res, '/reset', err)
+  }
+})
+
+// Try a file name against the configured patterns (or a draft list from the body)
+filenamePatternsRouter.post('/test', async (req, res) => {
+  const { filename, patterns } = req.body || {}
+  if (!filename) return res.status(400).json({ error: 'filename is required' })
+  let draft = null
+  try {
+    draft = patterns ? normalizePatterns(patterns) : null
+  } catch (err) {
+    return res.status(400).json({ error: err.message })
+  }
+  try {
+    const result = await inferDateFromFilename(filename, draft)
+    res.json(result ? { matched: true, date: result.date.toISOString(), pattern: result.pattern } : { matched: false })
+  } catch (err) {
+    handleError(res, '/test', err, req.body)
+  }
+})
+
+export default filenamePatternsRouter
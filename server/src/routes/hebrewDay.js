@@ -0,0 +1,38 @@
+import { Router } from 'express'
+import { MODES, getHebrewDaySettings, saveHebrewDaySettings } from '../services/hebrewDayService.js'
+import { toHebrewDate } from '../services/fileService.js'
+import logger from '../utils/logger.js'
+
+const hebrewDayRouter = Router()
+
+// Current day-boundary settings (civil / sunset / tzeit + location)
+hebrewDayRouter.get('/', (_req, res) => {
+  res.json({ settings: getHebrewDaySettings(), modes: MODES })
+})
+
+hebrewDayRouter.put('/', async (req, res) => {
+  try {
+    const settings = await saveHebrewDaySettings(req.body || {})
+    res.json({ settings })
+  } catch (err) {
+    if (err?.status === 400) return res.status(400).json({ error: err.message })
+    logger.error('[ROUTE /api/hebrew-day] failed', {
+      body: req.body,
+      error: err?.message,
+      stack: err?.stack,
+    })
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Hebrew date of a sample time with the saved settings, e.g. Friday 21:00
+hebrewDayRouter.post('/preview', (req, res) => {
+  const { date, latitude, longitude } = req.body || {}
+  const sample = date ? new Date(date) : new Date()
+  if (isNaN(sample.getTime())) return res.status(400).json({ error: 'Invalid date' })
+  const gps = latitude != null && longitude != null ? { latitude: Number(latitude), longitude: Number(longitude) } : null
+  const hebrew = toHebrewDate(sample, { gps })
+  res.json({ date: sample.toISOString(), full: hebrew.full, weekday: hebrew.weekday, afterNightfall: hebrew.afterNightfall })
+})
+
+export default hebrewDayRouter
@@ -0,0 +1,35 @@
+import { Router } from 'express'
+import { HDate } from '@hebcal/core'
+import { getHolidaySettings, saveHolidaySettings, listHolidays, listYearPeriods } from '../services/holidayService.js'
+import logger from '../utils/logger.js'
+
+const holidaysRouter = Router()
+
+// Israel / diaspora calendar + which holidays get their own folder
+holidaysRouter.get('/', (_req, res) => {
+  res.json({ settings: getHolidaySettings(), holidays: listHolidays() })
+})
+
+holidaysRouter.put('/', async (req, res) => {
+  try {
+    const settings = await saveHolidaySettings(req.body || {})
+    res.json({ settings, holidays: listHolidays() })
+  } catch (err) {
+    if (err?.status === 400) return res.status(400).json({ error: err.message })
+    logger.error('[ROUTE /api/holidays] failed', {
+      body: req.body,
+      error: err?.message,
+      stack: err?.stack,
+    })
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Holiday periods of a Hebrew year (default: current year) with the saved settings
+holidaysRouter.get('/periods', (req, res) => {
+  const year = req.query.year ? Number(req.query.year) : new HDate().getFullYear()
+  if (!Number.isInteger(year) || year < 3762 || year > 6000) return res.status(400).json({ error: 'Invalid Hebrew year' })
+  res.json({ year, periods: listYearPeriods(year) })
+})
+
+export default holidaysRouter
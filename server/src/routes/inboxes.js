@@ -0,0 +1,64 @@
+import { Router } from 'express'
+import { MODES, listInboxes, createInbox, updateInbox, deleteInbox, rescanInbox } from '../services/inboxService.js'
+import logger from '../utils/logger.js'
+
+const inboxesRouter = Router()
+
+const handleError = (res, label, err, extra = {}) => {
+  if (err?.status === 400) {
+    return res.status(400).json({ error: err.message })
+  }
+  logger.error(`[ROUTE /api/inboxes${label}] failed`, {
+    ...extra,
+    error: err?.message,
+    stack: err?.stack,
+  })
+  return res.status(500).json({ error: err.message })
+}
+
+// All inboxes with watch status, pending files and recent events
+inboxesRouter.get('/', (_req, res) => {
+  res.json({ inboxes: listInboxes(), modes: MODES })
+})
+
+inboxesRouter.post('/', async (req, res) => {
+  try {
+    const inbox = await createInbox(req.body || {})
+    res.status(201).json(inbox)
+  } catch (err) {
+    handleError(res, '', err, { body: req.body })
+  }
+})
+
+inboxesRouter.put('/:id', async (req, res) => {
+  try {
+    const inbox = await updateInbox(req.params.id, req.body || {})
+    if (!inbox) return res.status(404).json({ error: 'Inbox not found' })
+    res.json(inbox)
+  } catch (err) {
+    handleError(res, '/:id', err, { params: req.params, body: req.body })
+  }
+})
+
+inboxesRouter.delete('/:id', async (req, res) => {
+  try {
+    const removed = await deleteInbox(req.params.id)
+    if (!removed) return res.status(404).json({ error: 'Inbox not found' })
+    res.json({ success: true })
+  } catch (err) {
+    handleError(res, '/:id', err, { params: req.params })
+  }
+})
+
+// Look for new files now instead of waiting for the periodic rescan
+inboxesRouter.post('/:id/rescan', async (req, res) => {
+  try {
+    const inbox = await rescanInbox(req.params.id)
+    if (!inbox) return res.status(404).json({ error: 'Inbox not found' })
+    res.json(inbox)
+  } catch (err) {
+    handleError(res, '/:id/rescan', err, { params: req.params })
+  }
+})
+
+export default inboxesRouter
@@ -1,42 +1,90 @@
 import { Router } from 'express'
 import fssync from 'node:fs'
 import path from 'node:path'
-import { scanFolder, deleteFile, createFolder, readExif, sortFile, sortFilesBatch, cleanPath } from '../services/fileService.js'
+import {
+  scanFolder,
+  deleteFile,
+  createFolder,
+  readExif,
+  sortFile,
+  sortFilesBatch,
+  cleanPath,
+  UNKNOWN_DATE_POLICIES,
+  CONFIDENCE_LEVELS,
+} from '../services/fileService.js'
 import { getPosterPath } from '../services/posterService.js'
+import { parseThumbSize, getThumbnailPath } from '../services/thumbnailService.js'
+import { needsRendition, getRenditionPath } from '../services/imageFormatService.js'
 import { getSystemStats } from '../services/systemStatsService.js'
 import mime from 'mime-types'
 import duplicatesRouter from './duplicates.js'
 import facesRouter from './faces.js'
+import journalRouter from './journal.js'
+import templatesRouter from './templates.js'
+import filenamePatternsRouter from './filenamePatterns.js'
+import hebrewDayRouter from './hebrewDay.js'
+import holidaysRouter from './holidays.js'
+import eventsRouter from './events.js'
+import jobsRouter from './jobs.js'
+import sortRunsRouter from './sortRuns.js'
+import inboxesRouter from './inboxes.js'
+import manifestRouter from './manifest.js'
+import datesRouter from './dates.js'
+import scanFiltersRouter from './scanFilters.js'
+import scanRouter from './scan.js'
+import cacheRouter from './cache.js'
+import { validateTemplate, validateNamePattern } from '../services/templateService.js'
+import { cancelJob, jobRoom } from '../services/jobService.js'
+import { startSortJob } from '../services/sortJobService.js'
 import logger from '../utils/logger.js'
 
+// Error message for an invalid unknown-date policy, or null
+const checkUnknownDatePolicy = (unknownDatePolicy, minConfidence) => {
+  if (!UNKNOWN_DATE_POLICIES.includes(unknownDatePolicy)) {
+    return `unknownDatePolicy must be one of: ${UNKNOWN_DATE_POLICIES.join(', ')}`
+  }
+  if (!CONFIDENCE_LEVELS.includes(minConfidence)) return `minConfidence must be one of: ${CONFIDENCE_LEVELS.join(', ')}`
+  return null
+}
+
 // Socket.IO handler setup function for file sorting
+// The sort runs as a registry job: it keeps going when this socket disconnects, and progress goes to the job room
 export const setupSortSocket = (io) => {
   io.on('connection', (socket) => {
     logger.log(`[Socket.IO] Sort client connected: ${socket.id}`)
-    
-    let currentAbortController = null
-    
-    // Handle disconnect
+
     socket.on('disconnect', () => {
-      if (currentAbortController) {
-        currentAbortController.abort()
-        currentAbortController = null
-      }
       logger.log(`[Socket.IO] Sort client disconnected: ${socket.id}`)
     })
-    
-    // Handle stop request
-    socket.on('sort:stop', () => {
-      logger.log(`[Socket.IO] Stop requested by client: ${socket.id}`)
-      if (currentAbortController) {
-        currentAbortController.abort()
-        currentAbortController = null
-        socket.emit('sort:stopped', { message: 'Sort stopped by user' })
+
+    // Handle stop request (defaults to the last sort started from this socket)
+    socket.on('sort:stop', ({ jobId } = {}) => {
+      const id = jobId || socket.data.sortJobId
+      logger.log(`[Socket.IO] Stop requested by client: ${socket.id}, job: ${id}`)
+      if (!id) return
+      try {
+        cancelJob(id)
+      } catch (err) {
+        // Already finished or unknown - nothing to stop
+        socket.emit('sort:stopped', { jobId: id, message: err.message })
       }
     })
-    
+
     // Handle sort batch start
-    socket.on('sort:start', async ({ files, destRoot, format = 'month-year', mode = 'move', concurrency = 5 }) => {
+    socket.on('sort:start', ({
+      files,
+      destRoot,
+      format = 'month-year',
+      mode = 'move',
+      concurrency = 5,
+      dryRun = false,
+      verify = false,
+      importMode = false,
+      renamePattern = null,
+      keepOriginalName = false,
+      unknownDatePolicy = 'sort',
+      minConfidence = 'medium',
+    }) => {
       if (!Array.isArray(files) || !files.length) {
         socket.emit('sort:error', { error: 'files array is required' })
         return
@@ -45,70 +93,27 @@ export const setupSortSocket = (io) => {
         socket.emit('sort:error', { error: 'destRoot is required' })
         return
       }
-      
-      // Abort any existing sort
-      if (currentAbortController) {
-        currentAbortController.abort()
-      }
-      
-      logger.log(`[Socket.IO] Starting sort: ${files.length} files, concurrency: ${concurrency}`)
-      
-      // Create AbortController
-      const abortController = new AbortController()
-      currentAbortController = abortController
-      
-      // Send progress updates via Socket.IO
-      const sendProgress = (progress) => {
-        if (!socket.connected || abortController.signal.aborted) return
-        socket.emit('sort:progress', progress)
-      }
-      
-      try {
-        const result = await sortFilesBatch({
-          files,
-          destRoot,
-          format,
-          mode,
-          concurrency,
-          getSystemStats,
-          onProgress: sendProgress
-        })
-        
-        // Clear the abort controller if this sort completed
-        if (currentAbortController === abortController) {
-          currentAbortController = null
-        }
-        
-        if (!socket.connected || abortController.signal.aborted) {
-          logger.log('[Socket.IO] Sort completed/cancelled but client already disconnected or aborted')
-          return
-        }
-        
-        // Send final result
-        socket.emit('sort:result', result)
-        socket.emit('sort:done', { message: 'Sort completed' })
-      } catch (err) {
-        // Clear the abort controller
-        if (currentAbortController === abortController) {
-          currentAbortController = null
-        }
-        
-        // Don't emit error if it was just an abort
-        if (err.name === 'AbortError' || abortController.signal.aborted) {
-          logger.log('[Socket.IO] Sort aborted')
-          return
-        }
-        
-        logger.error('[Socket.IO] Sort failed', {
-          error: err?.message,
-          stack: err?.stack,
-        })
-        
-        if (!socket.connected) return
-        
-        // Send error via Socket.IO
-        socket.emit('sort:error', { error: err.message })
-      }
+
+      logger.log(`[Socket.IO] Starting sort${dryRun ? ' (dry-run)' : ''}: ${files.length} files, concurrency: ${concurrency}`)
+
+      const job = startSortJob({
+        files,
+        destRoot,
+        format,
+        mode,
+        concurrency,
+        dryRun,
+        verify,
+        importMode,
+        renamePattern,
+        keepOriginalName,
+        unknownDatePolicy,
+        minConfidence,
+      })
+
+      socket.data.sortJobId = job.id
+      socket.join(jobRoom(job.id))
+      socket.emit('job:started', job)
     })
   })
 }
@@ -132,9 +137,10 @@ router.get('/system-stats', async (_req, res) => {
   }
 })
 
+// destPath: the sort destination is not scanned when it sits under the source; filters override the saved scan filters
 router.post('/scan', async (req, res) => {
   try {
-    const { sourcePath } = req.body || {}
+    const { sourcePath, destPath = null, filters = null } = req.body || {}
     if (!sourcePath) {
       return res.status(400).json({ error: 'sourcePath is required' })
     }
@@ -146,9 +152,10 @@ router.post('/scan', async (req, res) => {
       })
     }
     
-    const result = await scanFolder(sourcePath)
+    const result = await scanFolder(sourcePath, { filters, exclude: destPath ? [destPath] : [] })
     res.json(result)
   } catch (err) {
+    if (err?.status === 400) return res.status(400).json({ error: err.message })
     logger.error('[ROUTE /api/scan] failed', {
       body: req.body,
       error: err?.message,
@@ -162,8 +169,8 @@ router.post('/delete', async (req, res) => {
   try {
     const { targetPath } = req.body || {}
     if (!targetPath) return res.status(400).json({ error: 'targetPath is required' })
-    await deleteFile(targetPath)
-    res.json({ success: true })
+    const result = await deleteFile(targetPath)
+    res.json({ success: true, ...result })
   } catch (err) {
     logger.error('[ROUTE /api/delete] failed', {
       body: req.body,
@@ -192,11 +199,11 @@ router.post('/create-folder', async (req, res) => {
 
 router.post('/exif', async (req, res) => {
   try {
-    const { targetPath } = req.body || {}
+    const { targetPath, importMode = false } = req.body || {}
     if (!targetPath || !fssync.existsSync(targetPath)) {
       return res.status(400).json({ error: 'Invalid path' })
     }
-    const data = await readExif(targetPath)
+    const data = await readExif(targetPath, { importMode: Boolean(importMode) })
     res.json(data)
   } catch (err) {
     logger.error('[ROUTE /api/exif] failed', {
@@ -210,9 +217,37 @@ router.post('/exif', async (req, res) => {
 
 router.post('/sort', async (req, res) => {
   try {
-    const { src, destRoot, format = 'month-year', mode = 'move' } = req.body || {}
+    const {
+      src,
+      destRoot,
+      format = 'month-year',
+      mode = 'move',
+      verify = false,
+      importMode = false,
+      renamePattern = null,
+      keepOriginalName = false,
+      unknownDatePolicy = 'sort',
+      minConfidence = 'medium',
+    } = req.body || {}
     if (!src || !destRoot) return res.status(400).json({ error: 'Invalid paths' })
-    const result = await sortFile({ src, destRoot, format, mode })
+    const policyError = checkUnknownDatePolicy(unknownDatePolicy, minConfidence)
+    if (policyError) return res.status(400).json({ error: policyError })
+    const templateCheck = validateTemplate(format)
+    if (!templateCheck.valid) return res.status(400).json({ error: templateCheck.errors.join(', ') })
+    const nameCheck = renamePattern ? validateNamePattern(renamePattern) : null
+    if (nameCheck && !nameCheck.valid) return res.status(400).json({ error: nameCheck.errors.join(', ') })
+    const result = await sortFile({
+      src,
+      destRoot,
+      format,
+      mode,
+      verify: Boolean(verify),
+      importMode: Boolean(importMode),
+      renamePattern: renamePattern || null,
+      keepOriginalName: Boolean(keepOriginalName),
+      unknownDatePolicy,
+      minConfidence,
+    })
     res.json(result)
   } catch (err) {
     logger.error('[ROUTE /api/sort] failed', {
@@ -226,11 +261,30 @@ router.post('/sort', async (req, res) => {
 
 router.post('/sort-batch', async (req, res) => {
   try {
-    const { files, destRoot, format = 'month-year', mode = 'move', concurrency = 5 } = req.body || {}
+    const {
+      files,
+      destRoot,
+      format = 'month-year',
+      mode = 'move',
+      concurrency = 5,
+      dryRun = false,
+      verify = false,
+      importMode = false,
+      renamePattern = null,
+      keepOriginalName = false,
+      unknownDatePolicy = 'sort',
+      minConfidence = 'medium',
+    } = req.body || {}
     if (!Array.isArray(files) || !files.length) {
       return res.status(400).json({ error: 'files array is required' })
     }
     if (!destRoot) return res.status(400).json({ error: 'destRoot is required' })
+    const templateCheck = validateTemplate(format)
+    if (!templateCheck.valid) return res.status(400).json({ error: templateCheck.errors.join(', ') })
+    const nameCheck = renamePattern ? validateNamePattern(renamePattern) : null
+    if (nameCheck && !nameCheck.valid) return res.status(400).json({ error: nameCheck.errors.join(', ') })
+    const policyError = checkUnknownDatePolicy(unknownDatePolicy, minConfidence)
+    if (policyError) return res.status(400).json({ error: policyError })
 
     // Track progress
     let lastProgress = { current: 0, total: files.length, active: 0, concurrency: concurrency }
@@ -244,6 +298,13 @@ router.post('/sort-batch', async (req, res) => {
       format, 
       mode, 
       concurrency,
+      dryRun: Boolean(dryRun),
+      verify: Boolean(verify),
+      importMode: Boolean(importMode),
+      renamePattern: renamePattern || null,
+      keepOriginalName: Boolean(keepOriginalName),
+      unknownDatePolicy,
+      minConfidence,
       getSystemStats,
       onProgress
     })
@@ -266,17 +327,33 @@ router.post('/sort-batch', async (req, res) => {
 
 router.use('/duplicates', duplicatesRouter)
 router.use('/faces', facesRouter)
+router.use('/journal', journalRouter)
+router.use('/templates', templatesRouter)
+router.use('/filename-patterns', filenamePatternsRouter)
+router.use('/hebrew-day', hebrewDayRouter)
+router.use('/holidays', holidaysRouter)
+router.use('/events', eventsRouter)
+router.use('/jobs', jobsRouter)
+router.use('/sort-runs', sortRunsRouter)
+router.use('/inboxes', inboxesRouter)
+router.use('/manifest', manifestRouter)
+router.use('/dates', datesRouter)
+router.use('/scan-filters', scanFiltersRouter)
+router.use('/scan', scanRouter)
+router.use('/cache', cacheRouter)
 
 router.get('/file', async (req, res) => {
   try {
     const target = cleanPath(req.query.path)
     if (!target) return res.status(400).json({ error: 'path is required' })
     if (!fssync.existsSync(target)) return res.status(404).json({ error: 'File not found' })
-    const stat = await fssync.promises.stat(target)
-    if (!stat.isFile()) return res.status(400).json({ error: 'Not a file' })
+    if (!(await fssync.promises.stat(target)).isFile()) return res.status(400).json({ error: 'Not a file' })
 
+    // HEIC / TIFF / RAW are served as a cached JPEG rendition unless ?original=1
+    const servedPath = needsRendition(target) && req.query.original !== '1' ? await getRenditionPath(target) : target
+    const stat = await fssync.promises.stat(servedPath)
     const range = req.headers.range
-    const mimeType = mime.lookup(target) || 'application/octet-stream'
+    const mimeType = servedPath === target ? mime.lookup(target) || 'application/octet-stream' : 'image/jpeg'
 
     if (range) {
       const [startStr, endStr] = range.replace(/bytes=/, '').split('-')
@@ -294,7 +371,7 @@ router.get('/file', async (req, res) => {
         'Content-Length': chunkSize,
         'Content-Type': mimeType,
       })
-      const stream = fssync.createReadStream(target, { start, end })
+      const stream = fssync.createReadStream(servedPath, { start, end })
       stream.pipe(res)
       stream.on('error', (err) => {
         res.status(500).end(err.message)
@@ -304,7 +381,7 @@ router.get('/file', async (req, res) => {
 
     res.setHeader('Content-Type', mimeType)
     res.setHeader('Content-Length', stat.size)
-    const stream = fssync.createReadStream(target)
+    const stream = fssync.createReadStream(servedPath)
     stream.pipe(res)
     stream.on('error', (err) => {
       res.status(500).end(err.message)
@@ -342,5 +419,28 @@ router.get('/poster', async (req, res) => {
   }
 })
 
+// Square JPEG thumbnail (size px, default 240) - images and video posters alike; cached on disk by path + mtime
+router.get('/thumb', async (req, res) => {
+  try {
+    const target = cleanPath(req.query.path)
+    if (!target) return res.status(400).json({ error: 'path is required' })
+    const size = parseThumbSize(req.query.size)
+    if (!fssync.existsSync(target)) return res.status(404).json({ error: 'File not found' })
+    if (!(await fssync.promises.stat(target)).isFile()) return res.status(400).json({ error: 'Not a file' })
+
+    const thumbPath = await getThumbnailPath(target, size)
+    if (!thumbPath) return res.status(404).json({ error: 'Thumbnail not available' })
+    return res.sendFile(path.resolve(thumbPath))
+  } catch (err) {
+    if (err?.status === 400) return res.status(400).json({ error: err.message })
+    logger.error('[ROUTE /api/thumb] failed', {
+      query: req.query,
+      error: err?.message,
+      stack: err?.stack,
+    })
+    res.status(500).json({ error: err.message })
+  }
+})
+
 export default router
 
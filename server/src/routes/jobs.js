@@ -0,0 +1,75 @@
+import { Router } from 'express'
+import {
+  JOB_KINDS,
+  jobRoom,
+  setJobIo,
+  listJobs,
+  getJob,
+  pauseJob,
+  resumeJob,
+  cancelJob,
+} from '../services/jobService.js'
+import logger from '../utils/logger.js'
+
+const jobsRouter = Router()
+
+// Socket.IO: resubscribe to a running (or recently finished) job after a refresh / reconnect
+export const setupJobSocket = (io) => {
+  setJobIo(io)
+  io.on('connection', (socket) => {
+    socket.on('job:subscribe', ({ jobId } = {}) => {
+      const job = jobId ? getJob(jobId) : null
+      if (!job) {
+        socket.emit('job:error', { jobId, error: 'Job not found' })
+        return
+      }
+      socket.join(jobRoom(jobId))
+      logger.log(`[Socket.IO] ${socket.id} subscribed to job ${jobId}`)
+      socket.emit('job:snapshot', job)
+    })
+
+    socket.on('job:unsubscribe', ({ jobId } = {}) => {
+      if (jobId) socket.leave(jobRoom(jobId))
+    })
+  })
+}
+
+const handleError = (res, label, err, extra = {}) => {
+  if ([400, 404, 409].includes(err?.status)) {
+    return res.status(err.status).json({ error: err.message })
+  }
+  logger.error(`[ROUTE /api/jobs${label}] failed`, {
+    ...extra,
+    error: err?.message,
+    stack: err?.stack,
+  })
+  return res.status(500).json({ error: err.message })
+}
+
+jobsRouter.get('/', (req, res) => {
+  const { kind } = req.query
+  if (kind && !JOB_KINDS.includes(kind)) {
+    return res.status(400).json({ error: `kind must be one of: ${JOB_KINDS.join(', ')}` })
+  }
+  res.json({ jobs: listJobs({ kind }) })
+})
+
+jobsRouter.get('/:id', (req, res) => {
+  const job = getJob(req.params.id)
+  if (!job) return res.status(404).json({ error: 'Job not found' })
+  res.json(job)
+})
+
+const actions = { pause: pauseJob, resume: resumeJob, cancel: cancelJob }
+
+Object.entries(actions).forEach(([action, fn]) => {
+  jobsRouter.post(`/:id/${action}`, (req, res) => {
+    try {
+      res.json(fn(req.params.id))
+    } catch (err) {
+      handleError(res, `/:id/${action}`, err, { params: req.params })
+    }
+  })
+})
+
+export default jobsRouter
@@ -0,0 +1,84 @@
+import { Router } from 'express'
+import { listRuns, getRun, undoRun, redoRun, undoEntries, redoEntries } from '../services/journalService.js'
+import logger from '../utils/logger.js'
+
+const journalRouter = Router()
+
+const handleError = (res, label, err, extra = {}) => {
+  if (err?.status === 404) {
+    return res.status(404).json({ error: err.message })
+  }
+  logger.error(`[ROUTE /api/journal${label}] failed`, {
+    ...extra,
+    error: err?.message,
+    stack: err?.stack,
+  })
+  return res.status(500).json({ error: err.message })
+}
+
+// List all runs (newest first)
+journalRouter.get('/runs', async (_req, res) => {
+  try {
+    const runs = await listRuns()
+    res.json({ runs, count: runs.length })
+  } catch (err) {
+    handleError(res, '/runs', err)
+  }
+})
+
+// Get a single run with its entries
+journalRouter.get('/runs/:runId', async (req, res) => {
+  try {
+    const run = await getRun(req.params.runId)
+    if (!run) return res.status(404).json({ error: 'Run not found' })
+    res.json(run)
+  } catch (err) {
+    handleError(res, '/runs/:runId', err, { params: req.params })
+  }
+})
+
+journalRouter.post('/runs/:runId/undo', async (req, res) => {
+  try {
+    const result = await undoRun(req.params.runId)
+    res.json(result)
+  } catch (err) {
+    handleError(res, '/runs/:runId/undo', err, { params: req.params })
+  }
+})
+
+journalRouter.post('/runs/:runId/redo', async (req, res) => {
+  try {
+    const result = await redoRun(req.params.runId)
+    res.json(result)
+  } catch (err) {
+    handleError(res, '/runs/:runId/redo', err, { params: req.params })
+  }
+})
+
+journalRouter.post('/entries/undo', async (req, res) => {
+  try {
+    const { entryIds } = req.body || {}
+    if (!Array.isArray(entryIds) || !entryIds.length) {
+      return res.status(400).json({ error: 'entryIds array is required' })
+    }
+    const result = await undoEntries(entryIds)
+    res.json(result)
+  } catch (err) {
+    handleError(res, '/entries/undo', err, { body: req.body })
+  }
+})
+
+journalRouter.post('/entries/redo', async (req, res) => {
+  try {
+    const { entryIds } = req.body || {}
+    if (!Array.isArray(entryIds) || !entryIds.length) {
+      return res.status(400).json({ error: 'entryIds array is required' })
+    }
+    const result = await redoEntries(entryIds)
+    res.json(result)
+  } catch (err) {
+    handleError(res, '/entries/redo', err, { body: req.body })
+  }
+})
+
+export default journalRouter
@@ -0,0 +1,56 @@
+import { Router } from 'express'
+import { getManifestSummary, verifyLibrary, acceptChanges } from '../services/manifestService.js'
+import { startJob } from '../services/jobService.js'
+import logger from '../utils/logger.js'
+
+const manifestRouter = Router()
+
+const handleError = (res, label, err, extra = {}) => {
+  if ([400, 404].includes(err?.status)) {
+    return res.status(err.status).json({ error: err.message })
+  }
+  logger.error(`[ROUTE /api/manifest${label}] failed`, {
+    ...extra,
+    error: err?.message,
+    stack: err?.stack,
+  })
+  return res.status(500).json({ error: err.message })
+}
+
+// Number of tracked files and the last verification of a library
+manifestRouter.get('/', async (req, res) => {
+  try {
+    res.json(await getManifestSummary(req.query.destRoot))
+  } catch (err) {
+    handleError(res, '', err, { query: req.query })
+  }
+})
+
+// Re-hash the whole library as a background job - poll GET /api/jobs/:id for progress and the report
+manifestRouter.post('/verify', async (req, res) => {
+  try {
+    const { destRoot } = req.body || {}
+    // Fail fast on a missing manifest instead of starting a job that fails right away
+    const { files } = await getManifestSummary(destRoot)
+    const job = startJob({
+      kind: 'verify',
+      params: { destRoot, total: files },
+      run: ({ signal, waitIfPaused, setProgress }) => verifyLibrary(destRoot, { signal, waitIfPaused, onProgress: setProgress }),
+    })
+    res.status(202).json(job)
+  } catch (err) {
+    handleError(res, '/verify', err, { body: req.body })
+  }
+})
+
+// Accept intended changes: re-hash existing files, drop missing ones from the manifest
+manifestRouter.post('/accept', async (req, res) => {
+  try {
+    const { destRoot, paths } = req.body || {}
+    res.json(await acceptChanges(destRoot, paths))
+  } catch (err) {
+    handleError(res, '/accept', err, { body: req.body })
+  }
+})
+
+export default manifestRouter
@@ -0,0 +1,68 @@
+import { Router } from 'express'
+import { createScanSession, getScanSession, describePages } from '../services/scanSessionService.js'
+import logger from '../utils/logger.js'
+
+const scanRouter = Router()
+
+// NDJSON - one JSON object per line, so the client can show each page as soon as it arrives
+const writeLine = (res, data) => {
+  if (!res.headersSent) res.type('application/x-ndjson')
+  res.write(`${JSON.stringify(data)}\n`)
+}
+
+// Page lines until limit, then { type: 'end', nextCursor } - nextCursor null = no more files
+const streamPages = async (req, res, session, { cursor, limit, pageSize }) => {
+  let closed = false
+  res.on('close', () => {
+    closed = !res.writableFinished
+  })
+  try {
+    const nextCursor = await describePages(session, {
+      cursor,
+      limit,
+      pageSize,
+      onPage: (page) => writeLine(res, { type: 'page', ...page }),
+      isAborted: () => closed,
+    })
+    if (closed) return
+    writeLine(res, { type: 'end', nextCursor })
+    res.end()
+  } catch (err) {
+    if (!res.headersSent) {
+      return res.status(err?.status === 400 ? 400 : 500).json({ error: err.message })
+    }
+    logger.error(`[ROUTE /api${req.path}] stream failed`, { error: err?.message, stack: err?.stack })
+    writeLine(res, { type: 'error', error: err.message })
+    res.end()
+  }
+}
+
+// Scan + the first pages: { type: 'scan', scanId, total, filtered }, then page lines (see streamPages)
+scanRouter.post('/stream', async (req, res) => {
+  const { limit, pageSize, ...params } = req.body || {}
+  let session
+  try {
+    if (!params.sourcePath) return res.status(400).json({ error: 'sourcePath is required' })
+    session = await createScanSession(params)
+  } catch (err) {
+    if (err?.status === 400) return res.status(400).json({ error: err.message })
+    logger.error('[ROUTE /api/scan/stream] failed', {
+      body: req.body,
+      error: err?.message,
+      stack: err?.stack,
+    })
+    return res.status(500).json({ error: err.message })
+  }
+  writeLine(res, { type: 'scan', scanId: session.id, total: session.files.length, filtered: session.filtered })
+  await streamPages(req, res, session, { cursor: 0, limit, pageSize })
+})
+
+// More pages of an earlier scan, from ?cursor= (the nextCursor of the previous response)
+scanRouter.get('/:scanId', async (req, res) => {
+  const session = getScanSession(req.params.scanId)
+  if (!session) return res.status(404).json({ error: 'הסריקה לא נמצאה או שפג תוקפה - סרוק שוב' })
+  const { cursor = 0, limit, pageSize } = req.query
+  await streamPages(req, res, session, { cursor, limit, pageSize })
+})
+
+export default scanRouter
@@ -0,0 +1,27 @@
+import { Router } from 'express'
+import { DEFAULT_FILTERS, getScanFilters, saveScanFilters } from '../services/scanFilterService.js'
+import logger from '../utils/logger.js'
+
+const scanFiltersRouter = Router()
+
+// Saved scan filters (scan / duplicates / faces) + the defaults, for "reset"
+scanFiltersRouter.get('/', (_req, res) => {
+  res.json({ filters: getScanFilters(), defaults: DEFAULT_FILTERS })
+})
+
+scanFiltersRouter.put('/', async (req, res) => {
+  try {
+    const filters = await saveScanFilters(req.body || {})
+    res.json({ filters })
+  } catch (err) {
+    if (err?.status === 400) return res.status(400).json({ error: err.message })
+    logger.error('[ROUTE /api/scan-filters] failed', {
+      body: req.body,
+      error: err?.message,
+      stack: err?.stack,
+    })
+    res.status(500).json({ error: err.message })
+  }
+})
+
+export default scanFiltersRouter
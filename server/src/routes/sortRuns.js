@@ -0,0 +1,60 @@
+import { Router } from 'express'
+import { listInterruptedRuns, rollbackRun, dismissRun } from '../services/checkpointService.js'
+import { resumeSortRun } from '../services/sortJobService.js'
+import logger from '../utils/logger.js'
+
+const sortRunsRouter = Router()
+
+const handleError = (res, label, err, extra = {}) => {
+  if ([404, 409].includes(err?.status)) {
+    return res.status(err.status).json({ error: err.message })
+  }
+  logger.error(`[ROUTE /api/sort-runs${label}] failed`, {
+    ...extra,
+    error: err?.message,
+    stack: err?.stack,
+  })
+  return res.status(500).json({ error: err.message })
+}
+
+// Sort runs the server found unfinished at startup (the process died mid-sort)
+sortRunsRouter.get('/interrupted', async (_req, res) => {
+  try {
+    const runs = await listInterruptedRuns()
+    res.json({ runs, count: runs.length })
+  } catch (err) {
+    handleError(res, '/interrupted', err)
+  }
+})
+
+// Continue with the pending files as a new job in the same journal run
+sortRunsRouter.post('/:runId/resume', async (req, res) => {
+  try {
+    const job = await resumeSortRun(req.params.runId)
+    res.json(job)
+  } catch (err) {
+    handleError(res, '/:runId/resume', err, { params: req.params })
+  }
+})
+
+// Undo everything the run already moved/copied
+sortRunsRouter.post('/:runId/rollback', async (req, res) => {
+  try {
+    const result = await rollbackRun(req.params.runId)
+    res.json(result)
+  } catch (err) {
+    handleError(res, '/:runId/rollback', err, { params: req.params })
+  }
+})
+
+// Keep what was sorted and forget the run
+sortRunsRouter.post('/:runId/dismiss', async (req, res) => {
+  try {
+    await dismissRun(req.params.runId)
+    res.json({ success: true })
+  } catch (err) {
+    handleError(res, '/:runId/dismiss', err, { params: req.params })
+  }
+})
+
+export default sortRunsRouter
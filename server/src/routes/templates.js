@@ -0,0 +1,76 @@
+import { Router } from 'express'
+import { toHebrewDate } from '../services/fileService.js'
+import {
+  PRESET_TEMPLATES,
+  validateTemplate,
+  renderTemplate,
+  listTokens,
+  validateNamePattern,
+  renderFileName,
+  listNameTokens,
+} from '../services/templateService.js'
+import logger from '../utils/logger.js'
+
+const templatesRouter = Router()
+
+// Available tokens (folders and file names) and built-in presets
+templatesRouter.get('/', (_req, res) => {
+  res.json({ tokens: listTokens(), nameTokens: listNameTokens(), presets: PRESET_TEMPLATES })
+})
+
+// Validate a template and render it for a sample date (default: now)
+templatesRouter.post('/preview', (req, res) => {
+  try {
+    const { template, date } = req.body || {}
+    const sampleDate = date ? new Date(date) : new Date()
+    if (isNaN(sampleDate.getTime())) {
+      return res.status(400).json({ error: 'Invalid date' })
+    }
+    const { valid, errors } = validateTemplate(template)
+    if (!valid) {
+      return res.json({ valid, errors, segments: [], preview: null })
+    }
+    const segments = renderTemplate(template, toHebrewDate(sampleDate))
+    res.json({ valid, errors, segments, preview: segments.join('/'), date: sampleDate.toISOString() })
+  } catch (err) {
+    logger.error('[ROUTE /api/templates/preview] failed', {
+      body: req.body,
+      error: err?.message,
+      stack: err?.stack,
+    })
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Validate a file name pattern and render it for a sample file (default: IMG_0001.jpg, now, "iPhone 13")
+templatesRouter.post('/name-preview', (req, res) => {
+  try {
+    const { pattern, date, original = 'IMG_0001.jpg', camera = 'iPhone 13' } = req.body || {}
+    const sampleDate = date ? new Date(date) : new Date()
+    if (isNaN(sampleDate.getTime())) {
+      return res.status(400).json({ error: 'Invalid date' })
+    }
+    const { valid, errors } = validateNamePattern(pattern)
+    if (!valid) {
+      return res.json({ valid, errors, preview: null, collision: null })
+    }
+    const values = { hebrew: toHebrewDate(sampleDate), date: sampleDate, camera, original: String(original) }
+    res.json({
+      valid,
+      errors,
+      preview: renderFileName(pattern, values),
+      // What the second file with the same name gets
+      collision: renderFileName(pattern, values, 1),
+      date: sampleDate.toISOString(),
+    })
+  } catch (err) {
+    logger.error('[ROUTE /api/templates/name-preview] failed', {
+      body: req.body,
+      error: err?.message,
+      stack: err?.stack,
+    })
+    res.status(500).json({ error: err.message })
+  }
+})
+
+export default templatesRouter
@@ -0,0 +1,309 @@
+import path from 'node:path'
+import os from 'node:os'
+import fs from 'node:fs/promises'
+import fssync from 'node:fs'
+import crypto from 'node:crypto'
+import { DATA_DIR, dataPath } from '../utils/dataDir.js'
+import logger from '../utils/logger.js'
+
+// מטמון קבצים אחד לפוסטרים, תמונות ממוזערות, המרות JPEG וחיתוכי פנים - תיקייה לכל סוג תחת <מיקום>/hebphotosort-cache
+// (cache-settings.json, ברירת מחדל: התיקייה הזמנית), עם תקרת גודל ופינוי LRU. המיקום יכול להיות תיקייה משותפת -
+// נספרים ונמחקים רק קבצים בתבנית השם של המטמון, לעולם לא תיקייה שלמה.
+// שם קובץ = <hash של מקור + וריאנט>-<hash של mtime + גודל המקור>: מקור שהשתנה מקבל קובץ חדש והגרסה הישנה נמחקת.
+// "שימוש אחרון" נשמר כ-mtime של קובץ המטמון, כך שסדר ה-LRU שורד הפעלה מחדש של השרת
+
+const SETTINGS_FILE = 'cache-settings.json'
+const CACHE_KINDS = ['posters', 'thumbs', 'renditions', 'faces']
+const DEFAULT_SETTINGS = { location: null, maxSizeMB: 2048 }
+const DEFAULT_LOCATION = os.tmpdir()
+// The cache always lives in its own folder under the chosen location
+const CACHE_DIR = 'hebphotosort-cache'
+// <md5 of source + variant>-<12 hex of mtime + size>.jpg, and the temp name of a build in progress
+const CACHE_FILE = /^[0-9a-f]{32}-[0-9a-f]{12}\.jpg$/
+const TEMP_FILE = /^[0-9a-f]{32}-[0-9a-f]{12}\.jpg\.\d+\.\d+\.tmp$/
+const MIN_SIZE_MB = 50
+// Eviction stops at this share of the cap, so one more file does not trigger it again
+const EVICT_TO = 0.9
+// The per-service folders used before the shared cache - "clear" removes them too
+const LEGACY_DIRS = ['hebphotosort-posters', 'hebphotosort-faces', 'hebphotosort-renditions', 'hebphotosort-thumbs'].map(
+  (name) => path.join(os.tmpdir(), name),
+)
+
+const fail = (message) => {
+  const err = new Error(message)
+  err.status = 400
+  throw err
+}
+
+/**
+ * Validate cache settings
+ * @param {object} input
+ * @returns {{location: string|null, maxSizeMB: number}}
+ * @throws {Error} with status 400 on invalid input
+ */
+const normalizeCacheSettings = (input = {}) => {
+  const location = input.location == null || String(input.location).trim() === '' ? null : String(input.location).trim()
+  if (location && !path.isAbsolute(location)) fail('מיקום המטמון חייב להיות נתיב מלא')
+  const maxSizeMB = Number(input.maxSizeMB)
+  if (!Number.isInteger(maxSizeMB) || maxSizeMB < MIN_SIZE_MB) fail(`גודל מקסימלי: מספר שלם, לפחות ${MIN_SIZE_MB} MB`)
+  return { location, maxSizeMB }
+}
+
+/**
+ * Read saved settings synchronously, like the other settings services
+ * @returns {object}
+ */
+const loadSettings = () => {
+  try {
+    const raw = fssync.readFileSync(path.join(DATA_DIR, SETTINGS_FILE), 'utf-8')
+    return normalizeCacheSettings({ ...DEFAULT_SETTINGS, ...JSON.parse(raw) })
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.warn('[cacheService] invalid settings, using defaults', { error: err.message })
+    }
+    return { ...DEFAULT_SETTINGS }
+  }
+}
+
+let settings = loadSettings()
+
+const cacheRoot = (location = settings.location) => path.join(location || DEFAULT_LOCATION, CACHE_DIR)
+const maxBytes = () => settings.maxSizeMB * 1024 * 1024
+const hash = (value) => crypto.createHash('md5').update(value).digest('hex')
+
+// In-memory index of one cache folder, read from disk on first use: target -> { kind, prefix, size, usedAt },
+// plus kind/prefix -> targets, to find the older versions of a source without walking the whole index.
+// A location change swaps in a new index; callers keep the one loadIndex gave them, so work in flight never loses it
+const createIndex = (root) => ({
+  root,
+  entries: new Map(),
+  versions: new Map(),
+  totalBytes: 0,
+  loading: null,
+  evicting: null,
+})
+
+let index = createIndex(cacheRoot())
+const pending = new Map()
+
+const versionKey = (entry) => `${entry.kind}/${entry.prefix}`
+
+const record = (cache, target, entry) => {
+  cache.entries.set(target, entry)
+  cache.totalBytes += entry.size
+  const key = versionKey(entry)
+  if (!cache.versions.has(key)) cache.versions.set(key, new Set())
+  cache.versions.get(key).add(target)
+}
+
+const forget = (cache, target) => {
+  const entry = cache.entries.get(target)
+  if (!entry) return
+  cache.totalBytes -= entry.size
+  cache.entries.delete(target)
+  const key = versionKey(entry)
+  cache.versions.get(key)?.delete(target)
+  if (!cache.versions.get(key)?.size) cache.versions.delete(key)
+}
+
+/**
+ * The current index, read from its folder once - callers wait for the whole folder
+ * @returns {Promise<object>}
+ */
+const loadIndex = () => {
+  const cache = index
+  if (!cache.loading) {
+    cache.loading = (async () => {
+      for (const kind of CACHE_KINDS) {
+        const dir = path.join(cache.root, kind)
+        let names = []
+        try {
+          names = await fs.readdir(dir)
+        } catch (err) {
+          if (err.code !== 'ENOENT') throw err
+        }
+        for (const name of names) {
+          const target = path.join(dir, name)
+          try {
+            // Leftover temp file of a build that never finished
+            if (TEMP_FILE.test(name)) {
+              await fs.rm(target, { force: true })
+              continue
+            }
+            if (!CACHE_FILE.test(name)) continue
+            const stat = await fs.stat(target)
+            if (!stat.isFile()) continue
+            record(cache, target, { kind, prefix: name.split('-')[0], size: stat.size, usedAt: stat.mtimeMs })
+          } catch {
+            // removed meanwhile
+          }
+        }
+      }
+      return cache
+    })().catch((err) => {
+      // Start over on the next call, unless the location moved meanwhile
+      if (index === cache) index = createIndex(cache.root)
+      throw err
+    })
+  }
+  return cache.loading
+}
+
+// Least recently used first, down to EVICT_TO of the cap
+const enforceLimit = async (cache) => {
+  if (cache.evicting || cache.totalBytes <= maxBytes()) return cache.evicting
+  cache.evicting = (async () => {
+    const goal = maxBytes() * EVICT_TO
+    const oldest = [...cache.entries.entries()].sort((a, b) => a[1].usedAt - b[1].usedAt)
+    let removed = 0
+    for (const [target] of oldest) {
+      if (cache.totalBytes <= goal) break
+      if (pending.has(target)) continue
+      await fs.rm(target, { force: true })
+      forget(cache, target)
+      removed += 1
+    }
+    logger.log('[cacheService] evicted', { removed, totalBytes: cache.totalBytes })
+  })().finally(() => {
+    cache.evicting = null
+  })
+  return cache.evicting
+}
+
+const build = async ({ cache, kind, prefix, target, create }) => {
+  // Older versions of the same source + variant (the source changed since)
+  for (const other of [...(cache.versions.get(versionKey({ kind, prefix })) || [])]) {
+    if (other === target) continue
+    await fs.rm(other, { force: true })
+    forget(cache, other)
+  }
+  await fs.mkdir(path.dirname(target), { recursive: true })
+  // Write to a temp name first so a concurrent reader never sees a partial file
+  const tmp = `${target}.${process.pid}.${Date.now()}.tmp`
+  try {
+    if ((await create(tmp)) === false) return null
+    await fs.rename(tmp, target)
+  } finally {
+    await fs.rm(tmp, { force: true })
+  }
+  const { size } = await fs.stat(target)
+  // The location changed while this was built - the file is outside the cache now
+  if (cache !== index) return target
+  forget(cache, target)
+  record(cache, target, { kind, prefix, size, usedAt: Date.now() })
+  await enforceLimit(cache)
+  return target
+}
+
+/**
+ * Cached file derived from a source file, built on a miss
+ * @param {string} kind - One of CACHE_KINDS
+ * @param {string} sourcePath
+ * @param {string} variant - What tells entries of the same source apart (thumbnail size, face box...)
+ * @param {(target: string) => Promise<boolean|void>} create - Writes the JPEG at target; false = nothing to cache
+ * @returns {Promise<string|null>} Path of the cached file; null when create returned false
+ */
+const getCachedFile = async (kind, sourcePath, variant, create) => {
+  if (!CACHE_KINDS.includes(kind)) throw new Error(`Unknown cache kind: ${kind}`)
+  const stat = await fs.stat(sourcePath)
+  const cache = await loadIndex()
+  const prefix = hash(`${sourcePath}|${variant}`)
+  const target = path.join(cache.root, kind, `${prefix}-${hash(`${stat.mtimeMs}|${stat.size}`).slice(0, 12)}.jpg`)
+
+  const entry = cache.entries.get(target)
+  if (entry && fssync.existsSync(target)) {
+    entry.usedAt = Date.now()
+    const now = new Date()
+    fs.utimes(target, now, now).catch(() => {})
+    return target
+  }
+  if (!pending.has(target)) {
+    pending.set(target, build({ cache, kind, prefix, target, create }).finally(() => pending.delete(target)))
+  }
+  return pending.get(target)
+}
+
+/**
+ * Size of the cache, in total and per kind
+ * @returns {Promise<{location: string, totalBytes: number, maxBytes: number, files: number, kinds: object}>}
+ */
+const getCacheStats = async () => {
+  const cache = await loadIndex()
+  const kinds = Object.fromEntries(CACHE_KINDS.map((kind) => [kind, { files: 0, bytes: 0 }]))
+  for (const entry of cache.entries.values()) {
+    kinds[entry.kind].files += 1
+    kinds[entry.kind].bytes += entry.size
+  }
+  return { location: cache.root, totalBytes: cache.totalBytes, maxBytes: maxBytes(), files: cache.entries.size, kinds }
+}
+
+// Cache files of one kind folder, then the folder itself when nothing else is left in it
+const clearDir = async (dir) => {
+  let names = []
+  try {
+    names = await fs.readdir(dir)
+  } catch (err) {
+    if (err.code === 'ENOENT') return
+    throw err
+  }
+  for (const name of names) {
+    if (CACHE_FILE.test(name)) await fs.rm(path.join(dir, name), { force: true })
+  }
+  await fs.rmdir(dir).catch(() => {})
+}
+
+/**
+ * Delete cached files
+ * @param {string} [kind] - One kind; all kinds (and the legacy per-service folders) when omitted
+ * @returns {Promise<object>} Stats after clearing
+ * @throws {Error} with status 400 on an unknown kind
+ */
+const clearCache = async (kind = null) => {
+  if (kind && !CACHE_KINDS.includes(kind)) fail(`kind must be one of: ${CACHE_KINDS.join(', ')}`)
+  const cache = await loadIndex()
+  for (const name of kind ? [kind] : CACHE_KINDS) {
+    await clearDir(path.join(cache.root, name))
+  }
+  if (!kind) {
+    await fs.rmdir(cache.root).catch(() => {})
+    for (const dir of LEGACY_DIRS) await fs.rm(dir, { recursive: true, force: true })
+  }
+  for (const [target, entry] of cache.entries) {
+    if (!kind || entry.kind === kind) forget(cache, target)
+  }
+  logger.log('[cacheService] cleared', { kind: kind || 'all' })
+  return getCacheStats()
+}
+
+const getCacheSettings = () => ({ ...settings })
+
+/**
+ * Validate and save cache settings; a new location starts empty (the old folder is left as is), a lower cap evicts
+ * @param {object} patch - Partial settings
+ * @returns {Promise<object>} Saved settings
+ * @throws {Error} with status 400 on invalid input
+ */
+const saveCacheSettings = async (patch = {}) => {
+  const next = normalizeCacheSettings({ ...settings, ...patch })
+  await fs.writeFile(await dataPath(SETTINGS_FILE), JSON.stringify(next, null, 2))
+  settings = next
+  if (cacheRoot() !== index.root) {
+    // The old index stays with whoever is still using it; the new folder is read on first use
+    index = createIndex(cacheRoot())
+  } else if (index.loading) {
+    // A lower cap evicts now when the index is (being) read; otherwise the next cached file applies it
+    await enforceLimit(await loadIndex())
+  }
+  return getCacheSettings()
+}
+
+export {
+  CACHE_KINDS,
+  DEFAULT_SETTINGS as DEFAULT_CACHE_SETTINGS,
+  DEFAULT_LOCATION as DEFAULT_CACHE_LOCATION,
+  getCachedFile,
+  getCacheStats,
+  clearCache,
+  getCacheSettings,
+  saveCacheSettings,
+}
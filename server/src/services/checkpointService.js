@@ -0,0 +1,354 @@
+import path from 'node:path'
+import fs from 'node:fs/promises'
+import fssync from 'node:fs'
+import { DATA_DIR, dataPath } from '../utils/dataDir.js'
+import { recordOperation, undoRun, getRun } from './journalService.js'
+import logger from '../utils/logger.js'
+
+// נקודות שמירה לריצות מיון - קובץ JSONL לכל ריצה ב-checkpoints/<runId>.jsonl, כל שורה היא אחת מ:
+// { type: 'run', runId, createdAt, params, files, owner } - פעם אחת בתחילת הריצה
+// { type: 'intent', src, target, parent?, timestamp }   - לפני העברה/העתקה של קובץ (parent = קובץ המדיה של קובץ נלווה)
+// { type: 'done', src, success, target, error, skipped?, timestamp } - אחרי שהקובץ טופל; skipped: 'review' = הושאר במקום לבדיקת תאריך
+// { type: 'status', status: 'running' | 'interrupted', owner?, timestamp }
+// owner = התהליך שמריץ את הריצה (שרת, CLI או מופע נוסף): ריצה שהתהליך שלה עדיין חי לא נחשבת קטועה
+// ריצה שהסתיימה (או בוטלה, שוחזרה או נדחתה) - הקובץ נמחק; היומן (journal) שומר את ההיסטוריה
+const CHECKPOINT_DIRNAME = 'checkpoints'
+
+// Serialize appends so parallel files in a batch never interleave lines
+let writeChain = Promise.resolve()
+
+const fail = (message, status) => {
+  const err = new Error(message)
+  err.status = status
+  throw err
+}
+
+// This process: pid + start time, so a pid that this process inherited from a dead one is not mistaken for it
+const OWNER = { pid: process.pid, startedAt: new Date(Date.now() - process.uptime() * 1000).toISOString() }
+
+/**
+ * Whether the process that wrote a "running" checkpoint is still alive
+ * A checkpoint without an owner comes from before owners were recorded - its process is gone
+ * @param {{pid: number, startedAt: string}|undefined} owner
+ * @returns {boolean}
+ */
+const isOwnerAlive = (owner) => {
+  if (!owner?.pid) return false
+  if (owner.pid === OWNER.pid) return owner.startedAt === OWNER.startedAt
+  try {
+    process.kill(owner.pid, 0)
+    return true
+  } catch (err) {
+    // EPERM: alive, owned by another user
+    return err.code === 'EPERM'
+  }
+}
+
+const checkpointFile = (runId) => dataPath(CHECKPOINT_DIRNAME, `${runId}.jsonl`)
+
+const appendLine = (runId, record) => {
+  writeChain = writeChain
+    .catch(() => {})
+    .then(async () => {
+      await fs.appendFile(await checkpointFile(runId), JSON.stringify(record) + '\n', 'utf-8')
+    })
+  return writeChain
+}
+
+/**
+ * Start the checkpoint of a sort run
+ * @param {string} runId - Journal run id (shared with the journal so a rollback is an undo of the run)
+ * @param {object} params
+ * @param {object} params.params - { destRoot, format, mode, concurrency }
+ * @param {string[]} params.files - Every file of the run
+ */
+const createCheckpoint = (runId, { params, files }) =>
+  appendLine(runId, { type: 'run', runId, createdAt: new Date().toISOString(), params, files, owner: OWNER })
+
+/**
+ * Record that a file is about to be written to target - lets recovery tell a finished move from one that never started
+ * @param {string|null} [parent] - The media file a companion (sidecar, Live Photo video) goes along with
+ */
+const recordIntent = (runId, src, target, parent = null) =>
+  appendLine(runId, { type: 'intent', src, target, ...(parent ? { parent } : {}), timestamp: new Date().toISOString() })
+
+/**
+ * Record a processed file (success or error)
+ * @param {string|null} [params.skipped] - 'review': left in place for the date review queue - neither sorted nor failed
+ */
+const recordDone = (runId, { src, success, target = null, error = null, skipped = null }) =>
+  appendLine(runId, {
+    type: 'done',
+    src,
+    success,
+    target,
+    error,
+    ...(skipped ? { skipped } : {}),
+    timestamp: new Date().toISOString(),
+  })
+
+const setStatus = (runId, status, extra = {}) =>
+  appendLine(runId, { type: 'status', status, ...extra, timestamp: new Date().toISOString() })
+
+/**
+ * Mark a run as running again (resume) - this process owns it from now on
+ */
+const markRunning = (runId) => setStatus(runId, 'running', { owner: OWNER })
+
+/**
+ * Hand a run back to the user (a resume that could not start)
+ */
+const markInterrupted = (runId) => setStatus(runId, 'interrupted')
+
+/**
+ * The run finished (completed or cancelled by the user) - nothing left to resume
+ */
+const closeCheckpoint = async (runId) => {
+  await writeChain.catch(() => {})
+  await fs.rm(await checkpointFile(runId), { force: true })
+}
+
+/**
+ * Read a checkpoint and fold its lines
+ * A truncated last line (the process died mid-write) is skipped
+ * @param {string} runId
+ * @returns {Promise<object|null>}
+ */
+const loadCheckpoint = async (runId) => {
+  await writeChain.catch(() => {})
+  const file = path.join(DATA_DIR, CHECKPOINT_DIRNAME, `${runId}.jsonl`)
+  if (!fssync.existsSync(file)) return null
+  const raw = await fs.readFile(file, 'utf-8')
+  let checkpoint = null
+  const done = new Map()
+  const intents = new Map()
+  // Companion src -> { target, parent }; they have no "done" line of their own - their media file's one settles them
+  const companionIntents = new Map()
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue
+    let record
+    try {
+      record = JSON.parse(line)
+    } catch {
+      continue
+    }
+    if (record.type === 'run') {
+      checkpoint = {
+        runId: record.runId,
+        createdAt: record.createdAt,
+        params: record.params,
+        files: record.files,
+        status: 'running',
+        owner: record.owner || null,
+      }
+    } else if (record.type === 'intent' && record.parent) {
+      companionIntents.set(record.src, { target: record.target, parent: record.parent })
+    } else if (record.type === 'intent') {
+      intents.set(record.src, record.target)
+    } else if (record.type === 'done') {
+      done.set(record.src, record)
+      intents.delete(record.src)
+      for (const [src, intent] of companionIntents) if (intent.parent === record.src) companionIntents.delete(src)
+    } else if (record.type === 'status' && checkpoint) {
+      checkpoint.status = record.status
+      if (record.owner) checkpoint.owner = record.owner
+    }
+  }
+  if (!checkpoint) return null
+  return { ...checkpoint, done, intents, companionIntents }
+}
+
+const summarize = (checkpoint) => {
+  const results = [...checkpoint.done.values()]
+  const success = results.filter((r) => r.success).length
+  const skipped = results.filter((r) => r.skipped).length
+  return {
+    runId: checkpoint.runId,
+    createdAt: checkpoint.createdAt,
+    status: checkpoint.status,
+    params: checkpoint.params,
+    total: checkpoint.files.length,
+    processed: results.length,
+    success,
+    skipped,
+    errors: results.length - success - skipped,
+    pending: checkpoint.files.length - success - skipped,
+  }
+}
+
+/**
+ * Files still to sort: never processed, failed, or in flight when the process died
+ * Files held for date review are not - they wait in the review queue
+ * @param {object} checkpoint - From loadCheckpoint
+ * @returns {string[]}
+ */
+const pendingFiles = (checkpoint) =>
+  checkpoint.files.filter((src) => {
+    const done = checkpoint.done.get(src)
+    return !done?.success && !done?.skipped
+  })
+
+const sameSize = async (a, b) => {
+  try {
+    const [sa, sb] = await Promise.all([fs.stat(a), fs.stat(b)])
+    return sa.size === sb.size
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Whether an in-flight transfer finished; an unfinished target is removed so the file can be sorted again
+ * move: source gone and target present means it finished; source and target both present is a cross-drive copy that
+ *       was not verified yet
+ * copy: a full-size target finished; a partial one is not
+ */
+const settleTransfer = async (src, target, mode) => {
+  const hasSrc = fssync.existsSync(src)
+  const hasTarget = fssync.existsSync(target)
+  if (mode === 'copy') {
+    const finished = hasSrc && hasTarget && (await sameSize(src, target))
+    if (!finished && hasTarget) await fs.rm(target, { force: true })
+    return finished
+  }
+  if (hasSrc && hasTarget) await fs.rm(target, { force: true })
+  return !hasSrc && hasTarget
+}
+
+/**
+ * Settle files that were in flight when the process died (see settleTransfer)
+ * A finished transfer is journaled so rollback covers it; an unfinished media file stays pending
+ * Companions are settled the same way - one that finished is journaled, one that did not stays next to its source
+ * @param {object} checkpoint
+ */
+const reconcileInFlight = async (checkpoint) => {
+  const { runId, params } = checkpoint
+  if (!checkpoint.intents.size && !checkpoint.companionIntents.size) return
+  const mode = params.mode === 'copy' ? 'copy' : 'move'
+  // The process may have died after the journal entry but before the "done" line
+  const journaled = new Set(((await getRun(runId))?.entries || []).map((e) => `${e.source}|${e.target}`))
+  const journal = async (src, target) => {
+    if (!journaled.has(`${src}|${target}`)) await recordOperation({ runId, action: 'sort', mode, source: src, target })
+  }
+  for (const [src, target] of checkpoint.intents) {
+    const finished = await settleTransfer(src, target, mode)
+    if (finished) {
+      await journal(src, target)
+      await recordDone(runId, { src, success: true, target })
+      checkpoint.done.set(src, { src, success: true, target })
+    }
+    logger.log(`[checkpointService] in-flight file ${finished ? 'completed' : 'pending'}: ${src}`)
+  }
+  for (const [src, { target, parent }] of checkpoint.companionIntents) {
+    const finished = await settleTransfer(src, target, mode)
+    if (finished) await journal(src, target)
+    logger.log(`[checkpointService] in-flight companion of ${parent} ${finished ? 'completed' : 'left in place'}: ${src}`)
+  }
+  checkpoint.intents.clear()
+  checkpoint.companionIntents.clear()
+}
+
+/**
+ * On startup: a checkpoint still "running" whose owner process died - settle its in-flight files
+ * and mark it interrupted so the user can resume or roll it back
+ * Runs of a live process (a CLI sort, another server instance) are left alone - their targets may be mid-copy
+ * @returns {Promise<object[]>} Interrupted run summaries
+ */
+const recoverInterruptedRuns = async () => {
+  const dir = path.join(DATA_DIR, CHECKPOINT_DIRNAME)
+  if (!fssync.existsSync(dir)) return []
+  const names = (await fs.readdir(dir)).filter((n) => n.endsWith('.jsonl'))
+  const interrupted = []
+  for (const name of names) {
+    const runId = name.replace(/\.jsonl$/, '')
+    try {
+      const checkpoint = await loadCheckpoint(runId)
+      if (!checkpoint) continue
+      if (checkpoint.status === 'running' && isOwnerAlive(checkpoint.owner)) {
+        logger.log(`[checkpointService] run ${runId} is still running in process ${checkpoint.owner.pid}`)
+        continue
+      }
+      if (checkpoint.status === 'running') {
+        await reconcileInFlight(checkpoint)
+        // Died after the last file - nothing to resume
+        if (!pendingFiles(checkpoint).length) {
+          await closeCheckpoint(runId)
+          continue
+        }
+        await setStatus(runId, 'interrupted')
+        checkpoint.status = 'interrupted'
+      }
+      interrupted.push(summarize(checkpoint))
+    } catch (err) {
+      logger.error('[checkpointService] failed to recover run', { runId, error: err.message })
+    }
+  }
+  if (interrupted.length) logger.warn(`[checkpointService] ${interrupted.length} interrupted sort run(s) found`)
+  return interrupted
+}
+
+/**
+ * Interrupted runs waiting for a decision, newest first
+ */
+const listInterruptedRuns = async () => {
+  const dir = path.join(DATA_DIR, CHECKPOINT_DIRNAME)
+  if (!fssync.existsSync(dir)) return []
+  const runs = []
+  for (const name of await fs.readdir(dir)) {
+    if (!name.endsWith('.jsonl')) continue
+    const checkpoint = await loadCheckpoint(name.replace(/\.jsonl$/, ''))
+    if (checkpoint?.status === 'interrupted') runs.push(summarize(checkpoint))
+  }
+  return runs.sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+}
+
+/**
+ * Interrupted checkpoint or 404 / 409
+ */
+const requireInterrupted = async (runId) => {
+  const checkpoint = await loadCheckpoint(runId)
+  if (!checkpoint) fail('Interrupted run not found', 404)
+  if (checkpoint.status !== 'interrupted') fail('Run is still in progress', 409)
+  return checkpoint
+}
+
+/**
+ * Roll back an interrupted run: undo everything the journal recorded for it, then forget the checkpoint
+ * @returns {Promise<object>} Undo results (journal applyDirection shape)
+ */
+const rollbackRun = async (runId) => {
+  await requireInterrupted(runId)
+  let result = { results: [], success: 0, errors: 0 }
+  try {
+    result = await undoRun(runId)
+  } catch (err) {
+    // No journal entries yet - nothing was moved
+    if (err.status !== 404) throw err
+  }
+  if (!result.errors) await closeCheckpoint(runId)
+  return result
+}
+
+/**
+ * Keep whatever was sorted and forget the checkpoint
+ */
+const dismissRun = async (runId) => {
+  await requireInterrupted(runId)
+  await closeCheckpoint(runId)
+}
+
+export {
+  createCheckpoint,
+  recordIntent,
+  recordDone,
+  markRunning,
+  markInterrupted,
+  closeCheckpoint,
+  loadCheckpoint,
+  pendingFiles,
+  recoverInterruptedRuns,
+  listInterruptedRuns,
+  requireInterrupted,
+  rollbackRun,
+  dismissRun,
+}
@@ -0,0 +1,158 @@
+import fssync from 'node:fs'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { HDate } from '@hebcal/core'
+import { DATA_DIR, dataPath } from '../utils/dataDir.js'
+import { MONTHS, monthInYear } from './eventService.js'
+import logger from '../utils/logger.js'
+
+// תאריכים ידניים ותור בדיקה - לקבצים שאין להם תאריך אמין (ראה DATE_CONFIDENCE ב-fileService)
+// תאריך שהמשתמש קבע לקובץ (לועזי או עברי) קודם לכל מקור אחר ב-getMediaDate; תור הבדיקה = קבצים שמדיניות
+// "review" השאירה במקור, עד שיקבלו תאריך וימוינו. שניהם לפי נתיב הקובץ, ונמחקים כשהקובץ ממוין (ראה markSorted)
+
+const STATE_FILE = 'manual-dates.json'
+const ISO_DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/
+const TIME_RE = /^(\d{2}):(\d{2})$/
+// A date without a time is noon - far from sunset, so the sunset mode keeps the Hebrew day that was chosen
+const DEFAULT_TIME = '12:00'
+
+const fail = (message) => {
+  const err = new Error(message)
+  err.status = 400
+  throw err
+}
+
+const loadState = () => {
+  try {
+    const raw = JSON.parse(fssync.readFileSync(path.join(DATA_DIR, STATE_FILE), 'utf-8'))
+    return { dates: raw.dates || {}, review: raw.review || {} }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.warn('[dateReviewService] invalid state file, starting empty', { error: err.message })
+    }
+    return { dates: {}, review: {} }
+  }
+}
+
+const state = loadState()
+
+// Parallel batch files change the state together - one write at a time, each with the state as it is then
+let writeChain = Promise.resolve()
+const saveState = () => {
+  writeChain = writeChain
+    .catch(() => {})
+    .then(async () => fs.writeFile(await dataPath(STATE_FILE), JSON.stringify(state, null, 2)))
+  return writeChain
+}
+
+/**
+ * Turn a date entered by the user into a Date (local wall-clock time)
+ * @param {object} input - { gregorian: 'YYYY-MM-DD' } or { hebrewYear: 5785, hebrewMonth: 'kislev', hebrewDay: 24 },
+ *   plus an optional time: 'HH:mm'
+ * @returns {{date: Date, kind: 'gregorian'|'hebrew'}}
+ * @throws {Error} with status 400 on invalid input
+ */
+const parseManualDate = (input = {}) => {
+  const time = String(input.time || DEFAULT_TIME)
+  const timeMatch = time.match(TIME_RE)
+  if (!timeMatch || Number(timeMatch[1]) > 23 || Number(timeMatch[2]) > 59) fail('שעה חייבת להיות בפורמט HH:mm')
+  const [hours, minutes] = [Number(timeMatch[1]), Number(timeMatch[2])]
+
+  if (input.gregorian) {
+    const match = String(input.gregorian).match(ISO_DATE_RE)
+    if (!match) fail('תאריך לועזי חייב להיות בפורמט YYYY-MM-DD')
+    const [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])]
+    const date = new Date(year, month - 1, day, hours, minutes)
+    if (date.getMonth() !== month - 1 || date.getDate() !== day) fail('תאריך לועזי לא קיים')
+    return { date, kind: 'gregorian' }
+  }
+
+  const year = Number(input.hebrewYear)
+  const day = Number(input.hebrewDay)
+  const key = String(input.hebrewMonth || '')
+  if (!Number.isInteger(year) || year < 3761) fail('שנה עברית חייבת להיות מספר (5785)')
+  if (!MONTHS.some((m) => m.key === key)) fail('חודש עברי לא מוכר')
+  if (key === 'adar1' && !HDate.isLeapYear(year)) fail('אדר א׳ קיים רק בשנה מעוברת')
+  const month = monthInYear(key, year)
+  if (!Number.isInteger(day) || day < 1 || day > HDate.daysInMonth(month, year)) fail('היום לא קיים בחודש הזה')
+  const date = new HDate(day, month, year).greg()
+  date.setHours(hours, minutes, 0, 0)
+  return { date, kind: 'hebrew' }
+}
+
+/**
+ * Date the user gave a file, if any
+ * @param {string} src
+ * @returns {{date: string, kind: string, input: object, assignedAt: string}|null}
+ */
+const getManualDate = (src) => state.dates[src] || null
+
+/**
+ * Give files a date by hand - used by getMediaDate from now on
+ * @param {string[]} files
+ * @param {object} input - See parseManualDate
+ * @returns {Promise<{date: string, kind: string, assigned: number}>}
+ */
+const assignDate = async (files, input) => {
+  if (!Array.isArray(files) || !files.length) fail('files array is required')
+  const { date, kind } = parseManualDate(input)
+  const assignedAt = new Date().toISOString()
+  for (const src of files) state.dates[src] = { date: date.toISOString(), kind, input, assignedAt }
+  await saveState()
+  return { date: date.toISOString(), kind, assigned: files.length }
+}
+
+/**
+ * Hold a file for review instead of sorting it (unknownDatePolicy 'review')
+ * @param {object} item - { src, date, dateSource, dateSourceDetail, dateConfidence, destRoot }
+ */
+const addToReview = async (item) => {
+  state.review[item.src] = { ...item, addedAt: state.review[item.src]?.addedAt || new Date().toISOString() }
+  await saveState()
+}
+
+/**
+ * The review queue, oldest first, with each file's manual date. Files that no longer exist are dropped
+ * @returns {Promise<object[]>}
+ */
+const listReview = async () => {
+  const gone = Object.keys(state.review).filter((src) => !fssync.existsSync(src))
+  if (gone.length) {
+    gone.forEach((src) => delete state.review[src])
+    await saveState()
+  }
+  return Object.values(state.review)
+    .map((item) => ({ ...item, manualDate: state.dates[item.src] || null }))
+    .sort((a, b) => a.addedAt.localeCompare(b.addedAt))
+}
+
+/**
+ * Take files out of the review queue and forget their manual dates
+ * @param {string[]} files
+ * @returns {Promise<number>} How many were in the queue
+ */
+const dismissReview = async (files = []) => {
+  let removed = 0
+  for (const src of files) {
+    if (state.review[src]) removed += 1
+    delete state.review[src]
+    delete state.dates[src]
+  }
+  await saveState()
+  return removed
+}
+
+/**
+ * A file was sorted: it leaves the review queue; a moved file's manual date goes too (its path is gone),
+ * a copied one keeps it for the next sort of the same source
+ * @param {string} src
+ * @param {{moved: boolean}} options
+ */
+const markSorted = async (src, { moved }) => {
+  if (!state.review[src] && !(moved && state.dates[src])) return
+  delete state.review[src]
+  if (moved) delete state.dates[src]
+  await saveState()
+}
+
+export { parseManualDate, getManualDate, assignDate, addToReview, listReview, dismissReview, markSorted }
@@ -1,12 +1,10 @@
-import path from 'node:path'
-import os from 'node:os'
 import fs from 'node:fs/promises'
 import fssync from 'node:fs'
-import { spawn } from 'node:child_process'
-import crypto from 'node:crypto'
 import sharp from 'sharp'
-import ffmpegPath from 'ffmpeg-static'
-import { cleanPath, isImage, isVideo, isMedia } from './fileService.js'
+import { cleanPath, isImage, isVideo, isMedia, readCaptureDate } from './fileService.js'
+import { collectMediaFiles, resolveScanFilters } from './scanFilterService.js'
+import { resolveDecodablePath } from './imageFormatService.js'
+import { getPosterPath } from './posterService.js'
 import logger from '../utils/logger.js'
 
 // פרמטרים להגדרת איכות / דיוק
@@ -117,12 +115,8 @@ const computeDHashFromSource = async (sharpSource) => {
 }
 
 const computeDHash = async (filePath) => {
-  const sharpSource = sharp(filePath, { failOn: 'error' })
-  return computeDHashFromSource(sharpSource)
-}
-
-const computeDHashFromBuffer = async (buffer) => {
-  const sharpSource = sharp(buffer, { failOn: 'error' })
+  // HEIC / RAW are hashed from their JPEG rendition
+  const sharpSource = sharp(await resolveDecodablePath(filePath), { failOn: 'error' })
   return computeDHashFromSource(sharpSource)
 }
 
@@ -139,86 +133,54 @@ const similarDimensions = (a, b) => {
   return widthGap <= DIM_TOLERANCE && heightGap <= DIM_TOLERANCE
 }
 
-const POSTER_DIR = path.join(os.tmpdir(), 'hebphotosort-posters')
-
-const ensurePosterDir = async () => {
-  await fs.mkdir(POSTER_DIR, { recursive: true })
-  return POSTER_DIR
-}
-
-const extractVideoFrame = async (filePath) => {
-  if (!ffmpegPath) return null
-  return new Promise((resolve, reject) => {
-    const args = ['-ss', '00:00:01', '-i', filePath, '-frames:v', '1', '-f', 'image2pipe', '-vcodec', 'mjpeg', '-']
-    const proc = spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'ignore'] })
-    const chunks = []
-    proc.stdout.on('data', (d) => chunks.push(d))
-    proc.on('error', reject)
-    proc.on('close', (code) => {
-      if (code === 0 && chunks.length) resolve(Buffer.concat(chunks))
-      else resolve(null) // fallback: no poster
-    })
-  })
-}
-
-const savePoster = async (buffer, sourcePath) => {
-  const dir = await ensurePosterDir()
-  const hash = crypto.createHash('md5').update(sourcePath).digest('hex')
-  const target = path.join(dir, `${hash}.jpg`)
-  await fs.writeFile(target, buffer)
-  return target
-}
-
-const findDuplicates = async (sourcePath) => {
+/**
+ * Groups of visually similar images / videos under a folder
+ * @param {string} sourcePath
+ * @param {object} [options]
+ * @param {object} [options.filters] - Overrides of the saved scan filters (see scanFilterService)
+ * @returns {Promise<Object[]>}
+ * @throws {Error} with status 400 on invalid filters
+ */
+const findDuplicates = async (sourcePath, { filters = null } = {}) => {
   const root = cleanPath(sourcePath)
   await fs.access(root, fssync.constants.R_OK)
 
   const limiter = createLimiter(MAX_CONCURRENCY)
   const fingerprints = []
-  const stack = [root]
+  const { files } = await collectMediaFiles(root, {
+    filters: resolveScanFilters(filters),
+    isMedia,
+    readDate: readCaptureDate,
+  })
 
-  while (stack.length) {
-    const current = stack.pop()
-    let entries = []
+  for (const fullPath of files) {
     try {
-      entries = await fs.readdir(current, { withFileTypes: true })
-    } catch {
-      continue
-    }
-    for (const entry of entries) {
-      const fullPath = path.join(current, entry.name)
-      if (entry.isDirectory()) {
-        stack.push(fullPath)
-      } else if (entry.isFile() && isMedia(fullPath)) {
-        try {
-          const fp = await limiter(async () => {
-            const stat = await fs.stat(fullPath)
+      const fp = await limiter(async () => {
+        const stat = await fs.stat(fullPath)
 
-            if (isImage(fullPath)) {
-              const dhash = await computeDHash(fullPath)
-              return { path: fullPath, size: stat.size, type: 'image', ...dhash }
-            }
-
-            if (isVideo(fullPath)) {
-              const frame = await extractVideoFrame(fullPath)
-              const dhash = frame ? await computeDHashFromBuffer(frame) : null
-              const posterPath = frame ? await savePoster(frame, fullPath) : null
-              return {
-                path: fullPath,
-                size: stat.size,
-                type: 'video',
-                poster: posterPath,
-                ...(dhash || {}),
-              }
-            }
+        if (isImage(fullPath)) {
+          const dhash = await computeDHash(fullPath)
+          return { path: fullPath, size: stat.size, type: 'image', ...dhash }
+        }
 
-            return null
-          })
-          if (fp) fingerprints.push(fp)
-        } catch {
-          // ignore unreadable files
+        if (isVideo(fullPath)) {
+          // Hashed from the cached poster frame, which the UI shows as well
+          const posterPath = await getPosterPath(fullPath)
+          const dhash = posterPath ? await computeDHash(posterPath) : null
+          return {
+            path: fullPath,
+            size: stat.size,
+            type: 'video',
+            poster: posterPath,
+            ...(dhash || {}),
+          }
         }
-      }
+
+        return null
+      })
+      if (fp) fingerprints.push(fp)
+    } catch {
+      // ignore unreadable files
     }
   }
 
@@ -0,0 +1,217 @@
+import fssync from 'node:fs'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import crypto from 'node:crypto'
+import { HDate } from '@hebcal/core'
+import { DATA_DIR, dataPath } from '../utils/dataDir.js'
+import logger from '../utils/logger.js'
+
+// אירועים משפחתיים לפי תאריך עברי (ימי הולדת, ימי נישואין, ימי זיכרון) ואירועים חד-פעמיים בטווח לועזי
+// תמונה שהתאריך העברי שלה תואם אירוע נכנסת לתיקיית האירוע, לפני תיקיית חג או חודש
+
+const EVENTS_FILE = 'events.json'
+
+const EVENT_TYPES = ['birthday', 'anniversary', 'yahrzeit', 'other']
+
+// Month keys -> hebcal month numbers; "adar" follows Adar II in a leap year (as hebcal does for birthdays)
+const MONTHS = [
+  { key: 'tishrei', name: 'תשרי' },
+  { key: 'cheshvan', name: 'חשוון' },
+  { key: 'kislev', name: 'כסלו' },
+  { key: 'tevet', name: 'טבת' },
+  { key: 'shvat', name: 'שבט' },
+  { key: 'adar', name: 'אדר' },
+  { key: 'adar1', name: 'אדר א׳' },
+  { key: 'adar2', name: 'אדר ב׳' },
+  { key: 'nisan', name: 'ניסן' },
+  { key: 'iyyar', name: 'אייר' },
+  { key: 'sivan', name: 'סיוון' },
+  { key: 'tamuz', name: 'תמוז' },
+  { key: 'av', name: 'אב' },
+  { key: 'elul', name: 'אלול' },
+]
+
+const MONTH_NUMBERS = {
+  nisan: 1,
+  iyyar: 2,
+  sivan: 3,
+  tamuz: 4,
+  av: 5,
+  elul: 6,
+  tishrei: 7,
+  cheshvan: 8,
+  kislev: 9,
+  tevet: 10,
+  shvat: 11,
+}
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * Read saved events synchronously - toHebrewDate is synchronous
+ * @returns {Object[]}
+ */
+const loadEvents = () => {
+  try {
+    const raw = fssync.readFileSync(path.join(DATA_DIR, EVENTS_FILE), 'utf-8')
+    return JSON.parse(raw).events || []
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.warn('[eventService] invalid events file, starting empty', { error: err.message })
+    }
+    return []
+  }
+}
+
+let events = loadEvents()
+
+const listEvents = () => events.map((e) => ({ ...e }))
+
+/**
+ * hebcal month number of an event month in a given Hebrew year
+ * @param {string} key - Month key from MONTHS
+ * @param {number} year - Hebrew year
+ * @returns {number}
+ */
+const monthInYear = (key, year) => {
+  if (MONTH_NUMBERS[key]) return MONTH_NUMBERS[key]
+  const leap = HDate.isLeapYear(year)
+  if (key === 'adar1') return 12
+  return leap ? 13 : 12 // adar / adar2
+}
+
+/**
+ * Validate and normalize an event
+ * Recurring: { hebrewMonth, hebrewDay }; one-off: { from, to } as YYYY-MM-DD (civil dates, inclusive)
+ * @param {object} input
+ * @param {string} [id] - Existing id when updating
+ * @returns {object}
+ * @throws {Error} with status 400 on invalid input
+ */
+const normalizeEvent = (input = {}, id = null) => {
+  const fail = (message) => {
+    const err = new Error(message)
+    err.status = 400
+    throw err
+  }
+  const name = String(input.name || '').trim()
+  if (!name) fail('יש להזין שם לאירוע')
+  if (/[<>:"/\\|?*]/.test(name)) fail('שם האירוע מכיל תווים שאסורים בשם תיקייה')
+  const type = input.type || 'other'
+  if (!EVENT_TYPES.includes(type)) fail(`type must be one of: ${EVENT_TYPES.join(', ')}`)
+
+  const event = { id: id || crypto.randomUUID(), name, type, enabled: input.enabled !== false }
+
+  if (input.from || input.to) {
+    const from = String(input.from || '')
+    const to = String(input.to || input.from || '')
+    if (!ISO_DATE_RE.test(from) || !ISO_DATE_RE.test(to)) fail('טווח תאריכים חייב להיות בפורמט YYYY-MM-DD')
+    if (to < from) fail('תאריך הסיום לפני תאריך ההתחלה')
+    return { ...event, from, to }
+  }
+
+  const hebrewMonth = String(input.hebrewMonth || '')
+  const hebrewDay = Number(input.hebrewDay)
+  if (!MONTHS.some((m) => m.key === hebrewMonth)) fail('חודש עברי לא מוכר')
+  if (!Number.isInteger(hebrewDay) || hebrewDay < 1 || hebrewDay > 30) fail('יום בחודש העברי חייב להיות בין 1 ל-30')
+  return { ...event, hebrewMonth, hebrewDay }
+}
+
+const saveEvents = async (next) => {
+  await fs.writeFile(await dataPath(EVENTS_FILE), JSON.stringify({ events: next }, null, 2))
+  events = next
+}
+
+/**
+ * @param {object} input
+ * @returns {Promise<object>} Created event
+ */
+const createEvent = async (input) => {
+  const event = normalizeEvent(input)
+  await saveEvents([...events, event])
+  return event
+}
+
+/**
+ * @param {string} id
+ * @param {object} input
+ * @returns {Promise<object|null>} Updated event or null when not found
+ */
+const updateEvent = async (id, input) => {
+  const existing = events.find((e) => e.id === id)
+  if (!existing) return null
+  const event = normalizeEvent({ ...input }, id)
+  await saveEvents(events.map((e) => (e.id === id ? event : e)))
+  return event
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<boolean>} Whether an event was removed
+ */
+const deleteEvent = async (id) => {
+  if (!events.some((e) => e.id === id)) return false
+  await saveEvents(events.filter((e) => e.id !== id))
+  return true
+}
+
+const toCivilIso = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+
+/**
+ * Whether a recurring event falls on a Hebrew date
+ * Day 30 in a 29-day month is observed on the 29th
+ */
+const matchesHebrew = (event, hd) => {
+  const year = hd.getFullYear()
+  const month = monthInYear(event.hebrewMonth, year)
+  if (hd.getMonth() !== month) return false
+  const day = Math.min(event.hebrewDay, HDate.daysInMonth(month, year))
+  return hd.getDate() === day
+}
+
+/**
+ * First enabled event matching a photo (in list order)
+ * @param {HDate} hd - Hebrew date (after the sunset adjustment)
+ * @param {Date} date - Capture date (civil date for one-off ranges)
+ * @returns {{id: string, name: string, type: string, recurring: boolean, startYear: number}|null}
+ */
+const findEvent = (hd, date) => {
+  const civil = toCivilIso(date)
+  for (const event of events) {
+    if (!event.enabled) continue
+    if (event.from) {
+      if (civil >= event.from && civil <= event.to) {
+        return { id: event.id, name: event.name, type: event.type, recurring: false, startYear: Number(event.from.slice(0, 4)) }
+      }
+    } else if (matchesHebrew(event, hd)) {
+      return { id: event.id, name: event.name, type: event.type, recurring: true, startYear: date.getFullYear() }
+    }
+  }
+  return null
+}
+
+/**
+ * Civil date of a recurring event in a Hebrew year, for the management screen
+ * @param {object} event
+ * @param {number} year - Hebrew year
+ * @returns {string|null} YYYY-MM-DD
+ */
+const occurrenceInYear = (event, year) => {
+  if (event.from) return null
+  const month = monthInYear(event.hebrewMonth, year)
+  const day = Math.min(event.hebrewDay, HDate.daysInMonth(month, year))
+  return toCivilIso(new HDate(day, month, year).greg())
+}
+
+export {
+  EVENT_TYPES,
+  MONTHS,
+  monthInYear,
+  listEvents,
+  createEvent,
+  updateEvent,
+  deleteEvent,
+  findEvent,
+  occurrenceInYear,
+}
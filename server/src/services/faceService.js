@@ -1,16 +1,21 @@
 import path from 'node:path'
-import os from 'node:os'
 import fs from 'node:fs/promises'
 import fssync from 'node:fs'
-import crypto from 'node:crypto'
 import { spawn } from 'node:child_process'
 import sharp from 'sharp'
 import ffmpegPath from 'ffmpeg-static'
-import exif from 'exif-parser'
-import { HDate } from '@hebcal/core'
-import { cleanPath, isImage, isVideo, isMedia } from './fileService.js'
+import { cleanPath, isImage, isVideo, isMedia, readCaptureDate } from './fileService.js'
+import { collectMediaFiles, resolveScanFilters } from './scanFilterService.js'
 import { initFaceApi, loadImage, imageToCanvas, canvasToTensor } from './faceModel.js'
+import { readVideoCreationDate } from './videoMetadataService.js'
+import { inferDateFromFilename, WHATSAPP_NAME_RE, WHATSAPP_TEXT_RE } from './filenameDateService.js'
+import { needsRendition, readImageTags, resolveDecodablePath } from './imageFormatService.js'
+import { getThumbnailPath } from './thumbnailService.js'
+import { getCachedFile } from './cacheService.js'
+import { getHebrewDay } from './hebrewDayService.js'
+import { reverseGeocode } from './placeService.js'
 import logger from '../utils/logger.js'
+import { fromExifSeconds } from '../utils/wallClock.js'
 
 // Will be set after initFaceApi
 let faceapi = null
@@ -23,8 +28,6 @@ const MAX_CONCURRENCY = 10
 const CACHE_VERSION = 1
 const CACHE_FILENAME = '.hebphotosort-faces.json'
 
-const CACHE_DIR = path.join(os.tmpdir(), 'hebphotosort-faces')
-
 /**
  * Detect if file was likely sent/received via WhatsApp
  * @param {string} filePath 
@@ -41,11 +44,11 @@ const detectWhatsApp = (filePath, exifTags) => {
   
   // Check filename patterns
   // WhatsApp images: IMG-YYYYMMDD-WAxxxx.jpg or WhatsApp Image YYYY-MM-DD at HH.MM.SS.jpeg
-  if (/IMG-\d{8}-WA\d+/i.test(filename)) {
+  if (WHATSAPP_NAME_RE.test(filename)) {
     result.isWhatsApp = true
     result.indicators.push('שם קובץ בפורמט WhatsApp (IMG-DATE-WA)')
     result.confidence = 'high'
-  } else if (/WhatsApp\s*(Image|Video)/i.test(filename)) {
+  } else if (WHATSAPP_TEXT_RE.test(filename)) {
     result.isWhatsApp = true
     result.indicators.push('שם קובץ מכיל "WhatsApp"')
     result.confidence = 'high'
@@ -71,7 +74,8 @@ const detectWhatsApp = (filePath, exifTags) => {
 }
 
 /**
- * Convert GPS coordinates to decimal degrees
+ * Convert GPS coordinates to signed decimal degrees
+ * exif-parser / readImageTags already return signed values - only unsigned S/W values are negated
  * @param {number} coord - GPS coordinate from EXIF
  * @param {string} ref - N/S or E/W reference
  * @returns {number} Decimal degrees
@@ -80,7 +84,7 @@ const gpsToDecimal = (coord, ref) => {
   if (coord == null) return null
   let decimal = coord
   if (ref === 'S' || ref === 'W') {
-    decimal = -decimal
+    decimal = -Math.abs(decimal)
   }
   return decimal
 }
@@ -125,13 +129,14 @@ const meteringModeToHebrew = (code) => {
  * @param {Date|string} date - Date object or ISO string
  * @returns {object|null} Hebrew date info or null if invalid
  */
-const toHebrewDate = (date) => {
+const toHebrewDate = (date, { gps = null, timezone = null } = {}) => {
   if (!date) return null
   try {
     const dateObj = date instanceof Date ? date : new Date(date)
     if (isNaN(dateObj.getTime())) return null
     
-    const hd = new HDate(dateObj)
+    // Same sunset / tzeit rule as fileService, so history and sorting agree
+    const { hd, afterNightfall } = getHebrewDay(dateObj, { gps, timezone })
     const full = hd.renderGematriya() // למשל: כ״ד ניסן תשפ״ה
     const parts = full.split(' ')
     const monthNum = hd.getMonth()
@@ -148,7 +153,8 @@ const toHebrewDate = (date) => {
       year: yearRaw,
       month,
       day,
-      monthNum
+      monthNum,
+      afterNightfall
     }
   } catch (err) {
     logger.error('[faceService] Failed to convert to Hebrew date', { date, error: err.message })
@@ -323,6 +329,7 @@ const getFileMetadata = async (filePath) => {
     settings: null,
     image: null,
     dates: null,
+    dateSource: 'filesystem', // exif | container | filename | filesystem - where the capture date came from
     gps: null,
     author: null,
     software: null,
@@ -357,8 +364,8 @@ const getFileMetadata = async (filePath) => {
     // Get image dimensions and EXIF data
     if (isImage(filePath)) {
       try {
-        // Get dimensions and format info using sharp
-        const sharpMeta = await sharp(filePath).metadata()
+        // Get dimensions and format info using sharp (HEIC / RAW via their JPEG rendition)
+        const sharpMeta = await sharp(await resolveDecodablePath(filePath)).metadata()
         metadata.width = sharpMeta.width
         metadata.height = sharpMeta.height
         metadata.image = {
@@ -370,7 +377,7 @@ const getFileMetadata = async (filePath) => {
           aspectRatio: sharpMeta.width && sharpMeta.height
             ? (sharpMeta.width / sharpMeta.height).toFixed(2)
             : null,
-          format: sharpMeta.format || null,
+          format: needsRendition(filePath) ? metadata.extension.slice(1) : sharpMeta.format || null,
           space: sharpMeta.space || null, // color space from sharp
           channels: sharpMeta.channels || null,
           depth: sharpMeta.depth || null, // bit depth
@@ -382,10 +389,7 @@ const getFileMetadata = async (filePath) => {
         
         // Try to get EXIF data
         try {
-          const buf = await fs.readFile(filePath)
-          const parser = exif.create(buf)
-          const result = parser.parse()
-          const tags = result.tags || {}
+          const tags = await readImageTags(filePath)
           
           // Store ALL raw tags for completeness
           metadata.raw = { ...tags }
@@ -495,23 +499,28 @@ const getFileMetadata = async (filePath) => {
           
           // ========== DATES ==========
           const takenDate = tags.DateTimeOriginal 
-            ? new Date(tags.DateTimeOriginal * 1000)
+            ? fromExifSeconds(tags.DateTimeOriginal)
             : null
           const digitizedDate = tags.CreateDate || tags.DateTimeDigitized
-            ? new Date((tags.CreateDate || tags.DateTimeDigitized) * 1000)
+            ? fromExifSeconds(tags.CreateDate || tags.DateTimeDigitized)
             : null
           const modifiedDate = tags.ModifyDate || tags.DateTime
-            ? new Date((tags.ModifyDate || tags.DateTime) * 1000)
+            ? fromExifSeconds(tags.ModifyDate || tags.DateTime)
             : null
           
+          // exif-parser returns signed decimal degrees - used by the sunset mode
+          const photoGps = tags.GPSLatitude != null && tags.GPSLongitude != null
+            ? { latitude: tags.GPSLatitude, longitude: tags.GPSLongitude }
+            : null
+
           metadata.dates = {
             taken: takenDate?.toISOString() || null,
             digitized: digitizedDate?.toISOString() || null,
             modified: modifiedDate?.toISOString() || null,
             // Hebrew dates
-            takenHebrew: takenDate ? toHebrewDate(takenDate) : null,
-            digitizedHebrew: digitizedDate ? toHebrewDate(digitizedDate) : null,
-            modifiedHebrew: modifiedDate ? toHebrewDate(modifiedDate) : null,
+            takenHebrew: takenDate ? toHebrewDate(takenDate, { gps: photoGps, timezone: tags.OffsetTimeOriginal || null }) : null,
+            digitizedHebrew: digitizedDate ? toHebrewDate(digitizedDate, { gps: photoGps }) : null,
+            modifiedHebrew: modifiedDate ? toHebrewDate(modifiedDate, { gps: photoGps }) : null,
             // Sub-second precision
             subSecTimeOriginal: tags.SubSecTimeOriginal || null,
             subSecTimeDigitized: tags.SubSecTimeDigitized || null,
@@ -524,6 +533,7 @@ const getFileMetadata = async (filePath) => {
             digitizedTimezone: digitizedDate ? getTimezoneOffset(digitizedDate) : null,
             modifiedTimezone: modifiedDate ? getTimezoneOffset(modifiedDate) : null
           }
+          if (takenDate || digitizedDate || modifiedDate) metadata.dateSource = 'exif'
           
           // ========== GPS DATA ==========
           if (tags.GPSLatitude != null && tags.GPSLongitude != null) {
@@ -570,7 +580,10 @@ const getFileMetadata = async (filePath) => {
                 osmUrl: `https://www.openstreetmap.org/?mlat=${lat}&mlon=${lng}&zoom=15`,
                 
                 // Formatted
-                formatted: `${Math.abs(lat).toFixed(6)}°${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lng).toFixed(6)}°${lng >= 0 ? 'E' : 'W'}`
+                formatted: `${Math.abs(lat).toFixed(6)}°${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lng).toFixed(6)}°${lng >= 0 ? 'E' : 'W'}`,
+
+                // Offline place name (city / country, Hebrew when available)
+                place: reverseGeocode({ latitude: lat, longitude: lng }),
               }
             }
           }
@@ -659,10 +672,36 @@ const getFileMetadata = async (filePath) => {
         logger.log('[faceService] Sharp metadata failed for', filePath, sharpErr.message)
       }
     } else if (isVideo(filePath)) {
-      // For videos, we could use ffprobe to get dimensions, but keeping it simple for now
-      // Could add video metadata extraction later
+      // Container metadata (QuickTime creationdate / creation_time) via ffmpeg
+      const container = await readVideoCreationDate(filePath)
+      if (container) {
+        metadata.dates = {
+          taken: container.date.toISOString(),
+          takenHebrew: toHebrewDate(container.date, { timezone: container.timezone }),
+          // Keep the offset recorded by the camera when there is one
+          takenTimezone: container.timezone || getTimezoneOffset(container.date),
+          containerTag: container.tag,
+          containerRaw: container.raw
+        }
+        metadata.dateSource = 'container'
+      }
       metadata.source = { type: 'video', confidence: 'high', indicator: 'file extension' }
     }
+
+    // No embedded date - fall back to a date in the file name (same order as fileService.getMediaDate)
+    if (metadata.dateSource === 'filesystem') {
+      const fromName = await inferDateFromFilename(filePath)
+      if (fromName) {
+        metadata.dates = {
+          ...(metadata.dates || {}),
+          taken: fromName.date.toISOString(),
+          takenHebrew: toHebrewDate(fromName.date),
+          takenTimezone: getTimezoneOffset(fromName.date),
+          filenamePattern: fromName.pattern
+        }
+        metadata.dateSource = 'filename'
+      }
+    }
   } catch (err) {
     logger.error('[faceService] getFileMetadata failed:', err.message)
   }
@@ -784,11 +823,6 @@ const categorizeFiles = async (mediaFiles, cache) => {
   return { cached, toScan, removed }
 }
 
-const ensureCacheDir = async () => {
-  await fs.mkdir(CACHE_DIR, { recursive: true })
-  return CACHE_DIR
-}
-
 const extractVideoFrame = async (filePath) => {
   if (!ffmpegPath) return null
   return new Promise((resolve, reject) => {
@@ -804,37 +838,8 @@ const extractVideoFrame = async (filePath) => {
   })
 }
 
-const saveBufferThumb = async (buffer, sourcePath) => {
-  const dir = await ensureCacheDir()
-  const hash = crypto.createHash('md5').update(sourcePath).digest('hex')
-  const target = path.join(dir, `${hash}.jpg`)
-  await sharp(buffer).rotate().resize(THUMB_SIZE, THUMB_SIZE, { fit: 'cover' }).toFile(target)
-  return target
-}
-
-const buildThumbFromImage = async (filePath) => {
-  const dir = await ensureCacheDir()
-  const hash = crypto.createHash('md5').update(filePath).digest('hex')
-  const target = path.join(dir, `${hash}.jpg`)
-  await sharp(filePath, { failOn: 'error' })
-    .rotate()
-    .resize(THUMB_SIZE, THUMB_SIZE, { fit: 'cover' })
-    .toFile(target)
-  return target
-}
-
-const buildThumb = async (filePath) => {
-  try {
-    if (isImage(filePath)) return await buildThumbFromImage(filePath)
-    if (isVideo(filePath)) {
-      const frame = await extractVideoFrame(filePath)
-      if (frame) return await saveBufferThumb(frame, filePath)
-    }
-  } catch {
-    // ignore and fallback
-  }
-  return null
-}
+// Sample thumbnails come from the shared thumbnail cache (also behind /api/thumb)
+const buildThumb = (filePath) => getThumbnailPath(filePath, THUMB_SIZE).catch(() => null)
 
 // Create a cropped face thumbnail from the image based on bounding box
 const FACE_THUMB_SIZE = 150
@@ -842,80 +847,57 @@ const buildFaceThumb = async (filePath, box) => {
   if (!box) return null
   
   try {
-    const dir = await ensureCacheDir()
-    // Create unique hash from file path and box coordinates
+    // One cache entry per file and box
     const boxId = `${Math.round(box.x)}_${Math.round(box.y)}_${Math.round(box.width)}_${Math.round(box.height)}`
-    const hash = crypto.createHash('md5').update(`${filePath}_face_${boxId}`).digest('hex')
-    const target = path.join(dir, `face_${hash}.jpg`)
-    
-    // Check if already exists
-    if (fssync.existsSync(target)) return target
-    
-    // Add padding around the face (20% on each side)
-    const padding = 0.3
-    const paddingX = box.width * padding
-    const paddingY = box.height * padding
-    
-    // Calculate crop region with padding
-    let left = Math.max(0, Math.round(box.x - paddingX))
-    let top = Math.max(0, Math.round(box.y - paddingY))
-    let width = Math.round(box.width + paddingX * 2)
-    let height = Math.round(box.height + paddingY * 2)
-    
-    // Get image metadata to ensure we don't go out of bounds
-    const metadata = await sharp(filePath).metadata()
-    
-    // Adjust for image rotation
-    const imgWidth = metadata.orientation >= 5 ? metadata.height : metadata.width
-    const imgHeight = metadata.orientation >= 5 ? metadata.width : metadata.height
-    
-    // Clamp to image bounds
-    if (left + width > imgWidth) width = imgWidth - left
-    if (top + height > imgHeight) height = imgHeight - top
-    
-    // Ensure minimum size
-    if (width < 10 || height < 10) return null
-    
-    await sharp(filePath)
-      .rotate() // Auto-rotate based on EXIF
-      .extract({ left, top, width, height })
-      .resize(FACE_THUMB_SIZE, FACE_THUMB_SIZE, { fit: 'cover' })
-      .toFile(target)
-    
-    return target
+    return await getCachedFile('faces', filePath, `face_${boxId}`, async (target) => {
+      // Add padding around the face (20% on each side)
+      const padding = 0.3
+      const paddingX = box.width * padding
+      const paddingY = box.height * padding
+
+      // Calculate crop region with padding
+      let left = Math.max(0, Math.round(box.x - paddingX))
+      let top = Math.max(0, Math.round(box.y - paddingY))
+      let width = Math.round(box.width + paddingX * 2)
+      let height = Math.round(box.height + paddingY * 2)
+
+      // Face boxes were detected on the decodable image (JPEG rendition for HEIC / RAW)
+      const source = await resolveDecodablePath(filePath)
+
+      // Get image metadata to ensure we don't go out of bounds
+      const metadata = await sharp(source).metadata()
+
+      // Adjust for image rotation
+      const imgWidth = metadata.orientation >= 5 ? metadata.height : metadata.width
+      const imgHeight = metadata.orientation >= 5 ? metadata.width : metadata.height
+
+      // Clamp to image bounds
+      if (left + width > imgWidth) width = imgWidth - left
+      if (top + height > imgHeight) height = imgHeight - top
+
+      // Ensure minimum size
+      if (width < 10 || height < 10) return false
+
+      await sharp(source)
+        .rotate() // Auto-rotate based on EXIF
+        .extract({ left, top, width, height })
+        .resize(FACE_THUMB_SIZE, FACE_THUMB_SIZE, { fit: 'cover' })
+        .jpeg()
+        .toFile(target)
+    })
   } catch (err) {
     logger.error('[faceService] buildFaceThumb failed:', err.message)
     return null
   }
 }
 
-const collectMedia = async (rootPath) => {
-  const files = []
-  const stack = [rootPath]
-
-  while (stack.length) {
-    const current = stack.pop()
-    let entries = []
-    try {
-      entries = await fs.readdir(current, { withFileTypes: true })
-    } catch {
-      continue
-    }
-
-    for (const entry of entries) {
-      const fullPath = path.join(current, entry.name)
-      if (entry.isDirectory()) {
-        stack.push(fullPath)
-      } else if (entry.isFile() && isMedia(fullPath)) {
-        files.push(fullPath)
-      }
-    }
-  }
-
+// Media under the scanned folder after the shared scan filters (ignore globs, hidden folders, size, date range...)
+const collectMedia = async (rootPath, filters) => {
+  const { files } = await collectMediaFiles(rootPath, { filters, isMedia, readDate: readCaptureDate })
   return files
 }
 
-const createLimiter = (limit = 2, signal = null) => {
+const createLimiter = (limit = 2, signal = null, waitIfPaused = null) => {
   let active = 0
   const queue = []
   let cancelledLogged = false
@@ -966,6 +948,8 @@ const createLimiter = (limit = 2, signal = null) => {
       }
       
       const task = async () => {
+        // A paused job holds each slot here until it is resumed (or cancelled)
+        if (waitIfPaused) await waitIfPaused()
         // Double-check cancellation when task actually starts
         if (isCancelled()) {
           return { skipped: true }
@@ -992,7 +976,7 @@ const detectFacesInFile = async (filePath) => {
     let img = null
     if (isImage(filePath)) {
       logger.log('[faceService] Loading image...')
-      img = await loadImage(filePath)
+      img = await loadImage(await resolveDecodablePath(filePath))
       logger.log('[faceService] Image loaded:', {
         width: img?.width,
         height: img?.height,
@@ -1143,7 +1127,7 @@ const clustersToFaces = (clusters) => {
 }
 
 const scanFaces = async (sourcePath, onProgress = null, options = {}) => {
-  const { concurrency = 10, signal = null } = options
+  const { concurrency = 10, signal = null, waitIfPaused = null, filters = null } = options
   logger.log('[faceService] scanFaces starting for:', sourcePath, 'concurrency:', concurrency)
   
   // Helper to check if scan was cancelled
@@ -1157,6 +1141,8 @@ const scanFaces = async (sourcePath, onProgress = null, options = {}) => {
     throw err
   }
   await fs.access(root, fssync.constants.R_OK)
+  // Before loading the model - invalid filters fail fast with status 400
+  const scanFilters = resolveScanFilters(filters)
   
   // Report: initializing
   if (onProgress) onProgress({ phase: 'init', message: 'מאתחל זיהוי פנים...' })
@@ -1170,7 +1156,7 @@ const scanFaces = async (sourcePath, onProgress = null, options = {}) => {
   // Report: collecting files
   if (onProgress) onProgress({ phase: 'collect', message: 'אוסף קבצי מדיה...' })
   
-  const mediaFiles = await collectMedia(root)
+  const mediaFiles = await collectMedia(root, scanFilters)
   if (!mediaFiles.length) {
     if (onProgress) onProgress({ phase: 'done', current: 0, total: 0, facesFound: 0, faces: [] })
     return { faces: [], totalFiles: 0, groupCount: 0 }
@@ -1214,7 +1200,7 @@ const scanFaces = async (sourcePath, onProgress = null, options = {}) => {
     }
   }
 
-  const limiter = createLimiter(concurrency, signal)
+  const limiter = createLimiter(concurrency, signal, waitIfPaused)
   let processed = 0
   const totalToScan = toScan.length
   const totalFiles = mediaFiles.length
@@ -1323,6 +1309,7 @@ const scanFaces = async (sourcePath, onProgress = null, options = {}) => {
         settings: fileMeta.settings,
         image: fileMeta.image,
         dates: fileMeta.dates,
+        dateSource: fileMeta.dateSource,
         gps: fileMeta.gps,
         author: fileMeta.author,
         software: fileMeta.software,
@@ -1490,6 +1477,7 @@ const getScanHistory = async (sourcePath) => {
     settings: data.settings || null,
     image: data.image || null,
     dates: data.dates || null,
+    dateSource: data.dateSource || null,
     gps: data.gps || null,
     author: data.author || null,
     software: data.software || null,
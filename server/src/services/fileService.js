@@ -1,37 +1,115 @@
 import path from 'node:path'
 import fs from 'node:fs/promises'
 import fssync from 'node:fs'
-import exif from 'exif-parser'
-import { HDate, HebrewCalendar } from '@hebcal/core'
+import { Locale, getSedra } from '@hebcal/core'
+import { startRun, recordOperation, getTrashPath } from './journalService.js'
+import { moveFile, copyFile, copyVerified, hashFile, flushBirthtimes, TRANSFER } from './transferService.js'
+import { recordFile } from './manifestService.js'
+import { groupFolder, findCompanions, groupFiles, companionSuffix, companionTarget } from './sidecarService.js'
+import { createCheckpoint, recordIntent, recordDone, markRunning, closeCheckpoint } from './checkpointService.js'
+import { renderTemplate, validateTemplate, renderFileName, validateNamePattern, usesNameToken } from './templateService.js'
+import { preservedFileNameXmp, addPreservedFileName } from './xmpService.js'
+import { readVideoCreationDate } from './videoMetadataService.js'
+import { inferDateFromFilename } from './filenameDateService.js'
+import { readImportMetadata } from './importService.js'
+import { getManualDate, addToReview, markSorted } from './dateReviewService.js'
+import { resolveScanFilters, listFolders, filterMediaFiles } from './scanFilterService.js'
+import { IMAGE_EXT, readImageTags, readImageDimensions } from './imageFormatService.js'
+import { getHebrewDay } from './hebrewDayService.js'
+import { getHolidayPeriod } from './holidayService.js'
+import { findEvent } from './eventService.js'
+import { reverseGeocode } from './placeService.js'
+import logger from '../utils/logger.js'
+import { fromExifSeconds } from '../utils/wallClock.js'
 
-const IMAGE_EXT = new Set(['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp'])
 const VIDEO_EXT = new Set(['.mp4', '.mov', '.avi', '.mkv', '.webm', '.m4v'])
 
 const isImage = (filePath) => IMAGE_EXT.has(path.extname(filePath).toLowerCase())
 const isVideo = (filePath) => VIDEO_EXT.has(path.extname(filePath).toLowerCase())
 const isMedia = (filePath) => isImage(filePath) || isVideo(filePath)
 
-const getMediaDate = async (filePath) => {
-  // For images, try EXIF first; for videos fall back to FS metadata.
+const EXIF_DATE_TAGS = ['DateTimeOriginal', 'CreateDate', 'ModifyDate']
+
+// How far each date source can be trusted. A file name or a WhatsApp backup gives the day, not always the time;
+// mtime is often the copy date. unknownDatePolicy acts on files below its minConfidence
+const DATE_CONFIDENCE = {
+  manual: 'high',
+  takeout: 'high',
+  exif: 'high',
+  container: 'high',
+  whatsapp: 'medium',
+  filename: 'medium',
+  filesystem: 'low',
+}
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high']
+const UNKNOWN_DATE_POLICIES = ['sort', 'quarantine', 'review']
+// unknownDatePolicy 'quarantine': one folder at the destination root, the files keep their names
+const UNKNOWN_DATE_FOLDER = 'לא ידוע'
+
+const isBelow = (confidence, minConfidence) =>
+  CONFIDENCE_LEVELS.indexOf(confidence) < CONFIDENCE_LEVELS.indexOf(minConfidence)
+
+/**
+ * Find the best available capture date of a media file
+ * Order: EXIF (images, incl. HEIC/TIFF/RAW) -> container metadata (videos) -> file name -> filesystem mtime
+ * In import mode an exported archive comes first: Google Takeout JSON, WhatsApp backup layout (see importService)
+ * A date the user assigned (see dateReviewService) overrides all of them; GPS still comes from the file
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {boolean} [options.importMode]
+ * @returns {Promise<{date: Date, source: 'manual'|'takeout'|'whatsapp'|'exif'|'container'|'filename'|'filesystem', detail: string, confidence: 'high'|'medium'|'low', timezone: string|null, gps?: object, description?: string|null}>}
+ */
+const getMediaDate = async (filePath, options = {}) => {
+  const found = await readMediaDate(filePath, options)
+  const manual = getManualDate(filePath)
+  if (manual) {
+    return { ...found, date: new Date(manual.date), source: 'manual', detail: manual.kind, timezone: null, confidence: 'high' }
+  }
+  return { ...found, confidence: DATE_CONFIDENCE[found.source] }
+}
+
+// Capture date only - for the scan date-range filter
+const readCaptureDate = async (filePath) => (await getMediaDate(filePath)).date
+
+const readMediaDate = async (filePath, { importMode = false } = {}) => {
+  if (importMode) {
+    const imported = await readImportMetadata(filePath)
+    if (imported) return imported
+  }
   if (isImage(filePath)) {
     try {
-      const buf = await fs.readFile(filePath)
-      const parser = exif.create(buf)
-      const result = parser.parse()
-      const exifDate =
-        result.tags.DateTimeOriginal ||
-        result.tags.CreateDate ||
-        result.tags.ModifyDate ||
-        null
-      if (exifDate) return new Date(exifDate * 1000)
+      const tags = await readImageTags(filePath)
+      const tag = EXIF_DATE_TAGS.find((name) => tags[name])
+      // exif-parser already returns signed decimal degrees
+      const gps = tags.GPSLatitude != null && tags.GPSLongitude != null
+        ? { latitude: tags.GPSLatitude, longitude: tags.GPSLongitude }
+        : null
+      // OffsetTimeOriginal is only exposed by exifr (HEIC/TIFF/RAW)
+      const timezone = tags.OffsetTimeOriginal || tags.OffsetTime || null
+      if (tag) return { date: fromExifSeconds(tags[tag]), source: 'exif', detail: tag, timezone, gps }
     } catch {
       // ignore and fallback to filesystem timestamps
     }
   }
+  if (isVideo(filePath)) {
+    try {
+      const container = await readVideoCreationDate(filePath)
+      if (container) {
+        return { date: container.date, source: 'container', detail: container.tag, timezone: container.timezone }
+      }
+    } catch {
+      // ignore and fallback to filesystem timestamps
+    }
+  }
+  // Names like IMG-20230512-WA0003.jpg keep the date even when metadata was stripped
+  const fromName = await inferDateFromFilename(filePath)
+  if (fromName) return { date: fromName.date, source: 'filename', detail: fromName.pattern, timezone: null }
   const stat = await fs.stat(filePath)
   // Prefer mtime over birthtime because birthtime can be the copy/move date, not the original file date
   // mtime (modification date) usually reflects the actual file date better
-  return stat.mtime || stat.birthtime
+  return stat.mtime
+    ? { date: stat.mtime, source: 'filesystem', detail: 'mtime', timezone: null }
+    : { date: stat.birthtime, source: 'filesystem', detail: 'birthtime', timezone: null }
 }
 
 const HEB_MONTHS = {
@@ -50,93 +128,40 @@ const HEB_MONTHS = {
   13: 'אדר ב׳',
 }
 
-// מפת חגים עיקריים - שמות בעברית
-const HOLIDAY_NAMES = {
-  'Pesach': 'פסח',
-  'Shavuot': 'שבועות',
-  'Rosh Hashana': 'ראש השנה',
-  'Yom Kippur': 'יום כיפור',
-  'Sukkot': 'סוכות',
-  'Shmini Atzeret': 'שמיני עצרת',
-  'Simchat Torah': 'שמחת תורה',
-  'Chanukah': 'חנוכה',
-  'Purim': 'פורים',
-  'Lag BaOmer': 'ל״ג בעומר',
-  'Tu B\'Av': 'ט״ו באב',
-  'Tu Bishvat': 'ט״ו בשבט',
-  'Tisha B\'Av': 'תשעה באב',
-  'Yom HaAtzmaut': 'יום העצמאות',
-  'Yom HaZikaron': 'יום הזיכרון',
-  'Yom HaShoah': 'יום השואה',
-}
+const WEEKDAYS_HE = ['ראשון', 'שני', 'שלישי', 'רביעי', 'חמישי', 'שישי', 'שבת']
+
+// Sedra tables are per Hebrew year - cache them, sorting touches the same few years thousands of times
+const sedraCache = new Map()
 
 /**
- * מקבל את שם החג עבור תאריך עברי נתון
- * @param {Date} date - תאריך לועזי
- * @returns {string|null} שם החג בעברית או null אם אין חג
+ * מחזיר את פרשת השבוע (של השבת הקרובה) בעברית
+ * @param {HDate} hd - תאריך עברי
+ * @returns {string|null} למשל "וישב" או "נצבים-וילך"
  */
-const getHolidayName = (date) => {
+const getParashaName = (hd) => {
   try {
-    const hd = new HDate(date)
     const year = hd.getFullYear()
-    
-    // מקבל את כל החגים לשנה העברית
-    const holidays = HebrewCalendar.getHolidaysForYear(year)
-    
-    // מחפש חגים בתאריך הספציפי
-    for (const event of holidays) {
-      try {
-        // Get the Hebrew date from the event - try different methods
-        let eventDate = null
-        if (typeof event.getDate === 'function') {
-          eventDate = event.getDate()
-        } else if (event.hdate) {
-          eventDate = event.hdate
-        } else if (event.date) {
-          // If it's a Date object, convert to HDate
-          eventDate = new HDate(event.date)
-        } else {
-          // Skip events without a valid date
-          continue
-        }
-
-        // בדיקה אם התאריך תואם
-        if (eventDate && eventDate.getAbs && eventDate.getAbs() === hd.getAbs()) {
-          const eventId = event.getDesc ? event.getDesc() : null
-          // בדיקה לפי ID במיפוי
-          if (eventId && HOLIDAY_NAMES[eventId]) {
-            return HOLIDAY_NAMES[eventId]
-          }
-          
-          // בדיקה לפי שם האירוע בעברית
-          const eventName = event.render ? event.render('he') : null
-          if (eventName) {
-            // בדיקה אם זה חג (לא שבת או ראש חודש)
-            if (eventId && !eventId.includes('Shabbat') && !eventId.includes('Rosh Chodesh')) {
-              // אם יש במיפוי, נחזיר את השם מהמיפוי
-              if (HOLIDAY_NAMES[eventName]) {
-                return HOLIDAY_NAMES[eventName]
-              }
-              // אחרת נחזיר את השם בעברית
-              return eventName
-            }
-          }
-        }
-      } catch (eventErr) {
-        // Skip this event if there's an error processing it
-        continue
-      }
-    }
-    
-    return null
+    if (!sedraCache.has(year)) sedraCache.set(year, getSedra(year, true))
+    const { parsha } = sedraCache.get(year).lookup(hd)
+    if (!parsha?.length) return null
+    return parsha.map((name) => Locale.gettext(name, 'he-x-NoNikud')).join('-')
   } catch (err) {
-    console.error('[fileService] Error getting holiday name', { date, error: err.message })
+    logger.error('[fileService] Error getting parasha', { error: err.message })
     return null
   }
 }
 
-const toHebrewDate = (date) => {
-  const hd = new HDate(date)
+/**
+ * Convert a capture date to the Hebrew date fields used for folder names
+ * @param {Date} date - Capture date
+ * @param {Object} [options]
+ * @param {{latitude: number, longitude: number}|null} [options.gps] - EXIF GPS, used by the sunset mode
+ * @param {string|null} [options.timezone] - Recorded UTC offset of the capture time
+ * @returns {Object}
+ */
+const toHebrewDate = (date, { gps = null, timezone = null } = {}) => {
+  // After sunset / tzeit the Hebrew date already belongs to the next day (when enabled)
+  const { hd, afterNightfall } = getHebrewDay(date, { gps, timezone })
   const full = hd.renderGematriya() // למשל: כ״ד ניסן תשפ״ה
   const parts = full.split(' ')
   const monthNum = hd.getMonth()
@@ -151,11 +176,18 @@ const toHebrewDate = (date) => {
   const gregorianMonthStr = String(gregorianMonth).padStart(2, '0') // 02, 03, וכו'
   const gregorianDay = date.getDate() // היום הלועזי (1-31)
   const gregorianDayStr = String(gregorianDay).padStart(2, '0') // 01, 02, וכו'
-  const holidayName = getHolidayName(date)
+  // כל ימי החג (כולל חול המועד) שייכים לאותה תקופה - תיקייה אחת לחג כולו
+  const holiday = getHolidayPeriod(hd)
+  // אירוע משפחתי (יום הולדת, יום זיכרון...) גובר על חג ועל תיקיית החודש
+  const event = findEvent(hd, date)
+  const eventYear = event && !event.recurring ? event.startYear : null
+  // מקום הצילום (ללא רשת) - עבור המשתנים {place} / {city} / {country}
+  const place = gps ? reverseGeocode(gps) : null
   return {
     full,
     year: yearRaw,
     yearPath,
+    hebrewYearNum: hd.getFullYear(),
     gregorianYear,
     gregorianMonth,
     gregorianDay,
@@ -163,44 +195,70 @@ const toHebrewDate = (date) => {
     day,
     dayGematriya: dayGematriyaPath,
     folderName: `${month}- ${yearPath} - (${gregorianMonthStr}-${gregorianYear})`,
-    holidayName,
+    holidayName: holiday?.name || null,
+    holidayFolder: holiday ? `${holiday.name.replace(/[״"]/g, "''")} ${yearPath}` : null, // פסח תשפ''ה
+    // Chanukah crosses January - the year folder follows the first day of the festival
+    holidayGregorianYear: eventYear || (holiday ? holiday.start.greg().getFullYear() : gregorianYear),
+    eventName: event?.name || null,
+    // אירוע חוזר מקבל את השנה העברית בשם התיקייה, אירוע חד-פעמי (בר מצווה) - רק את שמו
+    eventFolder: event ? (event.recurring ? `${event.name} ${yearPath}` : event.name) : null,
+    place,
+    weekday: WEEKDAYS_HE[hd.getDay()],
+    parasha: getParashaName(hd),
+    afterNightfall,
   }
 }
 
-const buildTargetPath = (destRoot, hebrew, format) => {
-  const yearDirName = `${hebrew.yearPath} - (${hebrew.gregorianYear})`
-  const yearDir = path.join(destRoot, yearDirName)
-  
-  // אם יש חג ופורמט הוא month-year, יוצרים תיקיית חג בין החודשים
-  if (format === 'month-year' && hebrew.holidayName) {
-    const holidayDir = path.join(yearDir, hebrew.holidayName)
-    return holidayDir
-  }
-  
-  const base = path.join(yearDir, hebrew.folderName)
-  if (format === 'day-month-year') {
-    const dayGematriya = hebrew.dayGematriya || String(hebrew.day)
-    const gregorianDayStr = String(hebrew.gregorianDay || hebrew.day).padStart(2, '0')
-    const gregorianMonthStr = String(hebrew.gregorianMonth).padStart(2, '0')
-    const gregorianDateStr = `${gregorianDayStr}-${gregorianMonthStr}-${hebrew.gregorianYear}`
-    const dayName = typeof hebrew.day === 'number' ? `יום ${dayGematriya} (${gregorianDateStr})` : hebrew.day
-    return path.join(base, dayName)
-  }
-  return base
-}
+// format הוא שם תבנית מובנית ('month-year', 'day-month-year', 'country', 'city') או תבנית משתנים, ראה templateService
+// ב-month-year תיקיית אירוע / חג (אם יש, לכל ימי החג) מחליפה את תיקיית החודש
+const buildTargetPath = (destRoot, hebrew, format) => path.join(destRoot, ...renderTemplate(format, hebrew))
 
-const ensureUniquePath = async (targetPath) => {
-  if (!fssync.existsSync(targetPath)) return targetPath
+/**
+ * מחזיר נתיב פנוי ביעד - מוסיף (1), (2)... אם הקובץ כבר קיים
+ * @param {string} targetPath - נתיב היעד המבוקש
+ * @param {Set<string>|null} reserved - נתיבים שכבר "תפוסים" באותו batch אף שעדיין לא נכתבו לדיסק; הנתיב שנבחר
+ *   (והנתיבים של הנלווים שלו) נוספים אליו מיד, לפני שקובץ מקביל אחר בודק - אחרת שניהם היו מקבלים אותו שם
+ * @param {string[]} suffixes - סיומות הקבצים הנלווים (companionSuffix) - גם הם צריכים שם פנוי, אחרת הזוג נשבר
+ * @param {Function|null} candidateAt - (counter) => נתיב; תבנית שם עם {counter} ממספרת בעצמה (ראה renderFileName)
+ * @returns {Promise<string>} נתיב פנוי
+ */
+const ensureUniquePath = async (targetPath, reserved = null, suffixes = [], candidateAt = null) => {
+  const exists = (candidate) => fssync.existsSync(candidate) || (reserved ? reserved.has(candidate) : false)
+  const taken = (candidate) => exists(candidate) || suffixes.some((suffix) => exists(companionTarget(candidate, suffix)))
   const { name, ext, dir } = path.parse(targetPath)
-  let counter = 1
-  let candidate = path.join(dir, `${name} (${counter})${ext}`)
-  while (fssync.existsSync(candidate)) {
+  const nextCandidate = candidateAt || ((n) => path.join(dir, `${name} (${n})${ext}`))
+  let counter = 0
+  let candidate = targetPath
+  while (taken(candidate)) {
     counter += 1
-    candidate = path.join(dir, `${name} (${counter})${ext}`)
+    candidate = nextCandidate(counter)
+  }
+  if (reserved) {
+    reserved.add(candidate)
+    suffixes.forEach((suffix) => reserved.add(companionTarget(candidate, suffix)))
   }
   return candidate
 }
 
+/**
+ * Turns for reserving target names in file order: files of a batch run in parallel and finish reading their dates
+ * in any order, but each one reserves its name only after the file before it - so a dry run and the real run number
+ * colliding names the same way
+ * @returns {() => {wait: () => Promise<void>, release: () => void}} Call once per file, in file order, before any await
+ */
+const createReservationTurns = () => {
+  let last = Promise.resolve()
+  return () => {
+    const previous = last
+    let resolve
+    last = new Promise((r) => {
+      resolve = r
+    })
+    // A file that fails before its turn still lets the next one go - but never ahead of the files before it
+    return { wait: () => previous, release: () => previous.then(resolve) }
+  }
+}
+
 const cleanPath = (p) => {
   if (!p) return ''
   const trimmed = p.trim().replace(/^"(.*)"$/, '$1')
@@ -212,7 +270,18 @@ const cleanPath = (p) => {
   return path.resolve(trimmed)
 }
 
-const scanFolder = async (sourcePath) => {
+/**
+ * Media files under a folder, recursively. Companions (sidecars, Live Photo videos - see sidecarService) are not
+ * listed as files of their own but attached to their media file
+ * @param {string} sourcePath
+ * @param {object} [options]
+ * @param {object} [options.filters] - Overrides of the saved scan filters (see scanFilterService)
+ * @param {string[]} [options.exclude] - Folders to skip, e.g. the sort destination when it is under sourcePath
+ * @returns {Promise<{files: string[], count: number, companions: Object<string, string[]>, filtered: object}>}
+ *   filtered - how many media files the size / dimension / date filters left out
+ * @throws {Error} with status 400 on invalid filters
+ */
+const scanFolder = async (sourcePath, { filters = null, exclude = [] } = {}) => {
   if (!sourcePath || !sourcePath.trim()) {
     throw new Error('sourcePath is required and cannot be empty')
   }
@@ -232,66 +301,419 @@ const scanFolder = async (sourcePath) => {
   
   await fs.access(root, fssync.constants.R_OK)
 
-  const results = []
-  const stack = [root]
-
-  while (stack.length) {
-    const current = stack.pop()
-    let entries = []
-    try {
-      entries = await fs.readdir(current, { withFileTypes: true })
-    } catch {
-      // אם אין הרשאה/שגיאה, דלג על התיקייה הזו
-      continue
-    }
-
-    for (const entry of entries) {
-      const fullPath = path.join(current, entry.name)
-      if (entry.isDirectory()) {
-        stack.push(fullPath)
-      } else if (entry.isFile() && isMedia(fullPath)) {
-        results.push(fullPath)
-      }
-    }
+  const scanFilters = resolveScanFilters(filters)
+  const media = []
+  const grouped = {}
+  for (const { dir, names } of await listFolders(root, scanFilters, exclude)) {
+    const group = groupFolder(dir, names, isMedia)
+    media.push(...group.media)
+    Object.assign(grouped, group.companions)
   }
 
-  return { files: results, count: results.length }
+  // A file that is filtered out takes its companions with it
+  const { files, filtered } = await filterMediaFiles(media, scanFilters, readCaptureDate)
+  const companions = {}
+  for (const file of files) if (grouped[file]) companions[file] = grouped[file]
+  return { files, count: files.length, companions, filtered }
 }
 
-const deleteFile = async (targetPath) => {
-  await fs.rm(targetPath, { force: true })
+// מחיקה = העברה לפח של היומן, כדי שאפשר יהיה לבטל (undo)
+const deleteFile = async (targetPath, { runId = null } = {}) => {
+  if (!fssync.existsSync(targetPath)) return { deleted: false }
+  const trashPath = await getTrashPath(targetPath)
+  await moveFile(targetPath, trashPath)
+  const journalRunId = runId || (await startRun('delete', { targetPath }))
+  const entryId = await recordOperation({
+    runId: journalRunId,
+    action: 'delete',
+    mode: 'delete',
+    source: targetPath,
+    target: trashPath,
+  })
+  return { deleted: true, runId: journalRunId, entryId }
 }
 
 const createFolder = async (targetPath) => {
   await fs.mkdir(targetPath, { recursive: true })
 }
 
-const readExif = async (targetPath) => {
-  const date = await getMediaDate(targetPath)
-  const hebrew = toHebrewDate(date)
-  return { date: date?.toISOString(), hebrew }
+const readExif = async (targetPath, { importMode = false } = {}) => {
+  const { date, source, detail, confidence, timezone, gps, description = null } = await getMediaDate(targetPath, { importMode })
+  const hebrew = toHebrewDate(date, { gps, timezone })
+  return {
+    date: date?.toISOString(),
+    hebrew,
+    dateSource: source,
+    dateSourceDetail: detail,
+    dateConfidence: confidence,
+    timezone,
+    description,
+  }
+}
+
+/**
+ * What the streaming scan shows for a file: size, dimensions, capture date, Hebrew date and the folder it would be
+ * sorted into - planSortFile without companions, renames or collisions
+ * @param {string} src
+ * @param {object} options
+ * @param {string} options.format - Preset or template, as for sortFile
+ * @param {boolean} [options.importMode]
+ * @param {string} [options.unknownDatePolicy] - 'quarantine' predicts UNKNOWN_DATE_FOLDER, 'review' no folder
+ * @param {string} [options.minConfidence]
+ * @returns {Promise<Object>} target is relative to the destination root
+ */
+const describeMediaFile = async (
+  src,
+  { format, importMode = false, unknownDatePolicy = 'sort', minConfidence = 'medium' },
+) => {
+  const [stat, dimensions, found] = await Promise.all([
+    fs.stat(src),
+    isImage(src) ? readImageDimensions(src) : null,
+    getMediaDate(src, { importMode }),
+  ])
+  const { date, source, confidence, gps, timezone } = found
+  const hebrew = toHebrewDate(date, { gps, timezone })
+  const unknownDate = unknownDateRoute(confidence, { unknownDatePolicy, minConfidence })
+  let target = buildTargetPath('', hebrew, format)
+  if (unknownDate === 'quarantine') target = UNKNOWN_DATE_FOLDER
+  else if (unknownDate === 'review') target = null
+  return {
+    path: src,
+    name: path.basename(src),
+    type: isVideo(src) ? 'video' : 'image',
+    size: stat.size,
+    modified: stat.mtime.toISOString(),
+    width: dimensions?.width ?? null,
+    height: dimensions?.height ?? null,
+    date: date.toISOString(),
+    dateSource: source,
+    dateConfidence: confidence,
+    hebrewDate: hebrew.full,
+    target,
+    ...(unknownDate ? { unknownDate } : {}),
+  }
+}
+
+/**
+ * Where the unknown-date policy sends a file: null = sort normally
+ * @returns {'quarantine'|'review'|null}
+ */
+const unknownDateRoute = (confidence, { unknownDatePolicy, minConfidence }) =>
+  unknownDatePolicy !== 'sort' && isBelow(confidence, minConfidence) ? unknownDatePolicy : null
+
+// {camera}: the model alone is usually enough (iPhone 13, Canon EOS R6); Make when there is no model
+const readCamera = async (filePath) => {
+  if (!isImage(filePath)) return null
+  try {
+    const tags = await readImageTags(filePath)
+    return String(tags.Model || tags.Make || '').trim() || null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Where a file goes inside its target folder: its own name, or renamePattern rendered for it; a collision is
+ * numbered by ensureUniquePath (through {counter} when the pattern has one)
+ * @returns {Promise<{requestedPath: string, targetPath: string}>}
+ */
+const resolveTargetPath = async ({ src, targetDir, renamePattern, date, hebrew, reserved, suffixes }) => {
+  if (!renamePattern) {
+    const requestedPath = path.join(targetDir, path.basename(src))
+    return { requestedPath, targetPath: await ensureUniquePath(requestedPath, reserved, suffixes) }
+  }
+  const camera = usesNameToken(renamePattern, 'camera') ? await readCamera(src) : null
+  const values = { hebrew, date, camera, original: path.basename(src) }
+  const candidateAt = (counter) => path.join(targetDir, renderFileName(renamePattern, values, counter))
+  const requestedPath = candidateAt(0)
+  return { requestedPath, targetPath: await ensureUniquePath(requestedPath, reserved, suffixes, candidateAt) }
+}
+
+// keepOriginalName: a file without an XMP sidecar gets a new one named like darktable's (IMG.jpg -> <new name>.jpg.xmp),
+// which never collides with a RAW + JPEG pair's shared <base>.xmp
+const preservedNameSuffix = (src, companions) =>
+  companions.some((companion) => path.extname(companion).toLowerCase() === '.xmp') ? [] : [`${path.extname(src)}.xmp`]
+
+// keepOriginalName - השם המקורי נכתב ל-XMP (ראה xmpService): קובץ XMP נלווה שעבר עם הקובץ מקבל את השדה,
+// ואם אין כזה נוצר חדש. החדש נכתב קודם לפח של היומן ומשם מועבר ליעד ונרשם כהעברה, כך ש-undo מחזיר אותו לפח
+// ו-redo מחזיר אותו לספרייה. כישלון כאן לא מכשיל את המיון - הקובץ כבר ביעד
+const preserveOriginalName = async ({ src, targetPath, companionResults, destRoot, verify, runId }) => {
+  const originalName = path.basename(src)
+  try {
+    const xmps = companionResults.filter((c) => !c.error && path.extname(c.newPath).toLowerCase() === '.xmp')
+    if (xmps.length) {
+      for (const companion of xmps) {
+        const updated = await addPreservedFileName(companion.newPath, originalName)
+        // The manifest has the hash from before the edit
+        if (updated && verify) {
+          await recordFile(destRoot, { target: companion.newPath, sha256: await hashFile(companion.newPath), source: companion.src })
+        }
+      }
+      return { xmp: xmps[0].newPath, created: false }
+    }
+    const target = companionTarget(targetPath, preservedNameSuffix(src, [])[0])
+    const staged = await getTrashPath(target)
+    await fs.writeFile(staged, preservedFileNameXmp(originalName), { encoding: 'utf-8', flag: 'wx' })
+    await moveFile(staged, target)
+    await recordOperation({ runId, action: 'sort', mode: 'move', source: staged, target })
+    if (verify) await recordFile(destRoot, { target, sha256: await hashFile(target) })
+    return { xmp: target, created: true }
+  } catch (err) {
+    return { error: err.message }
+  }
+}
+
+// Move: rename, or copy + verify + delete when the target is on another drive
+// verify: the copy must match the source's SHA-256, and the hash goes into the library manifest
+const transferFile = async (src, targetPath, { mode, verify }) => {
+  if (mode === 'copy') {
+    const sha256 = verify ? await copyVerified(src, targetPath) : await copyFile(src, targetPath)
+    return { transfer: TRANSFER.COPY, sha256 }
+  }
+  const moved = await moveFile(src, targetPath)
+  return { transfer: moved.transfer, sha256: verify && !moved.sha256 ? await hashFile(targetPath) : moved.sha256 }
 }
 
-const sortFile = async ({ src, destRoot, format = 'month-year', mode = 'move' }) => {
+// הקבצים הנלווים עוברים אחרי קובץ המדיה, באותו מצב ובאותה ריצת יומן (undo מחזיר גם אותם)
+// נלווה שנכשל לא מכשיל את הקובץ עצמו - הוא מדווח ב-error שלו ונשאר במקור
+const sortCompanions = async ({ src, targetPath, companions, destRoot, mode, verify, runId, onIntent }) => {
+  const results = []
+  for (const companion of companions) {
+    const target = companionTarget(targetPath, companionSuffix(src, companion))
+    try {
+      if (onIntent) await onIntent(target, companion)
+      const { transfer, sha256 } = await transferFile(companion, target, { mode, verify })
+      await recordOperation({ runId, action: 'sort', mode: mode === 'copy' ? 'copy' : 'move', source: companion, target })
+      if (verify) await recordFile(destRoot, { target, sha256, source: companion })
+      results.push({ src: companion, newPath: target, transfer })
+    } catch (err) {
+      results.push({ src: companion, error: err.message })
+    }
+  }
+  return results
+}
+
+/**
+ * Sort one media file into the destination tree, together with its companions
+ * @param {Object} params
+ * @param {boolean} params.importMode - Date, GPS and description from a Takeout JSON / WhatsApp backup name first
+ * @param {string|null} params.renamePattern - File name pattern (see renderFileName); null keeps the name
+ * @param {boolean} params.keepOriginalName - Write the original name to an XMP sidecar when the name changes
+ * @param {string} params.unknownDatePolicy - Files whose date confidence is below minConfidence: 'sort' as usual,
+ *   'quarantine' into UNKNOWN_DATE_FOLDER, or 'review' - left in place and added to the review queue
+ * @param {string} params.minConfidence - 'low' | 'medium' | 'high' (see DATE_CONFIDENCE)
+ * @param {string[]|null} params.companions - Already grouped (sortFilesBatch); null reads the file's folder
+ * @param {Set<string>|null} params.reserved - Target paths claimed by files of the same batch still in flight
+ * @param {object|null} params.turn - From createReservationTurns: the target is reserved in file order
+ * @param {Function|null} params.onIntent - (target, companion?) before each transfer - the file's own, then each companion's
+ * @returns {Promise<Object>} newPath, originalName, transfer, companions ({ src, newPath, transfer } or { src, error }),
+ *   preservedName ({ xmp, created } or { error }) and journal ids; a file held for review: { success: false, review: true }
+ */
+const sortFile = async ({
+  src,
+  destRoot,
+  format = 'month-year',
+  mode = 'move',
+  verify = false,
+  importMode = false,
+  renamePattern = null,
+  keepOriginalName = false,
+  unknownDatePolicy = 'sort',
+  minConfidence = 'medium',
+  companions = null,
+  reserved = null,
+  turn = null,
+  runId = null,
+  onIntent = null,
+}) => {
   if (!isMedia(src)) throw new Error('Not an image or video')
-  const date = await getMediaDate(src)
-  const hebrew = toHebrewDate(date)
-  const targetDir = buildTargetPath(destRoot, hebrew, format)
+  const {
+    date,
+    source: dateSource,
+    detail: dateSourceDetail,
+    confidence: dateConfidence,
+    gps,
+    timezone,
+    description = null,
+  } = await getMediaDate(src, { importMode })
+  const dateInfo = { date: date.toISOString(), dateSource, dateSourceDetail, dateConfidence }
+  const route = unknownDateRoute(dateConfidence, { unknownDatePolicy, minConfidence })
+  if (route === 'review') {
+    await addToReview({ src, ...dateInfo, destRoot })
+    return { success: false, review: true, ...dateInfo }
+  }
+  const quarantined = route === 'quarantine'
+  const hebrew = toHebrewDate(date, { gps, timezone })
+  // A date-based name would be as unreliable as the date - quarantined files keep theirs
+  const namePattern = quarantined ? null : renamePattern
+  const targetDir = quarantined ? path.join(destRoot, UNKNOWN_DATE_FOLDER) : buildTargetPath(destRoot, hebrew, format)
+  const attached = companions ?? (await findCompanions(src, isMedia))
+  const suffixes = attached.map((companion) => companionSuffix(src, companion))
+  if (keepOriginalName) suffixes.push(...preservedNameSuffix(src, attached))
+  // Same steps as planSortFile between the turn and the reservation, so both pick the same name
+  if (turn) await turn.wait()
+  const { targetPath } = await resolveTargetPath({ src, targetDir, renamePattern: namePattern, date, hebrew, reserved, suffixes })
+  turn?.release()
   await fs.mkdir(targetDir, { recursive: true })
-  const targetPath = await ensureUniquePath(path.join(targetDir, path.basename(src)))
+  if (onIntent) await onIntent(targetPath)
 
-  if (mode === 'copy') {
-    await fs.copyFile(src, targetPath)
-  } else {
-    await fs.rename(src, targetPath)
+  const { transfer, sha256 } = await transferFile(src, targetPath, { mode, verify })
+
+  const journalRunId = runId || (await startRun('sort', { destRoot, format, mode, verify }))
+  const entryId = await recordOperation({
+    runId: journalRunId,
+    action: 'sort',
+    mode: mode === 'copy' ? 'copy' : 'move',
+    source: src,
+    target: targetPath,
+  })
+  if (verify) await recordFile(destRoot, { target: targetPath, sha256, source: src })
+  const companionResults = await sortCompanions({
+    src,
+    targetPath,
+    companions: attached,
+    destRoot,
+    mode,
+    verify,
+    runId: journalRunId,
+    onIntent,
+  })
+  const originalName = path.basename(src)
+  const preservedName =
+    keepOriginalName && path.basename(targetPath) !== originalName
+      ? await preserveOriginalName({ src, targetPath, companionResults, destRoot, verify, runId: journalRunId })
+      : null
+  await markSorted(src, { moved: mode !== 'copy' })
+
+  return {
+    success: true,
+    hebrew,
+    newPath: targetPath,
+    originalName,
+    transfer,
+    companions: companionResults,
+    ...(preservedName ? { preservedName } : {}),
+    ...(verify ? { sha256 } : {}),
+    ...dateInfo,
+    ...(quarantined ? { quarantined } : {}),
+    ...(description ? { description } : {}),
+    runId: journalRunId,
+    entryId,
   }
+}
+
+/**
+ * Compute where a file would be sorted to, without touching the disk
+ * @param {Object} params
+ * @param {string} params.src - Source file path
+ * @param {string} params.destRoot - Destination root directory
+ * @param {string} params.format - Preset ('month-year', 'day-month-year', 'country', 'city') or folder template
+ * @param {Set<string>} params.reserved - Target paths already claimed by earlier files in the same plan
+ * @param {boolean} params.importMode - See sortFile
+ * @param {string|null} params.renamePattern - See sortFile
+ * @param {boolean} params.keepOriginalName - See sortFile
+ * @param {string} params.unknownDatePolicy - See sortFile; a file for review is only reported, not queued
+ * @param {string} params.minConfidence - See sortFile
+ * @param {string[]|null} params.companions - Already grouped (sortFilesBatch); null reads the file's folder
+ * @param {object|null} params.turn - See sortFile
+ * @returns {Promise<Object>} Planned target (newPath), the companions' targets and whether ensureUniquePath had to rename it
+ */
+const planSortFile = async ({
+  src,
+  destRoot,
+  format = 'month-year',
+  reserved = new Set(),
+  importMode = false,
+  renamePattern = null,
+  keepOriginalName = false,
+  unknownDatePolicy = 'sort',
+  minConfidence = 'medium',
+  companions = null,
+  turn = null,
+}) => {
+  if (!isMedia(src)) throw new Error('Not an image or video')
+  const {
+    date,
+    source: dateSource,
+    detail: dateSourceDetail,
+    confidence: dateConfidence,
+    gps,
+    timezone,
+    description = null,
+  } = await getMediaDate(src, { importMode })
+  const dateInfo = { date: date.toISOString(), dateSource, dateSourceDetail, dateConfidence }
+  const route = unknownDateRoute(dateConfidence, { unknownDatePolicy, minConfidence })
+  if (route === 'review') return { success: false, dryRun: true, review: true, ...dateInfo }
+  const quarantined = route === 'quarantine'
+  const hebrew = toHebrewDate(date, { gps, timezone })
+  const targetDir = quarantined ? path.join(destRoot, UNKNOWN_DATE_FOLDER) : buildTargetPath(destRoot, hebrew, format)
+  const attached = companions ?? (await findCompanions(src, isMedia))
+  const suffixes = attached.map((companion) => companionSuffix(src, companion))
+  const xmpSuffixes = keepOriginalName ? preservedNameSuffix(src, attached) : []
+  if (turn) await turn.wait()
+  const { requestedPath, targetPath } = await resolveTargetPath({
+    src,
+    targetDir,
+    renamePattern: quarantined ? null : renamePattern,
+    date,
+    hebrew,
+    reserved,
+    suffixes: [...suffixes, ...xmpSuffixes],
+  })
+  turn?.release()
+  const companionResults = attached.map((companion, idx) => ({
+    src: companion,
+    newPath: companionTarget(targetPath, suffixes[idx]),
+  }))
 
   return {
     success: true,
+    dryRun: true,
     hebrew,
+    targetDir,
     newPath: targetPath,
-    date: date.toISOString(),
+    originalName: path.basename(src),
+    companions: companionResults,
+    renamed: targetPath !== requestedPath,
+    ...dateInfo,
+    ...(quarantined ? { quarantined } : {}),
+    ...(description ? { description } : {}),
+  }
+}
+
+/**
+ * Build a destination folder tree from planned results, with per-folder file counts
+ * Each node's count includes the files in all of its sub-folders
+ * @param {Object[]} results - Results of planSortFile
+ * @param {string} destRoot - Destination root directory
+ * @returns {Object} Root node: { name, path, count, renamed, children: [] }
+ */
+const buildPlanTree = (results, destRoot) => {
+  const root = { name: destRoot, path: destRoot, count: 0, renamed: 0, children: [] }
+  for (const item of results) {
+    if (!item.success || !item.targetDir) continue
+    const relative = path.relative(destRoot, item.targetDir)
+    const parts = relative ? relative.split(path.sep) : []
+    let node = root
+    node.count += 1
+    if (item.renamed) node.renamed += 1
+    for (const part of parts) {
+      let child = node.children.find((c) => c.name === part)
+      if (!child) {
+        child = { name: part, path: path.join(node.path, part), count: 0, renamed: 0, children: [] }
+        node.children.push(child)
+      }
+      child.count += 1
+      if (item.renamed) child.renamed += 1
+      node = child
+    }
+  }
+  const sortChildren = (node) => {
+    node.children.sort((a, b) => a.name.localeCompare(b.name, 'he'))
+    node.children.forEach(sortChildren)
   }
+  sortChildren(root)
+  return root
 }
 
 /**
@@ -343,26 +765,86 @@ const calculateOptimalConcurrency = (stats, currentConcurrency = 5, minConcurren
 /**
  * Sort multiple files in parallel for better performance with dynamic concurrency
  * @param {Object} params - Sorting parameters
- * @param {string[]} params.files - Array of file paths to sort
+ * @param {string[]} params.files - Array of file paths to sort; their companions go along (a Live Photo video listed
+ *   together with its photo is sorted once, as the photo's companion)
  * @param {string} params.destRoot - Destination root directory
- * @param {string} params.format - Date format ('month-year' or 'day-month-year')
+ * @param {string} params.format - Preset ('month-year', 'day-month-year', 'country', 'city') or folder template
  * @param {string} params.mode - Operation mode ('copy' or 'move')
  * @param {number} params.concurrency - Initial number of files to process in parallel (default: 5)
+ * @param {boolean} params.dryRun - Plan only: compute targets and renames without moving/copying anything
+ * @param {boolean} params.verify - SHA-256 check of every copy, recorded in the destination manifest
+ * @param {boolean} params.importMode - Exported archive (Google Takeout, WhatsApp backup): its metadata is the primary date source
+ * @param {string|null} params.renamePattern - File name pattern, e.g. {gregorian:YYYY-MM-DD_HHmmss}_{camera}{counter}
+ * @param {boolean} params.keepOriginalName - Original name into an XMP sidecar of every renamed file
+ * @param {string} params.unknownDatePolicy - 'sort' | 'quarantine' | 'review' for files with an untrustworthy date
+ * @param {string} params.minConfidence - Date confidence below which unknownDatePolicy applies
  * @param {Function} params.getSystemStats - Function to get system stats for dynamic adjustment
  * @param {Function} params.onProgress - Callback for progress updates (current, total, active)
+ * @param {AbortSignal} params.signal - Stops before the next batch; the summary then has cancelled: true
+ * @param {Function} params.waitIfPaused - Awaited before each batch (job pause)
+ * @param {string} params.runId - Resume an interrupted run: files are the pending ones, journal and checkpoint continue
  * @returns {Promise<Object>} Results with success/error for each file
  */
 const sortFilesBatch = async ({ 
-  files, 
+  files: requestedFiles, 
   destRoot, 
   format = 'month-year', 
   mode = 'move', 
   concurrency = 5,
+  dryRun = false,
+  verify = false,
+  importMode = false,
+  renamePattern = null,
+  keepOriginalName = false,
+  unknownDatePolicy = 'sort',
+  minConfidence = 'medium',
   getSystemStats = null,
-  onProgress = null
+  onProgress = null,
+  signal = null,
+  waitIfPaused = null,
+  runId: resumeRunId = null
 }) => {
-  if (!Array.isArray(files) || !files.length) {
-    return { results: [], total: 0, success: 0, errors: 0 }
+  if (!Array.isArray(requestedFiles) || !requestedFiles.length) {
+    return { results: [], total: 0, success: 0, errors: 0, dryRun, cancelled: false }
+  }
+
+  // Fail the whole batch up front rather than once per file
+  const templateCheck = validateTemplate(format)
+  if (!templateCheck.valid) {
+    throw new Error(`תבנית תיקיות לא תקינה: ${templateCheck.errors.join(', ')}`)
+  }
+  if (!UNKNOWN_DATE_POLICIES.includes(unknownDatePolicy)) {
+    throw new Error(`unknownDatePolicy must be one of: ${UNKNOWN_DATE_POLICIES.join(', ')}`)
+  }
+  if (!CONFIDENCE_LEVELS.includes(minConfidence)) throw new Error(`minConfidence must be one of: ${CONFIDENCE_LEVELS.join(', ')}`)
+  if (renamePattern) {
+    const nameCheck = validateNamePattern(renamePattern)
+    if (!nameCheck.valid) throw new Error(`תבנית שם קובץ לא תקינה: ${nameCheck.errors.join(', ')}`)
+  }
+  // One folder read per folder instead of one per file
+  const { files, companions } = await groupFiles(requestedFiles, isMedia)
+
+  // Target paths claimed so far by this batch, so two files with the same name get different ones (a rename in the plan)
+  const reserved = new Set()
+  const nextTurn = createReservationTurns()
+  // All real operations of this batch share one journal run, so the whole batch can be undone at once
+  const runId = dryRun ? null : resumeRunId || (await startRun('sort-batch', { destRoot, format, mode, verify, total: files.length }))
+  // Crash safety: the checkpoint lists every file and records each one as it is processed
+  if (runId && resumeRunId) await markRunning(runId)
+  else if (runId) {
+    const params = {
+      destRoot,
+      format,
+      mode,
+      concurrency,
+      verify,
+      importMode,
+      renamePattern,
+      keepOriginalName,
+      unknownDatePolicy,
+      minConfidence,
+    }
+    await createCheckpoint(runId, { params, files })
   }
 
   const results = []
@@ -376,6 +858,10 @@ const sortFilesBatch = async ({
   let fileIndex = 0
 
   while (fileIndex < files.length) {
+    // Pause / cancel take effect between batches - files already in flight always finish
+    if (waitIfPaused) await waitIfPaused()
+    if (signal?.aborted) break
+
     // Check system stats and adjust concurrency before each batch (but not too frequently)
     if (getSystemStats && (processed === 0 || processed % 3 === 0)) {
       try {
@@ -387,7 +873,7 @@ const sortFilesBatch = async ({
         }
       } catch (statsErr) {
         // Ignore stats errors, continue with current concurrency
-        console.error('[sortFilesBatch] Error getting system stats:', statsErr.message)
+        logger.warn('[sortFilesBatch] Error getting system stats', { error: statsErr.message })
       }
     }
 
@@ -416,15 +902,52 @@ const sortFilesBatch = async ({
 
     // Process batch in parallel
     const batchPromises = batchFileIds.map(async ({ src, fileId }) => {
+      const turn = nextTurn()
       try {
-        const result = await sortFile({ src, destRoot, format, mode })
+        const result = dryRun
+          ? await planSortFile({
+              src,
+              destRoot,
+              format,
+              reserved,
+              importMode,
+              renamePattern,
+              keepOriginalName,
+              unknownDatePolicy,
+              minConfidence,
+              companions: companions[src] || [],
+              turn,
+            })
+          : await sortFile({
+              src,
+              destRoot,
+              format,
+              mode,
+              verify,
+              importMode,
+              renamePattern,
+              keepOriginalName,
+              unknownDatePolicy,
+              minConfidence,
+              companions: companions[src] || [],
+              reserved,
+              turn,
+              runId,
+              onIntent: (target, companion = null) =>
+                companion ? recordIntent(runId, companion, target, src) : recordIntent(runId, src, target),
+            })
+        if (runId && result.review) await recordDone(runId, { src, success: false, skipped: 'review' })
+        else if (runId) await recordDone(runId, { src, success: true, target: result.newPath })
         processed++
         return { src, success: true, ...result }
       } catch (err) {
+        if (runId) await recordDone(runId, { src, success: false, error: err.message }).catch(() => {})
         processed++
         errors.push({ src, error: err.message })
         return { src, success: false, error: err.message }
       } finally {
+        // Failed or held for review before its turn
+        turn.release()
         // Remove from active operations when done
         activeOperations.delete(fileId)
         
@@ -444,22 +967,70 @@ const sortFilesBatch = async ({
     results.push(...batchResults)
   }
 
-  return {
+  const cancelled = fileIndex < files.length
+  if (runId) {
+    // Creation times of the copies (Windows) are set in the background - the run ends once they are
+    await flushBirthtimes()
+    await closeCheckpoint(runId)
+  }
+
+  const summary = {
     results,
     total: files.length,
     success: results.filter((r) => r.success).length,
     errors: errors.length,
     finalConcurrency: lastReportedConcurrency, // Return final concurrency used
+    dryRun,
+    runId,
+    cancelled,
+    // Sidecars / Live Photo videos that went along with their media file
+    companions: results.reduce((sum, r) => sum + (r.companions || []).filter((c) => !c.error).length, 0),
   }
+
+  if (unknownDatePolicy !== 'sort') {
+    // Untrustworthy dates: into the unknown-date folder / left in place for the review queue
+    summary.quarantined = results.filter((r) => r.quarantined).length
+    summary.review = results.filter((r) => r.review).length
+  }
+  if (renamePattern) {
+    // Files whose name changed (the pattern, or a collision)
+    summary.nameChanged = results.filter((r) => r.newPath && path.basename(r.newPath) !== r.originalName).length
+  }
+  if (!dryRun) {
+    // Moves that crossed drives (copied, verified, source deleted)
+    summary.crossDevice = results.filter((r) => r.transfer === TRANSFER.COPY_VERIFY_DELETE).length
+    if (verify) summary.verified = results.filter((r) => r.sha256).length
+  }
+  if (importMode) {
+    // How many files were dated by the archive rather than by their own metadata
+    summary.imported = results.filter((r) => r.dateSource === 'takeout' || r.dateSource === 'whatsapp').length
+  }
+
+  if (dryRun) {
+    summary.plan = buildPlanTree(results, destRoot)
+    summary.renamed = results.filter((r) => r.renamed).length
+  }
+
+  return summary
 }
 
 export {
+  DATE_CONFIDENCE,
+  CONFIDENCE_LEVELS,
+  UNKNOWN_DATE_POLICIES,
+  UNKNOWN_DATE_FOLDER,
   cleanPath,
+  toHebrewDate,
+  buildTargetPath,
   scanFolder,
   deleteFile,
   createFolder,
   readExif,
+  getMediaDate,
+  readCaptureDate,
+  describeMediaFile,
   sortFile,
+  planSortFile,
   sortFilesBatch,
   isImage,
   isVideo,
@@ -0,0 +1,200 @@
+import path from 'node:path'
+import fs from 'node:fs/promises'
+import { dataPath } from '../utils/dataDir.js'
+import logger from '../utils/logger.js'
+
+// זיהוי תאריך משם הקובץ - גיבוי כשאין EXIF / מטא-נתוני וידאו, לפני תאריך השינוי של הקובץ
+// כל תבנית היא ביטוי רגולרי עם קבוצות בשם: year, month, day ואופציונלית hour, minute, second
+
+const CONFIG_FILE = 'filename-patterns.json'
+
+// Cameras without a clock and random digit runs produce nonsense years
+const MIN_VALID_YEAR = 1990
+
+// WhatsApp media names, shared with detectWhatsApp in faceService
+const WHATSAPP_NAME_RE = /(?:IMG|VID|AUD|PTT)-\d{8}-WA\d+/i
+const WHATSAPP_TEXT_RE = /WhatsApp\s*(Image|Video)/i
+
+/**
+ * Default patterns, tried in order - the first one that yields a valid date wins
+ * id must be unique, regex is matched against the file name (case-insensitive)
+ */
+const DEFAULT_FILENAME_PATTERNS = [
+  {
+    id: 'whatsapp',
+    description: 'WhatsApp (IMG-20230512-WA0003)',
+    regex: '(?:IMG|VID|AUD|PTT)-(?<year>\\d{4})(?<month>\\d{2})(?<day>\\d{2})-WA\\d+',
+    enabled: true,
+  },
+  {
+    id: 'whatsapp-desktop',
+    description: 'WhatsApp Desktop (WhatsApp Image 2023-05-12 at 14.33.00)',
+    regex:
+      'WhatsApp\\s*(?:Image|Video)\\s+(?<year>\\d{4})-(?<month>\\d{2})-(?<day>\\d{2})\\s+at\\s+(?<hour>\\d{1,2})\\.(?<minute>\\d{2})\\.(?<second>\\d{2})',
+    enabled: true,
+  },
+  {
+    id: 'pixel',
+    description: 'Google Pixel (PXL_20240101_093012)',
+    regex: 'PXL_(?<year>\\d{4})(?<month>\\d{2})(?<day>\\d{2})_(?<hour>\\d{2})(?<minute>\\d{2})(?<second>\\d{2})',
+    enabled: true,
+  },
+  {
+    id: 'android-camera',
+    description: 'Android (IMG_20220305_123456 / VID_20220305_123456)',
+    regex: '(?:IMG|VID|MVIMG|PANO|BURST)_?(?<year>\\d{4})(?<month>\\d{2})(?<day>\\d{2})_(?<hour>\\d{2})(?<minute>\\d{2})(?<second>\\d{2})',
+    enabled: true,
+  },
+  {
+    id: 'screenshot',
+    description: 'צילום מסך (Screenshot_2023-04-01-12-00-00)',
+    regex:
+      'Screen\\s*shot[_ -]+(?<year>\\d{4})-(?<month>\\d{2})-(?<day>\\d{2})(?:[-_ ]+(?:at\\s+)?(?<hour>\\d{2})[-.](?<minute>\\d{2})[-.](?<second>\\d{2}))?',
+    enabled: true,
+  },
+  {
+    id: 'compact-datetime',
+    description: 'תאריך ושעה רציפים (20230512_143300)',
+    regex: '(?<!\\d)(?<year>\\d{4})(?<month>\\d{2})(?<day>\\d{2})[_-](?<hour>\\d{2})(?<minute>\\d{2})(?<second>\\d{2})(?!\\d)',
+    enabled: true,
+  },
+  {
+    id: 'iso-date',
+    description: 'תאריך ISO (2023-05-12)',
+    regex: '(?<!\\d)(?<year>\\d{4})-(?<month>\\d{2})-(?<day>\\d{2})(?!\\d)',
+    enabled: true,
+  },
+]
+
+let cachedPatterns = null
+const compiledCache = new Map()
+
+/**
+ * Compile a pattern definition, throwing a Hebrew error when it is unusable
+ * @param {{id: string, regex: string}} pattern
+ * @returns {RegExp}
+ */
+const compilePattern = (pattern) => {
+  let re
+  try {
+    re = new RegExp(pattern.regex, 'i')
+  } catch (err) {
+    throw new Error(`ביטוי רגולרי לא תקין בתבנית "${pattern.id}": ${err.message}`)
+  }
+  for (const group of ['year', 'month', 'day']) {
+    if (!pattern.regex.includes(`(?<${group}>`)) {
+      throw new Error(`התבנית "${pattern.id}" חייבת לכלול קבוצה בשם ${group}`)
+    }
+  }
+  return re
+}
+
+/**
+ * Validate and normalize a list of patterns
+ * @param {Object[]} patterns
+ * @returns {Object[]} Normalized patterns ({ id, description, regex, enabled })
+ * @throws {Error} when a pattern is invalid or ids repeat
+ */
+const normalizePatterns = (patterns) => {
+  if (!Array.isArray(patterns)) throw new Error('patterns must be an array')
+  const ids = new Set()
+  return patterns.map((p, idx) => {
+    const id = String(p?.id || `pattern-${idx + 1}`).trim()
+    if (ids.has(id)) throw new Error(`מזהה תבנית כפול: ${id}`)
+    ids.add(id)
+    const pattern = {
+      id,
+      description: String(p?.description || ''),
+      regex: String(p?.regex || ''),
+      enabled: p?.enabled !== false,
+    }
+    compilePattern(pattern)
+    return pattern
+  })
+}
+
+/**
+ * Load the ordered pattern list (saved config or defaults)
+ * @returns {Promise<Object[]>}
+ */
+const getFilenamePatterns = async () => {
+  if (cachedPatterns) return cachedPatterns
+  try {
+    const raw = await fs.readFile(await dataPath(CONFIG_FILE), 'utf-8')
+    cachedPatterns = normalizePatterns(JSON.parse(raw).patterns)
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.warn('[filenameDateService] invalid config, using defaults', { error: err.message })
+    }
+    cachedPatterns = DEFAULT_FILENAME_PATTERNS
+  }
+  return cachedPatterns
+}
+
+/**
+ * Save a new ordered pattern list
+ * @param {Object[]} patterns
+ * @returns {Promise<Object[]>} Saved patterns
+ */
+const saveFilenamePatterns = async (patterns) => {
+  const normalized = normalizePatterns(patterns)
+  await fs.writeFile(await dataPath(CONFIG_FILE), JSON.stringify({ patterns: normalized }, null, 2))
+  cachedPatterns = normalized
+  return normalized
+}
+
+/**
+ * Restore the default pattern list
+ * @returns {Promise<Object[]>}
+ */
+const resetFilenamePatterns = async () => {
+  await fs.rm(await dataPath(CONFIG_FILE), { force: true })
+  cachedPatterns = DEFAULT_FILENAME_PATTERNS
+  return cachedPatterns
+}
+
+/**
+ * Build a local Date from matched groups, rejecting impossible or future dates
+ * @param {Object<string, string>} groups
+ * @returns {Date|null}
+ */
+const groupsToDate = ({ year, month, day, hour = '0', minute = '0', second = '0' }) => {
+  const [y, mo, d, h, mi, s] = [year, month, day, hour, minute, second].map((v) => Number(v || 0))
+  if (mo < 1 || mo > 12 || d < 1 || d > 31 || h > 23 || mi > 59 || s > 59) return null
+  const date = new Date(y, mo - 1, d, h, mi, s)
+  // Rolled-over dates (e.g. 31/02) are not real dates
+  if (date.getFullYear() !== y || date.getMonth() !== mo - 1 || date.getDate() !== d) return null
+  if (y < MIN_VALID_YEAR || date.getTime() > Date.now() + 24 * 60 * 60 * 1000) return null
+  return date
+}
+
+/**
+ * Infer a capture date from the file name
+ * @param {string} filePath
+ * @param {Object[]} [patterns] - Pattern list (defaults to the configured one)
+ * @returns {Promise<{date: Date, pattern: string}|null>}
+ */
+const inferDateFromFilename = async (filePath, patterns = null) => {
+  const name = path.basename(filePath)
+  const list = patterns || (await getFilenamePatterns())
+  for (const pattern of list) {
+    if (!pattern.enabled) continue
+    if (!compiledCache.has(pattern.regex)) compiledCache.set(pattern.regex, compilePattern(pattern))
+    const match = name.match(compiledCache.get(pattern.regex))
+    if (!match?.groups) continue
+    const date = groupsToDate(match.groups)
+    if (date) return { date, pattern: pattern.id }
+  }
+  return null
+}
+
+export {
+  DEFAULT_FILENAME_PATTERNS,
+  WHATSAPP_NAME_RE,
+  WHATSAPP_TEXT_RE,
+  normalizePatterns,
+  getFilenamePatterns,
+  saveFilenamePatterns,
+  resetFilenamePatterns,
+  inferDateFromFilename,
+}
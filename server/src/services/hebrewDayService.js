@@ -0,0 +1,178 @@
+import fssync from 'node:fs'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { HDate, Location, GeoLocation, Zmanim } from '@hebcal/core'
+import { DATA_DIR, dataPath } from '../utils/dataDir.js'
+import logger from '../utils/logger.js'
+import { parseOffset } from '../utils/wallClock.js'
+
+// היום העברי מתחיל בערב - אופציה לקדם את התאריך העברי אחרי השקיעה / צאת הכוכבים
+// civil = מעבר יום בחצות (ברירת מחדל, כמו קודם), sunset = שקיעה, tzeit = צאת הכוכבים
+
+const SETTINGS_FILE = 'hebrew-day.json'
+const MODES = ['civil', 'sunset', 'tzeit']
+
+const DEFAULT_SETTINGS = {
+  mode: 'civil',
+  // עיר מרשימת hebcal (למשל Jerusalem) או קואורדינטות מפורשות
+  city: 'Jerusalem',
+  latitude: null,
+  longitude: null,
+  elevation: 0,
+  tzid: null,
+  // Prefer the photo's EXIF GPS over the configured location when present
+  useGps: true,
+  // Sun depression angle for tzeit (8.5° = three small stars)
+  tzeitAngle: 8.5,
+}
+
+/**
+ * Read saved settings synchronously - toHebrewDate is synchronous and runs before any request
+ * @returns {object}
+ */
+const loadSettings = () => {
+  try {
+    const raw = fssync.readFileSync(path.join(DATA_DIR, SETTINGS_FILE), 'utf-8')
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(raw) }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.warn('[hebrewDayService] invalid settings, using defaults', { error: err.message })
+    }
+    return { ...DEFAULT_SETTINGS }
+  }
+}
+
+let settings = loadSettings()
+
+const getHebrewDaySettings = () => ({ ...settings })
+
+/**
+ * Build the configured location (hebcal city or explicit coordinates)
+ * @param {object} s - Settings
+ * @returns {GeoLocation|null}
+ */
+const configuredLocation = (s) => {
+  if (s.latitude != null && s.longitude != null) {
+    const tzid = s.tzid || Intl.DateTimeFormat().resolvedOptions().timeZone
+    return new GeoLocation(s.city || null, Number(s.latitude), Number(s.longitude), Number(s.elevation) || 0, tzid)
+  }
+  return s.city ? Location.lookup(s.city) || null : null
+}
+
+/**
+ * Validate and save settings
+ * @param {object} patch - Partial settings
+ * @returns {Promise<object>} Saved settings
+ * @throws {Error} with status 400 on invalid input
+ */
+const saveHebrewDaySettings = async (patch = {}) => {
+  const next = { ...settings, ...patch }
+  const fail = (message) => {
+    const err = new Error(message)
+    err.status = 400
+    throw err
+  }
+  if (!MODES.includes(next.mode)) fail(`mode must be one of: ${MODES.join(', ')}`)
+  if ((next.latitude == null) !== (next.longitude == null)) fail('latitude and longitude must be set together')
+  if (next.latitude != null && (Math.abs(next.latitude) > 90 || Math.abs(next.longitude) > 180)) {
+    fail('קואורדינטות לא תקינות')
+  }
+  if (next.tzid) {
+    try {
+      Intl.DateTimeFormat('en', { timeZone: next.tzid })
+    } catch {
+      fail(`אזור זמן לא מוכר: ${next.tzid}`)
+    }
+  }
+  if (next.latitude == null && next.city && !Location.lookup(next.city)) fail(`עיר לא מוכרת: ${next.city}`)
+  if (next.mode !== 'civil' && !configuredLocation(next)) fail('יש להגדיר עיר או קואורדינטות עבור מצב שקיעה')
+
+  await fs.writeFile(await dataPath(SETTINGS_FILE), JSON.stringify(next, null, 2))
+  settings = next
+  return getHebrewDaySettings()
+}
+
+// Seconds since local midnight of a wall-clock time in a given timezone
+const secondsInZone = (date, tzid) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: tzid,
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date)
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value || 0)
+  return get('hour') * 3600 + get('minute') * 60 + get('second')
+}
+
+// Seconds since local midnight for a fixed UTC offset in minutes
+const secondsAtOffset = (date, offsetMinutes) => {
+  const seconds = Math.floor(date.getTime() / 1000) + offsetMinutes * 60
+  return ((seconds % 86400) + 86400) % 86400
+}
+
+// Photos within this longitude distance of the configured location are assumed to share its timezone
+const SAME_ZONE_LONGITUDE = 15
+
+/**
+ * Where the day boundary is computed and which clock the photo time is in
+ * @returns {{location: GeoLocation, wallSeconds: (boundary: Date) => number}|null}
+ */
+const resolveContext = ({ gps, timezone }) => {
+  const configured = configuredLocation(settings)
+  const offset = parseOffset(timezone)
+  const useGps = settings.useGps && gps?.latitude != null && gps?.longitude != null
+
+  if (!useGps) {
+    if (!configured) return null
+    const tzid = configured.getTimeZone()
+    return {
+      location: configured,
+      wallSeconds: (boundary) => (offset != null ? secondsAtOffset(boundary, offset) : secondsInZone(boundary, tzid)),
+    }
+  }
+
+  const location = new GeoLocation(null, gps.latitude, gps.longitude, 0, configured?.getTimeZone() || 'UTC')
+  if (offset != null) return { location, wallSeconds: (boundary) => secondsAtOffset(boundary, offset) }
+  if (configured && Math.abs(configured.getLongitude() - gps.longitude) <= SAME_ZONE_LONGITUDE) {
+    return { location, wallSeconds: (boundary) => secondsInZone(boundary, configured.getTimeZone()) }
+  }
+  // Far from home with no recorded offset - approximate the local clock by longitude
+  const approxOffset = Math.round(gps.longitude / 15) * 60
+  return { location, wallSeconds: (boundary) => secondsAtOffset(boundary, approxOffset) }
+}
+
+/**
+ * Hebrew date of a photo, advanced to the next day after sunset / tzeit when enabled
+ * Dates in this app carry the camera wall-clock time in their local getters (utils/wallClock.js), so the boundary is
+ * compared as a wall-clock time too: at the recorded offset, else in the configured location's timezone
+ * @param {Date} date - Capture date, wall-clock form
+ * @param {object} [options]
+ * @param {{latitude: number, longitude: number}|null} [options.gps] - EXIF GPS of the photo
+ * @param {string|null} [options.timezone] - Recorded UTC offset of the camera clock ("+03:00")
+ * @returns {{hd: HDate, afterNightfall: boolean}}
+ */
+const getHebrewDay = (date, { gps = null, timezone = null } = {}) => {
+  const hd = new HDate(date)
+  if (settings.mode === 'civil') return { hd, afterNightfall: false }
+
+  try {
+    const context = resolveContext({ gps, timezone })
+    if (!context) return { hd, afterNightfall: false }
+
+    const zmanim = new Zmanim(context.location, date, false)
+    const boundary = settings.mode === 'tzeit' ? zmanim.tzeit(settings.tzeitAngle) : zmanim.sunset()
+    // No sunset (polar day/night) - keep the civil date
+    if (!boundary || isNaN(boundary.getTime())) return { hd, afterNightfall: false }
+
+    const photoSeconds = date.getHours() * 3600 + date.getMinutes() * 60 + date.getSeconds()
+    if (photoSeconds >= context.wallSeconds(boundary)) {
+      return { hd: hd.next(), afterNightfall: true }
+    }
+  } catch (err) {
+    logger.error('[hebrewDayService] zmanim failed, using civil date', { date, error: err.message })
+  }
+  return { hd, afterNightfall: false }
+}
+
+export { MODES, getHebrewDaySettings, saveHebrewDaySettings, getHebrewDay }
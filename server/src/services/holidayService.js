@@ -0,0 +1,175 @@
+import fssync from 'node:fs'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { HDate, HebrewCalendar } from '@hebcal/core'
+import { DATA_DIR, dataPath } from '../utils/dataDir.js'
+import logger from '../utils/logger.js'
+
+// תקופות חג - כל ימי החג (כולל חול המועד / שמונת ימי חנוכה) מקובצים לתיקייה אחת, למשל "פסח תשפ''ה"
+// הימים נלקחים מ-hebcal לפי לוח ארץ ישראל או חוץ לארץ (אופציית il), ערבי חג לא נכללים
+
+const SETTINGS_FILE = 'holidays.json'
+
+/**
+ * Known holidays, in calendar order
+ * `match` is tested against hebcal event descriptions (getDesc), consecutive matching days form one period
+ */
+const HOLIDAYS = [
+  { id: 'rosh-hashana', name: 'ראש השנה', match: /^Rosh Hashana( \d+| II)$/ },
+  { id: 'yom-kippur', name: 'יום כיפור', match: /^Yom Kippur$/ },
+  { id: 'sukkot', name: 'סוכות', match: /^Sukkot [IVX]+\b/ },
+  { id: 'shmini-atzeret', name: 'שמיני עצרת', match: /^(Shmini Atzeret|Simchat Torah)$/ },
+  // "1 Candle" is lit on the eve of the 25th of Kislev - the first day is "2 Candles"
+  { id: 'chanukah', name: 'חנוכה', match: /^Chanukah: ([2-8] Candles|8th Day)$/ },
+  { id: 'tu-bishvat', name: 'ט״ו בשבט', match: /^Tu BiShvat$/ },
+  { id: 'purim', name: 'פורים', match: /^(Purim|Shushan Purim)$/ },
+  { id: 'pesach', name: 'פסח', match: /^Pesach [IVX]+\b/ },
+  { id: 'yom-hashoah', name: 'יום השואה', match: /^Yom HaShoah$/ },
+  { id: 'yom-hazikaron', name: 'יום הזיכרון', match: /^Yom HaZikaron$/ },
+  { id: 'yom-haatzmaut', name: 'יום העצמאות', match: /^Yom HaAtzma'ut$/ },
+  { id: 'lag-baomer', name: 'ל״ג בעומר', match: /^Lag BaOmer$/ },
+  { id: 'yom-yerushalayim', name: 'יום ירושלים', match: /^Yom Yerushalayim$/, enabledByDefault: false },
+  { id: 'shavuot', name: 'שבועות', match: /^Shavuot( I| II)?$/ },
+  { id: 'tisha-bav', name: 'תשעה באב', match: /^Tish'a B'Av$/ },
+  { id: 'tu-bav', name: 'ט״ו באב', match: /^Tu B'Av$/ },
+]
+
+const HOLIDAY_IDS = new Set(HOLIDAYS.map((h) => h.id))
+
+const DEFAULT_SETTINGS = {
+  // true = לוח ארץ ישראל (פסח 7 ימים, שבועות יום אחד), false = חוץ לארץ
+  il: true,
+  enabled: HOLIDAYS.filter((h) => h.enabledByDefault !== false).map((h) => h.id),
+}
+
+/**
+ * Read saved settings synchronously - toHebrewDate is synchronous
+ * @returns {object}
+ */
+const loadSettings = () => {
+  try {
+    const raw = fssync.readFileSync(path.join(DATA_DIR, SETTINGS_FILE), 'utf-8')
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(raw) }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.warn('[holidayService] invalid settings, using defaults', { error: err.message })
+    }
+    return { ...DEFAULT_SETTINGS }
+  }
+}
+
+let settings = loadSettings()
+let enabledIds = new Set(settings.enabled)
+
+// Hebrew year + calendar -> Map<abs day, period>
+const periodCache = new Map()
+
+const getHolidaySettings = () => ({ ...settings, enabled: [...settings.enabled] })
+
+/**
+ * Known holidays with their enabled state
+ * @returns {Array<{id: string, name: string, enabled: boolean}>}
+ */
+const listHolidays = () => HOLIDAYS.map(({ id, name }) => ({ id, name, enabled: enabledIds.has(id) }))
+
+/**
+ * Validate and save settings
+ * @param {{il?: boolean, enabled?: string[]}} patch
+ * @returns {Promise<object>} Saved settings
+ * @throws {Error} with status 400 on invalid input
+ */
+const saveHolidaySettings = async (patch = {}) => {
+  const next = { ...settings, ...patch }
+  const fail = (message) => {
+    const err = new Error(message)
+    err.status = 400
+    throw err
+  }
+  if (typeof next.il !== 'boolean') fail('il must be a boolean')
+  if (!Array.isArray(next.enabled)) fail('enabled must be an array of holiday ids')
+  const unknown = next.enabled.filter((id) => !HOLIDAY_IDS.has(id))
+  if (unknown.length) fail(`חג לא מוכר: ${unknown.join(', ')}`)
+  next.enabled = HOLIDAYS.map((h) => h.id).filter((id) => next.enabled.includes(id))
+
+  await fs.writeFile(await dataPath(SETTINGS_FILE), JSON.stringify(next, null, 2))
+  settings = next
+  enabledIds = new Set(next.enabled)
+  return getHolidaySettings()
+}
+
+/**
+ * All holiday periods of a Hebrew year, keyed by every day they cover
+ * @param {number} year - Hebrew year
+ * @param {boolean} il - Israel calendar
+ * @returns {Map<number, {id: string, name: string, start: HDate, end: HDate}>}
+ */
+const getYearPeriods = (year, il) => {
+  const key = `${year}|${il ? 'il' : 'diaspora'}`
+  if (periodCache.has(key)) return periodCache.get(key)
+
+  const days = new Map() // abs -> holiday
+  for (const event of HebrewCalendar.calendar({ year, isHebrewYear: true, il })) {
+    const desc = event.getDesc()
+    const holiday = HOLIDAYS.find((h) => h.match.test(desc))
+    if (holiday) days.set(event.getDate().abs(), holiday)
+  }
+
+  const periods = new Map()
+  let current = null
+  for (const abs of [...days.keys()].sort((a, b) => a - b)) {
+    const holiday = days.get(abs)
+    if (current && current.id === holiday.id && current.endAbs === abs - 1) {
+      current.endAbs = abs
+    } else {
+      current = { id: holiday.id, name: holiday.name, startAbs: abs, endAbs: abs }
+    }
+    periods.set(abs, current)
+  }
+  for (const period of new Set(periods.values())) {
+    period.start = new HDate(period.startAbs)
+    period.end = new HDate(period.endAbs)
+    delete period.startAbs
+    delete period.endAbs
+  }
+
+  periodCache.set(key, periods)
+  return periods
+}
+
+/**
+ * Holiday period that a Hebrew date belongs to (only enabled holidays)
+ * @param {HDate} hd - Hebrew date (after the sunset adjustment)
+ * @returns {{id: string, name: string, start: HDate, end: HDate}|null}
+ */
+const getHolidayPeriod = (hd) => {
+  try {
+    const period = getYearPeriods(hd.getFullYear(), settings.il).get(hd.abs())
+    return period && enabledIds.has(period.id) ? period : null
+  } catch (err) {
+    logger.error('[holidayService] Error getting holiday period', { date: String(hd), error: err.message })
+    return null
+  }
+}
+
+// HDate.greg() returns local midnight - format without shifting to UTC
+const toLocalIsoDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+
+/**
+ * Enabled holiday periods of a Hebrew year, for the settings screen
+ * @param {number} year - Hebrew year
+ * @returns {Array<{id: string, name: string, start: string, end: string, startDate: string, endDate: string}>}
+ */
+const listYearPeriods = (year) =>
+  [...new Set(getYearPeriods(year, settings.il).values())]
+    .filter((p) => enabledIds.has(p.id))
+    .map((p) => ({
+      id: p.id,
+      name: p.name,
+      start: p.start.renderGematriya(true),
+      end: p.end.renderGematriya(true),
+      startDate: toLocalIsoDate(p.start.greg()),
+      endDate: toLocalIsoDate(p.end.greg()),
+    }))
+
+export { HOLIDAYS, getHolidaySettings, saveHolidaySettings, listHolidays, getHolidayPeriod, listYearPeriods }
@@ -0,0 +1,221 @@
+import path from 'node:path'
+import fs from 'node:fs/promises'
+import sharp from 'sharp'
+import exif from 'exif-parser'
+import exifDate from 'exif-parser/lib/date.js'
+import exifr from 'exifr'
+import heicDecode from 'heic-decode'
+import { getCachedFile } from './cacheService.js'
+import logger from '../utils/logger.js'
+
+// פורמטים שהדפדפן (ו-@napi-rs/canvas) מציגים ישירות
+const BROWSER_IMAGE_EXT = new Set(['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.avif'])
+// iPhone / Samsung - HEVC בתוך מיכל HEIF, ה-sharp המובנה לא מפענח HEVC
+const HEIF_EXT = new Set(['.heic', '.heif'])
+const TIFF_EXT = new Set(['.tif', '.tiff'])
+// RAW מבוססי TIFF - EXIF נקרא ישירות, התצוגה מגיעה מתמונת ה-JPEG המוטמעת
+const RAW_EXT = new Set(['.dng', '.cr2', '.nef', '.nrw', '.arw', '.srw', '.pef'])
+
+const IMAGE_EXT = new Set([...BROWSER_IMAGE_EXT, ...HEIF_EXT, ...TIFF_EXT, ...RAW_EXT])
+
+const RENDITION_QUALITY = 90
+// Preview JPEGs inside a RAW file; the largest one wins
+const MAX_EMBEDDED_CANDIDATES = 16
+
+const extOf = (filePath) => path.extname(filePath).toLowerCase()
+
+/**
+ * Whether the file must be converted to JPEG before a browser / canvas can show it
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+const needsRendition = (filePath) => IMAGE_EXT.has(extOf(filePath)) && !BROWSER_IMAGE_EXT.has(extOf(filePath))
+
+const toExifSeconds = (value) => (typeof value === 'string' ? exifDate.parseExifDate(value) : value)
+
+const toSignedDegrees = (value, ref, negativeRef) => {
+  if (!Array.isArray(value)) return value
+  const degrees = value[0] + value[1] / 60 + value[2] / 3600
+  return ref === negativeRef ? -degrees : degrees
+}
+
+/**
+ * Parse a raw EXIF block ("Exif\0\0" + TIFF) with exif-parser by wrapping it in a JPEG APP1 segment
+ * @param {Buffer} block
+ * @returns {object}
+ */
+const parseExifBlock = (block) => {
+  const header = Buffer.from([0xff, 0xd8, 0xff, 0xe1, 0, 0])
+  header.writeUInt16BE(block.length + 2, 4)
+  return exif.create(Buffer.concat([header, block, Buffer.from([0xff, 0xd9])])).parse().tags || {}
+}
+
+/**
+ * Read EXIF tags from HEIF/AVIF/TIFF/RAW, shaped like exif-parser output
+ * (dates as unix seconds of the camera wall-clock, GPS as signed decimal degrees)
+ * libvips exposes the EXIF block of HEIF/AVIF/TIFF; RAW and HEVC files libvips cannot open go through exifr
+ * @param {string} filePath
+ * @returns {Promise<object>}
+ */
+const readContainerTags = async (filePath) => {
+  try {
+    const { exif: block } = await sharp(filePath).metadata()
+    if (block?.length && block.length < 0xfff0) return parseExifBlock(block)
+  } catch {
+    // not readable by libvips, try exifr
+  }
+
+  const tags = await exifr.parse(filePath, {
+    tiff: true,
+    exif: true,
+    gps: true,
+    ifd1: false,
+    xmp: false,
+    icc: false,
+    iptc: false,
+    jfif: false,
+    ihdr: false,
+    translateValues: false,
+    reviveValues: false,
+    mergeOutput: true,
+  })
+  if (!tags) return {}
+  for (const name of ['DateTimeOriginal', 'CreateDate', 'ModifyDate']) {
+    if (tags[name]) tags[name] = toExifSeconds(tags[name])
+  }
+  if (tags.GPSLatitude) tags.GPSLatitude = toSignedDegrees(tags.GPSLatitude, tags.GPSLatitudeRef, 'S')
+  if (tags.GPSLongitude) tags.GPSLongitude = toSignedDegrees(tags.GPSLongitude, tags.GPSLongitudeRef, 'W')
+  delete tags.latitude
+  delete tags.longitude
+  delete tags.errors
+  return tags
+}
+
+/**
+ * Read EXIF tags of any supported image
+ * JPEG/PNG/WebP go through exif-parser as before, HEIF/AVIF/TIFF/RAW through exifr
+ * @param {string} filePath
+ * @returns {Promise<object>} Tags ({} when the file has no EXIF)
+ */
+const readImageTags = async (filePath) => {
+  const ext = extOf(filePath)
+  if (BROWSER_IMAGE_EXT.has(ext) && ext !== '.avif') {
+    const buf = await fs.readFile(filePath)
+    return exif.create(buf).parse().tags || {}
+  }
+  return readContainerTags(filePath)
+}
+
+/**
+ * Pixel size of an image as it is shown (EXIF orientations 5-8 swap width and height)
+ * HEIF / RAW: the EXIF size - libvips cannot decode HEVC and sees only the embedded preview of a RAW file
+ * @param {string} filePath
+ * @returns {Promise<{width: number, height: number}|null>} null when the size cannot be read
+ */
+const readImageDimensions = async (filePath) => {
+  const ext = extOf(filePath)
+  try {
+    const fromTags = HEIF_EXT.has(ext) || RAW_EXT.has(ext)
+    const meta = fromTags ? await readImageTags(filePath) : await sharp(filePath).metadata()
+    const width = fromTags ? meta.ExifImageWidth || meta.ImageWidth : meta.width
+    const height = fromTags ? meta.ExifImageHeight || meta.ImageHeight : meta.height
+    const orientation = Number(fromTags ? meta.Orientation : meta.orientation)
+    if (!width || !height) return null
+    return orientation >= 5 ? { width: height, height: width } : { width, height }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Embedded JPEG previews in a RAW file, largest first
+ * @param {Buffer} buffer
+ * @returns {Promise<Buffer[]>}
+ */
+const findEmbeddedJpegs = async (buffer) => {
+  const soi = Buffer.from([0xff, 0xd8, 0xff])
+  const candidates = []
+  let offset = buffer.indexOf(soi)
+  while (offset !== -1 && candidates.length < MAX_EMBEDDED_CANDIDATES) {
+    try {
+      // libjpeg stops at the EOI marker, trailing RAW data is ignored
+      const candidate = buffer.subarray(offset)
+      const { width = 0, height = 0 } = await sharp(candidate).metadata()
+      if (width && height) candidates.push({ candidate, pixels: width * height })
+    } catch {
+      // not a JPEG header
+    }
+    offset = buffer.indexOf(soi, offset + soi.length)
+  }
+  return candidates.sort((a, b) => b.pixels - a.pixels).map((c) => c.candidate)
+}
+
+// EXIF Orientation -> rotation in degrees (mirrored orientations are rare in RAW previews)
+const ORIENTATION_ANGLE = { 3: 180, 6: 90, 8: 270 }
+
+/**
+ * Decode a non-browser image to a JPEG buffer
+ * @param {string} filePath
+ * @returns {Promise<Buffer>}
+ */
+const decodeToJpeg = async (filePath) => {
+  const ext = extOf(filePath)
+
+  if (RAW_EXT.has(ext)) {
+    const buffer = await fs.readFile(filePath)
+    const { Orientation } = await readContainerTags(filePath).catch(() => ({}))
+    for (const preview of await findEmbeddedJpegs(buffer)) {
+      try {
+        return await sharp(preview)
+          .rotate(ORIENTATION_ANGLE[Orientation] || 0)
+          .jpeg({ quality: RENDITION_QUALITY })
+          .toBuffer()
+      } catch {
+        // header parsed but data is not a baseline JPEG (e.g. TIFF JPEG tables, lossless raw data)
+      }
+    }
+    // DNG without a preview - libvips may still read it as TIFF
+    return sharp(buffer).rotate().jpeg({ quality: RENDITION_QUALITY }).toBuffer()
+  }
+
+  if (HEIF_EXT.has(ext)) {
+    try {
+      // AVIF-coded HEIF files are supported by the bundled libheif
+      return await sharp(filePath).rotate().jpeg({ quality: RENDITION_QUALITY }).toBuffer()
+    } catch {
+      const { width, height, data } = await heicDecode({ buffer: await fs.readFile(filePath) })
+      return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), { raw: { width, height, channels: 4 } })
+        .jpeg({ quality: RENDITION_QUALITY })
+        .toBuffer()
+    }
+  }
+
+  return sharp(filePath).rotate().jpeg({ quality: RENDITION_QUALITY }).toBuffer()
+}
+
+/**
+ * Browser-viewable JPEG rendition of a HEIF/TIFF/RAW file, in the shared cache (by path + mtime + size)
+ * @param {string} filePath
+ * @returns {Promise<string>} Path of the cached JPEG
+ */
+const getRenditionPath = (filePath) =>
+  getCachedFile('renditions', filePath, 'jpeg', async (target) => {
+    await fs.writeFile(target, await decodeToJpeg(filePath))
+    logger.log('[imageFormatService] rendition created', { filePath })
+  })
+
+/**
+ * Path that sharp / canvas / browsers can decode: the file itself or its JPEG rendition
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+const resolveDecodablePath = async (filePath) => (needsRendition(filePath) ? getRenditionPath(filePath) : filePath)
+
+export {
+  IMAGE_EXT,
+  needsRendition,
+  readImageTags,
+  readImageDimensions,
+  getRenditionPath,
+  resolveDecodablePath,
+}
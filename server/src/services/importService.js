@@ -0,0 +1,135 @@
+import path from 'node:path'
+import fs from 'node:fs/promises'
+import { DEFAULT_FILENAME_PATTERNS, inferDateFromFilename } from './filenameDateService.js'
+
+// ייבוא ארכיונים מיוצאים - במצב ייבוא (importMode) המטא-נתונים של הארכיון קודמים ל-EXIF / מטא-נתוני וידאו:
+// Google Takeout - תאריך הקובץ הוא תאריך הייצוא; זמן הצילום, GPS ותיאור נמצאים בקובץ JSON נלווה (photoTakenTime, geoData)
+// גיבוי WhatsApp - WhatsApp מוחק EXIF, ותאריך הקובץ הוא תאריך השחזור; התאריך נמצא בשם (IMG-20240501-WA0003)
+
+// Takeout cuts whole file names (".json" included) to this length
+const TAKEOUT_NAME_LIMIT = 51
+// Edited copies share the original's JSON; the suffix is localized
+const EDITED_SUFFIXES = ['-edited', '-bearbeitet', '-modifié', '-editado', '-modificato', '-bewerkt', '-redigeret', '-muokattu']
+// "IMG_1234(1).jpg" -> its JSON is "IMG_1234.jpg(1).json"
+const DUPLICATE_RE = /^(.*)\((\d+)\)$/
+const SUPPLEMENTAL = '.supplemental-metadata'
+
+// WhatsApp/Media/WhatsApp Images/..., Android/media/com.whatsapp/WhatsApp/Media/..., WhatsApp Video/Sent/...
+const WHATSAPP_FOLDER_RE = /^WhatsApp (Images|Video|Animated Gifs|Documents|Stickers)$/i
+const WHATSAPP_PATTERNS = DEFAULT_FILENAME_PATTERNS.filter((pattern) => pattern.id.startsWith('whatsapp'))
+
+/**
+ * JSON names Takeout may have given a media file's metadata, most likely first
+ * @param {string} src
+ * @returns {string[]}
+ */
+const takeoutJsonNames = (src) => {
+  const { name, ext } = path.parse(src)
+  let stem = name
+  const edited = EDITED_SUFFIXES.find((suffix) => stem.toLowerCase().endsWith(suffix))
+  if (edited) stem = stem.slice(0, -edited.length)
+  const duplicate = stem.match(DUPLICATE_RE)
+  const counter = duplicate ? `(${duplicate[2]})` : ''
+  if (duplicate) stem = duplicate[1]
+  const base = stem + ext
+
+  // The plain name first - also how a JSON that already went through sorting is named (see companionSuffix)
+  const names = [`${name}${ext}.json`, `${base}${counter}.json`, `${stem}${counter}.json`]
+  // Newer exports: IMG_1234.jpg.supplemental-metadata.json, cut anywhere when the name is long
+  const supplemental = base + SUPPLEMENTAL
+  for (let len = supplemental.length; len > base.length + 1; len -= 1) {
+    names.push(`${supplemental.slice(0, len)}${counter}.json`)
+  }
+  const maxBase = TAKEOUT_NAME_LIMIT - '.json'.length - counter.length
+  if (base.length > maxBase) names.push(`${base.slice(0, maxBase)}${counter}.json`)
+  return [...new Set(names)]
+}
+
+/**
+ * The Takeout JSON of a media file, if there is one next to it
+ * @param {string} src
+ * @returns {Promise<string|null>}
+ */
+const findTakeoutJson = async (src) => {
+  const dir = path.dirname(src)
+  for (const name of takeoutJsonNames(src)) {
+    const candidate = path.join(dir, name)
+    try {
+      await fs.access(candidate)
+      return candidate
+    } catch {
+      // try the next spelling
+    }
+  }
+  return null
+}
+
+// geoData is 0,0 when Google has no location; geoDataExif is what the camera recorded
+const takeoutGps = (data) => {
+  const geo = [data.geoData, data.geoDataExif].find((g) => g && (Number(g.latitude) || Number(g.longitude)))
+  return geo ? { latitude: Number(geo.latitude), longitude: Number(geo.longitude) } : null
+}
+
+/**
+ * Capture time, GPS and description from a Takeout JSON
+ * photoTakenTime is a UTC instant; like every date here it is used as a local (server time zone) wall-clock time
+ * @param {string} src - Media file
+ * @returns {Promise<{date: Date, source: 'takeout', detail: string, timezone: null, gps: object|null, description: string|null}|null>}
+ *   null when there is no JSON or it has no capture time
+ */
+const readTakeoutMetadata = async (src) => {
+  const jsonPath = await findTakeoutJson(src)
+  if (!jsonPath) return null
+  let data
+  try {
+    data = JSON.parse(await fs.readFile(jsonPath, 'utf-8'))
+  } catch {
+    return null
+  }
+  const timestamp = Number(data?.photoTakenTime?.timestamp)
+  if (!timestamp) return null
+  return {
+    date: new Date(timestamp * 1000),
+    source: 'takeout',
+    detail: path.basename(jsonPath),
+    timezone: null,
+    gps: takeoutGps(data),
+    description: data.description?.trim() || null,
+  }
+}
+
+/**
+ * Whether a file sits in a WhatsApp media backup ("WhatsApp Images", "WhatsApp Video" and their "Sent" folders)
+ * @param {string} src
+ */
+const isWhatsAppBackup = (src) => {
+  const folders = path.dirname(src).split(/[/\\]/)
+  const last = folders[folders.length - 1]?.toLowerCase() === 'sent' ? folders.length - 2 : folders.length - 1
+  return WHATSAPP_FOLDER_RE.test(folders[last] || '')
+}
+
+/**
+ * Date of a WhatsApp backup file: the day from its name; the time from mtime when that is the same day
+ * (the phone's copy keeps the receive time, a restored backup does not)
+ * @param {string} src
+ * @returns {Promise<{date: Date, source: 'whatsapp', detail: string, timezone: null}|null>}
+ */
+const readWhatsAppMetadata = async (src) => {
+  if (!isWhatsAppBackup(src)) return null
+  const fromName = await inferDateFromFilename(src, WHATSAPP_PATTERNS)
+  if (!fromName) return null
+  const { mtime } = await fs.stat(src)
+  if (fromName.pattern === 'whatsapp' && mtime.toDateString() === fromName.date.toDateString()) {
+    return { date: mtime, source: 'whatsapp', detail: 'filename+mtime', timezone: null }
+  }
+  return { date: fromName.date, source: 'whatsapp', detail: 'filename', timezone: null }
+}
+
+/**
+ * Archive metadata of a media file (import mode): Takeout JSON, else WhatsApp backup layout
+ * @param {string} src
+ * @returns {Promise<object|null>} Same shape as getMediaDate, plus description; null when neither applies
+ */
+const readImportMetadata = async (src) => (await readTakeoutMetadata(src)) || (await readWhatsAppMetadata(src))
+
+export { takeoutJsonNames, findTakeoutJson, readTakeoutMetadata, isWhatsAppBackup, readWhatsAppMetadata, readImportMetadata }
@@ -0,0 +1,449 @@
+import fssync from 'node:fs'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import crypto from 'node:crypto'
+import { DATA_DIR, dataPath } from '../utils/dataDir.js'
+import { sortFilesBatch, isMedia, cleanPath } from './fileService.js'
+import { validateTemplate } from './templateService.js'
+import logger from '../utils/logger.js'
+
+// תיבות קליטה - תיקיות שהשרת מאזין להן (סנכרון טלפון, תיקיית הורדות...) וממיין אליהן קבצים חדשים אוטומטית
+// קובץ נחשב יציב (סיים להיכתב) כשהגודל וזמן השינוי שלו לא השתנו STABLE_MS; fs.watch מזהה מהר,
+// וסריקה תקופתית תופסת אירועים שהוחמצו (כונני רשת, קבצים שהיו בתיקייה לפני שהשרת עלה)
+
+const INBOXES_FILE = 'inboxes.json'
+// Files already copied out of copy-mode inboxes (a move empties the inbox, a copy does not) - append-only, each line one of:
+// { type: 'seen', inbox, file, key } | { type: 'forget', inbox, file } | { type: 'drop', inbox }
+const SEEN_FILE = 'inbox-seen.jsonl'
+// The whole map as one JSON object, before the log
+const LEGACY_SEEN_FILE = 'inbox-seen.json'
+const MODES = ['move', 'copy']
+const STABLE_MS = 5000
+const TICK_MS = 2000
+const RESCAN_MS = 60000
+const EVENT_LIMIT = 50
+const BATCH_CONCURRENCY = 2
+
+const readJson = (file, fallback) => {
+  try {
+    return JSON.parse(fssync.readFileSync(path.join(DATA_DIR, file), 'utf-8'))
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.warn(`[inboxService] invalid ${file}, starting empty`, { error: err.message })
+    }
+    return fallback
+  }
+}
+
+// fileKey -> its file (file paths may contain "|")
+const keyFile = (key) => key.split('|').slice(0, -2).join('|')
+
+/**
+ * Fold the seen log: inbox id -> Map(file -> fileKey of the copy), plus the number of lines (to know when to compact)
+ */
+const loadSeen = () => {
+  const seenMap = new Map()
+  const inboxSeen = (id) => {
+    if (!seenMap.has(id)) seenMap.set(id, new Map())
+    return seenMap.get(id)
+  }
+  for (const [id, keys] of Object.entries(readJson(LEGACY_SEEN_FILE, {}))) {
+    for (const key of keys) inboxSeen(id).set(keyFile(key), key)
+  }
+  let lines = 0
+  let raw = ''
+  try {
+    raw = fssync.readFileSync(path.join(DATA_DIR, SEEN_FILE), 'utf-8')
+  } catch (err) {
+    if (err.code !== 'ENOENT') logger.warn(`[inboxService] could not read ${SEEN_FILE}`, { error: err.message })
+  }
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue
+    let record
+    try {
+      record = JSON.parse(line)
+    } catch {
+      continue // truncated last line
+    }
+    lines += 1
+    if (record.type === 'seen') inboxSeen(record.inbox).set(record.file, record.key)
+    else if (record.type === 'forget') seenMap.get(record.inbox)?.delete(record.file)
+    else if (record.type === 'drop') seenMap.delete(record.inbox)
+  }
+  return { seenMap, lines }
+}
+
+let inboxes = readJson(INBOXES_FILE, { inboxes: [] }).inboxes || []
+const loadedSeen = loadSeen()
+const seen = loadedSeen.seenMap
+let seenLines = loadedSeen.lines
+// Serialize appends so two inboxes finishing together never interleave lines
+let seenChain = Promise.resolve()
+
+// Runtime state per inbox id: { watcher, timer, rescanTimer, candidates: Map, failed: Set, busy, status, error, events, sortedCount }
+const runtime = new Map()
+
+const fail = (message) => {
+  const err = new Error(message)
+  err.status = 400
+  throw err
+}
+
+const isInside = (child, parent) => {
+  const rel = path.relative(parent, child)
+  return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel))
+}
+
+/**
+ * Validate and normalize an inbox
+ * @param {object} input - { name, path, destRoot, format, mode, recursive, enabled }
+ * @param {string} [id] - Existing id when updating
+ * @returns {object}
+ * @throws {Error} with status 400 on invalid input
+ */
+const normalizeInbox = (input = {}, id = null) => {
+  const inboxPath = cleanPath(input.path)
+  const destRoot = cleanPath(input.destRoot)
+  if (!inboxPath || !path.isAbsolute(inboxPath)) fail('יש להזין נתיב מלא לתיקיית הקליטה')
+  if (!fssync.existsSync(inboxPath) || !fssync.statSync(inboxPath).isDirectory()) fail(`התיקייה לא נמצאה: ${inboxPath}`)
+  if (!destRoot || !path.isAbsolute(destRoot)) fail('יש להזין נתיב מלא לתיקיית היעד')
+  const recursive = input.recursive !== false
+  // Sorting into a watched folder would pick the sorted files up again
+  if (isInside(path.resolve(destRoot), path.resolve(inboxPath))) fail('תיקיית היעד לא יכולה להיות בתוך תיקיית הקליטה')
+  const format = input.format || 'month-year'
+  const templateCheck = validateTemplate(format)
+  if (!templateCheck.valid) fail(templateCheck.errors.join(', '))
+  const mode = input.mode || 'move'
+  if (!MODES.includes(mode)) fail(`mode must be one of: ${MODES.join(', ')}`)
+  const duplicate = inboxes.find((i) => i.id !== id && path.resolve(i.path) === path.resolve(inboxPath))
+  if (duplicate) fail('תיקיית הקליטה כבר רשומה')
+  return {
+    id: id || crypto.randomUUID(),
+    name: String(input.name || '').trim() || path.basename(inboxPath),
+    path: inboxPath,
+    destRoot,
+    format,
+    mode,
+    recursive,
+    enabled: input.enabled !== false,
+  }
+}
+
+const saveInboxes = async (next) => {
+  await fs.writeFile(await dataPath(INBOXES_FILE), JSON.stringify({ inboxes: next }, null, 2))
+  inboxes = next
+}
+
+const appendSeen = (records) => {
+  if (!records.length) return seenChain
+  seenChain = seenChain
+    .catch(() => {})
+    .then(async () => {
+      await fs.appendFile(await dataPath(SEEN_FILE), records.map((r) => JSON.stringify(r) + '\n').join(''), 'utf-8')
+      seenLines += records.length
+    })
+  return seenChain
+}
+
+const seenSize = () => [...seen.values()].reduce((sum, files) => sum + files.size, 0)
+
+/**
+ * Rewrite the seen log with only the live entries of existing inboxes - at startup, once forgotten / replaced lines
+ * outnumber them; also moves a legacy inbox-seen.json into the log
+ */
+const compactSeen = () => {
+  const legacy = fssync.existsSync(path.join(DATA_DIR, LEGACY_SEEN_FILE))
+  const orphans = [...seen.keys()].filter((id) => !inboxes.some((inbox) => inbox.id === id))
+  orphans.forEach((id) => seen.delete(id))
+  if (!legacy && !orphans.length && seenLines <= seenSize() * 2 + 100) return seenChain
+  seenChain = seenChain
+    .catch(() => {})
+    .then(async () => {
+      const records = []
+      for (const [inbox, files] of seen) {
+        for (const [file, key] of files) records.push({ type: 'seen', inbox, file, key })
+      }
+      const file = await dataPath(SEEN_FILE)
+      const tmp = `${file}.tmp`
+      await fs.writeFile(tmp, records.map((r) => JSON.stringify(r) + '\n').join(''), 'utf-8')
+      await fs.rename(tmp, file)
+      await fs.rm(path.join(DATA_DIR, LEGACY_SEEN_FILE), { force: true })
+      logger.log('[inboxService] compacted seen files', { before: seenLines, after: records.length })
+      seenLines = records.length
+    })
+    .catch((err) => logger.warn('[inboxService] could not compact seen files', { error: err.message }))
+  return seenChain
+}
+
+const markSeen = (inbox, file, key, records) => {
+  if (!seen.has(inbox.id)) seen.set(inbox.id, new Map())
+  seen.get(inbox.id).set(file, key)
+  records.push({ type: 'seen', inbox: inbox.id, file, key })
+}
+
+const fileKey = (file, stat) => `${file}|${stat.size}|${Math.round(stat.mtimeMs)}`
+// Folder + base name: a Live Photo's photo and video share it
+const baseKey = (file) => path.join(path.dirname(file), path.parse(file).name.toLowerCase())
+
+const pushEvent = (state, event) => {
+  state.events.unshift({ time: new Date().toISOString(), ...event })
+  state.events.length = Math.min(state.events.length, EVENT_LIMIT)
+}
+
+/**
+ * Queue a file seen in the inbox; it is sorted once it has been stable for STABLE_MS
+ */
+const addCandidate = (state, file) => {
+  if (!isMedia(file) || state.candidates.has(file)) return
+  // Ignore hidden / temp files written by sync clients (".file.jpg.tmp", "~$...")
+  if (path.basename(file).startsWith('.') || path.basename(file).startsWith('~')) return
+  state.candidates.set(file, { size: -1, mtimeMs: -1, stableSince: null })
+}
+
+// listing.complete turns false when a folder could not be read - its files are unknown, not gone
+const listMedia = async (dir, recursive, listing = { complete: true }) => {
+  const found = []
+  let entries = []
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true })
+  } catch {
+    listing.complete = false
+    return found
+  }
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name)
+    if (entry.isDirectory() && recursive) found.push(...(await listMedia(full, recursive, listing)))
+    else if (entry.isFile() && isMedia(full)) found.push(full)
+  }
+  return found
+}
+
+/**
+ * Queue every media file of the inbox, and forget the copied files that are no longer there
+ * (deleted / moved away by the user or the sync client) so the seen list does not grow forever
+ */
+const rescan = async (inbox, state) => {
+  const listing = { complete: true }
+  const files = await listMedia(inbox.path, inbox.recursive, listing)
+  for (const file of files) addCandidate(state, file)
+  const copied = seen.get(inbox.id)
+  // An unreadable folder (a sync drive that went offline) would look empty
+  if (!copied?.size || !listing.complete) return
+  const present = new Set(files)
+  const records = []
+  for (const file of copied.keys()) {
+    if (present.has(file)) continue
+    copied.delete(file)
+    records.push({ type: 'forget', inbox: inbox.id, file })
+  }
+  await appendSeen(records).catch((err) =>
+    logger.warn('[inboxService] could not save seen files', { inbox: inbox.id, error: err.message }),
+  )
+}
+
+/**
+ * Sort the files that became stable, one batch per inbox at a time
+ */
+const processStable = async (inbox, state) => {
+  if (state.busy || !state.candidates.size) return
+  state.busy = true
+  try {
+    const now = Date.now()
+    const ready = []
+    const keys = new Map()
+    for (const [file, info] of state.candidates) {
+      let stat
+      try {
+        stat = await fs.stat(file)
+      } catch {
+        state.candidates.delete(file) // removed / renamed before it settled
+        continue
+      }
+      if (stat.size !== info.size || stat.mtimeMs !== info.mtimeMs) {
+        state.candidates.set(file, { size: stat.size, mtimeMs: stat.mtimeMs, stableSince: now })
+        continue
+      }
+      if (stat.size === 0 || now - info.stableSince < STABLE_MS) continue
+      const key = fileKey(file, stat)
+      // Already copied, or failed and unchanged since (retried once the file changes)
+      if (seen.get(inbox.id)?.get(file) === key || state.failed.has(key)) {
+        state.candidates.delete(file)
+        continue
+      }
+      ready.push(file)
+      keys.set(file, key)
+    }
+    // A photo waits for its Live Photo video to settle too - the video travels with it as a companion
+    const settling = new Set([...state.candidates.keys()].filter((file) => !keys.has(file)).map(baseKey))
+    const batch = ready.filter((file) => !settling.has(baseKey(file)))
+    if (!batch.length) return
+
+    batch.forEach((file) => state.candidates.delete(file))
+    logger.log(`[inboxService] ${inbox.name}: sorting ${batch.length} new file(s)`)
+    const result = await sortFilesBatch({
+      files: batch,
+      destRoot: inbox.destRoot,
+      format: inbox.format,
+      mode: inbox.mode,
+      concurrency: BATCH_CONCURRENCY,
+    })
+    // Only this batch's copies are appended - the rest of the list is already on disk
+    const seenRecords = []
+    for (const r of result.results) {
+      if (r.success) {
+        state.sortedCount += 1
+        pushEvent(state, { type: 'sorted', file: r.src, target: r.newPath, runId: result.runId })
+        if (inbox.mode === 'copy') {
+          markSeen(inbox, r.src, keys.get(r.src), seenRecords)
+          // A copied Live Photo video stays in the inbox - it must not be sorted again on its own
+          for (const companion of r.companions || []) {
+            if (!companion.error && isMedia(companion.src)) {
+              const stat = await fs.stat(companion.src).catch(() => null)
+              if (stat) markSeen(inbox, companion.src, fileKey(companion.src, stat), seenRecords)
+            }
+          }
+        }
+      } else {
+        state.failed.add(keys.get(r.src))
+        pushEvent(state, { type: 'error', file: r.src, error: r.error })
+      }
+    }
+    await appendSeen(seenRecords)
+  } catch (err) {
+    logger.error('[inboxService] sorting inbox files failed', { inbox: inbox.id, error: err?.message, stack: err?.stack })
+    state.error = err.message
+    pushEvent(state, { type: 'error', error: err.message })
+  } finally {
+    state.busy = false
+  }
+}
+
+const stopWatching = (id) => {
+  const state = runtime.get(id)
+  if (!state) return
+  state.watcher?.close()
+  clearInterval(state.timer)
+  clearInterval(state.rescanTimer)
+  state.watcher = null
+  state.status = 'stopped'
+}
+
+/**
+ * (Re)start watching an inbox; keeps its event history across restarts of the watcher
+ */
+const startWatching = (inbox) => {
+  stopWatching(inbox.id)
+  const state = runtime.get(inbox.id) || { candidates: new Map(), failed: new Set(), events: [], sortedCount: 0, busy: false }
+  runtime.set(inbox.id, state)
+  state.error = null
+  state.candidates = new Map()
+  if (!inbox.enabled) {
+    state.status = 'stopped'
+    return
+  }
+
+  try {
+    state.watcher = fssync.watch(inbox.path, { recursive: inbox.recursive }, (_type, filename) => {
+      if (filename) addCandidate(state, path.join(inbox.path, filename.toString()))
+    })
+    state.watcher.on('error', (err) => {
+      logger.error('[inboxService] watcher failed', { inbox: inbox.id, error: err.message })
+      state.status = 'error'
+      state.error = err.message
+      pushEvent(state, { type: 'watch-error', error: err.message })
+    })
+    state.status = 'watching'
+  } catch (err) {
+    // Folder gone / unsupported file system - periodic rescans still pick up new files
+    logger.error('[inboxService] fs.watch failed, falling back to polling', { inbox: inbox.id, error: err.message })
+    state.status = 'polling'
+    state.error = err.message
+    pushEvent(state, { type: 'watch-error', error: err.message })
+  }
+
+  state.timer = setInterval(() => processStable(inbox, state), TICK_MS)
+  state.rescanTimer = setInterval(() => rescan(inbox, state), RESCAN_MS)
+  state.timer.unref?.()
+  state.rescanTimer.unref?.()
+  // Files already waiting in the inbox
+  rescan(inbox, state)
+}
+
+const withState = (inbox) => {
+  const state = runtime.get(inbox.id)
+  return {
+    ...inbox,
+    status: state?.status || 'stopped',
+    error: state?.error || null,
+    pending: state?.candidates.size || 0,
+    busy: Boolean(state?.busy),
+    sortedCount: state?.sortedCount || 0,
+    events: state?.events || [],
+  }
+}
+
+/**
+ * All inboxes with watch status, queue size and recent events (newest first)
+ */
+const listInboxes = () => inboxes.map(withState)
+
+/**
+ * Start watching every enabled inbox (server startup)
+ */
+const startInboxes = () => {
+  compactSeen()
+  inboxes.forEach(startWatching)
+  if (inboxes.length) logger.log(`[inboxService] watching ${inboxes.filter((i) => i.enabled).length} inbox folder(s)`)
+}
+
+/**
+ * @param {object} input
+ * @returns {Promise<object>} Created inbox with state
+ */
+const createInbox = async (input) => {
+  const inbox = normalizeInbox(input)
+  await saveInboxes([...inboxes, inbox])
+  startWatching(inbox)
+  return withState(inbox)
+}
+
+/**
+ * @param {string} id
+ * @param {object} input
+ * @returns {Promise<object|null>} Updated inbox or null when not found
+ */
+const updateInbox = async (id, input) => {
+  if (!inboxes.some((i) => i.id === id)) return null
+  const inbox = normalizeInbox(input, id)
+  await saveInboxes(inboxes.map((i) => (i.id === id ? inbox : i)))
+  startWatching(inbox)
+  return withState(inbox)
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<boolean>} Whether an inbox was removed
+ */
+const deleteInbox = async (id) => {
+  if (!inboxes.some((i) => i.id === id)) return false
+  stopWatching(id)
+  runtime.delete(id)
+  await saveInboxes(inboxes.filter((i) => i.id !== id))
+  if (seen.delete(id)) await appendSeen([{ type: 'drop', inbox: id }])
+  return true
+}
+
+/**
+ * Rescan an inbox now instead of waiting for the periodic rescan
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+const rescanInbox = async (id) => {
+  const inbox = inboxes.find((i) => i.id === id)
+  if (!inbox) return null
+  const state = runtime.get(id)
+  if (state && inbox.enabled) await rescan(inbox, state)
+  return withState(inbox)
+}
+
+export { MODES, listInboxes, startInboxes, createInbox, updateInbox, deleteInbox, rescanInbox }
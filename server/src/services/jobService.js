@@ -0,0 +1,213 @@
+import crypto from 'node:crypto'
+import logger from '../utils/logger.js'
+
+// רישום משימות רקע (מיון, סריקת פנים, אימות ספרייה) - המשימה שייכת לשרת ולא לחיבור ה-Socket שהפעיל אותה,
+// כך שרענון דף או ניתוק רשת לא עוצרים אותה. לכל משימה חדר Socket.IO (job:<id>) שאפשר להצטרף אליו מחדש.
+// kind של משימה הוא גם הקידומת של האירועים שלה: sort -> sort:progress, face-scan -> face-scan:progress
+
+const JOB_KINDS = ['sort', 'face-scan', 'verify']
+const ACTIVE_STATUSES = ['running', 'paused', 'cancelling']
+// Finished jobs kept in memory for late subscribers / GET /api/jobs/:id
+const FINISHED_LIMIT = 20
+
+const jobs = new Map()
+let io = null
+
+const fail = (message, status) => {
+  const err = new Error(message)
+  err.status = status
+  throw err
+}
+
+const jobRoom = (id) => `job:${id}`
+
+/**
+ * Socket.IO server used to broadcast job events (set once at startup)
+ * @param {import('socket.io').Server} server
+ */
+const setJobIo = (server) => {
+  io = server
+}
+
+const isActive = (job) => ACTIVE_STATUSES.includes(job.status)
+
+/**
+ * Public view of a job
+ * @param {object} job
+ * @param {boolean} [full] - Include result and the latest incremental items (face groups)
+ */
+const toSnapshot = (job, full = false) => ({
+  id: job.id,
+  kind: job.kind,
+  status: job.status,
+  params: job.params,
+  progress: job.progress,
+  error: job.error,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+  finishedAt: job.finishedAt,
+  ...(full ? { result: job.result, items: job.items } : {}),
+})
+
+const broadcast = (job, event, payload) => {
+  io?.to(jobRoom(job.id)).emit(event, payload)
+}
+
+const touch = (job, patch = {}) => {
+  Object.assign(job, patch, { updatedAt: new Date().toISOString() })
+  broadcast(job, 'job:update', toSnapshot(job))
+}
+
+const pruneFinished = () => {
+  const finished = [...jobs.values()].filter((j) => !isActive(j))
+  finished
+    .sort((a, b) => a.finishedAt.localeCompare(b.finishedAt))
+    .slice(0, Math.max(0, finished.length - FINISHED_LIMIT))
+    .forEach((j) => jobs.delete(j.id))
+}
+
+/**
+ * Start a background job
+ * run receives { jobId, signal, waitIfPaused, emit, setProgress, setItems } and returns the job result.
+ * It emits its own result/done events; the registry emits <kind>:stopped on cancel and <kind>:error on failure.
+ * @param {object} params
+ * @param {string} params.kind - One of JOB_KINDS
+ * @param {object} params.params - Job input summary shown in the job list (no big arrays)
+ * @param {Function} params.run - async (context) => result
+ * @returns {object} Job snapshot
+ */
+const startJob = ({ kind, params = {}, run }) => {
+  if (!JOB_KINDS.includes(kind)) fail(`kind must be one of: ${JOB_KINDS.join(', ')}`, 400)
+  const now = new Date().toISOString()
+  const job = {
+    id: crypto.randomUUID(),
+    kind,
+    status: 'running',
+    params,
+    progress: null,
+    items: null,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    controller: new AbortController(),
+    gate: null, // { promise, resolve } while paused
+  }
+  jobs.set(job.id, job)
+  logger.log(`[jobService] job started: ${kind} ${job.id}`)
+
+  const context = {
+    jobId: job.id,
+    signal: job.controller.signal,
+    waitIfPaused: () => (job.gate ? job.gate.promise : Promise.resolve()),
+    emit: (event, payload) => broadcast(job, event, payload),
+    setProgress: (progress) => {
+      job.progress = progress
+    },
+    setItems: (items) => {
+      job.items = items
+    },
+  }
+
+  // Deferred so the caller can join the job room before the first event
+  Promise.resolve()
+    .then(() => run(context))
+    .then((result) => {
+      job.result = result ?? null
+      if (job.controller.signal.aborted) {
+        touch(job, { status: 'cancelled', finishedAt: new Date().toISOString() })
+        broadcast(job, `${kind}:stopped`, { jobId: job.id, message: 'Job cancelled' })
+      } else {
+        touch(job, { status: 'completed', finishedAt: new Date().toISOString() })
+      }
+    })
+    .catch((err) => {
+      if (err?.name === 'AbortError' || job.controller.signal.aborted) {
+        touch(job, { status: 'cancelled', finishedAt: new Date().toISOString() })
+        broadcast(job, `${kind}:stopped`, { jobId: job.id, message: 'Job cancelled' })
+        return
+      }
+      logger.error('[jobService] job failed', { id: job.id, kind, error: err?.message, stack: err?.stack })
+      touch(job, { status: 'failed', error: err.message, finishedAt: new Date().toISOString() })
+      broadcast(job, `${kind}:error`, { jobId: job.id, error: err.message, code: err.code })
+    })
+    .finally(() => {
+      job.gate = null
+      pruneFinished()
+    })
+
+  return toSnapshot(job)
+}
+
+const requireJob = (id) => {
+  const job = jobs.get(id)
+  if (!job) fail('Job not found', 404)
+  return job
+}
+
+/**
+ * @param {object} [filter]
+ * @param {string} [filter.kind]
+ * @returns {object[]} Snapshots, newest first
+ */
+const listJobs = ({ kind } = {}) =>
+  [...jobs.values()]
+    .filter((j) => !kind || j.kind === kind)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map((j) => toSnapshot(j))
+
+/**
+ * @param {string} id
+ * @returns {object|null} Full snapshot including result
+ */
+const getJob = (id) => {
+  const job = jobs.get(id)
+  return job ? toSnapshot(job, true) : null
+}
+
+/**
+ * Pause a running job - it stops before its next unit of work (sort batch / face-scan file)
+ * @throws {Error} 404 unknown job, 409 not running
+ */
+const pauseJob = (id) => {
+  const job = requireJob(id)
+  if (job.status !== 'running') fail(`Cannot pause a ${job.status} job`, 409)
+  let resolve
+  const promise = new Promise((r) => {
+    resolve = r
+  })
+  job.gate = { promise, resolve }
+  touch(job, { status: 'paused' })
+  return toSnapshot(job)
+}
+
+/**
+ * @throws {Error} 404 unknown job, 409 not paused
+ */
+const resumeJob = (id) => {
+  const job = requireJob(id)
+  if (job.status !== 'paused') fail(`Cannot resume a ${job.status} job`, 409)
+  job.gate?.resolve()
+  job.gate = null
+  touch(job, { status: 'running' })
+  return toSnapshot(job)
+}
+
+/**
+ * Request cancellation - the status becomes "cancelled" once the work in flight finishes
+ * @throws {Error} 404 unknown job, 409 already finished
+ */
+const cancelJob = (id) => {
+  const job = requireJob(id)
+  if (!isActive(job)) fail(`Cannot cancel a ${job.status} job`, 409)
+  if (job.status === 'cancelling') return toSnapshot(job)
+  job.controller.abort()
+  // A paused job must wake up to notice the abort
+  job.gate?.resolve()
+  job.gate = null
+  touch(job, { status: 'cancelling' })
+  return toSnapshot(job)
+}
+
+export { JOB_KINDS, jobRoom, setJobIo, startJob, listJobs, getJob, pauseJob, resumeJob, cancelJob }
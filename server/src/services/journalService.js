@@ -0,0 +1,323 @@
+import path from 'node:path'
+import fs from 'node:fs/promises'
+import fssync from 'node:fs'
+import crypto from 'node:crypto'
+import { dataPath } from '../utils/dataDir.js'
+import { moveFile, copyFile, hashFile } from './transferService.js'
+import { recordFile, removeFiles } from './manifestService.js'
+import logger from '../utils/logger.js'
+
+// יומן פעולות - קובץ JSONL אחד, כל שורה היא אחת מ:
+// { type: 'run', runId, kind, createdAt, meta }
+// { type: 'entry', id, runId, action, mode, source, target, timestamp }
+// { type: 'status', entryId, status: 'reverted' | 'applied', timestamp }
+const JOURNAL_FILENAME = 'journal.jsonl'
+const TRASH_DIRNAME = 'trash'
+
+// Serialize appends so parallel batch operations never interleave lines
+let writeChain = Promise.resolve()
+
+const appendLine = (record) => {
+  writeChain = writeChain
+    .catch(() => {})
+    .then(async () => {
+      const journalPath = await dataPath(JOURNAL_FILENAME)
+      await fs.appendFile(journalPath, JSON.stringify(record) + '\n', 'utf-8')
+    })
+  return writeChain
+}
+
+/**
+ * Start a new journal run (one sort batch, one single sort, one delete...)
+ * @param {string} kind - 'sort-batch' | 'sort' | 'delete'
+ * @param {object} meta - Extra info to show in history (destRoot, format, ...)
+ * @returns {Promise<string>} runId
+ */
+const startRun = async (kind, meta = {}) => {
+  const runId = crypto.randomUUID()
+  await appendLine({ type: 'run', runId, kind, createdAt: new Date().toISOString(), meta })
+  return runId
+}
+
+/**
+ * Record one completed file operation
+ * @param {object} params
+ * @param {string} params.runId - Run this operation belongs to
+ * @param {string} params.action - 'sort' | 'delete'
+ * @param {string} params.mode - 'move' | 'copy' | 'delete'
+ * @param {string} params.source - Original file path
+ * @param {string} params.target - Where the file is now (sort target or trash path)
+ * @returns {Promise<string>} entry id
+ */
+const recordOperation = async ({ runId, action, mode, source, target }) => {
+  const id = crypto.randomUUID()
+  await appendLine({
+    type: 'entry',
+    id,
+    runId,
+    action,
+    mode,
+    source,
+    target,
+    timestamp: new Date().toISOString(),
+  })
+  return id
+}
+
+/**
+ * Read the journal and fold status lines into the entries
+ * @returns {Promise<{runs: Map<string, object>, entries: Map<string, object>}>}
+ */
+const loadJournal = async () => {
+  const runs = new Map()
+  const entries = new Map()
+  const journalPath = await dataPath(JOURNAL_FILENAME)
+  if (!fssync.existsSync(journalPath)) return { runs, entries }
+
+  await writeChain.catch(() => {})
+  const raw = await fs.readFile(journalPath, 'utf-8')
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue
+    let record
+    try {
+      record = JSON.parse(line)
+    } catch {
+      // שורה פגומה (למשל כתיבה שנקטעה) - מדלגים
+      continue
+    }
+    if (record.type === 'run') {
+      runs.set(record.runId, { ...record, entries: [] })
+    } else if (record.type === 'entry') {
+      const entry = { ...record, status: 'applied', updatedAt: record.timestamp }
+      entries.set(entry.id, entry)
+      if (!runs.has(entry.runId)) {
+        runs.set(entry.runId, { runId: entry.runId, kind: entry.action, createdAt: entry.timestamp, meta: {}, entries: [] })
+      }
+      runs.get(entry.runId).entries.push(entry)
+    } else if (record.type === 'status') {
+      const entry = entries.get(record.entryId)
+      if (entry) {
+        entry.status = record.status
+        entry.updatedAt = record.timestamp
+      }
+    }
+  }
+  return { runs, entries }
+}
+
+const summarizeRun = (run) => ({
+  runId: run.runId,
+  kind: run.kind,
+  createdAt: run.createdAt,
+  meta: run.meta || {},
+  total: run.entries.length,
+  applied: run.entries.filter((e) => e.status === 'applied').length,
+  reverted: run.entries.filter((e) => e.status === 'reverted').length,
+})
+
+/**
+ * List all runs, newest first
+ */
+const listRuns = async () => {
+  const { runs } = await loadJournal()
+  return Array.from(runs.values())
+    .map(summarizeRun)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+}
+
+/**
+ * Get one run with all its entries
+ */
+const getRun = async (runId) => {
+  const { runs } = await loadJournal()
+  const run = runs.get(runId)
+  if (!run) return null
+  return { ...summarizeRun(run), entries: run.entries }
+}
+
+const assertFree = (target) => {
+  if (fssync.existsSync(target)) {
+    throw new Error(`היעד כבר קיים: ${target}`)
+  }
+}
+
+const assertExists = (target) => {
+  if (!fssync.existsSync(target)) {
+    throw new Error(`הקובץ לא נמצא: ${target}`)
+  }
+}
+
+// Undo: מחזיר את הקובץ למצבו לפני הפעולה
+const revertEntry = async (entry) => {
+  if (entry.mode === 'move' || entry.mode === 'delete') {
+    assertExists(entry.target)
+    assertFree(entry.source)
+    await moveFile(entry.target, entry.source)
+  } else if (entry.mode === 'copy') {
+    assertExists(entry.target)
+    await fs.rm(entry.target, { force: true })
+  } else {
+    throw new Error(`Unknown journal mode: ${entry.mode}`)
+  }
+}
+
+// Redo: מבצע שוב את הפעולה המקורית
+const reapplyEntry = async (entry) => {
+  assertExists(entry.source)
+  assertFree(entry.target)
+  if (entry.mode === 'move' || entry.mode === 'delete') {
+    await moveFile(entry.source, entry.target)
+  } else if (entry.mode === 'copy') {
+    await fs.mkdir(path.dirname(entry.target), { recursive: true })
+    await copyFile(entry.source, entry.target)
+  } else {
+    throw new Error(`Unknown journal mode: ${entry.mode}`)
+  }
+}
+
+// Undo of a sort: the date folders it left empty go too, up to (not including) the library root
+const isBelow = (dir, root) => {
+  const rel = path.relative(root, dir)
+  return rel !== '' && !rel.startsWith('..') && !path.isAbsolute(rel)
+}
+
+const removeEmptyParents = async (filePath, root) => {
+  let dir = path.dirname(path.resolve(filePath))
+  while (isBelow(dir, root)) {
+    try {
+      await fs.rmdir(dir)
+    } catch (err) {
+      // Not empty (other files, a folder that was there before) - nothing above it is empty either
+      if (err.code !== 'ENOENT') return
+    }
+    dir = path.dirname(dir)
+  }
+}
+
+// The library manifest (manifestService) follows the files: an undone sort leaves the manifest, a redone sort of a
+// verified run is hashed back into it. A failure here is logged - the files themselves were already moved
+const syncManifest = async (done, direction, runs) => {
+  for (const entry of done) {
+    const meta = runs.get(entry.runId)?.meta || {}
+    if (entry.action !== 'sort' || !meta.destRoot) continue
+    try {
+      if (direction === 'undo') await removeFiles(meta.destRoot, [entry.target])
+      else if (meta.verify) {
+        await recordFile(meta.destRoot, { target: entry.target, sha256: await hashFile(entry.target), source: entry.source })
+      }
+    } catch (err) {
+      logger.warn(`[journalService] manifest update after ${direction} failed`, { entryId: entry.id, error: err.message })
+    }
+  }
+}
+
+/**
+ * Undo or redo a list of entries
+ * Undo runs newest-first, redo oldest-first, so chained moves unwind correctly
+ * @param {object[]} entries - Journal entries
+ * @param {'undo'|'redo'} direction
+ * @param {Map<string, object>} runs - From loadJournal, for the library (meta.destRoot) of sort entries
+ * @returns {Promise<object>} Per-entry results and counts
+ */
+const applyDirection = async (entries, direction, runs) => {
+  const wantedStatus = direction === 'undo' ? 'applied' : 'reverted'
+  const nextStatus = direction === 'undo' ? 'reverted' : 'applied'
+  const ordered = [...entries].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+  if (direction === 'undo') ordered.reverse()
+
+  const results = []
+  const done = []
+  for (const entry of ordered) {
+    if (entry.status !== wantedStatus) {
+      results.push({ entryId: entry.id, success: false, skipped: true, error: `Entry already ${entry.status}` })
+      continue
+    }
+    try {
+      if (direction === 'undo') await revertEntry(entry)
+      else await reapplyEntry(entry)
+      const destRoot = runs.get(entry.runId)?.meta?.destRoot
+      if (direction === 'undo' && entry.action === 'sort' && destRoot) {
+        await removeEmptyParents(entry.target, path.resolve(destRoot)).catch(() => {})
+      }
+      await appendLine({ type: 'status', entryId: entry.id, status: nextStatus, timestamp: new Date().toISOString() })
+      results.push({ entryId: entry.id, success: true, source: entry.source, target: entry.target })
+      done.push(entry)
+    } catch (err) {
+      logger.error(`[journalService] ${direction} failed`, { entryId: entry.id, error: err.message })
+      results.push({ entryId: entry.id, success: false, error: err.message })
+    }
+  }
+  await syncManifest(done, direction, runs)
+
+  return {
+    results,
+    success: results.filter((r) => r.success).length,
+    errors: results.filter((r) => !r.success && !r.skipped).length,
+  }
+}
+
+const runNotFound = (runId) => {
+  const err = new Error(`Run not found: ${runId}`)
+  err.status = 404
+  return err
+}
+
+const undoRun = async (runId) => {
+  const { runs } = await loadJournal()
+  const run = runs.get(runId)
+  if (!run) throw runNotFound(runId)
+  return applyDirection(run.entries, 'undo', runs)
+}
+
+const redoRun = async (runId) => {
+  const { runs } = await loadJournal()
+  const run = runs.get(runId)
+  if (!run) throw runNotFound(runId)
+  return applyDirection(run.entries, 'redo', runs)
+}
+
+const pickEntries = (entries, entryIds) => {
+  const picked = []
+  for (const id of entryIds) {
+    const entry = entries.get(id)
+    if (!entry) {
+      const err = new Error(`Entry not found: ${id}`)
+      err.status = 404
+      throw err
+    }
+    picked.push(entry)
+  }
+  return picked
+}
+
+const undoEntries = async (entryIds) => {
+  const { runs, entries } = await loadJournal()
+  return applyDirection(pickEntries(entries, entryIds), 'undo', runs)
+}
+
+const redoEntries = async (entryIds) => {
+  const { runs, entries } = await loadJournal()
+  return applyDirection(pickEntries(entries, entryIds), 'redo', runs)
+}
+
+/**
+ * Target path for a deleted file inside the journal trash, so delete can be undone
+ * @param {string} filePath - File being deleted
+ * @returns {Promise<string>}
+ */
+const getTrashPath = async (filePath) => {
+  const name = `${Date.now()}-${crypto.randomUUID().slice(0, 8)}-${path.basename(filePath)}`
+  return dataPath(TRASH_DIRNAME, name)
+}
+
+export {
+  startRun,
+  recordOperation,
+  listRuns,
+  getRun,
+  undoRun,
+  redoRun,
+  undoEntries,
+  redoEntries,
+  getTrashPath,
+}
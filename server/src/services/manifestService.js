@@ -0,0 +1,224 @@
+import path from 'node:path'
+import fs from 'node:fs/promises'
+import fssync from 'node:fs'
+import { hashFile } from './transferService.js'
+
+// מניפסט בדיקות (checksums) של ספריית היעד - קובץ JSONL בשורש הספרייה (נשאר עם הארכיון גם כשהוא עובר דיסק), כל שורה היא אחת מ:
+// { type: 'file', path, sha256, size, mtimeMs, source, recordedAt }   - path יחסי לשורש הספרייה; השורה האחרונה לנתיב קובעת
+// { type: 'remove', path, recordedAt }                              - הקובץ הוצא מהמעקב (נמחק / הועבר בכוונה)
+// { type: 'verify', checkedAt, total, ok, missing, corrupted, modified, untracked } - סיכום אימות
+const MANIFEST_FILENAME = '.hebphotosort-manifest.jsonl'
+// OS clutter that is never part of the archive
+const IGNORED_NAMES = new Set(['thumbs.db', 'desktop.ini'])
+
+// Serialize appends so parallel files in a batch never interleave lines
+let writeChain = Promise.resolve()
+
+const fail = (message, status) => {
+  const err = new Error(message)
+  err.status = status
+  throw err
+}
+
+const manifestPath = (destRoot) => path.join(destRoot, MANIFEST_FILENAME)
+
+const appendLines = (destRoot, records) => {
+  writeChain = writeChain
+    .catch(() => {})
+    .then(() => fs.appendFile(manifestPath(destRoot), records.map((r) => JSON.stringify(r) + '\n').join(''), 'utf-8'))
+  return writeChain
+}
+
+const fileRecord = (destRoot, filePath, { sha256, stat, source = null }) => ({
+  type: 'file',
+  path: path.relative(destRoot, filePath),
+  sha256,
+  size: stat.size,
+  mtimeMs: Math.round(stat.mtimeMs),
+  source,
+  recordedAt: new Date().toISOString(),
+})
+
+/**
+ * Record a file written into the library
+ * @param {string} destRoot - Library root (where the manifest lives)
+ * @param {object} params
+ * @param {string} params.target - Absolute path of the file inside destRoot
+ * @param {string} params.sha256 - Verified hash
+ * @param {string} [params.source] - Where it was sorted from
+ */
+const recordFile = async (destRoot, { target, sha256, source = null }) => {
+  const stat = await fs.stat(target)
+  await appendLines(destRoot, [fileRecord(destRoot, target, { sha256, stat, source })])
+}
+
+/**
+ * Take files out of the library's manifest (an undone sort) - a no-op when the library has no manifest
+ * @param {string} destRoot
+ * @param {string[]} targets - Absolute paths inside destRoot
+ */
+const removeFiles = async (destRoot, targets) => {
+  if (!targets.length || !fssync.existsSync(manifestPath(destRoot))) return
+  const recordedAt = new Date().toISOString()
+  await appendLines(
+    destRoot,
+    targets.map((target) => ({ type: 'remove', path: path.relative(destRoot, target), recordedAt })),
+  )
+}
+
+/**
+ * Fold the manifest into the current state
+ * @param {string} destRoot
+ * @returns {Promise<{files: Map<string, object>, lastVerify: object|null}|null>} null when the library has no manifest
+ */
+const loadManifest = async (destRoot) => {
+  await writeChain.catch(() => {})
+  const file = manifestPath(destRoot)
+  if (!fssync.existsSync(file)) return null
+  const raw = await fs.readFile(file, 'utf-8')
+  const files = new Map()
+  let lastVerify = null
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue
+    let record
+    try {
+      record = JSON.parse(line)
+    } catch {
+      continue // truncated last line
+    }
+    if (record.type === 'file') files.set(record.path, record)
+    else if (record.type === 'remove') files.delete(record.path)
+    else if (record.type === 'verify') lastVerify = record
+  }
+  return { files, lastVerify }
+}
+
+const requireManifest = async (destRoot) => {
+  if (!destRoot || !path.isAbsolute(destRoot)) fail('destRoot must be an absolute path', 400)
+  const manifest = await loadManifest(destRoot)
+  if (!manifest) fail(`לא נמצא מניפסט בתיקייה: ${destRoot}`, 404)
+  return manifest
+}
+
+/**
+ * Manifest overview for the verify screen
+ * @param {string} destRoot
+ * @returns {Promise<object>} { destRoot, files, lastVerify }
+ */
+const getManifestSummary = async (destRoot) => {
+  const { files, lastVerify } = await requireManifest(destRoot)
+  return { destRoot, files: files.size, lastVerify }
+}
+
+// Every regular file of the library except the manifest, hidden files and OS clutter (relative paths)
+const listLibraryFiles = async (root, dir = root, found = []) => {
+  let entries = []
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true })
+  } catch {
+    return found
+  }
+  for (const entry of entries) {
+    if (entry.name.startsWith('.') || IGNORED_NAMES.has(entry.name.toLowerCase())) continue
+    const full = path.join(dir, entry.name)
+    if (entry.isDirectory()) await listLibraryFiles(root, full, found)
+    else if (entry.isFile()) found.push(path.relative(root, full))
+  }
+  return found
+}
+
+/**
+ * Re-hash the library and compare it with the manifest
+ * A changed hash with an unchanged mtime is bit rot ("corrupted"); with a new mtime it is an edit ("modified")
+ * @param {string} destRoot
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.waitIfPaused]
+ * @param {Function} [options.onProgress] - ({ current, total })
+ * @returns {Promise<object>} Report: { destRoot, checkedAt, total, ok, missing, corrupted, modified, untracked, cancelled }
+ */
+const verifyLibrary = async (destRoot, { signal = null, waitIfPaused = null, onProgress = null } = {}) => {
+  const { files } = await requireManifest(destRoot)
+  const entries = [...files.values()]
+  const report = { destRoot, total: entries.length, ok: 0, missing: [], corrupted: [], modified: [], untracked: [] }
+  let current = 0
+
+  for (const entry of entries) {
+    if (waitIfPaused) await waitIfPaused()
+    if (signal?.aborted) break
+    const full = path.join(destRoot, entry.path)
+    let stat = null
+    try {
+      stat = await fs.stat(full)
+    } catch {
+      report.missing.push({ path: entry.path, sha256: entry.sha256 })
+    }
+    if (stat) {
+      const sha256 = stat.size === entry.size ? await hashFile(full) : null
+      if (sha256 === entry.sha256) {
+        report.ok += 1
+      } else {
+        const item = { path: entry.path, expected: entry.sha256, actual: sha256, size: stat.size, expectedSize: entry.size }
+        if (Math.round(stat.mtimeMs) === entry.mtimeMs) report.corrupted.push(item)
+        else report.modified.push(item)
+      }
+    }
+    current += 1
+    onProgress?.({ current, total: entries.length })
+  }
+
+  const cancelled = Boolean(signal?.aborted)
+  if (!cancelled) {
+    report.untracked = (await listLibraryFiles(destRoot)).filter((rel) => !files.has(rel))
+  }
+  report.checkedAt = new Date().toISOString()
+  report.cancelled = cancelled
+  // Only complete checks count as proof
+  if (!cancelled) {
+    await appendLines(destRoot, [
+      {
+        type: 'verify',
+        checkedAt: report.checkedAt,
+        total: report.total,
+        ok: report.ok,
+        missing: report.missing.length,
+        corrupted: report.corrupted.length,
+        modified: report.modified.length,
+        untracked: report.untracked.length,
+      },
+    ])
+  }
+  return report
+}
+
+/**
+ * Accept the current state of some library files: existing files are re-hashed into the manifest
+ * (intended edits, untracked files), missing ones are removed from it
+ * @param {string} destRoot
+ * @param {string[]} paths - Relative to destRoot
+ * @returns {Promise<object>} { updated, removed }
+ */
+const acceptChanges = async (destRoot, paths) => {
+  await requireManifest(destRoot)
+  if (!Array.isArray(paths) || !paths.length) fail('paths must be a non-empty array', 400)
+  const records = []
+  let updated = 0
+  let removed = 0
+  for (const rel of paths) {
+    const full = path.resolve(destRoot, rel)
+    const relative = path.relative(destRoot, full)
+    if (relative.startsWith('..') || path.isAbsolute(relative)) fail(`Path is outside the library: ${rel}`, 400)
+    if (fssync.existsSync(full)) {
+      const [sha256, stat] = await Promise.all([hashFile(full), fs.stat(full)])
+      records.push(fileRecord(destRoot, full, { sha256, stat }))
+      updated += 1
+    } else {
+      records.push({ type: 'remove', path: relative, recordedAt: new Date().toISOString() })
+      removed += 1
+    }
+  }
+  await appendLines(destRoot, records)
+  return { updated, removed }
+}
+
+export { MANIFEST_FILENAME, recordFile, removeFiles, loadManifest, getManifestSummary, verifyLibrary, acceptChanges }
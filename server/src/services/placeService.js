@@ -0,0 +1,130 @@
+import fssync from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import logger from '../utils/logger.js'
+
+// זיהוי מקום מקואורדינטות GPS - ללא רשת, מול מאגר ערים מצורף (src/data/places.json, נבנה ע"י scripts/build-places.js)
+// שמות בעברית כשקיימים במאגר, שמות מדינות בעברית מ-Intl.DisplayNames
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const DATA_FILE = path.join(__dirname, '..', 'data', 'places.json')
+
+// A photo this close to a town is "in" it; further away only the country is reported
+const MAX_CITY_KM = 25
+const MAX_COUNTRY_KM = 300
+const EARTH_RADIUS_KM = 6371
+const KM_PER_DEGREE = 111.2
+const CACHE_LIMIT = 5000
+
+const countryNamesHe = new Intl.DisplayNames(['he'], { type: 'region' })
+const countryNamesEn = new Intl.DisplayNames(['en'], { type: 'region' })
+
+let index = null
+const cache = new Map()
+
+const cellKey = (lat, lon) => `${Math.floor(lat)}|${Math.floor(lon)}`
+
+/**
+ * Load the dataset and bucket it into a 1° grid (lazy - only sorts with GPS pay for it)
+ * @returns {{places: Array, grid: Map<string, number[]>}}
+ */
+const loadIndex = () => {
+  if (index) return index
+  const grid = new Map()
+  let places = []
+  try {
+    places = JSON.parse(fssync.readFileSync(DATA_FILE, 'utf-8')).places
+  } catch (err) {
+    logger.error('[placeService] failed to load places dataset', { file: DATA_FILE, error: err.message })
+  }
+  places.forEach(([, , , lat, lon], i) => {
+    const key = cellKey(lat, lon)
+    if (!grid.has(key)) grid.set(key, [])
+    grid.get(key).push(i)
+  })
+  index = { places, grid }
+  logger.log('[placeService] places dataset loaded', { count: places.length })
+  return index
+}
+
+const toRad = (deg) => (deg * Math.PI) / 180
+
+const distanceKm = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRad(lat2 - lat1)
+  const dLon = toRad(lon2 - lon1)
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a))
+}
+
+/**
+ * Nearest dataset place within maxKm
+ * @returns {{place: Array, km: number}|null}
+ */
+const nearestPlace = (lat, lon, maxKm) => {
+  const { places, grid } = loadIndex()
+  const dLat = Math.ceil(maxKm / KM_PER_DEGREE)
+  const cosLat = Math.max(Math.cos(toRad(lat)), 0.01)
+  const dLon = Math.min(Math.ceil(maxKm / (KM_PER_DEGREE * cosLat)), 180)
+  let best = null
+  for (let y = Math.floor(lat) - dLat; y <= Math.floor(lat) + dLat; y++) {
+    for (let x = Math.floor(lon) - dLon; x <= Math.floor(lon) + dLon; x++) {
+      // Wrap around the antimeridian
+      const wrapped = ((((x + 180) % 360) + 360) % 360) - 180
+      for (const i of grid.get(`${y}|${wrapped}`) || []) {
+        const place = places[i]
+        const km = distanceKm(lat, lon, place[3], place[4])
+        if (km <= maxKm && (!best || km < best.km)) best = { place, km }
+      }
+    }
+  }
+  return best
+}
+
+const countryName = (code, names) => {
+  try {
+    return names.of(code) || code
+  } catch {
+    return code
+  }
+}
+
+/**
+ * Reverse-geocode GPS coordinates offline
+ * @param {{latitude: number, longitude: number}|null} gps - Signed decimal degrees
+ * @returns {{city: string|null, cityEn: string|null, country: string, countryEn: string, countryCode: string,
+ *   distanceKm: number, label: string}|null} null when there is no GPS or no known place nearby
+ */
+const reverseGeocode = (gps) => {
+  const lat = Number(gps?.latitude)
+  const lon = Number(gps?.longitude)
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null
+  // 0,0 is what broken GPS chips write
+  if (lat === 0 && lon === 0) return null
+
+  const key = `${lat.toFixed(3)},${lon.toFixed(3)}`
+  if (cache.has(key)) return cache.get(key)
+
+  const nearest = nearestPlace(lat, lon, MAX_COUNTRY_KM)
+  let result = null
+  if (nearest) {
+    const [name, nameHe, countryCode] = nearest.place
+    const inCity = nearest.km <= MAX_CITY_KM
+    const country = countryName(countryCode, countryNamesHe)
+    const city = inCity ? nameHe || name : null
+    result = {
+      city,
+      cityEn: inCity ? name : null,
+      country,
+      countryEn: countryName(countryCode, countryNamesEn),
+      countryCode,
+      distanceKm: Math.round(nearest.km * 10) / 10,
+      label: city ? `${city}, ${country}` : country,
+    }
+  }
+
+  if (cache.size >= CACHE_LIMIT) cache.delete(cache.keys().next().value)
+  cache.set(key, result)
+  return result
+}
+
+export { reverseGeocode }
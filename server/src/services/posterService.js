@@ -1,21 +1,8 @@
-import path from 'node:path'
-import os from 'node:os'
 import fs from 'node:fs/promises'
-import fssync from 'node:fs'
-import crypto from 'node:crypto'
 import { spawn } from 'node:child_process'
 import ffmpegPath from 'ffmpeg-static'
 import { isVideo } from './fileService.js'
-
-const POSTER_DIR = path.join(os.tmpdir(), 'hebphotosort-posters')
-
-const ensurePosterDir = async () => {
-  await fs.mkdir(POSTER_DIR, { recursive: true })
-  return POSTER_DIR
-}
-
-const posterName = (sourcePath) =>
-  crypto.createHash('md5').update(sourcePath).digest('hex') + '.jpg'
+import { getCachedFile } from './cacheService.js'
 
 const extractFrame = async (filePath) => {
   if (!ffmpegPath) return null
@@ -32,16 +19,14 @@ const extractFrame = async (filePath) => {
   })
 }
 
+// The frame at 1s as JPEG, in the shared cache; null without ffmpeg or when the video has no frame to read
 const getPosterPath = async (sourcePath) => {
   if (!isVideo(sourcePath)) return null
-  const dir = await ensurePosterDir()
-  const target = path.join(dir, posterName(sourcePath))
-  if (fssync.existsSync(target)) return target
-
-  const frame = await extractFrame(sourcePath)
-  if (!frame) return null
-  await fs.writeFile(target, frame)
-  return target
+  return getCachedFile('posters', sourcePath, 'poster', async (target) => {
+    const frame = await extractFrame(sourcePath)
+    if (!frame) return false
+    await fs.writeFile(target, frame)
+  })
 }
 
 export { getPosterPath }
@@ -0,0 +1,327 @@
+import fssync from 'node:fs'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { DATA_DIR, dataPath } from '../utils/dataDir.js'
+import { IMAGE_EXT, readImageDimensions } from './imageFormatService.js'
+import logger from '../utils/logger.js'
+import { dayKey } from '../utils/wallClock.js'
+
+// כללי החרגה וסינון לסריקה - משותפים ל-scanFolder, findDuplicates ו-scanFaces:
+// תיקיות מערכת / מטמון (@eaDir של Synology, $RECYCLE.BIN, .thumbnails), תיקיות וקבצים מוסתרים, עומק מקסימלי,
+// גודל ומידות קובץ וטווח תאריכי צילום. תיקיית היעד (כשהיא בתוך המקור) ותיקיית הנתונים של השרת (הפח של היומן)
+// לא נסרקות לעולם
+
+const SETTINGS_FILE = 'scan-filters.json'
+
+const DEFAULT_IGNORE = [
+  'node_modules',
+  '.thumbnails',
+  '@eaDir',
+  '#recycle',
+  '#snapshot',
+  '$RECYCLE.BIN',
+  'System Volume Information',
+  '.Trash-*',
+  '.Spotlight-V100',
+  '.fseventsd',
+]
+
+const DEFAULT_FILTERS = {
+  // Globs: without "/" they match a folder or file name anywhere, with "/" the path relative to the scanned folder
+  ignore: DEFAULT_IGNORE,
+  // Names starting with "." (AppleDouble "._IMG_1234.JPG" files included)
+  includeHidden: false,
+  // 0 = the folder itself only; null = no limit
+  maxDepth: null,
+  // Bytes
+  minSize: null,
+  maxSize: null,
+  // Pixels, images only - a file whose size cannot be read passes
+  minWidth: null,
+  minHeight: null,
+  maxWidth: null,
+  maxHeight: null,
+  // Capture date, 'YYYY-MM-DD' (local days, both inclusive)
+  dateFrom: null,
+  dateTo: null,
+}
+
+const DAY_RE = /^(\d{4})-(\d{2})-(\d{2})$/
+// Files checked in parallel when a size / dimension / date filter is set
+const CHECK_CONCURRENCY = 8
+
+const fail = (message) => {
+  const err = new Error(message)
+  err.status = 400
+  throw err
+}
+
+const globCache = new Map()
+
+/**
+ * Compile a glob: * and ? stay within a path segment, ** crosses segments. Case-insensitive (Windows / macOS)
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+const globToRegExp = (glob) => {
+  if (globCache.has(glob)) return globCache.get(glob)
+  let source = ''
+  for (let i = 0; i < glob.length; i += 1) {
+    const ch = glob[i]
+    if (ch === '*' && glob[i + 1] === '*') {
+      const slash = glob[i + 2] === '/'
+      source += slash ? '(?:.*/)?' : '.*'
+      i += slash ? 2 : 1
+    } else if (ch === '*') {
+      source += '[^/]*'
+    } else if (ch === '?') {
+      source += '[^/]'
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    }
+  }
+  const re = new RegExp(`^${source}$`, 'i')
+  globCache.set(glob, re)
+  return re
+}
+
+/**
+ * Whether an entry matches an ignore glob
+ * @param {string[]} globs
+ * @param {string} name - Entry name
+ * @param {string} relPath - Path relative to the scanned folder, with "/"
+ */
+const isIgnored = (globs, name, relPath) =>
+  globs.some((glob) => (glob.includes('/') ? globToRegExp(glob).test(relPath) : globToRegExp(glob).test(name)))
+
+const nullableNumber = (value, name, { integer = false } = {}) => {
+  if (value === null || value === undefined || value === '') return null
+  const n = Number(value)
+  if (!Number.isFinite(n) || n < 0 || (integer && !Number.isInteger(n))) fail(`${name} חייב להיות מספר חיובי`)
+  return n
+}
+
+const nullableDay = (value, name) => {
+  if (!value) return null
+  const match = String(value).match(DAY_RE)
+  const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null
+  if (!date || date.getMonth() !== Number(match[2]) - 1) fail(`${name} חייב להיות תאריך YYYY-MM-DD`)
+  return String(value)
+}
+
+/**
+ * Validate filters
+ * @param {object} input
+ * @returns {object} Every field of DEFAULT_FILTERS
+ * @throws {Error} with status 400 on invalid input
+ */
+const normalizeScanFilters = (input = {}) => {
+  const next = { ...DEFAULT_FILTERS, ...input }
+  if (!Array.isArray(next.ignore)) fail('ignore חייב להיות רשימה')
+  const ignore = [...new Set(next.ignore.map((glob) => String(glob).trim().replace(/\\/g, '/').replace(/^\.?\/+|\/+$/g, '')))]
+  const filters = {
+    ignore: ignore.filter(Boolean),
+    includeHidden: Boolean(next.includeHidden),
+    maxDepth: nullableNumber(next.maxDepth, 'maxDepth', { integer: true }),
+    minSize: nullableNumber(next.minSize, 'minSize'),
+    maxSize: nullableNumber(next.maxSize, 'maxSize'),
+    minWidth: nullableNumber(next.minWidth, 'minWidth', { integer: true }),
+    minHeight: nullableNumber(next.minHeight, 'minHeight', { integer: true }),
+    maxWidth: nullableNumber(next.maxWidth, 'maxWidth', { integer: true }),
+    maxHeight: nullableNumber(next.maxHeight, 'maxHeight', { integer: true }),
+    dateFrom: nullableDay(next.dateFrom, 'dateFrom'),
+    dateTo: nullableDay(next.dateTo, 'dateTo'),
+  }
+  const range = (min, max, label) => {
+    if (filters[min] != null && filters[max] != null && filters[min] > filters[max]) fail(`${label}: המינימום גדול מהמקסימום`)
+  }
+  range('minSize', 'maxSize', 'גודל קובץ')
+  range('minWidth', 'maxWidth', 'רוחב')
+  range('minHeight', 'maxHeight', 'גובה')
+  if (filters.dateFrom && filters.dateTo && filters.dateFrom > filters.dateTo) fail('טווח התאריכים הפוך')
+  return filters
+}
+
+/**
+ * Read saved filters synchronously, like the other settings services
+ * @returns {object}
+ */
+const loadSettings = () => {
+  try {
+    const raw = fssync.readFileSync(path.join(DATA_DIR, SETTINGS_FILE), 'utf-8')
+    return normalizeScanFilters(JSON.parse(raw))
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.warn('[scanFilterService] invalid settings, using defaults', { error: err.message })
+    }
+    return { ...DEFAULT_FILTERS }
+  }
+}
+
+let settings = loadSettings()
+
+const getScanFilters = () => ({ ...settings, ignore: [...settings.ignore] })
+
+/**
+ * Validate and save filters
+ * @param {object} patch - Partial filters
+ * @returns {Promise<object>} Saved filters
+ * @throws {Error} with status 400 on invalid input
+ */
+const saveScanFilters = async (patch = {}) => {
+  const next = normalizeScanFilters({ ...settings, ...patch })
+  await fs.writeFile(await dataPath(SETTINGS_FILE), JSON.stringify(next, null, 2))
+  settings = next
+  return getScanFilters()
+}
+
+/**
+ * The saved filters with per-request overrides
+ * @param {object|null} overrides
+ * @returns {object}
+ * @throws {Error} with status 400 on invalid overrides
+ */
+const resolveScanFilters = (overrides = null) => (overrides ? normalizeScanFilters({ ...settings, ...overrides }) : getScanFilters())
+
+const samePath = (a, b) => (process.platform === 'win32' ? a.toLowerCase() === b.toLowerCase() : a === b)
+
+/**
+ * Folders under root with the names of the files in each, after ignore globs, hidden entries, max depth and
+ * excluded folders
+ * @param {string} root
+ * @param {object} filters - resolveScanFilters
+ * @param {string[]} [exclude] - Folders never entered (e.g. the sort destination); the data directory always is
+ * @returns {Promise<{dir: string, names: string[]}[]>} Unreadable folders are skipped
+ */
+const listFolders = async (root, filters, exclude = []) => {
+  const excluded = [...exclude.filter(Boolean), DATA_DIR].map((dir) => path.resolve(dir))
+  const folders = []
+  const stack = [{ dir: root, depth: 0 }]
+
+  while (stack.length) {
+    const { dir, depth } = stack.pop()
+    let entries = []
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true })
+    } catch {
+      // אם אין הרשאה/שגיאה, דלג על התיקייה הזו
+      continue
+    }
+
+    const names = []
+    for (const entry of entries) {
+      if (!filters.includeHidden && entry.name.startsWith('.')) continue
+      const fullPath = path.join(dir, entry.name)
+      const relPath = path.relative(root, fullPath).split(path.sep).join('/')
+      if (isIgnored(filters.ignore, entry.name, relPath)) continue
+      if (entry.isDirectory()) {
+        const tooDeep = filters.maxDepth != null && depth >= filters.maxDepth
+        if (!tooDeep && !excluded.some((ex) => samePath(ex, path.resolve(fullPath)))) {
+          stack.push({ dir: fullPath, depth: depth + 1 })
+        }
+      } else if (entry.isFile()) {
+        names.push(entry.name)
+      }
+    }
+    folders.push({ dir, names })
+  }
+
+  return folders
+}
+
+const hasFileFilters = (filters) =>
+  ['minSize', 'maxSize', 'minWidth', 'minHeight', 'maxWidth', 'maxHeight', 'dateFrom', 'dateTo'].some(
+    (key) => filters[key] != null,
+  )
+
+/**
+ * Why a media file is filtered out by size, dimensions or capture date
+ * @param {string} filePath
+ * @param {object} filters
+ * @param {Function} [readDate] - (filePath) => Promise<Date>; without it the date range is not applied
+ * @returns {Promise<'size'|'dimensions'|'date'|null>} null when the file passes
+ */
+const fileFilterReason = async (filePath, filters, readDate = null) => {
+  if (filters.minSize != null || filters.maxSize != null) {
+    const { size } = await fs.stat(filePath)
+    if ((filters.minSize != null && size < filters.minSize) || (filters.maxSize != null && size > filters.maxSize)) {
+      return 'size'
+    }
+  }
+  const dimensionLimits = ['minWidth', 'minHeight', 'maxWidth', 'maxHeight'].some((key) => filters[key] != null)
+  if (dimensionLimits && IMAGE_EXT.has(path.extname(filePath).toLowerCase())) {
+    const dims = await readImageDimensions(filePath)
+    if (
+      dims &&
+      ((filters.minWidth != null && dims.width < filters.minWidth) ||
+        (filters.minHeight != null && dims.height < filters.minHeight) ||
+        (filters.maxWidth != null && dims.width > filters.maxWidth) ||
+        (filters.maxHeight != null && dims.height > filters.maxHeight))
+    ) {
+      return 'dimensions'
+    }
+  }
+  if ((filters.dateFrom || filters.dateTo) && readDate) {
+    // The capture date is in wall-clock form (utils/wallClock), so its calendar day is the one the sort files it under
+    const date = await readDate(filePath)
+    if (date && !isNaN(date.getTime())) {
+      const day = dayKey(date)
+      if ((filters.dateFrom && day < filters.dateFrom) || (filters.dateTo && day > filters.dateTo)) return 'date'
+    }
+  }
+  return null
+}
+
+/**
+ * Apply the size / dimension / date filters to media files
+ * @param {string[]} files
+ * @param {object} filters
+ * @param {Function} [readDate] - See fileFilterReason
+ * @returns {Promise<{files: string[], filtered: {size: number, dimensions: number, date: number}}>} Files keep their order;
+ *   an unreadable file is kept (sorting reports the error)
+ */
+const filterMediaFiles = async (files, filters, readDate = null) => {
+  const filtered = { size: 0, dimensions: 0, date: 0 }
+  if (!hasFileFilters(filters)) return { files, filtered }
+  const keep = new Array(files.length).fill(true)
+  for (let i = 0; i < files.length; i += CHECK_CONCURRENCY) {
+    await Promise.all(
+      files.slice(i, i + CHECK_CONCURRENCY).map(async (file, offset) => {
+        const reason = await fileFilterReason(file, filters, readDate).catch(() => null)
+        if (reason) {
+          keep[i + offset] = false
+          filtered[reason] += 1
+        }
+      }),
+    )
+  }
+  return { files: files.filter((_, idx) => keep[idx]), filtered }
+}
+
+/**
+ * Media files under root after every filter - for callers that do not need sidecar grouping
+ * @param {string} root
+ * @param {object} options
+ * @param {object} options.filters - resolveScanFilters
+ * @param {Function} options.isMedia - (filePath) => boolean
+ * @param {Function} [options.readDate] - See fileFilterReason
+ * @param {string[]} [options.exclude] - See listFolders
+ * @returns {Promise<{files: string[], filtered: object}>}
+ */
+const collectMediaFiles = async (root, { filters, isMedia, readDate = null, exclude = [] }) => {
+  const folders = await listFolders(root, filters, exclude)
+  const media = folders.flatMap(({ dir, names }) => names.map((name) => path.join(dir, name)).filter((file) => isMedia(file)))
+  return filterMediaFiles(media, filters, readDate)
+}
+
+export {
+  DEFAULT_FILTERS,
+  normalizeScanFilters,
+  getScanFilters,
+  saveScanFilters,
+  resolveScanFilters,
+  listFolders,
+  fileFilterReason,
+  filterMediaFiles,
+  collectMediaFiles,
+}
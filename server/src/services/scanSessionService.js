@@ -0,0 +1,155 @@
+import crypto from 'node:crypto'
+import { scanFolder, describeMediaFile, UNKNOWN_DATE_POLICIES, CONFIDENCE_LEVELS } from './fileService.js'
+import { validateTemplate } from './templateService.js'
+
+// סריקה בעמודים: רשימת הקבצים נשמרת בזיכרון לפי scanId, והפרטים של כל קובץ (גודל, מידות, תאריך צילום, תאריך עברי
+// ותיקיית היעד הצפויה) מחושבים רק לעמוד שמבקשים. cursor = מיקום הקובץ הבא ברשימה; סריקה שלא נגעו בה 30 דקות נמחקת
+
+const SESSION_TTL_MS = 30 * 60 * 1000
+const MAX_SESSIONS = 10
+const DEFAULT_PAGE_SIZE = 50
+const MAX_PAGE_SIZE = 500
+// Entries per request - the client asks again with nextCursor for the rest
+const DEFAULT_LIMIT = 200
+const DESCRIBE_CONCURRENCY = 8
+
+const sessions = new Map()
+
+const fail = (message, status = 400) => {
+  const err = new Error(message)
+  err.status = status
+  throw err
+}
+
+// Expired sessions, then the least recently used ones down to MAX_SESSIONS - never one with a page request in flight
+// (the cap may be passed for a while when they all are)
+const pruneSessions = () => {
+  const now = Date.now()
+  for (const [id, session] of sessions) {
+    if (!session.active && now - session.touchedAt > SESSION_TTL_MS) sessions.delete(id)
+  }
+  while (sessions.size >= MAX_SESSIONS) {
+    const idle = [...sessions.values()].filter((session) => !session.active)
+    if (!idle.length) break
+    const oldest = idle.reduce((a, b) => (b.touchedAt < a.touchedAt ? b : a))
+    sessions.delete(oldest.id)
+  }
+}
+
+/**
+ * Scan a folder and keep the file list for paging
+ * @param {object} params
+ * @param {string} params.sourcePath
+ * @param {string} [params.destPath] - Not scanned when it sits under sourcePath
+ * @param {object} [params.filters] - Overrides of the saved scan filters
+ * @param {string} [params.format] - Preset or template the target folders are predicted with
+ * @param {boolean} [params.importMode]
+ * @param {string} [params.unknownDatePolicy]
+ * @param {string} [params.minConfidence]
+ * @returns {Promise<object>} The session: { id, files, companions, filtered, options }
+ * @throws {Error} with status 400 on invalid options or filters
+ */
+const createScanSession = async ({
+  sourcePath,
+  destPath = null,
+  filters = null,
+  format = 'month-year',
+  importMode = false,
+  unknownDatePolicy = 'sort',
+  minConfidence = 'medium',
+}) => {
+  const templateCheck = validateTemplate(format)
+  if (!templateCheck.valid) fail(templateCheck.errors.join(', '))
+  if (!UNKNOWN_DATE_POLICIES.includes(unknownDatePolicy)) {
+    fail(`unknownDatePolicy must be one of: ${UNKNOWN_DATE_POLICIES.join(', ')}`)
+  }
+  if (!CONFIDENCE_LEVELS.includes(minConfidence)) fail(`minConfidence must be one of: ${CONFIDENCE_LEVELS.join(', ')}`)
+
+  const { files, companions, filtered } = await scanFolder(sourcePath, { filters, exclude: destPath ? [destPath] : [] })
+  pruneSessions()
+  const session = {
+    id: crypto.randomUUID(),
+    files,
+    companions,
+    filtered,
+    options: { format, importMode: !!importMode, unknownDatePolicy, minConfidence },
+    touchedAt: Date.now(),
+    // Page requests in flight
+    active: 0,
+  }
+  sessions.set(session.id, session)
+  return session
+}
+
+/**
+ * @param {string} id
+ * @returns {object|null} null when unknown or expired
+ */
+const getScanSession = (id) => {
+  const session = sessions.get(id)
+  if (!session) return null
+  if (Date.now() - session.touchedAt > SESSION_TTL_MS) {
+    sessions.delete(id)
+    return null
+  }
+  session.touchedAt = Date.now()
+  return session
+}
+
+const toCount = (value, fallback, max, name) => {
+  if (value == null || value === '') return fallback
+  const count = Number(value)
+  if (!Number.isInteger(count) || count < 1) fail(`${name} must be a positive integer`)
+  return Math.min(count, max)
+}
+
+/**
+ * Describe the files of a session page by page
+ * @param {object} session
+ * @param {object} [options]
+ * @param {number|string} [options.cursor] - Index of the first file, 0 for the start
+ * @param {number|string} [options.limit] - Files to describe in this call
+ * @param {number|string} [options.pageSize] - Files per onPage call
+ * @param {(page: {cursor: number, nextCursor: number|null, entries: object[]}) => void} options.onPage
+ * @param {() => boolean} [options.isAborted] - Checked between pages (the client went away)
+ * @returns {Promise<number|null>} nextCursor - null when the list is done
+ * @throws {Error} with status 400 on an invalid cursor / limit / pageSize
+ */
+const describePages = async (session, { cursor = 0, limit, pageSize, onPage, isAborted = () => false }) => {
+  const start = Number(cursor)
+  if (!Number.isInteger(start) || start < 0 || start > session.files.length) fail('cursor is out of range')
+  const size = toCount(pageSize, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, 'pageSize')
+  const end = Math.min(session.files.length, start + toCount(limit, DEFAULT_LIMIT, Number.MAX_SAFE_INTEGER, 'limit'))
+
+  let position = start
+  session.active += 1
+  try {
+    while (position < end && !isAborted()) {
+      const batch = session.files.slice(position, Math.min(end, position + size))
+      const entries = new Array(batch.length)
+      let next = 0
+      const worker = async () => {
+        while (next < batch.length) {
+          const index = next++
+          const src = batch[index]
+          try {
+            entries[index] = { ...(await describeMediaFile(src, session.options)), companions: session.companions[src] || [] }
+          } catch (err) {
+            entries[index] = { path: src, error: err.message }
+          }
+        }
+      }
+      await Promise.all(Array.from({ length: Math.min(DESCRIBE_CONCURRENCY, batch.length) }, worker))
+      const nextPosition = position + batch.length
+      onPage({ cursor: position, nextCursor: nextPosition < session.files.length ? nextPosition : null, entries })
+      position = nextPosition
+      session.touchedAt = Date.now()
+    }
+  } finally {
+    session.active -= 1
+    session.touchedAt = Date.now()
+  }
+  return position < session.files.length ? position : null
+}
+
+export { createScanSession, getScanSession, describePages }
@@ -0,0 +1,154 @@
+import path from 'node:path'
+import fs from 'node:fs/promises'
+import { IMAGE_EXT } from './imageFormatService.js'
+import { takeoutJsonNames } from './importService.js'
+
+// קבצים נלווים (companions) - קבצים שאין להם משמעות בלי קובץ המדיה שלהם, ולכן עוברים איתו ומקבלים את אותו שינוי שם:
+// .xmp (Lightroom / darktable), .aae (עריכות iOS), .json (Google Takeout), .thm (תמונה ממוזערת של מצלמות וידאו),
+// ו-.MOV של Live Photo באייפון - וידאו עם אותו שם בסיס כמו ה-HEIC / JPG
+// ההתאמה היא לפי שם, ללא תלות באותיות גדולות: IMG_1234.xmp (שם בסיס) או IMG_1234.HEIC.json (שם מלא, כמו ב-Takeout,
+// כולל IMG_1234.HEIC.supplemental-metadata.json), ובנוסף השמות המשובשים של Takeout (IMG_1234(1).jpg -> IMG_1234.jpg(1).json,
+// שמות חתוכים) - ראה takeoutJsonNames. נלווה מקבל את שם הבסיס החדש של קובץ המדיה - ראה companionSuffix
+const SIDECAR_EXT = new Set(['.xmp', '.aae', '.json', '.thm'])
+const LIVE_PHOTO_EXT = '.mov'
+
+const lower = (name) => name.toLowerCase()
+const stemOf = (name) => path.parse(name).name
+
+const isSidecar = (name) => SIDECAR_EXT.has(lower(path.extname(name)))
+
+// IMG_1234.HEIC.supplemental-metadata.json -> ['img_1234', 'img_1234.heic', 'img_1234.heic.supplemental-metadata']
+const ownerKeys = (name) => {
+  const parts = lower(name).split('.')
+  return parts.slice(1).map((_, idx) => parts.slice(0, idx + 1).join('.'))
+}
+
+/**
+ * Group one folder: media files with their companions attached
+ * Each sidecar goes to one owner: a full-name match (IMG_1234.JPG.json) wins over a Takeout spelling, which wins over
+ * a base-name match (IMG_1234.xmp); the longest match wins, and with RAW + JPEG pairs a shared base-name sidecar goes
+ * to the first of them by name
+ * @param {string} dir
+ * @param {string[]} names - Every file name in dir
+ * @param {Function} isMedia - (filePath) => boolean
+ * @returns {{media: string[], companions: Object<string, string[]>}} Absolute paths; a Live Photo video is listed
+ *   only as a companion, and companions only has entries for files that have some
+ */
+const groupFolder = (dir, names, isMedia) => {
+  const mediaNames = names.filter((name) => isMedia(name)).sort((a, b) => a.localeCompare(b))
+  const mediaByLower = new Map(mediaNames.map((name) => [lower(name), name]))
+  const attached = new Map() // owner name -> companion names
+  const attach = (owner, name) => {
+    if (!attached.has(owner)) attached.set(owner, [])
+    attached.get(owner).push(name)
+  }
+
+  // Live Photos first - the video stops being a grid item of its own
+  const liveVideos = new Set()
+  for (const name of mediaNames) {
+    if (!IMAGE_EXT.has(lower(path.extname(name)))) continue
+    const video = mediaByLower.get(lower(stemOf(name)) + LIVE_PHOTO_EXT)
+    if (video && !liveVideos.has(video)) {
+      liveVideos.add(video)
+      attach(name, video)
+    }
+  }
+  const primaries = mediaNames.filter((name) => !liveVideos.has(name))
+
+  // The video's own sidecars (IMG_1234.MOV.json) travel with the photo too
+  const ownerByName = new Map()
+  const ownerByStem = new Map()
+  for (const owner of primaries) {
+    for (const name of [owner, ...(attached.get(owner) || [])]) ownerByName.set(lower(name), owner)
+    if (!ownerByStem.has(lower(stemOf(owner)))) ownerByStem.set(lower(stemOf(owner)), owner)
+  }
+  const unclaimed = new Map(names.filter(isSidecar).sort((a, b) => a.localeCompare(b)).map((name) => [lower(name), name]))
+  const claim = (owner, name) => {
+    attach(owner, name)
+    unclaimed.delete(lower(name))
+  }
+  for (const name of [...unclaimed.values()]) {
+    const key = ownerKeys(name).reverse().find((k) => ownerByName.has(k))
+    if (key) claim(ownerByName.get(key), name)
+  }
+  // Takeout JSON names that do not start with the media name, before IMG_1234.jpg(1).json falls to IMG_1234.jpg below
+  for (const owner of primaries) {
+    for (const media of [owner, ...(attached.get(owner) || []).filter((name) => isMedia(name))]) {
+      const json = takeoutJsonNames(media).map((candidate) => unclaimed.get(lower(candidate))).find(Boolean)
+      if (json) claim(owner, json)
+    }
+  }
+  for (const name of [...unclaimed.values()]) {
+    const key = ownerKeys(name).reverse().find((k) => ownerByStem.has(k))
+    if (key) claim(ownerByStem.get(key), name)
+  }
+
+  const companions = {}
+  for (const [owner, list] of attached) companions[path.join(dir, owner)] = list.map((name) => path.join(dir, name))
+  return { media: primaries.map((name) => path.join(dir, name)), companions }
+}
+
+/**
+ * Companions of a single media file, reading its folder
+ * @param {string} src
+ * @param {Function} isMedia - (filePath) => boolean
+ * @returns {Promise<string[]>}
+ */
+const findCompanions = async (src, isMedia) => {
+  const dir = path.dirname(src)
+  let names = []
+  try {
+    names = (await fs.readdir(dir, { withFileTypes: true })).filter((e) => e.isFile()).map((e) => e.name)
+  } catch {
+    return []
+  }
+  return groupFolder(dir, names, isMedia).companions[src] || []
+}
+
+/**
+ * Group a list of media files (a batch) by reading each of their folders once
+ * @param {string[]} files
+ * @param {Function} isMedia - (filePath) => boolean
+ * @returns {Promise<{files: string[], companions: Object<string, string[]>}>} files without the ones that are
+ *   companions of another file in the list (a Live Photo video selected together with its photo)
+ */
+const groupFiles = async (files, isMedia) => {
+  const listed = new Set(files)
+  const companions = {}
+  for (const dir of new Set(files.map((file) => path.dirname(file)))) {
+    let names = []
+    try {
+      names = (await fs.readdir(dir, { withFileTypes: true })).filter((e) => e.isFile()).map((e) => e.name)
+    } catch {
+      continue
+    }
+    for (const [owner, list] of Object.entries(groupFolder(dir, names, isMedia).companions)) {
+      if (listed.has(owner)) companions[owner] = list
+    }
+  }
+  const attached = new Set(Object.values(companions).flat())
+  return { files: files.filter((file) => !attached.has(file)), companions }
+}
+
+/**
+ * What a companion's name adds after its media file's base name - IMG_1234.HEIC + IMG_1234.HEIC.json -> '.HEIC.json'.
+ * The companion's target is the media file's target base name + this suffix, so renames carry over.
+ * A Takeout JSON named otherwise (IMG_1234.jpg(1).json for IMG_1234(1).jpg) becomes '.jpg.json'
+ * @param {string} src - Media file
+ * @param {string} companion
+ */
+const companionSuffix = (src, companion) => {
+  const stem = stemOf(path.basename(src))
+  const name = path.basename(companion)
+  if (lower(name).startsWith(lower(stem))) return name.slice(stem.length)
+  return path.extname(src) + path.extname(name)
+}
+
+/**
+ * Target path of a companion next to its sorted media file
+ * @param {string} targetPath - Where the media file goes
+ * @param {string} suffix - companionSuffix
+ */
+const companionTarget = (targetPath, suffix) => path.join(path.dirname(targetPath), stemOf(targetPath) + suffix)
+
+export { SIDECAR_EXT, groupFolder, findCompanions, groupFiles, companionSuffix, companionTarget }
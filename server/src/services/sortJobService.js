@@ -0,0 +1,139 @@
+import { sortFilesBatch } from './fileService.js'
+import { getSystemStats } from './systemStatsService.js'
+import { startJob } from './jobService.js'
+import { requireInterrupted, pendingFiles, markRunning, markInterrupted } from './checkpointService.js'
+
+// Runs being resumed right now - a second request for the same run is refused before it reads the checkpoint
+const resuming = new Set()
+
+/**
+ * Start a batch sort as a registry job (socket "sort:start" and resuming an interrupted run)
+ * @param {object} params - sortFilesBatch parameters (files, destRoot, format, mode, concurrency, dryRun, verify, importMode,
+ *   renamePattern, keepOriginalName, unknownDatePolicy, minConfidence, runId)
+ * @returns {object} Job snapshot
+ */
+const startSortJob = ({
+  files,
+  destRoot,
+  format = 'month-year',
+  mode = 'move',
+  concurrency = 5,
+  dryRun = false,
+  verify = false,
+  importMode = false,
+  renamePattern = null,
+  keepOriginalName = false,
+  unknownDatePolicy = 'sort',
+  minConfidence = 'medium',
+  runId = null,
+}) =>
+  startJob({
+    kind: 'sort',
+    params: {
+      total: files.length,
+      destRoot,
+      format,
+      mode,
+      dryRun: Boolean(dryRun),
+      verify: Boolean(verify),
+      importMode: Boolean(importMode),
+      renamePattern: renamePattern || null,
+      keepOriginalName: Boolean(keepOriginalName),
+      unknownDatePolicy,
+      minConfidence,
+      runId,
+    },
+    run: async ({ signal, waitIfPaused, emit, setProgress }) => {
+      const result = await sortFilesBatch({
+        files,
+        destRoot,
+        format,
+        mode,
+        concurrency,
+        dryRun: Boolean(dryRun),
+        verify: Boolean(verify),
+        importMode: Boolean(importMode),
+        renamePattern: renamePattern || null,
+        keepOriginalName: Boolean(keepOriginalName),
+        unknownDatePolicy,
+        minConfidence,
+        runId,
+        getSystemStats,
+        signal,
+        waitIfPaused,
+        onProgress: (progress) => {
+          setProgress(progress)
+          emit('sort:progress', progress)
+        },
+      })
+      if (signal.aborted) return result
+      emit('sort:result', result)
+      emit('sort:done', { message: dryRun ? 'Sort plan ready' : 'Sort completed', dryRun: Boolean(dryRun) })
+      return result
+    },
+  })
+
+const conflict = (message) => {
+  const err = new Error(message)
+  err.status = 409
+  throw err
+}
+
+/**
+ * Resume an interrupted run with its pending files, in the same journal run
+ * The run is marked running before the job starts, so two requests close together never start two jobs on it
+ * @param {string} runId
+ * @returns {Promise<object>} Job snapshot
+ * @throws {Error} 404 unknown run, 409 not interrupted / already being resumed
+ */
+const resumeSortRun = async (runId) => {
+  // Taken before the first await
+  if (resuming.has(runId)) conflict('Run is already being resumed')
+  resuming.add(runId)
+  let marked = false
+  try {
+    const checkpoint = await requireInterrupted(runId)
+    const files = pendingFiles(checkpoint)
+    if (!files.length) conflict('Nothing left to sort in this run')
+    await markRunning(runId)
+    marked = true
+    return startResumedJob(runId, checkpoint, files)
+  } catch (err) {
+    if (marked) await markInterrupted(runId).catch(() => {})
+    throw err
+  } finally {
+    resuming.delete(runId)
+  }
+}
+
+const startResumedJob = (runId, checkpoint, files) => {
+  const {
+    destRoot,
+    format,
+    mode,
+    concurrency,
+    verify,
+    importMode,
+    renamePattern,
+    keepOriginalName,
+    // Runs checkpointed before the policy existed sorted everything
+    unknownDatePolicy = 'sort',
+    minConfidence = 'medium',
+  } = checkpoint.params
+  return startSortJob({
+    files,
+    destRoot,
+    format,
+    mode,
+    concurrency,
+    verify,
+    importMode,
+    renamePattern,
+    keepOriginalName,
+    unknownDatePolicy,
+    minConfidence,
+    runId,
+  })
+}
+
+export { startSortJob, resumeSortRun }
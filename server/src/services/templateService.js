@@ -0,0 +1,360 @@
+import path from 'node:path'
+
+// תבניות שמות תיקיות - שפת משתנים פשוטה עבור buildTargetPath
+// דוגמה: "{hebrewYear}/{hebrewMonth}" או "{gYear}/{gMonth} - {hebrewMonth}"
+// "/" מפריד בין רמות תיקיות, "{a|b}" = הערך הראשון שאינו ריק (למשל {holiday|monthFolder})
+// תבניות שמות קבצים (renamePattern) משתמשות באותה שפה, בלי "/" ועם משתנים נוספים - ראה NAME_TOKENS
+
+const pad2 = (n) => String(n).padStart(2, '0')
+
+const GREGORIAN_MONTHS_HE = [
+  'ינואר', 'פברואר', 'מרץ', 'אפריל', 'מאי', 'יוני',
+  'יולי', 'אוגוסט', 'ספטמבר', 'אוקטובר', 'נובמבר', 'דצמבר',
+]
+
+const NO_PLACE = 'ללא מיקום'
+
+// Place names may contain a double quote (כפר חב"ד) - keep it readable like the Hebrew year (תשפ''ה)
+const placePath = (name) => (name ? name.replace(/["״]/g, "''") : null)
+
+/**
+ * Supported tokens: name -> { description, resolve(hebrew) }
+ * `hebrew` is the object returned by toHebrewDate in fileService
+ */
+const TOKENS = {
+  hebrewYear: { description: 'שנה עברית בגימטריה (תשפ\'\'ה)', resolve: (h) => h.yearPath },
+  hebrewYearNum: { description: 'שנה עברית במספרים (5785)', resolve: (h) => h.hebrewYearNum },
+  hebrewMonth: { description: 'חודש עברי (כסלו)', resolve: (h) => h.month },
+  hebrewDay: { description: 'יום בחודש העברי בגימטריה (כ\'\'ד)', resolve: (h) => h.dayGematriya },
+  hebrewDayNum: { description: 'יום בחודש העברי במספרים (24)', resolve: (h) => h.day },
+  gYear: { description: 'שנה לועזית (2024)', resolve: (h) => h.gregorianYear },
+  gMonth: { description: 'חודש לועזי דו-ספרתי (12)', resolve: (h) => pad2(h.gregorianMonth) },
+  gMonthName: { description: 'שם החודש הלועזי (דצמבר)', resolve: (h) => GREGORIAN_MONTHS_HE[h.gregorianMonth - 1] },
+  gDay: { description: 'יום בחודש הלועזי דו-ספרתי (25)', resolve: (h) => pad2(h.gregorianDay) },
+  holiday: { description: 'שם החג, לכל ימי החג כולל חול המועד (ריק אם אין חג)', resolve: (h) => h.holidayName },
+  holidayFolder: { description: 'תיקיית החג עם השנה (פסח תשפ\'\'ה)', resolve: (h) => h.holidayFolder },
+  holidayGYear: { description: 'שנה לועזית, בימי חג / אירוע חד-פעמי - של היום הראשון (חנוכה שחוצה את ינואר)', resolve: (h) => h.holidayGregorianYear },
+  event: { description: 'תיקיית אירוע משפחתי (יום הולדת של נועה תשפ\'\'ה, ריק אם אין)', resolve: (h) => h.eventFolder },
+  place: { description: 'מקום הצילום מ-GPS - עיר, או מדינה מחוץ לערים (ירושלים)', resolve: (h) => placePath(h.place?.city || h.place?.country) },
+  city: { description: 'עיר / יישוב לפי GPS (ריק אם אין)', resolve: (h) => placePath(h.place?.city) },
+  country: { description: 'מדינה לפי GPS (ישראל, ריק אם אין)', resolve: (h) => placePath(h.place?.country) },
+  noPlace: { description: 'הטקסט "ללא מיקום" - ברירת מחדל אחרונה, למשל {country|noPlace}', resolve: () => NO_PLACE },
+  weekday: { description: 'יום בשבוע (רביעי)', resolve: (h) => h.weekday },
+  parasha: { description: 'פרשת השבוע (וישב)', resolve: (h) => h.parasha },
+  monthFolder: { description: 'שם תיקיית החודש המלא (כסלו- תשפ\'\'ה - (12-2024))', resolve: (h) => h.folderName },
+}
+
+// Built-in formats, kept as named presets for backwards compatibility
+const PRESET_TEMPLATES = {
+  'month-year': '{hebrewYear} - ({holidayGYear})/{event|holidayFolder|monthFolder}',
+  'day-month-year': '{hebrewYear} - ({gYear})/{event|monthFolder}/יום {hebrewDay} ({gDay}-{gMonth}-{gYear})',
+  // מיון לפי מקום (GPS) ובתוכו לפי תאריך עברי; קבצים ללא GPS נכנסים ל"ללא מיקום"
+  country: '{country|noPlace}/{hebrewYear} - ({holidayGYear})/{event|holidayFolder|monthFolder}',
+  city: '{country|noPlace}/{city}/{hebrewYear} - ({holidayGYear})/{event|holidayFolder|monthFolder}',
+}
+
+// Characters that are illegal in Windows folder names (outside of tokens)
+const ILLEGAL_CHARS = /[<>:"|?*\x00-\x1f]/g
+
+const isPreset = (format) => Object.prototype.hasOwnProperty.call(PRESET_TEMPLATES, format)
+
+/**
+ * Preset name -> template string; anything else is treated as a template
+ * @param {string} format - 'month-year' | 'day-month-year' | 'country' | 'city' | custom template
+ * @returns {string}
+ */
+const resolveTemplate = (format) => (isPreset(format) ? PRESET_TEMPLATES[format] : String(format || ''))
+
+/**
+ * Split a template into folder segments, each a list of { text } / { tokens } parts
+ * @param {string} template
+ * @returns {Array<Array<{text?: string, tokens?: string[]}>>}
+ * @throws {Error} when braces are unbalanced
+ */
+const parseTemplate = (template) => {
+  const segments = []
+  let parts = []
+  let text = ''
+  let i = 0
+  const flushText = () => {
+    if (text) parts.push({ text })
+    text = ''
+  }
+  while (i < template.length) {
+    const ch = template[i]
+    if (ch === '{') {
+      const end = template.indexOf('}', i + 1)
+      const nextOpen = template.indexOf('{', i + 1)
+      if (end === -1 || (nextOpen !== -1 && nextOpen < end)) {
+        throw new Error('סוגריים מסולסלים לא מאוזנים בתבנית')
+      }
+      flushText()
+      const tokens = template
+        .slice(i + 1, end)
+        .split('|')
+        .map((t) => t.trim())
+      parts.push({ tokens })
+      i = end + 1
+      continue
+    }
+    if (ch === '}') throw new Error('סוגריים מסולסלים לא מאוזנים בתבנית')
+    if (ch === '/' || ch === '\\') {
+      flushText()
+      segments.push(parts)
+      parts = []
+    } else {
+      text += ch
+    }
+    i += 1
+  }
+  flushText()
+  segments.push(parts)
+  return segments
+}
+
+/**
+ * Validate a folder template (or preset name)
+ * @param {string} format - Preset name or template
+ * @returns {{valid: boolean, errors: string[], template: string}}
+ */
+const validateTemplate = (format) => {
+  const template = resolveTemplate(format)
+  const errors = []
+  if (!template.trim()) {
+    return { valid: false, errors: ['התבנית ריקה'], template }
+  }
+  if (/^[\\/]/.test(template) || /^[A-Za-z]:/.test(template)) {
+    errors.push('התבנית חייבת להיות נתיב יחסי (ללא / או כונן בהתחלה)')
+  }
+
+  let segments = []
+  try {
+    segments = parseTemplate(template)
+  } catch (err) {
+    return { valid: false, errors: [...errors, err.message], template }
+  }
+
+  let tokenCount = 0
+  segments.forEach((parts, idx) => {
+    if (!parts.length && idx > 0) errors.push('התבנית מכילה תיקייה ריקה (// כפול או / בסוף)')
+    for (const part of parts) {
+      if (part.text != null) {
+        const illegal = part.text.match(ILLEGAL_CHARS)
+        if (illegal) errors.push(`תו לא חוקי בשם תיקייה: ${[...new Set(illegal)].join(' ')}`)
+        if (parts.length === 1 && /^\.+$/.test(part.text.trim())) errors.push('אסור להשתמש ב-"." או ".." כשם תיקייה')
+      } else {
+        for (const token of part.tokens) {
+          tokenCount += 1
+          if (!TOKENS[token]) errors.push(`משתנה לא מוכר: {${token}}`)
+        }
+      }
+    }
+  })
+  if (!tokenCount) errors.push('התבנית חייבת לכלול לפחות משתנה אחד, למשל {hebrewMonth}')
+
+  return { valid: errors.length === 0, errors: [...new Set(errors)], template }
+}
+
+const sanitizeSegment = (value) => value.replace(ILLEGAL_CHARS, '').replace(/[. ]+$/, '').trim()
+
+/**
+ * Render a template to folder segments for a given Hebrew date
+ * Segments that render empty (e.g. only {holiday} on a regular day) are dropped
+ * @param {string} format - Preset name or template
+ * @param {object} hebrew - Result of toHebrewDate
+ * @returns {string[]} Folder names, outermost first
+ * @throws {Error} when the template is invalid
+ */
+const renderTemplate = (format, hebrew) => {
+  const { valid, errors, template } = validateTemplate(format)
+  if (!valid) throw new Error(`תבנית תיקיות לא תקינה: ${errors.join(', ')}`)
+
+  return parseTemplate(template)
+    .map((parts) =>
+      parts
+        .map((part) => {
+          if (part.text != null) return part.text
+          for (const token of part.tokens) {
+            const value = TOKENS[token].resolve(hebrew)
+            if (value != null && value !== '') return String(value)
+          }
+          return ''
+        })
+        .join(''),
+    )
+    .map(sanitizeSegment)
+    .filter(Boolean)
+}
+
+/**
+ * Token list for the client (name + Hebrew description)
+ */
+const listTokens = () =>
+  Object.entries(TOKENS).map(([name, { description }]) => ({ name, description }))
+
+const DEFAULT_GREGORIAN_FORMAT = 'YYYY-MM-DD'
+const GREGORIAN_PARTS = /YYYY|YY|MM|DD|HH|mm|ss/g
+
+// {gregorian:YYYY-MM-DD_HHmmss} - the capture time as wall-clock time, like the gYear / gMonth tokens
+const formatGregorian = (date, format) => {
+  const values = {
+    YYYY: date.getFullYear(),
+    YY: pad2(date.getFullYear() % 100),
+    MM: pad2(date.getMonth() + 1),
+    DD: pad2(date.getDate()),
+    HH: pad2(date.getHours()),
+    mm: pad2(date.getMinutes()),
+    ss: pad2(date.getSeconds()),
+  }
+  return format.replace(GREGORIAN_PARTS, (part) => values[part])
+}
+
+/**
+ * Tokens that only file name patterns have: name -> { description, resolve(values, arg) }
+ * `values` is { hebrew, date, camera, original }; {counter} is filled by ensureUniquePath, see renderFileName
+ */
+const NAME_TOKENS = {
+  gregorian: {
+    description: 'תאריך ושעת הצילום בתבנית (YYYY YY MM DD HH mm ss), למשל {gregorian:YYYY-MM-DD_HHmmss}',
+    resolve: (v, arg) => formatGregorian(v.date, arg || DEFAULT_GREGORIAN_FORMAT),
+  },
+  camera: { description: 'דגם המצלמה מ-EXIF (iPhone 13, ריק אם אין)', resolve: (v) => v.camera },
+  original: { description: 'שם הקובץ המקורי ללא סיומת (IMG_0001)', resolve: (v) => v.original },
+  counter: { description: 'מונה להתנגשויות - ריק בקובץ הראשון, אחר כך _1, _2... (בלי _ אחרי מפריד)', resolve: () => '' },
+}
+
+// {gregorian:FORMAT} -> ['gregorian', 'FORMAT']
+const splitToken = (token) => {
+  const idx = token.indexOf(':')
+  return idx === -1 ? [token, ''] : [token.slice(0, idx), token.slice(idx + 1)]
+}
+
+/**
+ * Validate a file name pattern (renamePattern) - one name, no folders; the extension always stays the original's
+ * @param {string} pattern
+ * @returns {{valid: boolean, errors: string[], template: string}}
+ */
+const validateNamePattern = (pattern) => {
+  const template = String(pattern || '')
+  if (!template.trim()) return { valid: false, errors: ['תבנית השם ריקה'], template }
+  const errors = []
+  if (/[\\/]/.test(template)) errors.push('תבנית שם קובץ לא יכולה לכלול / או \\')
+
+  let parts = []
+  try {
+    parts = parseTemplate(template).flat()
+  } catch (err) {
+    return { valid: false, errors: [...errors, err.message], template }
+  }
+
+  let tokenCount = 0
+  for (const part of parts) {
+    if (part.text != null) {
+      const illegal = part.text.match(ILLEGAL_CHARS)
+      if (illegal) errors.push(`תו לא חוקי בשם קובץ: ${[...new Set(illegal)].join(' ')}`)
+      continue
+    }
+    for (const token of part.tokens) {
+      tokenCount += 1
+      const [name, arg] = splitToken(token)
+      if (!TOKENS[name] && !NAME_TOKENS[name]) errors.push(`משתנה לא מוכר: {${token}}`)
+      else if (arg && name !== 'gregorian') errors.push(`רק {gregorian} מקבל תבנית: {${token}}`)
+      else if (arg.match(ILLEGAL_CHARS)) errors.push(`תו לא חוקי בתבנית התאריך: {${token}}`)
+      if (name === 'counter' && part.tokens.length > 1) errors.push('{counter} לא יכול להופיע עם חלופות (|)')
+    }
+  }
+  if (!tokenCount) errors.push('תבנית השם חייבת לכלול לפחות משתנה אחד, למשל {gregorian:YYYY-MM-DD_HHmmss}')
+
+  return { valid: errors.length === 0, errors: [...new Set(errors)], template }
+}
+
+// Separators left dangling by an empty token: "{gregorian}_{camera}_{counter}" without a camera -> "2024-05-01"
+const NAME_SEPARATORS = /[ ._-]+$/
+const trimSeparators = (value) => value.replace(/^[ ._-]+/, '').replace(NAME_SEPARATORS, '')
+
+/**
+ * Render a file name pattern for one file
+ * @param {string} pattern - See validateNamePattern
+ * @param {object} values
+ * @param {object} values.hebrew - Result of toHebrewDate
+ * @param {Date} values.date - Capture date
+ * @param {string|null} values.camera - Camera model
+ * @param {string} values.original - Original file name, extension included
+ * @param {number} [counter] - 0 for the first try; ensureUniquePath passes 1, 2... on collisions. {counter} renders
+ *   them as _1, _2... (1, 2... right after a separator); a pattern without {counter} gets " (1)", " (2)..." like
+ *   unrenamed files
+ * @returns {string} File name with the original extension
+ * @throws {Error} when the pattern is invalid
+ */
+const renderFileName = (pattern, values, counter = 0) => {
+  const { valid, errors, template } = validateNamePattern(pattern)
+  if (!valid) throw new Error(`תבנית שם קובץ לא תקינה: ${errors.join(', ')}`)
+
+  const { name: original, ext } = path.parse(values.original)
+  const context = { ...values, original }
+  let hasCounter = false
+  let name = ''
+  for (const part of parseTemplate(template).flat()) {
+    if (part.text != null) {
+      name += part.text
+      continue
+    }
+    let value = ''
+    for (const token of part.tokens) {
+      const [tokenName, arg] = splitToken(token)
+      if (tokenName === 'counter') {
+        hasCounter = true
+        // "{camera}{counter}" -> iPhone_1, "{camera}-{counter}" -> iPhone-1
+        value = !counter ? '' : NAME_SEPARATORS.test(name) ? String(counter) : `_${counter}`
+        break
+      }
+      const resolved = NAME_TOKENS[tokenName] ? NAME_TOKENS[tokenName].resolve(context, arg) : TOKENS[tokenName].resolve(values.hebrew)
+      // A token value is never a path (camera models like "DSC-RX100M3/B")
+      value = resolved != null ? String(resolved).replace(/[\\/]/g, '-').replace(ILLEGAL_CHARS, '').trim() : ''
+      if (value) break
+    }
+    if (value) name += value
+    else name = name.replace(NAME_SEPARATORS, '')
+  }
+  name = trimSeparators(name.replace(ILLEGAL_CHARS, '')) || original
+  if (counter && !hasCounter) name = `${name} (${counter})`
+  return name + ext
+}
+
+/**
+ * Whether a file name pattern uses a token (fileService reads the camera only when {camera} is there)
+ * @param {string} pattern
+ * @param {string} token
+ */
+const usesNameToken = (pattern, token) => {
+  try {
+    return parseTemplate(String(pattern || ''))
+      .flat()
+      .some((part) => part.tokens?.some((t) => splitToken(t)[0] === token))
+  } catch {
+    return false
+  }
+}
+
+/**
+ * File name token list for the client: the name-only tokens, then every folder token
+ */
+const listNameTokens = () => [
+  ...Object.entries(NAME_TOKENS).map(([name, { description }]) => ({ name, description })),
+  ...listTokens(),
+]
+
+export {
+  TOKENS,
+  NAME_TOKENS,
+  PRESET_TEMPLATES,
+  isPreset,
+  resolveTemplate,
+  validateTemplate,
+  renderTemplate,
+  listTokens,
+  validateNamePattern,
+  renderFileName,
+  usesNameToken,
+  listNameTokens,
+}
@@ -0,0 +1,61 @@
+import sharp from 'sharp'
+import { isImage, isVideo } from './fileService.js'
+import { resolveDecodablePath } from './imageFormatService.js'
+import { getPosterPath } from './posterService.js'
+import { getCachedFile } from './cacheService.js'
+import logger from '../utils/logger.js'
+
+// תמונות ממוזערות (ריבוע, crop למרכז) לגריד, לכפילויות ולסריקת פנים - במקום להזרים מקור של 8MB לכל משבצת.
+// נשמרות במטמון המשותף (cacheService) לפי נתיב + mtime + גודל קובץ + גודל תמונה. וידאו - מפריים הפוסטר
+
+const THUMB_QUALITY = 80
+const DEFAULT_THUMB_SIZE = 240
+const MIN_THUMB_SIZE = 32
+const MAX_THUMB_SIZE = 1024
+
+const fail = (message) => {
+  const err = new Error(message)
+  err.status = 400
+  throw err
+}
+
+/**
+ * Validate a requested thumbnail size
+ * @param {number|string} [value] - Pixels (square); empty = DEFAULT_THUMB_SIZE
+ * @returns {number}
+ * @throws {Error} with status 400 when out of range
+ */
+const parseThumbSize = (value) => {
+  if (value == null || value === '') return DEFAULT_THUMB_SIZE
+  const size = Number(value)
+  if (!Number.isInteger(size) || size < MIN_THUMB_SIZE || size > MAX_THUMB_SIZE) {
+    fail(`size must be an integer between ${MIN_THUMB_SIZE} and ${MAX_THUMB_SIZE}`)
+  }
+  return size
+}
+
+/**
+ * Square JPEG thumbnail of an image or video (poster frame), cached by path + mtime + file size + thumbnail size
+ * @param {string} filePath
+ * @param {number} [size]
+ * @returns {Promise<string|null>} Path of the cached JPEG; null when it is not media or a video has no poster (no ffmpeg)
+ */
+const getThumbnailPath = async (filePath, size = DEFAULT_THUMB_SIZE) => {
+  if (!isImage(filePath) && !isVideo(filePath)) return null
+  try {
+    return await getCachedFile('thumbs', filePath, String(size), async (target) => {
+      const source = isVideo(filePath) ? await getPosterPath(filePath) : await resolveDecodablePath(filePath)
+      if (!source) return false
+      await sharp(source, { failOn: 'none' })
+        .rotate()
+        .resize(size, size, { fit: 'cover' })
+        .jpeg({ quality: THUMB_QUALITY })
+        .toFile(target)
+    })
+  } catch (err) {
+    logger.warn('[thumbnailService] thumbnail failed', { filePath, size, error: err.message })
+    return null
+  }
+}
+
+export { DEFAULT_THUMB_SIZE, parseThumbSize, getThumbnailPath }
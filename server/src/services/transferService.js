@@ -0,0 +1,208 @@
+import path from 'node:path'
+import fs from 'node:fs/promises'
+import fssync from 'node:fs'
+import crypto from 'node:crypto'
+import { spawn } from 'node:child_process'
+import logger from '../utils/logger.js'
+
+// העברת קבצים בטוחה - rename באותו כונן; בין כוננים (כרטיס SD -> דיסק חיצוני) rename נכשל עם EXDEV,
+// ולכן מעתיקים, מוודאים גודל + SHA-256 ורק אז מוחקים את המקור. המקור לא נמחק לפני שהעותק אומת
+// כל העתקה שומרת את זמני הקובץ המקורי (atime/mtime, ובווינדוס גם זמן יצירה) - getMediaDate נופל ל-mtime
+// בקבצים בלי EXIF, ובלי זה מיון מחדש של ספרייה מועתקת היה מתייק הכול לפי תאריך ההעתקה
+
+const TRANSFER = {
+  COPY: 'copy',
+  RENAME: 'rename',
+  COPY_VERIFY_DELETE: 'copy-verify-delete',
+}
+
+/**
+ * SHA-256 of a file, streamed (videos can be several GB)
+ * @param {string} filePath
+ * @returns {Promise<string>} Hex digest
+ */
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256')
+    fssync
+      .createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+  })
+
+/**
+ * Whether src and targetDir live on different devices (rename would fail with EXDEV)
+ * @param {string} src
+ * @param {string} targetDir - Must exist
+ */
+const isCrossDevice = async (src, targetDir) => {
+  const [srcStat, dirStat] = await Promise.all([fs.stat(src), fs.stat(targetDir)])
+  return srcStat.dev !== dirStat.dev
+}
+
+/**
+ * Compare a copy with its source: size first (cheap), then SHA-256
+ * @returns {Promise<string>} The shared hash
+ * @throws {Error} when they differ
+ */
+const verifyCopy = async (src, target) => {
+  const [srcStat, targetStat] = await Promise.all([fs.stat(src), fs.stat(target)])
+  if (srcStat.size !== targetStat.size) {
+    throw new Error(`אימות ההעתקה נכשל (גודל ${targetStat.size} במקום ${srcStat.size}): ${target}`)
+  }
+  const [srcHash, targetHash] = await Promise.all([hashFile(src), hashFile(target)])
+  if (srcHash !== targetHash) throw new Error(`אימות ההעתקה נכשל (SHA-256 שונה): ${target}`)
+  return srcHash
+}
+
+// Windows creation times are set through PowerShell, in the background: copies queue their file and move on, and a sort
+// run flushes the queue once at its end (flushBirthtimes). Callers that never flush (a single sort, redo) are picked up
+// after BIRTHTIME_IDLE_MS without new copies; a long run starts a process every BIRTHTIME_BATCH_SIZE files
+const BIRTHTIME_IDLE_MS = 2000
+const BIRTHTIME_BATCH_SIZE = 500
+const BIRTHTIME_SCRIPT =
+  '$items = [Console]::In.ReadToEnd() | ConvertFrom-Json; foreach ($i in @($items)) { ' +
+  'try { (Get-Item -LiteralPath $i.path).CreationTimeUtc = [DateTime]::Parse($i.time).ToUniversalTime() } catch {} }'
+let birthtimeQueue = []
+let birthtimeTimer = null
+// PowerShell processes still running
+const birthtimeRuns = new Set()
+
+const runBirthtimes = (batch) =>
+  new Promise((resolve) => {
+    const failed = (err) => {
+      logger.warn('[transferService] could not set creation times', { files: batch.length, error: err.message })
+      resolve()
+    }
+    try {
+      const child = spawn('powershell.exe', ['-NoProfile', '-NonInteractive', '-Command', BIRTHTIME_SCRIPT], {
+        stdio: ['pipe', 'ignore', 'ignore'],
+        windowsHide: true,
+      })
+      child.on('error', failed)
+      child.on('close', () => resolve())
+      child.stdin.end(JSON.stringify(batch))
+    } catch (err) {
+      failed(err)
+    }
+  })
+
+const startBirthtimes = () => {
+  clearTimeout(birthtimeTimer)
+  birthtimeTimer = null
+  if (!birthtimeQueue.length) return
+  const run = runBirthtimes(birthtimeQueue).finally(() => birthtimeRuns.delete(run))
+  birthtimeQueue = []
+  birthtimeRuns.add(run)
+}
+
+/**
+ * Set the creation times queued so far and wait for every PowerShell run - call at the end of a sort run,
+ * before its checkpoint is closed. Never rejects
+ * @returns {Promise<void>}
+ */
+const flushBirthtimes = async () => {
+  startBirthtimes()
+  await Promise.all([...birthtimeRuns])
+}
+
+/**
+ * Queue a file's creation time - Windows only; Linux has no API for it, and macOS moves it back by itself
+ * when utimes sets an older mtime. Best effort, and does not wait for it (see flushBirthtimes)
+ */
+const setBirthtime = (target, birthtime) => {
+  if (process.platform !== 'win32' || !birthtime?.getTime()) return
+  birthtimeQueue.push({ path: target, time: birthtime.toISOString() })
+  if (birthtimeQueue.length >= BIRTHTIME_BATCH_SIZE) {
+    startBirthtimes()
+    return
+  }
+  clearTimeout(birthtimeTimer)
+  birthtimeTimer = setTimeout(startBirthtimes, BIRTHTIME_IDLE_MS)
+}
+
+/**
+ * Give a copy the source's timestamps. A file system that refuses (some network shares) only logs a warning -
+ * the copy itself is fine
+ * @param {string} target
+ * @param {fssync.Stats} srcStat - Taken before the copy: reading the source can bump its atime
+ */
+const applyTimestamps = async (target, srcStat) => {
+  try {
+    await fs.utimes(target, srcStat.atime, srcStat.mtime)
+    setBirthtime(target, srcStat.birthtime)
+  } catch (err) {
+    logger.warn('[transferService] could not preserve timestamps', { target, error: err.message })
+  }
+}
+
+/**
+ * Copy a file with its timestamps; optionally verify it (a copy that does not match is removed)
+ * @param {string} src
+ * @param {string} target
+ * @param {object} [options]
+ * @param {boolean} [options.verify] - Compare size + SHA-256 with the source
+ * @param {boolean} [options.overwrite] - Replace an existing target (otherwise the copy fails)
+ * @returns {Promise<string|null>} SHA-256 when verified
+ */
+const copyFile = async (src, target, { verify = false, overwrite = false } = {}) => {
+  const srcStat = await fs.stat(src)
+  await fs.copyFile(src, target, overwrite ? 0 : fssync.constants.COPYFILE_EXCL)
+  let sha256 = null
+  try {
+    if (verify) sha256 = await verifyCopy(src, target)
+  } catch (err) {
+    await fs.rm(target, { force: true })
+    throw err
+  }
+  // After hashing, which reads the copy
+  await applyTimestamps(target, srcStat)
+  return sha256
+}
+
+/**
+ * Copy and verify. A copy that does not match is removed
+ * @returns {Promise<string>} SHA-256 of the file
+ */
+const copyVerified = (src, target) => copyFile(src, target, { verify: true })
+
+/**
+ * Copy, verify, then delete the source. Any failure removes the copy and leaves the source untouched
+ * @returns {Promise<string>} SHA-256 of the file
+ */
+const copyVerifyDelete = async (src, target) => {
+  const sha256 = await copyVerified(src, target)
+  try {
+    // Read-only card: keep the source, drop the copy - the file stays where it was instead of existing twice
+    await fs.rm(src)
+  } catch (err) {
+    await fs.rm(target, { force: true })
+    throw err
+  }
+  return sha256
+}
+
+/**
+ * Move a file, across devices too
+ * @param {string} src
+ * @param {string} target - Final path (its folder is created)
+ * @returns {Promise<{transfer: 'rename'|'copy-verify-delete', sha256: string|null}>} Which path was taken;
+ *   the hash is known only when the file was copied
+ */
+const moveFile = async (src, target) => {
+  await fs.mkdir(path.dirname(target), { recursive: true })
+  if (!(await isCrossDevice(src, path.dirname(target)))) {
+    try {
+      await fs.rename(src, target)
+      return { transfer: TRANSFER.RENAME, sha256: null }
+    } catch (err) {
+      // Same st_dev but still another mount (bind mounts, some network shares)
+      if (err.code !== 'EXDEV') throw err
+    }
+  }
+  const sha256 = await copyVerifyDelete(src, target)
+  return { transfer: TRANSFER.COPY_VERIFY_DELETE, sha256 }
+}
+
+export { TRANSFER, hashFile, isCrossDevice, verifyCopy, copyFile, copyVerified, moveFile, flushBirthtimes }
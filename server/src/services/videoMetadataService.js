@@ -0,0 +1,106 @@
+import { spawn } from 'node:child_process'
+import ffmpegPath from 'ffmpeg-static'
+import logger from '../utils/logger.js'
+import { atOffset, parseOffset } from '../utils/wallClock.js'
+
+const FFMPEG_TIMEOUT_MS = 15000
+
+// תגיות תאריך במטא-נתוני הקונטיינר, לפי סדר עדיפות
+// QuickTime creationdate נשמר בזמן מקומי כולל אזור זמן, creation_time הוא UTC (לעיתים זמן הייצוא/העתקה)
+const DATE_TAGS = ['com.apple.quicktime.creationdate', 'creation_time', 'date']
+
+// Cameras without a clock write 0 (1970) or the QuickTime epoch (1904)
+const MIN_VALID_YEAR = 1971
+
+/**
+ * Dump container-level metadata with ffmpeg's ffmetadata muxer (ffmpeg-static has no ffprobe)
+ * @param {string} filePath
+ * @returns {Promise<string|null>} ffmetadata text or null
+ */
+const dumpContainerMetadata = async (filePath) => {
+  if (!ffmpegPath) return null
+  return new Promise((resolve) => {
+    const args = ['-hide_banner', '-loglevel', 'error', '-i', filePath, '-f', 'ffmetadata', '-']
+    const proc = spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'ignore'] })
+    const chunks = []
+    const timer = setTimeout(() => proc.kill('SIGKILL'), FFMPEG_TIMEOUT_MS)
+    proc.stdout.on('data', (d) => chunks.push(d))
+    proc.on('error', (err) => {
+      clearTimeout(timer)
+      logger.error('[videoMetadataService] ffmpeg failed', { filePath, error: err.message })
+      resolve(null)
+    })
+    proc.on('close', (code) => {
+      clearTimeout(timer)
+      if (code === 0 && chunks.length) resolve(Buffer.concat(chunks).toString('utf-8'))
+      else resolve(null)
+    })
+  })
+}
+
+/**
+ * Parse ffmetadata output into a { key: value } map (global section only)
+ * @param {string} text
+ * @returns {Object<string, string>}
+ */
+const parseFfmetadata = (text) => {
+  const tags = {}
+  for (const line of String(text || '').split(/\r?\n/)) {
+    if (!line || line.startsWith(';')) continue
+    if (line.startsWith('[')) break // [STREAM] / [CHAPTER] sections
+    const idx = line.indexOf('=')
+    if (idx <= 0) continue
+    tags[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim()
+  }
+  return tags
+}
+
+/**
+ * Parse a container date string into the camera's wall clock (see utils/wallClock)
+ * Handles "2023-05-12T14:33:00+0300", "2023-05-12T11:33:00.000000Z", "2023-05-12 14:33:00"
+ * A recorded offset gives the clock at that offset; "Z" (creation_time) is a UTC instant with no known offset,
+ * read in the server's timezone like mtime
+ * @param {string} value
+ * @returns {{date: Date, timezone: string|null}|null}
+ */
+const parseContainerDate = (value) => {
+  if (!value) return null
+  const match = String(value)
+    .trim()
+    .match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?\s*(Z|[+-]\d{2}:?\d{2})?$/i)
+  if (!match) return null
+  const [, y, mo, d, h, mi, s, frac = '0', tz] = match
+  const ms = frac.slice(0, 3).padEnd(3, '0')
+  let timezone = null
+  let iso = `${y}-${mo}-${d}T${h}:${mi}:${s}.${ms}`
+  if (tz && tz.toUpperCase() === 'Z') {
+    iso += 'Z'
+  } else if (tz) {
+    timezone = tz.includes(':') ? tz : `${tz.slice(0, 3)}:${tz.slice(3)}`
+    iso += timezone
+  }
+  // ללא אזור זמן - מתפרש כזמן מקומי של השרת
+  const instant = new Date(iso)
+  if (isNaN(instant.getTime())) return null
+  if (instant.getUTCFullYear() < MIN_VALID_YEAR || instant.getTime() > Date.now() + 24 * 60 * 60 * 1000) return null
+  const date = timezone ? atOffset(instant, parseOffset(timezone)) : instant
+  return { date, timezone }
+}
+
+/**
+ * Read the real creation date of a video from its container metadata
+ * @param {string} filePath
+ * @returns {Promise<{date: Date, tag: string, timezone: string|null, raw: string}|null>}
+ */
+const readVideoCreationDate = async (filePath) => {
+  const text = await dumpContainerMetadata(filePath)
+  if (!text) return null
+  const tags = parseFfmetadata(text)
+  for (const tag of DATE_TAGS) {
+    const parsed = parseContainerDate(tags[tag])
+    if (parsed) return { ...parsed, tag, raw: tags[tag] }
+  }
+  return null
+}
+
+export { readVideoCreationDate, parseContainerDate }
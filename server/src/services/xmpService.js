@@ -0,0 +1,47 @@
+import fs from 'node:fs/promises'
+
+// שם הקובץ המקורי בקובץ XMP נלווה (xmpMM:PreservedFileName - השדה ש-Lightroom ו-Bridge כותבים בשינוי שם)
+// אין בפרויקט כותב EXIF, וכתיבה לתוך קובץ המדיה הייתה משנה את ה-SHA-256 שלו - לכן רק sidecar
+// PreservedFileName שכבר קיים לא נדרס: אחרי מיון חוזר הוא עדיין השם המקורי האמיתי
+
+const XMP_MM_NS = 'http://ns.adobe.com/xap/1.0/mm/'
+
+const escapeXml = (value) =>
+  String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+
+/**
+ * A minimal XMP packet holding only the original file name
+ * @param {string} originalName
+ * @returns {string}
+ */
+const preservedFileNameXmp = (originalName) =>
+  [
+    '<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    `  <rdf:Description rdf:about="" xmlns:xmpMM="${XMP_MM_NS}" xmpMM:PreservedFileName="${escapeXml(originalName)}"/>`,
+    ' </rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="w"?>',
+    '',
+  ].join('\n')
+
+/**
+ * Add xmpMM:PreservedFileName to an existing XMP sidecar, as an attribute of its first rdf:Description
+ * @param {string} xmpPath
+ * @param {string} originalName
+ * @returns {Promise<boolean>} false when the file already has one or has no rdf:Description to extend
+ */
+const addPreservedFileName = async (xmpPath, originalName) => {
+  const xml = await fs.readFile(xmpPath, 'utf-8')
+  if (xml.includes('PreservedFileName')) return false
+  const match = xml.match(/<rdf:Description\b[^>]*?(?=\/?>)/)
+  if (!match) return false
+  const declared = match[0].includes('xmlns:xmpMM=')
+  const attrs = `${declared ? '' : ` xmlns:xmpMM="${XMP_MM_NS}"`} xmpMM:PreservedFileName="${escapeXml(originalName)}"`
+  const end = match.index + match[0].length
+  await fs.writeFile(xmpPath, xml.slice(0, end) + attrs + xml.slice(end), 'utf-8')
+  return true
+}
+
+export { preservedFileNameXmp, addPreservedFileName }
@@ -0,0 +1,22 @@
+import path from 'node:path'
+import os from 'node:os'
+import fs from 'node:fs/promises'
+
+/**
+ * Server-side data directory (journal, settings, trash)
+ * Defaults to ~/.hebphotosort, override with HEBPHOTOSORT_DATA_DIR
+ */
+const DATA_DIR = process.env.HEBPHOTOSORT_DATA_DIR || path.join(os.homedir(), '.hebphotosort')
+
+/**
+ * Resolve a path inside the data directory, creating the parent folder if needed
+ * @param {...string} segments - Path segments relative to the data directory
+ * @returns {Promise<string>} Absolute path
+ */
+const dataPath = async (...segments) => {
+  const target = path.join(DATA_DIR, ...segments)
+  await fs.mkdir(path.dirname(target), { recursive: true })
+  return target
+}
+
+export { DATA_DIR, dataPath }
@@ -14,18 +14,36 @@ const getTimestamp = () => {
   return `${day}/${month}/${year} - ${hours}:${minutes}:${seconds}`
 }
 
+// The CLI keeps stdout for its own output: service logs go to stderr, or nowhere unless --verbose
+let silent = false
+let toStderr = false
+
+/**
+ * @param {object} options
+ * @param {boolean} [options.silent] - Drop every log line
+ * @param {boolean} [options.stderr] - Write info lines to stderr instead of stdout
+ */
+const configureLogger = ({ silent: nextSilent = false, stderr = false } = {}) => {
+  silent = nextSilent
+  toStderr = stderr
+}
+
 const log = (...args) => {
-  console.log(`[${getTimestamp()}]`, ...args)
+  if (silent) return
+  const write = toStderr ? console.error : console.log
+  write(`[${getTimestamp()}]`, ...args)
 }
 
 const error = (...args) => {
+  if (silent) return
   console.error(`[${getTimestamp()}]`, ...args)
 }
 
 const warn = (...args) => {
+  if (silent) return
   console.warn(`[${getTimestamp()}]`, ...args)
 }
 
 export default { log, error, warn }
-export { log, error, warn, getTimestamp }
+export { log, error, warn, getTimestamp, configureLogger }
 
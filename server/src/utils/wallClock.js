@@ -0,0 +1,60 @@
+// תאריך צילום באפליקציה הוא "שעון קיר": ה-getters המקומיים (getHours, getDate...) מחזירים את מה שהראה השעון במקום
+// הצילום, בלי קשר לאזור הזמן של השרת. כל מקור תאריך מומר לצורה הזו לפני שמשווים אותו לשקיעה, לטווח תאריכים או לתיקייה:
+// - EXIF: שעון המצלמה ללא אזור זמן - exif-parser מחזיר אותו כשניות "UTC" (fromExifSeconds)
+// - שם קובץ / WhatsApp / תאריך ידני: כבר נבנים כזמן מקומי
+// - וידאו עם הפרש מוקלט (creationdate של iPhone): הרגע מוזז להפרש שלו (atOffset)
+// - Takeout, mtime, creation_time של וידאו (UTC): רגע אמיתי בלי הפרש ידוע - נקרא בשעון של השרת
+// מגבלה: שעה שלא קיימת בשעון השרת (המעבר לשעון קיץ) זזה שעה קדימה
+
+/**
+ * Wall-clock Date from fields that are stored as UTC (the getUTC* values become the local ones)
+ * @param {Date} utcFields
+ * @returns {Date}
+ */
+const fromUtcFields = (utcFields) =>
+  new Date(
+    utcFields.getUTCFullYear(),
+    utcFields.getUTCMonth(),
+    utcFields.getUTCDate(),
+    utcFields.getUTCHours(),
+    utcFields.getUTCMinutes(),
+    utcFields.getUTCSeconds(),
+    utcFields.getUTCMilliseconds(),
+  )
+
+/**
+ * Camera clock of an EXIF date (unix seconds of the wall-clock time, as exif-parser returns them)
+ * @param {number} seconds
+ * @returns {Date}
+ */
+const fromExifSeconds = (seconds) => fromUtcFields(new Date(seconds * 1000))
+
+/**
+ * Wall clock of a real instant at a recorded UTC offset
+ * @param {Date} instant
+ * @param {number} offsetMinutes
+ * @returns {Date}
+ */
+const atOffset = (instant, offsetMinutes) => fromUtcFields(new Date(instant.getTime() + offsetMinutes * 60 * 1000))
+
+/**
+ * Calendar day of a wall-clock Date as "YYYY-MM-DD" - the day its date folder is named after
+ * @param {Date} date
+ * @returns {string}
+ */
+const dayKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+
+/**
+ * "+03:00" / "-0500" -> minutes
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+const parseOffset = (value) => {
+  const match = String(value || '').match(/^([+-])(\d{2}):?(\d{2})$/)
+  if (!match) return null
+  const minutes = Number(match[2]) * 60 + Number(match[3])
+  return match[1] === '-' ? -minutes : minutes
+}
+
+export { fromExifSeconds, atOffset, dayKey, parseOffset }
@@ -0,0 +1,56 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'hebphotosort-test-'))
+const dataDir = path.join(tmp, 'data')
+fs.mkdirSync(dataDir)
+process.env.HEBPHOTOSORT_DATA_DIR = dataDir
+
+const { getCachedFile, getCacheStats, saveCacheSettings } = await import('../src/services/cacheService.js')
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }))
+
+const source = path.join(tmp, 'photo.jpg')
+fs.writeFileSync(source, 'source')
+const writeThumb = async (target) => fs.promises.writeFile(target, 'thumb')
+
+// A location with a few cached files, so reading it takes several turns
+const seedLocation = (name, count) => {
+  const location = path.join(tmp, name)
+  const dir = path.join(location, 'hebphotosort-cache', 'thumbs')
+  fs.mkdirSync(dir, { recursive: true })
+  for (let i = 0; i < count; i += 1) {
+    fs.writeFileSync(path.join(dir, `${String(i).padStart(32, '0')}-${'0'.repeat(12)}.jpg`), 'x')
+  }
+  return location
+}
+
+test('moving the cache while its index is being read does not break the callers waiting on it', async () => {
+  const first = seedLocation('first', 5)
+  const second = seedLocation('second', 0)
+  await saveCacheSettings({ location: first })
+
+  const stats = getCacheStats()
+  const cached = getCachedFile('thumbs', source, 'small', writeThumb)
+  await saveCacheSettings({ location: second })
+
+  const before = await stats
+  assert.equal(before.location, path.join(first, 'hebphotosort-cache'))
+  assert.equal(before.files, 5)
+  assert.ok((await cached).startsWith(first))
+
+  // The new location starts from its own folder, without the file built for the old one
+  const after = await getCacheStats()
+  assert.equal(after.location, path.join(second, 'hebphotosort-cache'))
+  assert.equal(after.files, 0)
+  assert.equal(after.totalBytes, 0)
+})
+
+test('a file cached at the new location is indexed there', async () => {
+  const target = await getCachedFile('thumbs', source, 'small', writeThumb)
+  assert.ok(target.startsWith(path.join(tmp, 'second')))
+  assert.equal((await getCacheStats()).files, 1)
+})
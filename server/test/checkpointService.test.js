@@ -0,0 +1,125 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { spawnSync } from 'node:child_process'
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'hebphotosort-test-'))
+const dataDir = path.join(tmp, 'data')
+fs.mkdirSync(path.join(dataDir, 'checkpoints'), { recursive: true })
+process.env.HEBPHOTOSORT_DATA_DIR = dataDir
+
+const {
+  createCheckpoint,
+  recordDone,
+  markRunning,
+  markInterrupted,
+  loadCheckpoint,
+  pendingFiles,
+  recoverInterruptedRuns,
+  listInterruptedRuns,
+  requireInterrupted,
+  rollbackRun,
+  dismissRun,
+} = await import('../src/services/checkpointService.js')
+const { configureLogger } = await import('../src/utils/logger.js')
+
+configureLogger({ silent: true })
+after(() => fs.rmSync(tmp, { recursive: true, force: true }))
+
+// A process that has already exited - its runs are orphaned
+const deadOwner = { pid: spawnSync(process.execPath, ['-e', '']).pid, startedAt: '2024-01-01T00:00:00.000Z' }
+
+const src = (name) => path.join(tmp, 'src', name)
+const dest = (name) => path.join(tmp, 'dest', name)
+const put = (file, content = 'photo') => {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(file, content)
+}
+
+// The checkpoint a crashed process leaves behind, written line by line
+const writeCheckpoint = (runId, lines) =>
+  fs.writeFileSync(
+    path.join(dataDir, 'checkpoints', `${runId}.jsonl`),
+    lines.map((line) => (typeof line === 'string' ? line : JSON.stringify(line))).join('\n') + '\n',
+  )
+
+const crashedRun = (runId, files, lines, params = { mode: 'move' }) =>
+  writeCheckpoint(runId, [
+    { type: 'run', runId, createdAt: new Date().toISOString(), params, files, owner: deadOwner },
+    ...lines,
+  ])
+
+test('recovery settles in-flight files and marks the run interrupted', async () => {
+  const files = ['done.jpg', 'moved.jpg', 'partial.jpg', 'untouched.jpg', 'review.jpg'].map(src)
+  put(dest('done.jpg'))
+  put(dest('moved.jpg'))
+  put(dest('moved.xmp'), 'sidecar')
+  put(src('partial.jpg'))
+  put(dest('partial.jpg'), 'ph')
+  put(src('partial.xmp'), 'sidecar')
+  put(dest('partial.xmp'), 'si')
+  put(src('untouched.jpg'))
+  put(src('review.jpg'))
+  crashedRun('crashed', files, [
+    { type: 'done', src: src('done.jpg'), success: true, target: dest('done.jpg') },
+    { type: 'intent', src: src('moved.jpg'), target: dest('moved.jpg') },
+    { type: 'intent', src: src('moved.xmp'), target: dest('moved.xmp'), parent: src('moved.jpg') },
+    { type: 'intent', src: src('partial.jpg'), target: dest('partial.jpg') },
+    { type: 'intent', src: src('partial.xmp'), target: dest('partial.xmp'), parent: src('partial.jpg') },
+    { type: 'done', src: src('review.jpg'), success: false, skipped: 'review' },
+    // The process died in the middle of this line
+    '{"type":"done","src":',
+  ])
+
+  const [summary] = await recoverInterruptedRuns()
+  assert.equal(summary.runId, 'crashed')
+  assert.equal(summary.status, 'interrupted')
+  assert.deepEqual(
+    { total: summary.total, success: summary.success, skipped: summary.skipped, pending: summary.pending },
+    { total: 5, success: 2, skipped: 1, pending: 2 },
+  )
+  // Unfinished moves lose their partial targets; the sources stay to be sorted again
+  assert.equal(fs.existsSync(dest('partial.jpg')), false)
+  assert.equal(fs.existsSync(dest('partial.xmp')), false)
+  assert.equal(fs.existsSync(src('partial.xmp')), true)
+
+  const checkpoint = await requireInterrupted('crashed')
+  assert.deepEqual(pendingFiles(checkpoint), [src('partial.jpg'), src('untouched.jpg')])
+  assert.deepEqual((await listInterruptedRuns()).map((run) => run.runId), ['crashed'])
+})
+
+test('rollback moves back what the journal recorded, companions included', async () => {
+  const result = await rollbackRun('crashed')
+  assert.equal(result.errors, 0)
+  assert.equal(fs.existsSync(src('moved.jpg')), true)
+  assert.equal(fs.existsSync(src('moved.xmp')), true)
+  assert.equal(fs.existsSync(dest('moved.jpg')), false)
+  assert.equal(await loadCheckpoint('crashed'), null)
+})
+
+test('a run of a live process is left alone', async () => {
+  await createCheckpoint('live', { params: { mode: 'copy' }, files: [src('live.jpg')] })
+  assert.deepEqual(await recoverInterruptedRuns(), [])
+  await assert.rejects(requireInterrupted('live'), { status: 409 })
+  await assert.rejects(requireInterrupted('missing'), { status: 404 })
+})
+
+test('a run that died after its last file has nothing to resume', async () => {
+  put(dest('last.jpg'))
+  crashedRun('finished', [src('last.jpg')], [{ type: 'intent', src: src('last.jpg'), target: dest('last.jpg') }])
+  assert.deepEqual(await recoverInterruptedRuns(), [])
+  assert.equal(await loadCheckpoint('finished'), null)
+})
+
+test('resume marks the run as running and a failed resume hands it back', async () => {
+  await recordDone('live', { src: src('live.jpg'), success: false, error: 'EIO' })
+  await markInterrupted('live')
+  assert.deepEqual(pendingFiles(await requireInterrupted('live')), [src('live.jpg')])
+  await markRunning('live')
+  await assert.rejects(dismissRun('live'), { status: 409 })
+  await markInterrupted('live')
+  await dismissRun('live')
+  assert.equal(await loadCheckpoint('live'), null)
+})
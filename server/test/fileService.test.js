@@ -0,0 +1,45 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'hebphotosort-test-'))
+process.env.HEBPHOTOSORT_DATA_DIR = path.join(root, 'data')
+
+const { sortFilesBatch } = await import('../src/services/fileService.js')
+const { configureLogger } = await import('../src/utils/logger.js')
+configureLogger({ silent: true })
+
+after(() => fs.rmSync(root, { recursive: true, force: true }))
+
+// Not a decodable JPEG - the date falls back to mtime, which is the same for all of them
+const writeMedia = (file, bytes) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(file, Buffer.alloc(bytes))
+  const when = new Date(2024, 4, 12, 10, 0, 0)
+  fs.utimesSync(file, when, when)
+}
+
+test('a dry run and the real run give colliding names the same numbers, in file order', async () => {
+  const src = path.join(root, 'src')
+  const dest = path.join(root, 'dest')
+  // The first file takes longest to read, so the others finish their date lookup before it
+  const files = [
+    path.join(src, 'one', 'a.jpg'),
+    path.join(src, 'two', 'a.jpg'),
+    path.join(src, 'three', 'a.jpg'),
+  ]
+  writeMedia(files[0], 8 * 1024 * 1024)
+  writeMedia(files[1], 10)
+  writeMedia(files[2], 10)
+
+  const options = { files, destRoot: dest, mode: 'copy', concurrency: 3, keepOriginalName: true }
+  const plan = await sortFilesBatch({ ...options, dryRun: true })
+  const real = await sortFilesBatch(options)
+
+  const names = (result) => result.results.map((r) => path.basename(r.newPath))
+  assert.deepEqual(names(plan), ['a.jpg', 'a (1).jpg', 'a (2).jpg'])
+  assert.deepEqual(names(real), names(plan))
+  assert.equal(fs.statSync(real.results[0].newPath).size, 8 * 1024 * 1024)
+})
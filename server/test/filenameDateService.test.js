@@ -0,0 +1,76 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hebphotosort-test-'))
+process.env.HEBPHOTOSORT_DATA_DIR = dataDir
+
+const {
+  DEFAULT_FILENAME_PATTERNS,
+  normalizePatterns,
+  getFilenamePatterns,
+  saveFilenamePatterns,
+  resetFilenamePatterns,
+  inferDateFromFilename,
+} = await import('../src/services/filenameDateService.js')
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }))
+
+// The wall-clock fields of an inferred date, with the id of the pattern that matched
+const infer = async (name, patterns = DEFAULT_FILENAME_PATTERNS) => {
+  const found = await inferDateFromFilename(path.join('/photos', name), patterns)
+  if (!found) return null
+  const { date, pattern } = found
+  const time = [date.getHours(), date.getMinutes(), date.getSeconds()].map((n) => String(n).padStart(2, '0'))
+  return `${pattern} ${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()} ${time.join(':')}`
+}
+
+test('the default patterns read common camera and app names', async () => {
+  assert.equal(await infer('IMG-20230512-WA0003.jpg'), 'whatsapp 2023-5-12 00:00:00')
+  assert.equal(await infer('WhatsApp Image 2023-05-12 at 14.33.00.jpeg'), 'whatsapp-desktop 2023-5-12 14:33:00')
+  assert.equal(await infer('PXL_20240101_093012345.jpg'), 'pixel 2024-1-1 09:30:12')
+  assert.equal(await infer('IMG_20220305_123456.jpg'), 'android-camera 2022-3-5 12:34:56')
+  assert.equal(await infer('Screenshot_2023-04-01-12-00-00.png'), 'screenshot 2023-4-1 12:00:00')
+  assert.equal(await infer('20230512_143300.mp4'), 'compact-datetime 2023-5-12 14:33:00')
+  assert.equal(await infer('trip 2023-05-12.jpg'), 'iso-date 2023-5-12 00:00:00')
+})
+
+test('impossible, clockless and future dates are rejected', async () => {
+  assert.equal(await infer('IMG-20230231-WA0001.jpg'), null)
+  assert.equal(await infer('IMG_19800101_120000.jpg'), null)
+  assert.equal(await infer(`${new Date().getFullYear() + 2}-01-01.jpg`), null)
+  assert.equal(await infer('IMG_20220305_256000.jpg'), null)
+  assert.equal(await infer('DSC_0042.jpg'), null)
+})
+
+test('patterns are tried in order and disabled ones are skipped', async () => {
+  const patterns = normalizePatterns([
+    { id: 'year-only-day', regex: '(?<year>\\d{4})(?<month>\\d{2})(?<day>\\d{2})', enabled: false },
+    ...DEFAULT_FILENAME_PATTERNS,
+  ])
+  assert.equal(await infer('IMG-20230512-WA0003.jpg', patterns), 'whatsapp 2023-5-12 00:00:00')
+  patterns[0].enabled = true
+  assert.equal(await infer('IMG-20230512-WA0003.jpg', patterns), 'year-only-day 2023-5-12 00:00:00')
+})
+
+test('invalid pattern lists are refused', () => {
+  assert.throws(() => normalizePatterns('nope'), /array/)
+  assert.throws(() => normalizePatterns([{ id: 'bad', regex: '(' }]), /ביטוי רגולרי לא תקין/)
+  assert.throws(() => normalizePatterns([{ id: 'no-day', regex: '(?<year>\\d{4})(?<month>\\d{2})' }]), /day/)
+  const dup = { id: 'same', regex: '(?<year>\\d{4})(?<month>\\d{2})(?<day>\\d{2})' }
+  assert.throws(() => normalizePatterns([dup, dup]), /מזהה תבנית כפול/)
+})
+
+test('a saved list replaces the defaults until it is reset', async () => {
+  assert.equal(await getFilenamePatterns(), DEFAULT_FILENAME_PATTERNS)
+  const custom = [{ id: 'dotted', regex: '(?<day>\\d{2})\\.(?<month>\\d{2})\\.(?<year>\\d{4})' }]
+  await saveFilenamePatterns(custom)
+  assert.deepEqual((await getFilenamePatterns()).map((p) => p.id), ['dotted'])
+  const found = await inferDateFromFilename('/photos/12.05.2023 party.jpg')
+  assert.equal(found.pattern, 'dotted')
+  assert.equal(found.date.getMonth(), 4)
+  await resetFilenamePatterns()
+  assert.equal(await getFilenamePatterns(), DEFAULT_FILENAME_PATTERNS)
+})
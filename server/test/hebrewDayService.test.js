@@ -0,0 +1,50 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+
+// A server that is not on UTC - EXIF dates must still be compared as the camera's clock
+process.env.TZ = 'Asia/Jerusalem'
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hebphotosort-test-'))
+process.env.HEBPHOTOSORT_DATA_DIR = dataDir
+
+const { getHebrewDay, saveHebrewDaySettings } = await import('../src/services/hebrewDayService.js')
+const { fromExifSeconds } = await import('../src/utils/wallClock.js')
+
+// exif-parser: the camera clock as if it were UTC seconds
+const exifDate = (y, m, d, h, mi = 0) => fromExifSeconds(Date.UTC(y, m - 1, d, h, mi) / 1000)
+const render = ({ hd }) => `${hd.getDate()} ${hd.getMonthName()}`
+
+before(() => saveHebrewDaySettings({ mode: 'sunset', city: 'Jerusalem', latitude: null, longitude: null }))
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }))
+
+test('EXIF camera clock keeps its fields in a non-UTC zone', () => {
+  const date = exifDate(2024, 12, 20, 15)
+  assert.equal(date.getHours(), 15)
+  assert.equal(date.getDate(), 20)
+})
+
+test('before sunset keeps the civil Hebrew date', () => {
+  const day = getHebrewDay(exifDate(2024, 12, 20, 15))
+  assert.equal(day.afterNightfall, false)
+  assert.equal(render(day), '19 Kislev')
+})
+
+test('after sunset advances to the next Hebrew date', () => {
+  const day = getHebrewDay(exifDate(2024, 12, 20, 17))
+  assert.equal(day.afterNightfall, true)
+  assert.equal(render(day), '20 Kislev')
+})
+
+test('a recorded offset is used for the sunset time', () => {
+  // 16:50 in Jerusalem winter (+02:00) is after sunset, the same clock reading in +03:00 is not
+  assert.equal(getHebrewDay(exifDate(2024, 12, 20, 16, 50), { timezone: '+02:00' }).afterNightfall, true)
+  assert.equal(getHebrewDay(exifDate(2024, 12, 20, 16, 50), { timezone: '+03:00' }).afterNightfall, false)
+})
+
+test('civil mode never advances', async () => {
+  await saveHebrewDaySettings({ mode: 'civil' })
+  assert.equal(getHebrewDay(exifDate(2024, 12, 20, 23)).afterNightfall, false)
+  await saveHebrewDaySettings({ mode: 'sunset' })
+})
@@ -0,0 +1,66 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { HDate, months } from '@hebcal/core'
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hebphotosort-test-'))
+process.env.HEBPHOTOSORT_DATA_DIR = dataDir
+
+const { HOLIDAYS, getHolidaySettings, saveHolidaySettings, listHolidays, getHolidayPeriod, listYearPeriods } =
+  await import('../src/services/holidayService.js')
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }))
+
+const period = (day, month, year) => getHolidayPeriod(new HDate(day, month, year))?.id ?? null
+const span = (id, year) => {
+  const found = listYearPeriods(year).find((p) => p.id === id)
+  return found && `${found.startDate}..${found.endDate}`
+}
+
+test('every day of a holiday belongs to one period, eves excluded', () => {
+  assert.equal(period(14, months.NISAN, 5785), null)
+  assert.equal(period(15, months.NISAN, 5785), 'pesach')
+  assert.equal(period(18, months.NISAN, 5785), 'pesach')
+  assert.equal(period(21, months.NISAN, 5785), 'pesach')
+  assert.equal(span('pesach', 5785), '2025-04-13..2025-04-19')
+})
+
+test('Chanukah starts on the 25th of Kislev and crosses into the next Gregorian year', () => {
+  assert.equal(period(24, months.KISLEV, 5785), null)
+  assert.equal(span('chanukah', 5785), '2024-12-26..2025-01-02')
+  const { start } = getHolidayPeriod(new HDate(1, months.TEVET, 5785))
+  assert.equal(start.greg().getFullYear(), 2024)
+})
+
+test('the diaspora calendar adds the second festival days', async () => {
+  assert.equal(period(22, months.NISAN, 5785), null)
+  await saveHolidaySettings({ il: false })
+  assert.equal(period(22, months.NISAN, 5785), 'pesach')
+  assert.equal(span('shavuot', 5785), '2025-06-02..2025-06-03')
+  await saveHolidaySettings({ il: true })
+  assert.equal(span('shavuot', 5785), '2025-06-02..2025-06-02')
+})
+
+test('disabled holidays are not grouped', async () => {
+  assert.equal(listHolidays().find((h) => h.id === 'yom-yerushalayim').enabled, false)
+  assert.equal(period(28, months.IYYAR, 5785), null)
+  assert.equal(period(14, months.ADAR_I, 5785), 'purim')
+  await saveHolidaySettings({ enabled: HOLIDAYS.map((h) => h.id).filter((id) => id !== 'purim') })
+  assert.equal(period(14, months.ADAR_I, 5785), null)
+  assert.equal(period(28, months.IYYAR, 5785), 'yom-yerushalayim')
+  assert.equal(getHolidaySettings().enabled.includes('purim'), false)
+})
+
+test('invalid settings are refused with status 400', async () => {
+  await assert.rejects(saveHolidaySettings({ il: 'yes' }), { status: 400 })
+  await assert.rejects(saveHolidaySettings({ enabled: 'pesach' }), { status: 400 })
+  await assert.rejects(saveHolidaySettings({ enabled: ['no-such-holiday'] }), { status: 400 })
+})
+
+test('saved settings list holidays once, in calendar order', async () => {
+  await saveHolidaySettings({ il: false, enabled: ['pesach', 'chanukah', 'pesach'] })
+  const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'holidays.json'), 'utf-8'))
+  assert.deepEqual(saved, { il: false, enabled: ['chanukah', 'pesach'] })
+})
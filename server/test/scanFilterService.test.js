@@ -0,0 +1,34 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+
+// West of UTC, so a late-evening camera clock is already the next day in UTC
+process.env.TZ = 'America/New_York'
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hebphotosort-test-'))
+process.env.HEBPHOTOSORT_DATA_DIR = dataDir
+
+const { fileFilterReason, normalizeScanFilters } = await import('../src/services/scanFilterService.js')
+const { fromExifSeconds } = await import('../src/utils/wallClock.js')
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }))
+
+// 23:30 on the camera clock, May 12th
+const lateEvening = fromExifSeconds(Date.UTC(2024, 4, 12, 23, 30) / 1000)
+const reason = (range) => fileFilterReason('photo.jpg', normalizeScanFilters(range), async () => lateEvening)
+
+test('the date range uses the camera day, both ends inclusive', async () => {
+  assert.equal(await reason({ dateFrom: '2024-05-12', dateTo: '2024-05-12' }), null)
+  assert.equal(await reason({ dateFrom: '2024-05-01' }), null)
+  assert.equal(await reason({ dateTo: '2024-05-12' }), null)
+})
+
+test('a day outside the range is filtered', async () => {
+  assert.equal(await reason({ dateFrom: '2024-05-13' }), 'date')
+  assert.equal(await reason({ dateTo: '2024-05-11' }), 'date')
+})
+
+test('without a date reader the range is not applied', async () => {
+  assert.equal(await fileFilterReason('photo.jpg', normalizeScanFilters({ dateFrom: '2030-01-01' })), null)
+})
@@ -0,0 +1,100 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  validateTemplate,
+  renderTemplate,
+  validateNamePattern,
+  renderFileName,
+  usesNameToken,
+} from '../src/services/templateService.js'
+
+// Shape of toHebrewDate in fileService - 24 Kislev 5785 / 2024-12-25
+const hebrew = {
+  yearPath: "תשפ''ה",
+  hebrewYearNum: 5785,
+  month: 'כסלו',
+  day: 24,
+  dayGematriya: "כ''ד",
+  gregorianYear: 2024,
+  gregorianMonth: 12,
+  gregorianDay: 25,
+  holidayName: null,
+  holidayFolder: null,
+  holidayGregorianYear: 2024,
+  eventFolder: null,
+  place: null,
+  weekday: 'רביעי',
+  parasha: 'וישב',
+  folderName: "כסלו- תשפ''ה - (12-2024)",
+}
+
+test('presets render the built-in folder layouts', () => {
+  assert.deepEqual(renderTemplate('month-year', hebrew), ["תשפ''ה - (2024)", "כסלו- תשפ''ה - (12-2024)"])
+  assert.deepEqual(renderTemplate('day-month-year', hebrew), [
+    "תשפ''ה - (2024)",
+    "כסלו- תשפ''ה - (12-2024)",
+    "יום כ''ד (25-12-2024)",
+  ])
+})
+
+test('a holiday or event folder takes the place of the month', () => {
+  const hanukkah = { ...hebrew, holidayName: 'חנוכה', holidayFolder: "חנוכה תשפ''ה" }
+  assert.deepEqual(renderTemplate('month-year', hanukkah), ["תשפ''ה - (2024)", "חנוכה תשפ''ה"])
+  const birthday = { ...hanukkah, eventFolder: "יום הולדת של נועה תשפ''ה" }
+  assert.deepEqual(renderTemplate('month-year', birthday)[1], "יום הולדת של נועה תשפ''ה")
+})
+
+test('place presets fall back to the no-place folder', () => {
+  assert.equal(renderTemplate('country', hebrew)[0], 'ללא מיקום')
+  const jerusalem = { ...hebrew, place: { city: 'ירושלים', country: 'ישראל' } }
+  assert.deepEqual(renderTemplate('city', jerusalem).slice(0, 2), ['ישראל', 'ירושלים'])
+})
+
+test('custom templates drop empty segments and illegal characters', () => {
+  assert.deepEqual(renderTemplate('{gYear}/{holiday}/{gMonth} - {gMonthName}', hebrew), ['2024', '12 - דצמבר'])
+  assert.deepEqual(renderTemplate('{hebrewYearNum}/{hebrewMonth}', { ...hebrew, month: 'אדר "ב"' }), ['5785', 'אדר ב'])
+})
+
+test('invalid folder templates are reported', () => {
+  assert.equal(validateTemplate('{gYear}').valid, true)
+  assert.equal(validateTemplate('').valid, false)
+  assert.equal(validateTemplate('/{gYear}').valid, false)
+  assert.equal(validateTemplate('{gYear}//{gMonth}').valid, false)
+  assert.equal(validateTemplate('plain folder').valid, false)
+  assert.deepEqual(validateTemplate('{nope}').errors, ['משתנה לא מוכר: {nope}'])
+  assert.throws(() => renderTemplate('{nope}', hebrew), /תבנית תיקיות לא תקינה/)
+})
+
+test('file name patterns render the capture time and keep the extension', () => {
+  const values = { hebrew, date: new Date(2024, 11, 25, 9, 5, 7), camera: 'DSC-RX100M3/B', original: 'IMG_0001.JPG' }
+  assert.equal(renderFileName('{gregorian:YYYY-MM-DD_HHmmss}', values), '2024-12-25_090507.JPG')
+  assert.equal(renderFileName('{gregorian}_{camera}', values), '2024-12-25_DSC-RX100M3-B.JPG')
+  assert.equal(renderFileName('{hebrewDay} {hebrewMonth} {original}', values), "כ''ד כסלו IMG_0001.JPG")
+})
+
+test('empty tokens do not leave dangling separators', () => {
+  const values = { hebrew, date: new Date(2024, 11, 25), camera: null, original: 'a.jpg' }
+  assert.equal(renderFileName('{gregorian}_{camera}_{counter}', values), '2024-12-25.jpg')
+  assert.equal(renderFileName('{camera|original}', values), 'a.jpg')
+})
+
+test('collisions number with {counter} or with " (n)"', () => {
+  const values = { hebrew, date: new Date(2024, 11, 25), camera: 'iPhone', original: 'a.jpg' }
+  assert.equal(renderFileName('{camera}{counter}', values, 2), 'iPhone_2.jpg')
+  assert.equal(renderFileName('{camera}-{counter}', values, 2), 'iPhone-2.jpg')
+  assert.equal(renderFileName('{camera}', values, 2), 'iPhone (2).jpg')
+})
+
+test('invalid file name patterns are reported', () => {
+  assert.equal(validateNamePattern('{gregorian}').valid, true)
+  assert.equal(validateNamePattern('{gYear}/{original}').valid, false)
+  assert.equal(validateNamePattern('{camera:x}').valid, false)
+  assert.equal(validateNamePattern('{counter|camera}').valid, false)
+  assert.equal(validateNamePattern('name').valid, false)
+})
+
+test('usesNameToken finds a token among alternatives', () => {
+  assert.equal(usesNameToken('{gregorian}_{camera|original}', 'camera'), true)
+  assert.equal(usesNameToken('{gregorian}', 'camera'), false)
+  assert.equal(usesNameToken('{broken', 'camera'), false)
+})
@@ -0,0 +1,40 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+// Recorded offsets must give the camera's clock, not the server's
+process.env.TZ = 'Asia/Jerusalem'
+
+const { parseContainerDate } = await import('../src/services/videoMetadataService.js')
+
+const clock = (date) =>
+  `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()} ${date.getHours()}:${String(date.getMinutes()).padStart(2, '0')}`
+
+test('a recorded offset ahead of the server keeps the camera day', () => {
+  const parsed = parseContainerDate('2024-12-21T01:30:00+0900')
+  assert.equal(clock(parsed.date), '2024-12-21 1:30')
+  assert.equal(parsed.timezone, '+09:00')
+})
+
+test('a recorded offset behind the server keeps the camera day', () => {
+  const parsed = parseContainerDate('2024-12-20T22:30:00-05:00')
+  assert.equal(clock(parsed.date), '2024-12-20 22:30')
+  assert.equal(parsed.timezone, '-05:00')
+})
+
+test('UTC creation_time is read in the server timezone', () => {
+  const parsed = parseContainerDate('2024-12-20T22:30:00.000000Z')
+  assert.equal(clock(parsed.date), '2024-12-21 0:30')
+  assert.equal(parsed.timezone, null)
+})
+
+test('a date without a zone is the server clock', () => {
+  const parsed = parseContainerDate('2024-12-20 22:30:00')
+  assert.equal(clock(parsed.date), '2024-12-20 22:30')
+  assert.equal(parsed.timezone, null)
+})
+
+test('clockless and future dates are rejected', () => {
+  assert.equal(parseContainerDate('1904-01-01T00:00:00Z'), null)
+  assert.equal(parseContainerDate(`${new Date().getFullYear() + 2}-01-01T00:00:00+02:00`), null)
+  assert.equal(parseContainerDate('not a date'), null)
+})